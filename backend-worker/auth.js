@@ -0,0 +1,69 @@
+import { verify } from 'hono/jwt'
+import { createClient } from '@supabase/supabase-js'
+
+/**
+ * Resolve the user id from a Supabase access token
+ * With SUPABASE_JWT_SECRET the token is verified locally (HS256);
+ * otherwise it is checked against Supabase Auth (projects using asymmetric keys)
+ * @param {string} token - Access token from the Authorization header
+ * @param {object} env - Environment variables
+ * @returns {Promise<{id: string, email: string|null}>}
+ */
+async function verifyAccessToken(token, env) {
+    if (env.SUPABASE_JWT_SECRET) {
+        const payload = await verify(token, env.SUPABASE_JWT_SECRET, { alg: 'HS256', aud: 'authenticated' })
+        if (!payload.sub) {
+            throw new Error('Token has no subject')
+        }
+        return { id: payload.sub, email: payload.email || null }
+    }
+
+    const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_ANON_KEY, {
+        auth: { persistSession: false }
+    })
+    const { data, error } = await supabase.auth.getUser(token)
+    if (error || !data?.user) {
+        throw error || new Error('User not found')
+    }
+    return { id: data.user.id, email: data.user.email || null }
+}
+
+/**
+ * Authentication middleware
+ * Requires "Authorization: Bearer <Supabase access token>" and stores
+ * userId and accessToken on the context for the routes
+ */
+export async function requireAuth(c, next) {
+    const header = c.req.header('Authorization') || ''
+    const token = header.startsWith('Bearer ') ? header.slice(7).trim() : null
+
+    if (!token) {
+        return c.json({ success: false, error: 'Authentication required' }, 401)
+    }
+
+    try {
+        const user = await verifyAccessToken(token, c.env)
+        c.set('userId', user.id)
+        c.set('userEmail', user.email)
+        c.set('accessToken', token)
+    } catch (error) {
+        console.warn('[Auth] Invalid access token:', error.message)
+        return c.json({ success: false, error: 'Invalid or expired session' }, 401)
+    }
+
+    await next()
+}
+
+/**
+ * The authenticated user of a request, as used to create the user's repositories
+ * @returns {{id: string, email: string|null, accessToken: string}}
+ */
+export function getAuthUser(c) {
+    return {
+        id: c.get('userId'),
+        email: c.get('userEmail'),
+        accessToken: c.get('accessToken')
+    }
+}
+
+export default requireAuth
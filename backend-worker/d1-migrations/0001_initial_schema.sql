@@ -0,0 +1,312 @@
+-- Migration: Initial D1 (SQLite) schema
+--
+-- Local counterpart of migrations/0001-0016 for running the Worker without Supabase
+-- (wrangler dev --env local). Same tables and columns as the Postgres schema, except:
+--   - ids are INTEGER PRIMARY KEY AUTOINCREMENT, user ids are UUID text
+--   - timestamps are ISO 8601 text in UTC, dates are YYYY-MM-DD text
+--   - booleans are 0/1 and arrays/JSONB are JSON text (converted by repositories/stores/d1.js)
+--   - users replaces Supabase Auth (see local-auth.js)
+-- There is no Row Level Security; the repositories filter every query by user_id.
+
+CREATE TABLE IF NOT EXISTS users (
+  id TEXT PRIMARY KEY,
+  email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+  password_hash TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+-- Vocabulary
+CREATE TABLE IF NOT EXISTS vocabulary_categories (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+CREATE UNIQUE INDEX IF NOT EXISTS vocabulary_categories_user_name_key ON vocabulary_categories(user_id, name);
+
+CREATE TABLE IF NOT EXISTS vocabulary (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+  word TEXT NOT NULL,
+  meaning TEXT,
+  category_id INTEGER REFERENCES vocabulary_categories(id) ON DELETE SET NULL,
+  first_seen TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  frequency INTEGER DEFAULT 1,
+  last_reviewed TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  ease_factor REAL NOT NULL DEFAULT 2.5,
+  interval_days INTEGER NOT NULL DEFAULT 0,
+  repetitions INTEGER NOT NULL DEFAULT 0,
+  lapses INTEGER NOT NULL DEFAULT 0,
+  due_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  part_of_speech TEXT CHECK (part_of_speech IN ('noun', 'verb', 'adjective', 'adverb', 'pronoun', 'preposition', 'conjunction', 'interjection', 'numeral', 'other')),
+  article TEXT CHECK (article IN ('der', 'die', 'das')),
+  plural TEXT,
+  genitive TEXT,
+  auxiliary TEXT CHECK (auxiliary IN ('haben', 'sein')),
+  praeteritum TEXT,
+  partizip_ii TEXT
+);
+CREATE UNIQUE INDEX IF NOT EXISTS vocabulary_user_word_key ON vocabulary(user_id, word);
+CREATE INDEX IF NOT EXISTS idx_vocabulary_category ON vocabulary(category_id);
+CREATE INDEX IF NOT EXISTS idx_vocabulary_due_at ON vocabulary(user_id, due_at);
+
+-- Phrases
+CREATE TABLE IF NOT EXISTS phrase_categories (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+CREATE UNIQUE INDEX IF NOT EXISTS phrase_categories_user_name_key ON phrase_categories(user_id, name);
+
+CREATE TABLE IF NOT EXISTS custom_phrases (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+  english TEXT NOT NULL,
+  german TEXT NOT NULL,
+  meaning TEXT,
+  example_english TEXT,
+  example_german TEXT,
+  category_id INTEGER REFERENCES phrase_categories(id) ON DELETE SET NULL,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  times_reviewed INTEGER DEFAULT 0,
+  ease_factor REAL NOT NULL DEFAULT 2.5,
+  interval_days INTEGER NOT NULL DEFAULT 0,
+  repetitions INTEGER NOT NULL DEFAULT 0,
+  lapses INTEGER NOT NULL DEFAULT 0,
+  due_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  last_reviewed TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_custom_phrases_user_id ON custom_phrases(user_id);
+CREATE INDEX IF NOT EXISTS idx_custom_phrases_category ON custom_phrases(category_id);
+CREATE INDEX IF NOT EXISTS idx_custom_phrases_due_at ON custom_phrases(user_id, due_at);
+
+CREATE TABLE IF NOT EXISTS review_history (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+  item_type TEXT NOT NULL CHECK (item_type IN ('vocabulary', 'phrase')),
+  item_id INTEGER NOT NULL,
+  grade TEXT NOT NULL CHECK (grade IN ('again', 'hard', 'good', 'easy')),
+  interval_days INTEGER NOT NULL,
+  ease_factor REAL NOT NULL,
+  reviewed_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+CREATE INDEX IF NOT EXISTS idx_review_history_item ON review_history(user_id, item_type, item_id, reviewed_at);
+
+CREATE TABLE IF NOT EXISTS study_sessions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+  started_at TEXT,
+  completed_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  duration_seconds INTEGER NOT NULL DEFAULT 0,
+  cards_reviewed INTEGER NOT NULL DEFAULT 0,
+  vocabulary_reviewed INTEGER NOT NULL DEFAULT 0,
+  phrases_reviewed INTEGER NOT NULL DEFAULT 0,
+  correct_count INTEGER NOT NULL DEFAULT 0,
+  accuracy INTEGER NOT NULL DEFAULT 0
+);
+CREATE INDEX IF NOT EXISTS idx_study_sessions_completed_at ON study_sessions(user_id, completed_at);
+
+CREATE TABLE IF NOT EXISTS article_drill_stats (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+  noun TEXT NOT NULL,
+  article TEXT NOT NULL CHECK (article IN ('der', 'die', 'das')),
+  vocabulary_id INTEGER REFERENCES vocabulary(id) ON DELETE SET NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  correct_count INTEGER NOT NULL DEFAULT 0,
+  wrong_count INTEGER NOT NULL DEFAULT 0,
+  last_answer TEXT,
+  last_wrong_at TEXT,
+  last_practiced TEXT
+);
+CREATE UNIQUE INDEX IF NOT EXISTS article_drill_stats_user_noun_key ON article_drill_stats(user_id, noun);
+
+-- Settings and progress
+CREATE TABLE IF NOT EXISTS user_settings (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+  daily_goal_minutes INTEGER DEFAULT 60,
+  daily_sentence_goal INTEGER DEFAULT 10,
+  theme TEXT DEFAULT 'light'
+);
+CREATE UNIQUE INDEX IF NOT EXISTS user_settings_user_key ON user_settings(user_id);
+
+CREATE TABLE IF NOT EXISTS progress_stats (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+  date TEXT NOT NULL,
+  words_learned INTEGER DEFAULT 0,
+  entries_written INTEGER DEFAULT 0,
+  minutes_practiced INTEGER DEFAULT 0
+);
+CREATE UNIQUE INDEX IF NOT EXISTS progress_stats_user_date_key ON progress_stats(user_id, date);
+
+-- 30-day journey
+CREATE TABLE IF NOT EXISTS journey_progress (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+  journey_start_date TEXT NOT NULL,
+  current_day INTEGER DEFAULT 1 CHECK (current_day >= 1 AND current_day <= 30),
+  completed_days TEXT DEFAULT '[]',
+  last_activity_date TEXT,
+  journey_completed_count INTEGER DEFAULT 0,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+CREATE UNIQUE INDEX IF NOT EXISTS journey_progress_user_key ON journey_progress(user_id);
+
+CREATE TABLE IF NOT EXISTS daily_activities (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+  activity_date TEXT NOT NULL,
+  minutes_practiced INTEGER DEFAULT 0,
+  vocabulary_added_count INTEGER DEFAULT 0,
+  cards_reviewed INTEGER DEFAULT 0,
+  day_completed INTEGER DEFAULT 0,
+  journey_day_number INTEGER,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+CREATE UNIQUE INDEX IF NOT EXISTS daily_activities_user_date_key ON daily_activities(user_id, activity_date);
+
+CREATE TABLE IF NOT EXISTS achievements (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+  achievement_key TEXT NOT NULL,
+  title TEXT NOT NULL,
+  description TEXT,
+  icon_emoji TEXT,
+  unlocked_at TEXT,
+  journey_day INTEGER,
+  category TEXT DEFAULT 'milestone',
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+CREATE UNIQUE INDEX IF NOT EXISTS achievements_user_key ON achievements(user_id, achievement_key);
+
+CREATE TABLE IF NOT EXISTS journey_landmarks (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+  landmark_key TEXT NOT NULL,
+  name TEXT NOT NULL,
+  description TEXT,
+  icon_emoji TEXT,
+  day_number INTEGER NOT NULL,
+  unlocked INTEGER DEFAULT 0,
+  unlocked_at TEXT,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+CREATE UNIQUE INDEX IF NOT EXISTS journey_landmarks_user_key ON journey_landmarks(user_id, landmark_key);
+
+-- Templates copied to each new user (user_id IS NULL), as seeded by migrations/0002_journey_map.sql
+INSERT OR IGNORE INTO journey_landmarks (landmark_key, name, description, icon_emoji, day_number, unlocked)
+VALUES
+  ('east_blue_harbor', 'East Blue Harbor', 'Starting point of your journey', '🏴‍☠️', 1, 0),
+  ('grammar_fort', 'Grammar Fort', 'Master the grammar fundamentals', '⚓', 7, 0),
+  ('vocab_island', 'Vocab Island', 'Discover vocabulary treasures', '🏝️', 14, 0),
+  ('quiz_bridge', 'Quiz Bridge', 'Test your skills in the challenge zone', '⚔️', 21, 0),
+  ('treasure_island', 'Treasure Island', 'Complete your journey and claim your rewards', '💎', 30, 0);
+
+INSERT OR IGNORE INTO achievements (achievement_key, title, description, icon_emoji, category)
+VALUES
+  ('day_7_milestone', 'Week Warrior', 'Completed 7 days of learning!', '⚓', 'milestone'),
+  ('day_14_milestone', 'Vocab Collector', 'Reached the halfway point!', '🏝️', 'milestone'),
+  ('day_21_milestone', 'Three Weeks Strong', '21 days of dedication!', '⚔️', 'milestone'),
+  ('day_30_milestone', 'Journey Complete', 'Conquered the 30-day challenge!', '💎', 'milestone'),
+  ('first_journey_complete', 'First Voyage', 'Completed your first 30-day journey!', '🏆', 'special'),
+  ('speed_runner', 'Speed Runner', 'Completed 7 days in 7 consecutive calendar days', '⚡', 'special'),
+  ('dedicated_pirate', 'Dedicated Pirate', 'Practiced 50+ minutes in a single day', '🔥', 'special'),
+  ('word_hoarder', 'Word Hoarder', 'Added 20+ vocabulary words in one day', '📚', 'special');
+
+-- Daily tasks (definitions are shared by all users)
+CREATE TABLE IF NOT EXISTS daily_tasks (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  duration_minutes INTEGER NOT NULL DEFAULT 10,
+  display_order INTEGER NOT NULL DEFAULT 0,
+  icon TEXT,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+CREATE INDEX IF NOT EXISTS idx_daily_tasks_order ON daily_tasks(display_order);
+
+CREATE TABLE IF NOT EXISTS daily_task_progress (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+  task_id INTEGER NOT NULL REFERENCES daily_tasks(id) ON DELETE CASCADE,
+  completion_date TEXT NOT NULL,
+  started_at TEXT,
+  completed_at TEXT,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+CREATE INDEX IF NOT EXISTS idx_daily_task_progress_date ON daily_task_progress(user_id, completion_date);
+
+-- Notes
+CREATE TABLE IF NOT EXISTS note_categories (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+CREATE UNIQUE INDEX IF NOT EXISTS note_categories_user_name_key ON note_categories(user_id, name);
+
+CREATE TABLE IF NOT EXISTS notes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+  title TEXT NOT NULL,
+  content TEXT NOT NULL,
+  category_id INTEGER REFERENCES note_categories(id) ON DELETE SET NULL,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+CREATE INDEX IF NOT EXISTS idx_notes_user_id ON notes(user_id);
+
+-- Journal and mistakes
+CREATE TABLE IF NOT EXISTS journal_entries (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+  german_text TEXT NOT NULL,
+  corrected_text TEXT,
+  corrections TEXT NOT NULL DEFAULT '[]',
+  word_count INTEGER NOT NULL DEFAULT 0,
+  error_count INTEGER NOT NULL DEFAULT 0,
+  session_duration INTEGER NOT NULL DEFAULT 0,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+CREATE INDEX IF NOT EXISTS idx_journal_entries_created_at ON journal_entries(user_id, created_at);
+
+CREATE TABLE IF NOT EXISTS mistakes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+  category TEXT NOT NULL CHECK (category IN ('article_gender', 'case_ending', 'verb_position', 'tense', 'spelling', 'preposition', 'other')),
+  original TEXT NOT NULL,
+  corrected TEXT NOT NULL,
+  explanation TEXT,
+  sentence TEXT,
+  source TEXT NOT NULL DEFAULT 'journal' CHECK (source IN ('journal', 'free_writing')),
+  journal_entry_id INTEGER REFERENCES journal_entries(id) ON DELETE CASCADE,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+CREATE INDEX IF NOT EXISTS idx_mistakes_created_at ON mistakes(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_mistakes_journal_entry ON mistakes(journal_entry_id);
+
+-- Translation cache (shared by all users)
+CREATE TABLE IF NOT EXISTS translation_cache (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  text_hash TEXT NOT NULL,
+  source_text TEXT NOT NULL,
+  langpair TEXT NOT NULL,
+  provider TEXT NOT NULL,
+  translated_text TEXT NOT NULL,
+  hit_count INTEGER NOT NULL DEFAULT 0,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  last_hit_at TEXT,
+  expires_at TEXT NOT NULL
+);
+CREATE UNIQUE INDEX IF NOT EXISTS translation_cache_lookup_key ON translation_cache(text_hash, langpair, provider);
+CREATE INDEX IF NOT EXISTS idx_translation_cache_expires_at ON translation_cache(expires_at);
+
+CREATE TABLE IF NOT EXISTS translation_cache_stats (
+  date TEXT PRIMARY KEY,
+  hits INTEGER NOT NULL DEFAULT 0,
+  misses INTEGER NOT NULL DEFAULT 0
+);
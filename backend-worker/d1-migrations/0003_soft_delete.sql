@@ -0,0 +1,26 @@
+-- Migration: Trash for words, phrases, notes and their categories
+--
+-- Local counterpart of migrations/0019_soft_delete.sql
+
+ALTER TABLE vocabulary ADD COLUMN deleted_at TEXT;
+ALTER TABLE custom_phrases ADD COLUMN deleted_at TEXT;
+ALTER TABLE notes ADD COLUMN deleted_at TEXT;
+ALTER TABLE vocabulary_categories ADD COLUMN deleted_at TEXT;
+ALTER TABLE phrase_categories ADD COLUMN deleted_at TEXT;
+ALTER TABLE note_categories ADD COLUMN deleted_at TEXT;
+
+DROP INDEX IF EXISTS vocabulary_user_word_key;
+CREATE UNIQUE INDEX IF NOT EXISTS vocabulary_user_word_key ON vocabulary(user_id, word) WHERE deleted_at IS NULL;
+
+DROP INDEX IF EXISTS vocabulary_categories_user_name_key;
+CREATE UNIQUE INDEX IF NOT EXISTS vocabulary_categories_user_name_key ON vocabulary_categories(user_id, name) WHERE deleted_at IS NULL;
+
+DROP INDEX IF EXISTS phrase_categories_user_name_key;
+CREATE UNIQUE INDEX IF NOT EXISTS phrase_categories_user_name_key ON phrase_categories(user_id, name) WHERE deleted_at IS NULL;
+
+DROP INDEX IF EXISTS note_categories_user_name_key;
+CREATE UNIQUE INDEX IF NOT EXISTS note_categories_user_name_key ON note_categories(user_id, name) WHERE deleted_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_vocabulary_deleted_at ON vocabulary(user_id, deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_custom_phrases_deleted_at ON custom_phrases(user_id, deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_notes_deleted_at ON notes(user_id, deleted_at) WHERE deleted_at IS NOT NULL;
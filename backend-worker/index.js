@@ -1,5 +1,6 @@
 import { Hono } from 'hono'
 import { cors } from 'hono/cors'
+import { requireAuth } from './auth.js'
 import vocabulary from './routes/vocabulary.js'
 import phrases from './routes/phrases.js'
 import progress from './routes/progress.js'
@@ -10,6 +11,12 @@ import notes from './routes/notes.js'
 import data from './routes/data.js'
 import journey from './routes/journey.js'
 import dailyTasks from './routes/daily-tasks.js'
+import drills from './routes/drills.js'
+import journal from './routes/journal.js'
+import admin from './routes/admin.js'
+import auth from './routes/auth.js'
+import trash from './routes/trash.js'
+import { runScheduledJobs } from './services/scheduled-jobs.js'
 
 const app = new Hono()
 
@@ -17,16 +24,12 @@ app.use('*', cors())
 
 app.get('/health', c => c.json({ status: 'ok', timestamp: new Date().toISOString() }))
 
-// Debug endpoint to check environment variables (remove after testing)
-app.get('/debug/env', c => {
-    return c.json({
-        hasSupabaseUrl: !!c.env.SUPABASE_URL,
-        hasSupabaseKey: !!c.env.SUPABASE_ANON_KEY,
-        hasGeminiKey: !!c.env.GEMINI_API_KEY,
-        supabaseUrlLength: c.env.SUPABASE_URL?.length || 0,
-        envKeys: Object.keys(c.env)
-    })
-})
+// Sign up / log in; admin endpoints use their own token (see routes/admin.js)
+app.route('/auth', auth)
+app.route('/admin', admin)
+
+// Everything below requires a signed-in user
+app.use('*', requireAuth)
 
 app.route('/vocabulary', vocabulary)
 app.route('/phrases', phrases)
@@ -38,5 +41,17 @@ app.route('/notes', notes)
 app.route('/data', data)
 app.route('/journey', journey)
 app.route('/daily-tasks', dailyTasks)
+app.route('/drills', drills)
+app.route('/journal', journal)
+app.route('/trash', trash)
+
+export { app }
+
+export default {
+    fetch: app.fetch,
 
-export default app
+    // Cron Trigger (wrangler.toml [triggers]): nightly backups and trash purge for every user
+    scheduled(event, env, ctx) {
+        ctx.waitUntil(runScheduledJobs(env))
+    }
+}
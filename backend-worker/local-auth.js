@@ -0,0 +1,125 @@
+import { sign, verify } from 'hono/jwt'
+
+// Email/password accounts stored in D1 for running without Supabase (wrangler dev --env local).
+// Access tokens are signed with SUPABASE_JWT_SECRET exactly like Supabase's, so requireAuth
+// verifies them the same way.
+
+const ACCESS_TOKEN_SECONDS = 60 * 60
+const REFRESH_TOKEN_SECONDS = 30 * 24 * 60 * 60
+const PASSWORD_ITERATIONS = 100000
+
+function toBase64(bytes) {
+    return btoa(String.fromCharCode(...new Uint8Array(bytes)))
+}
+
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0))
+}
+
+async function derivePasswordKey(password, salt, iterations) {
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits'])
+    return crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256)
+}
+
+/**
+ * Hash a password as "pbkdf2$<iterations>$<salt>$<hash>"
+ */
+async function hashPassword(password) {
+    const salt = crypto.getRandomValues(new Uint8Array(16))
+    const hash = await derivePasswordKey(password, salt, PASSWORD_ITERATIONS)
+    return `pbkdf2$${PASSWORD_ITERATIONS}$${toBase64(salt)}$${toBase64(hash)}`
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, iterations, salt, hash] = stored.split('$')
+    if (scheme !== 'pbkdf2') return false
+    const derived = toBase64(await derivePasswordKey(password, fromBase64(salt), parseInt(iterations)))
+    return derived === hash
+}
+
+function authError(message, status) {
+    return { data: { session: null, user: null }, error: { message, status } }
+}
+
+/**
+ * Auth client backed by the users table in D1
+ * Exposes the subset of supabase.auth used by routes/auth.js, with the same { data, error } results
+ * @param {object} env - Environment variables and bindings (DB, SUPABASE_JWT_SECRET)
+ */
+export function createLocalAuth(env) {
+    const secret = env.SUPABASE_JWT_SECRET
+    if (!secret) {
+        throw new Error('SUPABASE_JWT_SECRET is required to sign local sessions')
+    }
+
+    async function createSession(user) {
+        const now = Math.floor(Date.now() / 1000)
+        const expiresAt = now + ACCESS_TOKEN_SECONDS
+
+        return {
+            access_token: await sign({ sub: user.id, email: user.email, aud: 'authenticated', role: 'authenticated', iat: now, exp: expiresAt }, secret),
+            refresh_token: await sign({ sub: user.id, aud: 'refresh', iat: now, exp: now + REFRESH_TOKEN_SECONDS }, secret),
+            expires_at: expiresAt,
+            user: { id: user.id, email: user.email }
+        }
+    }
+
+    function findUser(column, value) {
+        return env.DB.prepare(`SELECT id, email, password_hash FROM users WHERE ${column} = ?`).bind(value).first()
+    }
+
+    return {
+        async signUp({ email, password }) {
+            if (await findUser('email', email)) {
+                return authError('User already registered', 422)
+            }
+
+            const user = { id: crypto.randomUUID(), email }
+            await env.DB.prepare('INSERT INTO users (id, email, password_hash) VALUES (?, ?, ?)')
+                .bind(user.id, email, await hashPassword(password))
+                .run()
+
+            const session = await createSession(user)
+            return { data: { session, user: session.user }, error: null }
+        },
+
+        async signInWithPassword({ email, password }) {
+            const user = await findUser('email', email)
+            if (!user || !(await verifyPassword(password, user.password_hash))) {
+                return authError('Invalid login credentials', 400)
+            }
+
+            const session = await createSession(user)
+            return { data: { session, user: session.user }, error: null }
+        },
+
+        async refreshSession({ refresh_token }) {
+            let payload
+            try {
+                payload = await verify(refresh_token, secret, { alg: 'HS256', aud: 'refresh' })
+            } catch {
+                return authError('Invalid refresh token', 401)
+            }
+
+            const user = await findUser('id', payload.sub)
+            if (!user) {
+                return authError('User not found', 401)
+            }
+
+            const session = await createSession(user)
+            return { data: { session, user: session.user }, error: null }
+        },
+
+        // Subset of supabase.auth.admin, for jobs that run for every user
+        admin: {
+            async listUsers({ page = 1, perPage = 50 } = {}) {
+                const { results } = await env.DB.prepare('SELECT id, email, created_at FROM users ORDER BY created_at, id LIMIT ? OFFSET ?')
+                    .bind(perPage, (page - 1) * perPage)
+                    .all()
+                return { data: { users: results || [] }, error: null }
+            }
+        }
+    }
+}
+
+export default createLocalAuth
@@ -136,7 +136,7 @@ async function migrateData() {
         console.error('\n❌ Migration failed:', error.message);
         console.error('\nTroubleshooting:');
         console.error('- Check your SUPABASE_URL and SUPABASE_ANON_KEY in .env');
-        console.error('- Verify you ran the supabase-schema.sql script');
+        console.error('- Verify you applied the database migrations (npm run migrate)');
         console.error('- Check Supabase dashboard for error details');
         console.error('- You can safely re-run this script after fixing issues');
         process.exit(1);
@@ -0,0 +1,309 @@
+const { Client } = require('pg');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// DATABASE_URL may also live in the root .env used by the other scripts
+const ENV_FILE = path.join(__dirname, '../.env');
+if (fs.existsSync(ENV_FILE)) {
+    process.loadEnvFile(ENV_FILE);
+}
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const LOCAL_STUBS_FILE = path.join(MIGRATIONS_DIR, 'local', 'supabase-stubs.sql');
+const MIGRATION_FILE_PATTERN = /^(\d{4})_([a-z0-9_]+)\.sql$/;
+// Arbitrary constant key so two runners never apply migrations at the same time
+const ADVISORY_LOCK_KEY = 48151623;
+
+const USAGE = `
+Usage: node migrate.cjs <command> [options]
+
+Commands:
+  status                 Show applied and pending migrations
+  up                     Apply pending migrations in order
+  baseline               Record migrations as applied without running them
+                         (for databases set up by hand in the SQL editor)
+  bootstrap-local        Create the Supabase auth stand-ins on a plain local Postgres
+  new <name>             Create the next numbered migration file
+
+Options:
+  --database-url=<url>   Postgres connection string (default: DATABASE_URL)
+  --to=<version>         Stop after this version (up, baseline)
+  --dry-run              Run pending migrations in a transaction and roll it back (up)
+`;
+
+/**
+ * Parse argv into a command, positional arguments and --flags
+ */
+function parseArgs(argv) {
+    const options = {};
+    const positional = [];
+
+    for (const arg of argv) {
+        if (arg.startsWith('--')) {
+            const [key, ...rest] = arg.slice(2).split('=');
+            options[key] = rest.length > 0 ? rest.join('=') : true;
+        } else {
+            positional.push(arg);
+        }
+    }
+
+    return { command: positional[0], args: positional.slice(1), options };
+}
+
+/**
+ * Read the numbered migration files, sorted by version
+ * @returns {Array<{version: string, name: string, file: string, sql: string, checksum: string}>}
+ */
+function loadMigrations() {
+    const migrations = fs.readdirSync(MIGRATIONS_DIR)
+        .map(file => {
+            const match = file.match(MIGRATION_FILE_PATTERN);
+            if (!match) return null;
+            const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+            return {
+                version: match[1],
+                name: match[2],
+                file,
+                sql,
+                checksum: crypto.createHash('sha256').update(sql).digest('hex')
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.version.localeCompare(b.version));
+
+    for (let i = 1; i < migrations.length; i++) {
+        if (migrations[i].version === migrations[i - 1].version) {
+            throw new Error(`Duplicate migration version ${migrations[i].version}: ${migrations[i - 1].file} and ${migrations[i].file}`);
+        }
+    }
+
+    return migrations;
+}
+
+async function connect(options) {
+    const connectionString = typeof options['database-url'] === 'string'
+        ? options['database-url']
+        : process.env.DATABASE_URL;
+
+    if (!connectionString) {
+        throw new Error('No database connection string. Set DATABASE_URL or pass --database-url=<url>');
+    }
+
+    const client = new Client({ connectionString });
+    await client.connect();
+    return client;
+}
+
+async function ensureMigrationsTable(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            checksum TEXT NOT NULL,
+            applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+            execution_ms INTEGER
+        )
+    `);
+}
+
+/**
+ * Applied migrations keyed by version (empty when the table does not exist yet)
+ */
+async function getAppliedMigrations(client) {
+    const { rows: [table] } = await client.query(`SELECT to_regclass('schema_migrations') AS name`);
+    if (!table.name) return new Map();
+
+    const { rows } = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+    return new Map(rows.map(row => [row.version, row]));
+}
+
+/**
+ * Pending migrations, up to and including the --to version
+ */
+function getPending(migrations, applied, options) {
+    const to = typeof options.to === 'string' ? options.to.padStart(4, '0') : null;
+    return migrations.filter(m => !applied.has(m.version) && (!to || m.version <= to));
+}
+
+function warnChangedMigrations(migrations, applied) {
+    for (const migration of migrations) {
+        const row = applied.get(migration.version);
+        if (row && row.checksum !== migration.checksum) {
+            console.warn(`⚠️  ${migration.file} was changed after it was applied (checksum mismatch)`);
+        }
+    }
+}
+
+async function withLock(client, fn) {
+    await client.query('SELECT pg_advisory_lock($1)', [ADVISORY_LOCK_KEY]);
+    try {
+        return await fn();
+    } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [ADVISORY_LOCK_KEY]);
+    }
+}
+
+/**
+ * Point at the failing statement when Postgres reports a position
+ */
+function describeError(error, sql) {
+    if (!error.position) return error.message;
+    const line = sql.slice(0, Number(error.position)).split('\n').length;
+    return `${error.message} (line ${line})`;
+}
+
+async function status(client) {
+    const migrations = loadMigrations();
+    const applied = await getAppliedMigrations(client);
+    const known = new Set(migrations.map(m => m.version));
+
+    console.log('\n📋 Migration status\n');
+    for (const migration of migrations) {
+        const row = applied.get(migration.version);
+        if (!row) {
+            console.log(`   ⏳ ${migration.file}  pending`);
+        } else if (row.checksum !== migration.checksum) {
+            console.log(`   ⚠️  ${migration.file}  applied ${row.applied_at.toISOString()} (changed since)`);
+        } else {
+            console.log(`   ✓ ${migration.file}  applied ${row.applied_at.toISOString()}`);
+        }
+    }
+    for (const row of applied.values()) {
+        if (!known.has(row.version)) {
+            console.log(`   ❓ ${row.version}_${row.name}.sql  applied but the file is missing`);
+        }
+    }
+
+    const pending = migrations.filter(m => !applied.has(m.version)).length;
+    console.log(`\n${applied.size} applied, ${pending} pending\n`);
+}
+
+async function up(client, options) {
+    const dryRun = options['dry-run'] === true;
+    const migrations = loadMigrations();
+
+    await withLock(client, async () => {
+        if (!dryRun) await ensureMigrationsTable(client);
+
+        const applied = await getAppliedMigrations(client);
+        warnChangedMigrations(migrations, applied);
+        const pending = getPending(migrations, applied, options);
+
+        if (pending.length === 0) {
+            console.log('✓ Database is up to date');
+            return;
+        }
+
+        if (dryRun) {
+            // One transaction for everything: later migrations depend on earlier ones
+            console.log(`🔍 Dry run: ${pending.length} pending migration(s), changes are rolled back\n`);
+            await client.query('BEGIN');
+            try {
+                for (const migration of pending) {
+                    try {
+                        await client.query(migration.sql);
+                        console.log(`   ✓ ${migration.file}`);
+                    } catch (error) {
+                        throw new Error(`${migration.file}: ${describeError(error, migration.sql)}`);
+                    }
+                }
+            } finally {
+                await client.query('ROLLBACK');
+            }
+            console.log('\n✓ Dry run succeeded, nothing was changed');
+            return;
+        }
+
+        console.log(`🚀 Applying ${pending.length} migration(s)\n`);
+        for (const migration of pending) {
+            const started = Date.now();
+            await client.query('BEGIN');
+            try {
+                await client.query(migration.sql);
+                await client.query(
+                    'INSERT INTO schema_migrations (version, name, checksum, execution_ms) VALUES ($1, $2, $3, $4)',
+                    [migration.version, migration.name, migration.checksum, Date.now() - started]
+                );
+                await client.query('COMMIT');
+                console.log(`   ✓ ${migration.file} (${Date.now() - started}ms)`);
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw new Error(`${migration.file}: ${describeError(error, migration.sql)}`);
+            }
+        }
+        console.log('\n✓ All migrations applied');
+    });
+}
+
+async function baseline(client, options) {
+    const migrations = loadMigrations();
+
+    await withLock(client, async () => {
+        await ensureMigrationsTable(client);
+        const applied = await getAppliedMigrations(client);
+        const pending = getPending(migrations, applied, options);
+
+        for (const migration of pending) {
+            await client.query(
+                'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+                [migration.version, migration.name, migration.checksum]
+            );
+            console.log(`   ✓ ${migration.file} recorded as applied`);
+        }
+        console.log(`\n✓ Baseline recorded ${pending.length} migration(s)`);
+    });
+}
+
+async function bootstrapLocal(client) {
+    await client.query(fs.readFileSync(LOCAL_STUBS_FILE, 'utf8'));
+    console.log('✓ Supabase stand-ins ready (auth schema, auth.users, auth.uid(), anon/authenticated roles)');
+}
+
+function createMigration(name) {
+    const slug = (name || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    if (!slug) {
+        throw new Error('Usage: node migrate.cjs new <name>');
+    }
+
+    const migrations = loadMigrations();
+    const last = migrations.length > 0 ? Number(migrations[migrations.length - 1].version) : 0;
+    const file = `${String(last + 1).padStart(4, '0')}_${slug}.sql`;
+
+    fs.writeFileSync(path.join(MIGRATIONS_DIR, file), `-- Migration: ${name}\n\n`);
+    console.log(`✓ Created migrations/${file}`);
+}
+
+async function main() {
+    const { command, args, options } = parseArgs(process.argv.slice(2));
+
+    if (command === 'new') {
+        createMigration(args.join(' '));
+        return;
+    }
+
+    const commands = {
+        status: client => status(client),
+        up: client => up(client, options),
+        baseline: client => baseline(client, options),
+        'bootstrap-local': client => bootstrapLocal(client)
+    };
+
+    if (!commands[command]) {
+        console.log(USAGE);
+        process.exitCode = command ? 1 : 0;
+        return;
+    }
+
+    const client = await connect(options);
+    try {
+        await commands[command](client);
+    } finally {
+        await client.end();
+    }
+}
+
+main().catch(error => {
+    console.error(`\n❌ Migration failed: ${error.message}`);
+    process.exit(1);
+});
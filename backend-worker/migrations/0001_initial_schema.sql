@@ -1,5 +1,4 @@
 -- DeutschTagebuch Database Schema for Supabase
--- Run this script in Supabase SQL Editor to create all tables
 
 -- Enable UUID extension (optional, for future use)
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
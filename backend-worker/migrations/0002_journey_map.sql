@@ -1,5 +1,4 @@
 -- 30-Day Journey Map System - Database Schema
--- Run this script in Supabase SQL Editor after supabase-schema.sql
 
 -- Journey Progress Table
 -- Tracks the user's overall journey state and current position
@@ -0,0 +1,52 @@
+-- Migration: Daily quest and Ship Notes tables
+-- These tables were first created by hand in the Supabase dashboard;
+-- this migration records them so a fresh database gets the full schema.
+
+-- Daily Tasks Table (quest definitions, shared)
+CREATE TABLE IF NOT EXISTS daily_tasks (
+  id BIGSERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  duration_minutes INTEGER NOT NULL DEFAULT 10,
+  display_order INTEGER DEFAULT 0,
+  icon TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Daily Task Progress Table (one row per task and day)
+CREATE TABLE IF NOT EXISTS daily_task_progress (
+  id BIGSERIAL PRIMARY KEY,
+  task_id BIGINT NOT NULL REFERENCES daily_tasks(id) ON DELETE CASCADE,
+  completion_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  started_at TIMESTAMP WITH TIME ZONE,
+  completed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Note Categories Table
+CREATE TABLE IF NOT EXISTS note_categories (
+  id BIGSERIAL PRIMARY KEY,
+  name TEXT UNIQUE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Notes Table
+CREATE TABLE IF NOT EXISTS notes (
+  id BIGSERIAL PRIMARY KEY,
+  title TEXT NOT NULL,
+  content TEXT NOT NULL,
+  category_id BIGINT REFERENCES note_categories(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_daily_tasks_order ON daily_tasks(display_order);
+CREATE INDEX IF NOT EXISTS idx_daily_task_progress_date ON daily_task_progress(completion_date DESC);
+CREATE INDEX IF NOT EXISTS idx_daily_task_progress_task ON daily_task_progress(task_id);
+CREATE INDEX IF NOT EXISTS idx_notes_category_id ON notes(category_id);
+CREATE INDEX IF NOT EXISTS idx_notes_created_at ON notes(created_at DESC);
+
+-- Disable Row Level Security to match existing schema pattern
+ALTER TABLE daily_tasks DISABLE ROW LEVEL SECURITY;
+ALTER TABLE daily_task_progress DISABLE ROW LEVEL SECURITY;
+ALTER TABLE note_categories DISABLE ROW LEVEL SECURITY;
+ALTER TABLE notes DISABLE ROW LEVEL SECURITY;
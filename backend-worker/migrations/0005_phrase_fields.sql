@@ -1,5 +1,4 @@
 -- Migration: Add meaning and example fields to custom_phrases table
--- Run this in Supabase SQL Editor
 
 -- Add new columns to custom_phrases table
 ALTER TABLE custom_phrases 
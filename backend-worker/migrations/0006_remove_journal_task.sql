@@ -1,5 +1,4 @@
 -- Remove the Journal Writing task from daily tasks
--- Run this in your Supabase SQL Editor
 
 -- Delete the journal writing task
 DELETE FROM daily_tasks 
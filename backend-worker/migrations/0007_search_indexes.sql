@@ -1,5 +1,4 @@
 -- Add text search indexes for better search performance
--- Run this in your Supabase SQL Editor
 
 -- Enable the pg_trgm extension FIRST (for trigram indexes)
 CREATE EXTENSION IF NOT EXISTS pg_trgm;
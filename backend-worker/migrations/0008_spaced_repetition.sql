@@ -0,0 +1,23 @@
+-- Migration: Add spaced-repetition scheduling to vocabulary
+
+-- Scheduling state used by services/spaced-repetition.js
+ALTER TABLE vocabulary
+ADD COLUMN IF NOT EXISTS ease_factor REAL DEFAULT 2.5,
+ADD COLUMN IF NOT EXISTS interval_days INTEGER DEFAULT 0,
+ADD COLUMN IF NOT EXISTS repetitions INTEGER DEFAULT 0,
+ADD COLUMN IF NOT EXISTS lapses INTEGER DEFAULT 0,
+ADD COLUMN IF NOT EXISTS due_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+-- Existing words start out due so they enter the first review queue
+UPDATE vocabulary
+SET due_at = NOW()
+WHERE due_at IS NULL;
+
+-- Create index for the due queue
+CREATE INDEX IF NOT EXISTS idx_vocabulary_due_at ON vocabulary(due_at);
+
+COMMENT ON COLUMN vocabulary.ease_factor IS 'SM-2 ease factor (minimum 1.3)';
+COMMENT ON COLUMN vocabulary.interval_days IS 'Days between the last review and the next one';
+COMMENT ON COLUMN vocabulary.repetitions IS 'Consecutive successful reviews';
+COMMENT ON COLUMN vocabulary.lapses IS 'Times the word was forgotten (graded again)';
+COMMENT ON COLUMN vocabulary.due_at IS 'When the word is next due for review';
@@ -0,0 +1,35 @@
+-- Migration: Add spaced-repetition scheduling to custom phrases and a shared review history
+
+-- Same scheduling state as vocabulary (see services/spaced-repetition.js)
+ALTER TABLE custom_phrases
+ADD COLUMN IF NOT EXISTS ease_factor REAL DEFAULT 2.5,
+ADD COLUMN IF NOT EXISTS interval_days INTEGER DEFAULT 0,
+ADD COLUMN IF NOT EXISTS repetitions INTEGER DEFAULT 0,
+ADD COLUMN IF NOT EXISTS lapses INTEGER DEFAULT 0,
+ADD COLUMN IF NOT EXISTS due_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+ADD COLUMN IF NOT EXISTS last_reviewed TIMESTAMP WITH TIME ZONE;
+
+-- Existing phrases start out due so they enter the first review queue
+UPDATE custom_phrases
+SET due_at = NOW()
+WHERE due_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_custom_phrases_due_at ON custom_phrases(due_at);
+
+-- Review History Table
+-- One row per graded review of a vocabulary word or phrase
+CREATE TABLE IF NOT EXISTS review_history (
+  id BIGSERIAL PRIMARY KEY,
+  item_type TEXT NOT NULL CHECK (item_type IN ('vocabulary', 'phrase')),
+  item_id BIGINT NOT NULL,
+  grade TEXT NOT NULL CHECK (grade IN ('again', 'hard', 'good', 'easy')),
+  interval_days INTEGER,
+  ease_factor REAL,
+  reviewed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_review_history_item ON review_history(item_type, item_id, reviewed_at DESC);
+CREATE INDEX IF NOT EXISTS idx_review_history_reviewed_at ON review_history(reviewed_at DESC);
+
+-- Disable Row Level Security to match existing schema pattern
+ALTER TABLE review_history DISABLE ROW LEVEL SECURITY;
@@ -0,0 +1,24 @@
+-- Migration: Add study session tracking
+
+-- Study Sessions Table
+-- One row per finished flashcard session (mixed vocabulary and phrases)
+CREATE TABLE IF NOT EXISTS study_sessions (
+  id BIGSERIAL PRIMARY KEY,
+  started_at TIMESTAMP WITH TIME ZONE,
+  completed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  duration_seconds INTEGER DEFAULT 0,
+  cards_reviewed INTEGER DEFAULT 0,
+  vocabulary_reviewed INTEGER DEFAULT 0,
+  phrases_reviewed INTEGER DEFAULT 0,
+  correct_count INTEGER DEFAULT 0,
+  accuracy INTEGER DEFAULT 0 -- Percentage of cards graded good or easy
+);
+
+CREATE INDEX IF NOT EXISTS idx_study_sessions_completed ON study_sessions(completed_at DESC);
+
+-- Track reviewed cards alongside minutes and vocabulary in the journey
+ALTER TABLE daily_activities
+ADD COLUMN IF NOT EXISTS cards_reviewed INTEGER DEFAULT 0;
+
+-- Disable Row Level Security to match existing schema pattern
+ALTER TABLE study_sessions DISABLE ROW LEVEL SECURITY;
@@ -0,0 +1,23 @@
+-- Migration: Add grammatical metadata to vocabulary
+
+-- Fields validated by services/german-grammar.js
+ALTER TABLE vocabulary
+ADD COLUMN IF NOT EXISTS part_of_speech TEXT
+  CHECK (part_of_speech IN ('noun', 'verb', 'adjective', 'adverb', 'pronoun', 'preposition', 'conjunction', 'interjection', 'numeral', 'other')),
+ADD COLUMN IF NOT EXISTS article TEXT CHECK (article IN ('der', 'die', 'das')),
+ADD COLUMN IF NOT EXISTS plural TEXT,
+ADD COLUMN IF NOT EXISTS genitive TEXT,
+ADD COLUMN IF NOT EXISTS auxiliary TEXT CHECK (auxiliary IN ('haben', 'sein')),
+ADD COLUMN IF NOT EXISTS praeteritum TEXT,
+ADD COLUMN IF NOT EXISTS partizip_ii TEXT;
+
+-- Create index for filtering by part of speech (e.g. article drills on nouns)
+CREATE INDEX IF NOT EXISTS idx_vocabulary_part_of_speech ON vocabulary(part_of_speech);
+
+COMMENT ON COLUMN vocabulary.part_of_speech IS 'Word class: noun, verb, adjective, ...';
+COMMENT ON COLUMN vocabulary.article IS 'Definite article for nouns (der = masculine, die = feminine, das = neuter)';
+COMMENT ON COLUMN vocabulary.plural IS 'Nominative plural of a noun (e.g. Häuser)';
+COMMENT ON COLUMN vocabulary.genitive IS 'Genitive singular of a noun (e.g. des Hauses)';
+COMMENT ON COLUMN vocabulary.auxiliary IS 'Perfect tense auxiliary for verbs (haben or sein)';
+COMMENT ON COLUMN vocabulary.praeteritum IS 'Präteritum 3rd person singular of a verb (e.g. ging)';
+COMMENT ON COLUMN vocabulary.partizip_ii IS 'Partizip II of a verb (e.g. gegangen)';
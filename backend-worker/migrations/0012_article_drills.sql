@@ -0,0 +1,22 @@
+-- Migration: Add der/die/das article drill tracking
+
+-- Article Drill Stats Table
+-- One row per noun that has been drilled, from vocabulary or the built-in word list
+CREATE TABLE IF NOT EXISTS article_drill_stats (
+  id BIGSERIAL PRIMARY KEY,
+  noun TEXT UNIQUE NOT NULL, -- Noun without its article (e.g. Lösung)
+  article TEXT NOT NULL CHECK (article IN ('der', 'die', 'das')),
+  vocabulary_id BIGINT REFERENCES vocabulary(id) ON DELETE SET NULL,
+  attempts INTEGER DEFAULT 0,
+  correct_count INTEGER DEFAULT 0,
+  wrong_count INTEGER DEFAULT 0,
+  last_answer TEXT,
+  last_wrong_at TIMESTAMP WITH TIME ZONE,
+  last_practiced TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create index for the trouble nouns list
+CREATE INDEX IF NOT EXISTS idx_article_drill_stats_wrong ON article_drill_stats(wrong_count DESC);
+
+-- Disable Row Level Security to match existing schema pattern
+ALTER TABLE article_drill_stats DISABLE ROW LEVEL SECURITY;
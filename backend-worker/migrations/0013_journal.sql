@@ -0,0 +1,20 @@
+-- Migration: Bring back the journal with AI corrections
+
+-- Journal Entries Table
+-- German text as written, the corrected version and one explanation per error
+CREATE TABLE IF NOT EXISTS journal_entries (
+  id BIGSERIAL PRIMARY KEY,
+  german_text TEXT NOT NULL,
+  corrected_text TEXT, -- NULL when the correction could not be generated
+  corrections JSONB DEFAULT '[]'::jsonb, -- [{ original, corrected, type, explanation }]
+  word_count INTEGER DEFAULT 0,
+  error_count INTEGER DEFAULT 0,
+  session_duration INTEGER DEFAULT 0, -- Minutes
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_journal_entries_created_at ON journal_entries(created_at DESC);
+
+-- Disable Row Level Security to match existing schema pattern
+ALTER TABLE journal_entries DISABLE ROW LEVEL SECURITY;
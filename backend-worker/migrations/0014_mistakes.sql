@@ -0,0 +1,27 @@
+-- Migration: Track classified writing mistakes
+
+-- Mistakes Table
+-- One row per correction, classified into a fixed taxonomy
+CREATE TABLE IF NOT EXISTS mistakes (
+  id BIGSERIAL PRIMARY KEY,
+  category TEXT NOT NULL CHECK (category IN (
+    'article_gender', 'case_ending', 'verb_position', 'tense', 'spelling', 'preposition', 'other'
+  )),
+  original TEXT NOT NULL,
+  corrected TEXT NOT NULL,
+  explanation TEXT,
+  sentence TEXT, -- Sentence of the original text containing the mistake
+  source TEXT NOT NULL DEFAULT 'journal' CHECK (source IN ('journal', 'free_writing')),
+  journal_entry_id BIGINT REFERENCES journal_entries(id) ON DELETE CASCADE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_mistakes_created_at ON mistakes(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_mistakes_category ON mistakes(category);
+CREATE INDEX IF NOT EXISTS idx_mistakes_journal_entry ON mistakes(journal_entry_id);
+
+COMMENT ON COLUMN mistakes.category IS 'article_gender, case_ending, verb_position, tense, spelling, preposition or other';
+COMMENT ON COLUMN mistakes.source IS 'journal for saved entries, free_writing for texts corrected without saving';
+
+-- Disable Row Level Security to match existing schema pattern
+ALTER TABLE mistakes DISABLE ROW LEVEL SECURITY;
@@ -0,0 +1,35 @@
+-- Migration: Cache translations by text, language pair and provider
+
+-- Translation Cache Table
+-- text_hash is the SHA-256 of the normalized text, so long texts stay indexable
+CREATE TABLE IF NOT EXISTS translation_cache (
+  id BIGSERIAL PRIMARY KEY,
+  text_hash TEXT NOT NULL,
+  source_text TEXT NOT NULL,
+  langpair TEXT NOT NULL, -- e.g. 'en|de'
+  provider TEXT NOT NULL,
+  translated_text TEXT NOT NULL,
+  hit_count INTEGER DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  last_hit_at TIMESTAMP WITH TIME ZONE,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  UNIQUE(text_hash, langpair, provider)
+);
+
+CREATE INDEX IF NOT EXISTS idx_translation_cache_expires_at ON translation_cache(expires_at);
+
+-- Translation Cache Stats Table
+-- Daily hit/miss counters
+CREATE TABLE IF NOT EXISTS translation_cache_stats (
+  date DATE PRIMARY KEY,
+  hits INTEGER DEFAULT 0,
+  misses INTEGER DEFAULT 0
+);
+
+COMMENT ON COLUMN translation_cache.text_hash IS 'SHA-256 of the trimmed, whitespace-collapsed, NFC-normalized source text';
+
+-- Every user is served the cached translations, so only the Worker may read or write them:
+-- Row Level Security without policies keeps the anon and authenticated roles out, and the
+-- Worker uses the service role key (services/translation-cache.js)
+ALTER TABLE translation_cache ENABLE ROW LEVEL SECURITY;
+ALTER TABLE translation_cache_stats ENABLE ROW LEVEL SECURITY;
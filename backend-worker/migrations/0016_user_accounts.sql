@@ -0,0 +1,143 @@
+-- Migration: User accounts and per-user data
+--
+-- Every user-owned table gets a user_id referencing auth.users, Row Level Security
+-- is enabled and each user can only see and change their own rows.
+-- The Worker also filters by user_id explicitly on every query.
+
+-- journey_progress.user_id was a BIGINT placeholder (DEFAULT 1); replace it with the auth user id
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'journey_progress' AND column_name = 'user_id' AND data_type = 'bigint'
+  ) THEN
+    DROP INDEX IF EXISTS idx_journey_progress_user;
+    ALTER TABLE journey_progress DROP COLUMN user_id;
+  END IF;
+END $$;
+
+-- Add user_id, index and RLS policy to every user-owned table
+-- (tables that were never created in this project are skipped)
+DO $$
+DECLARE
+  t TEXT;
+BEGIN
+  FOREACH t IN ARRAY ARRAY[
+    'vocabulary', 'vocabulary_categories', 'custom_phrases', 'phrase_categories',
+    'notes', 'note_categories', 'user_settings', 'progress_stats',
+    'daily_task_progress', 'journey_progress', 'daily_activities', 'achievements',
+    'journey_landmarks', 'review_history', 'study_sessions', 'article_drill_stats',
+    'journal_entries', 'mistakes'
+  ]
+  LOOP
+    IF to_regclass(t) IS NOT NULL THEN
+      EXECUTE format('ALTER TABLE %I ADD COLUMN IF NOT EXISTS user_id UUID DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE CASCADE', t);
+      EXECUTE format('CREATE INDEX IF NOT EXISTS %I ON %I(user_id)', 'idx_' || t || '_user_id', t);
+      EXECUTE format('ALTER TABLE %I ENABLE ROW LEVEL SECURITY', t);
+      EXECUTE format('DROP POLICY IF EXISTS "Users manage their own rows" ON %I', t);
+      EXECUTE format('CREATE POLICY "Users manage their own rows" ON %I FOR ALL TO authenticated USING (user_id = auth.uid()) WITH CHECK (user_id = auth.uid())', t);
+    END IF;
+  END LOOP;
+END $$;
+
+-- Achievements and landmarks without a user are templates, copied for each new user by the Worker
+DROP POLICY IF EXISTS "Templates are readable" ON achievements;
+CREATE POLICY "Templates are readable" ON achievements FOR SELECT TO authenticated USING (user_id IS NULL);
+DROP POLICY IF EXISTS "Templates are readable" ON journey_landmarks;
+CREATE POLICY "Templates are readable" ON journey_landmarks FOR SELECT TO authenticated USING (user_id IS NULL);
+
+-- Uniqueness is now per user
+ALTER TABLE vocabulary DROP CONSTRAINT IF EXISTS vocabulary_word_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_vocabulary_user_word ON vocabulary(user_id, word);
+
+ALTER TABLE vocabulary_categories DROP CONSTRAINT IF EXISTS vocabulary_categories_name_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_vocabulary_categories_user_name ON vocabulary_categories(user_id, name);
+
+ALTER TABLE IF EXISTS phrase_categories DROP CONSTRAINT IF EXISTS phrase_categories_name_key;
+ALTER TABLE IF EXISTS note_categories DROP CONSTRAINT IF EXISTS note_categories_name_key;
+DO $$
+BEGIN
+  IF to_regclass('phrase_categories') IS NOT NULL THEN
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_phrase_categories_user_name ON phrase_categories(user_id, name);
+  END IF;
+  IF to_regclass('note_categories') IS NOT NULL THEN
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_note_categories_user_name ON note_categories(user_id, name);
+  END IF;
+END $$;
+
+ALTER TABLE progress_stats DROP CONSTRAINT IF EXISTS progress_stats_date_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_progress_stats_user_date ON progress_stats(user_id, date);
+
+ALTER TABLE daily_activities DROP CONSTRAINT IF EXISTS daily_activities_activity_date_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_daily_activities_user_date ON daily_activities(user_id, activity_date);
+
+ALTER TABLE article_drill_stats DROP CONSTRAINT IF EXISTS article_drill_stats_noun_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_article_drill_stats_user_noun ON article_drill_stats(user_id, noun);
+
+ALTER TABLE achievements DROP CONSTRAINT IF EXISTS achievements_achievement_key_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_achievements_user_key ON achievements(user_id, achievement_key);
+
+ALTER TABLE journey_landmarks DROP CONSTRAINT IF EXISTS journey_landmarks_landmark_key_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_journey_landmarks_user_key ON journey_landmarks(user_id, landmark_key);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_journey_progress_user_unique ON journey_progress(user_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_settings_user_unique ON user_settings(user_id);
+
+-- Task definitions are shared; everyone can read them
+DO $$
+BEGIN
+  IF to_regclass('daily_tasks') IS NOT NULL THEN
+    ALTER TABLE daily_tasks ENABLE ROW LEVEL SECURITY;
+    DROP POLICY IF EXISTS "Task definitions are readable" ON daily_tasks;
+    CREATE POLICY "Task definitions are readable" ON daily_tasks FOR SELECT TO authenticated USING (true);
+  END IF;
+END $$;
+
+-- The translation cache is shared, and every user is served its entries, so nobody but the
+-- Worker may change it: RLS without policies, the Worker uses the service role key
+DO $$
+BEGIN
+  IF to_regclass('translation_cache') IS NOT NULL THEN
+    ALTER TABLE translation_cache ENABLE ROW LEVEL SECURITY;
+  END IF;
+  IF to_regclass('translation_cache_stats') IS NOT NULL THEN
+    ALTER TABLE translation_cache_stats ENABLE ROW LEVEL SECURITY;
+  END IF;
+END $$;
+
+-- ============================================================
+-- Claim existing data (optional, run once)
+-- Rows created before accounts existed have no owner. Sign up in the app,
+-- copy your user id from Authentication → Users, paste it below and run this block.
+-- ============================================================
+-- DO $$
+-- DECLARE
+--   owner UUID := '00000000-0000-0000-0000-000000000000';
+--   t TEXT;
+-- BEGIN
+--   FOREACH t IN ARRAY ARRAY[
+--     'vocabulary', 'vocabulary_categories', 'custom_phrases', 'phrase_categories',
+--     'notes', 'note_categories', 'user_settings', 'progress_stats',
+--     'daily_task_progress', 'journey_progress', 'daily_activities',
+--     'review_history', 'study_sessions', 'article_drill_stats',
+--     'journal_entries', 'mistakes'
+--   ]
+--   LOOP
+--     IF to_regclass(t) IS NOT NULL THEN
+--       EXECUTE format('UPDATE %I SET user_id = $1 WHERE user_id IS NULL', t) USING owner;
+--     END IF;
+--   END LOOP;
+--
+--   -- Keep the unlocked achievements and landmarks, then reset the templates
+--   INSERT INTO achievements (user_id, achievement_key, title, description, icon_emoji, category, unlocked_at, journey_day)
+--   SELECT owner, achievement_key, title, description, icon_emoji, category, unlocked_at, journey_day
+--   FROM achievements WHERE user_id IS NULL
+--   ON CONFLICT DO NOTHING;
+--   UPDATE achievements SET unlocked_at = NULL, journey_day = NULL WHERE user_id IS NULL;
+--
+--   INSERT INTO journey_landmarks (user_id, landmark_key, name, description, icon_emoji, day_number, unlocked, unlocked_at)
+--   SELECT owner, landmark_key, name, description, icon_emoji, day_number, unlocked, unlocked_at
+--   FROM journey_landmarks WHERE user_id IS NULL
+--   ON CONFLICT DO NOTHING;
+--   UPDATE journey_landmarks SET unlocked = FALSE, unlocked_at = NULL WHERE user_id IS NULL;
+-- END $$;
@@ -0,0 +1,103 @@
+-- Migration: Apply a list of changes in one transaction
+--
+-- PostgREST runs every request on its own, so writes that must succeed or fail together
+-- (restoring a backup) are sent as one call to apply_changes (see transaction() in
+-- repositories/stores/supabase.js). The function runs with the rights of the caller,
+-- so Row Level Security applies to every change.
+--
+-- changes is a JSON array, applied in order:
+--   { "op": "insert", "table": "...", "values": [{ ... }, ...] }
+--   { "op": "update", "table": "...", "where": { ... }, "patch": { ... } }
+--   { "op": "remove", "table": "...", "where": { ... } }
+-- where matches columns by equality. An inserted row may carry "$ref": "<name>", and a
+-- later value { "$ref": "<name>" } is replaced by the id of that row.
+
+CREATE OR REPLACE FUNCTION apply_changes_resolve_refs(row_values JSONB, refs JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+  field TEXT;
+  value JSONB;
+BEGIN
+  FOR field, value IN SELECT * FROM jsonb_each(row_values) LOOP
+    IF jsonb_typeof(value) = 'object' AND value ? '$ref' THEN
+      IF NOT refs ? (value->>'$ref') THEN
+        RAISE EXCEPTION 'Unknown reference: %', value->>'$ref';
+      END IF;
+      row_values := jsonb_set(row_values, ARRAY[field], refs->(value->>'$ref'));
+    END IF;
+  END LOOP;
+  RETURN row_values;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION apply_changes(changes JSONB)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = public
+AS $$
+DECLARE
+  change JSONB;
+  item JSONB;
+  row_values JSONB;
+  target TEXT;
+  column_list TEXT;
+  assignments TEXT;
+  conditions TEXT;
+  new_id BIGINT;
+  refs JSONB := '{}'::jsonb;
+BEGIN
+  FOR change IN SELECT * FROM jsonb_array_elements(changes) LOOP
+    target := change->>'table';
+
+    IF change->>'op' IN ('update', 'remove') THEN
+      SELECT string_agg(format('t.%I = w.%I', field, field), ' AND ') INTO conditions
+      FROM jsonb_object_keys(change->'where') AS field;
+      IF conditions IS NULL THEN
+        RAISE EXCEPTION 'Refusing to % % without a filter', change->>'op', target;
+      END IF;
+    END IF;
+
+    IF change->>'op' = 'insert' THEN
+      FOR item IN SELECT * FROM jsonb_array_elements(change->'values') LOOP
+        row_values := apply_changes_resolve_refs(item - '$ref', refs);
+        SELECT string_agg(quote_ident(field), ', ') INTO column_list
+        FROM jsonb_object_keys(row_values) AS field;
+
+        EXECUTE format('INSERT INTO %I (%s) SELECT %s FROM jsonb_populate_record(NULL::%I, $1) RETURNING id',
+          target, column_list, column_list, target)
+        USING row_values INTO new_id;
+
+        IF item ? '$ref' THEN
+          refs := refs || jsonb_build_object(item->>'$ref', new_id);
+        END IF;
+      END LOOP;
+
+    ELSIF change->>'op' = 'update' THEN
+      row_values := apply_changes_resolve_refs(change->'patch', refs);
+      SELECT string_agg(format('%I = p.%I', field, field), ', ') INTO assignments
+      FROM jsonb_object_keys(row_values) AS field;
+
+      IF assignments IS NOT NULL THEN
+        EXECUTE format('UPDATE %I t SET %s FROM jsonb_populate_record(NULL::%I, $1) w, jsonb_populate_record(NULL::%I, $2) p WHERE %s',
+          target, assignments, target, target, conditions)
+        USING change->'where', row_values;
+      END IF;
+
+    ELSIF change->>'op' = 'remove' THEN
+      EXECUTE format('DELETE FROM %I t USING jsonb_populate_record(NULL::%I, $1) w WHERE %s',
+        target, target, conditions)
+      USING change->'where';
+
+    ELSE
+      RAISE EXCEPTION 'Unknown change: %', change->>'op';
+    END IF;
+  END LOOP;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION apply_changes(JSONB) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION apply_changes(JSONB) TO authenticated;
@@ -0,0 +1,25 @@
+-- Migration: Stored backups
+--
+-- Snapshots of a user's data in the backup format of services/backup.js, written nightly
+-- by the Worker's scheduled handler (services/scheduled-jobs.js) and restored through
+-- POST /api/data/backups/:id/restore. Only the newest snapshots are kept (BACKUP_RETENTION).
+
+CREATE TABLE IF NOT EXISTS backups (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  version TEXT NOT NULL,
+  row_count INTEGER NOT NULL DEFAULT 0,
+  size_bytes INTEGER NOT NULL DEFAULT 0,
+  data JSONB NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_backups_user_created_at ON backups(user_id, created_at DESC);
+
+-- Users can read and delete their own snapshots; they are written with the service role key,
+-- which bypasses Row Level Security
+ALTER TABLE backups ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Users read their own backups" ON backups;
+CREATE POLICY "Users read their own backups" ON backups FOR SELECT TO authenticated USING (user_id = auth.uid());
+DROP POLICY IF EXISTS "Users delete their own backups" ON backups;
+CREATE POLICY "Users delete their own backups" ON backups FOR DELETE TO authenticated USING (user_id = auth.uid());
@@ -0,0 +1,31 @@
+-- Migration: Trash for words, phrases, notes and their categories
+--
+-- Deleting sets deleted_at instead of removing the row, so it can be restored from the
+-- trash (/api/trash). Trashed rows are purged for good after 30 days by the nightly job
+-- (services/scheduled-jobs.js). The Worker leaves trashed rows out of every other query.
+
+ALTER TABLE vocabulary ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE custom_phrases ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE notes ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE vocabulary_categories ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE phrase_categories ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE note_categories ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+
+-- Names only need to be unique among rows that are not in the trash,
+-- so a word can be added again while the deleted one is still restorable
+DROP INDEX IF EXISTS idx_vocabulary_user_word;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_vocabulary_user_word ON vocabulary(user_id, word) WHERE deleted_at IS NULL;
+
+DROP INDEX IF EXISTS idx_vocabulary_categories_user_name;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_vocabulary_categories_user_name ON vocabulary_categories(user_id, name) WHERE deleted_at IS NULL;
+
+DROP INDEX IF EXISTS idx_phrase_categories_user_name;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_phrase_categories_user_name ON phrase_categories(user_id, name) WHERE deleted_at IS NULL;
+
+DROP INDEX IF EXISTS idx_note_categories_user_name;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_note_categories_user_name ON note_categories(user_id, name) WHERE deleted_at IS NULL;
+
+-- Trash listing and the purge of expired rows
+CREATE INDEX IF NOT EXISTS idx_vocabulary_deleted_at ON vocabulary(user_id, deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_custom_phrases_deleted_at ON custom_phrases(user_id, deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_notes_deleted_at ON notes(user_id, deleted_at) WHERE deleted_at IS NOT NULL;
@@ -0,0 +1,74 @@
+-- Migration: Umlaut- and typo-tolerant search
+--
+-- /api/search compares normalized text: lower case with ä→ae, ö→oe, ü→ue and ß→ss, so
+-- "strasse" finds "Straße" and "ueber" finds "über". Terms that are not contained in a
+-- field can still match by trigram word similarity (pg_trgm, enabled in 0007), which
+-- also finds "uber" and small typos. search_rows is called by search() in
+-- repositories/stores/supabase.js; the D1 store and the tests run the same matching in
+-- JavaScript (repositories/stores/text-search.js).
+
+CREATE OR REPLACE FUNCTION search_normalize(value TEXT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+PARALLEL SAFE
+AS $$
+  SELECT replace(replace(replace(replace(lower(value), 'ä', 'ae'), 'ö', 'oe'), 'ü', 'ue'), 'ß', 'ss')
+$$;
+
+-- Trigram indexes on the normalized search fields
+CREATE INDEX IF NOT EXISTS idx_vocabulary_word_trgm ON vocabulary USING gin (search_normalize(word) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_vocabulary_meaning_trgm ON vocabulary USING gin (search_normalize(meaning) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_custom_phrases_german_trgm ON custom_phrases USING gin (search_normalize(german) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_custom_phrases_english_trgm ON custom_phrases USING gin (search_normalize(english) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_custom_phrases_example_german_trgm ON custom_phrases USING gin (search_normalize(example_german) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_custom_phrases_example_english_trgm ON custom_phrases USING gin (search_normalize(example_english) gin_trgm_ops);
+
+-- Rows of table_name matching filters (columns by equality, null matches IS NULL) in which
+-- one of search_fields contains the term or has a word similarity of at least 0.5 to it.
+-- Each row is returned as JSON with a search_score: 1 when a field contains the term,
+-- otherwise the best word similarity. Best matches first, at most max_results rows.
+-- Runs with the rights of the caller, so Row Level Security applies.
+CREATE OR REPLACE FUNCTION search_rows(table_name TEXT, search_fields TEXT[], term TEXT, filters JSONB, max_results INTEGER DEFAULT 50)
+RETURNS SETOF JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY INVOKER
+SET search_path = public
+SET pg_trgm.word_similarity_threshold = 0.5
+AS $$
+DECLARE
+  normalized TEXT := search_normalize(term);
+  pattern TEXT;
+  conditions TEXT;
+  matches TEXT;
+  scores TEXT;
+BEGIN
+  -- Contained anywhere, with the LIKE wildcards in the term taken literally
+  pattern := '%' || replace(replace(replace(normalized, '\', '\\'), '%', '\%'), '_', '\_') || '%';
+
+  SELECT string_agg(format('t.%I IS NOT DISTINCT FROM w.%I', field, field), ' AND ') INTO conditions
+  FROM jsonb_object_keys(filters) AS field;
+  IF conditions IS NULL THEN
+    RAISE EXCEPTION 'Refusing to search % without a filter', table_name;
+  END IF;
+
+  SELECT
+    string_agg(format('search_normalize(t.%I) LIKE $3 OR $2 <%% search_normalize(t.%I)', field, field), ' OR '),
+    string_agg(format('CASE WHEN search_normalize(t.%I) LIKE $3 THEN 1 ELSE word_similarity($2, search_normalize(t.%I)) END', field, field), ', ')
+  INTO matches, scores
+  FROM unnest(search_fields) AS field;
+
+  RETURN QUERY EXECUTE format(
+    'SELECT to_jsonb(t) || jsonb_build_object(''search_score'', s.score)
+     FROM %I t, jsonb_populate_record(NULL::%I, $1) w, LATERAL (SELECT GREATEST(%s) AS score) s
+     WHERE %s AND (%s)
+     ORDER BY s.score DESC, t.id DESC
+     LIMIT $4',
+    table_name, table_name, scores, conditions, matches)
+  USING filters, normalized, pattern, max_results;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION search_rows(TEXT, TEXT[], TEXT, JSONB, INTEGER) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION search_rows(TEXT, TEXT[], TEXT, JSONB, INTEGER) TO authenticated;
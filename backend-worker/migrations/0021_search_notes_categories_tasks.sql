@@ -0,0 +1,51 @@
+-- Migration: Search notes, categories and daily tasks
+--
+-- /api/search also looks at note titles and content, the names of all three category
+-- tables and the shared daily task names. Daily tasks have no owner, so search_rows
+-- (0020_fuzzy_search.sql) now accepts empty filters: a search is read-only, and Row
+-- Level Security still limits the rows to the ones the caller may see.
+
+CREATE INDEX IF NOT EXISTS idx_notes_title_trgm ON notes USING gin (search_normalize(title) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_notes_content_trgm ON notes USING gin (search_normalize(content) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_vocabulary_categories_name_trgm ON vocabulary_categories USING gin (search_normalize(name) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_phrase_categories_name_trgm ON phrase_categories USING gin (search_normalize(name) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_note_categories_name_trgm ON note_categories USING gin (search_normalize(name) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_daily_tasks_name_trgm ON daily_tasks USING gin (search_normalize(name) gin_trgm_ops);
+
+CREATE OR REPLACE FUNCTION search_rows(table_name TEXT, search_fields TEXT[], term TEXT, filters JSONB, max_results INTEGER DEFAULT 50)
+RETURNS SETOF JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY INVOKER
+SET search_path = public
+SET pg_trgm.word_similarity_threshold = 0.5
+AS $$
+DECLARE
+  normalized TEXT := search_normalize(term);
+  pattern TEXT;
+  conditions TEXT;
+  matches TEXT;
+  scores TEXT;
+BEGIN
+  -- Contained anywhere, with the LIKE wildcards in the term taken literally
+  pattern := '%' || replace(replace(replace(normalized, '\', '\\'), '%', '\%'), '_', '\_') || '%';
+
+  SELECT COALESCE(string_agg(format('t.%I IS NOT DISTINCT FROM w.%I', field, field), ' AND '), 'true') INTO conditions
+  FROM jsonb_object_keys(COALESCE(filters, '{}'::jsonb)) AS field;
+
+  SELECT
+    string_agg(format('search_normalize(t.%I) LIKE $3 OR $2 <%% search_normalize(t.%I)', field, field), ' OR '),
+    string_agg(format('CASE WHEN search_normalize(t.%I) LIKE $3 THEN 1 ELSE word_similarity($2, search_normalize(t.%I)) END', field, field), ', ')
+  INTO matches, scores
+  FROM unnest(search_fields) AS field;
+
+  RETURN QUERY EXECUTE format(
+    'SELECT to_jsonb(t) || jsonb_build_object(''search_score'', s.score)
+     FROM %I t, jsonb_populate_record(NULL::%I, $1) w, LATERAL (SELECT GREATEST(%s) AS score) s
+     WHERE %s AND (%s)
+     ORDER BY s.score DESC, t.id DESC
+     LIMIT $4',
+    table_name, table_name, scores, conditions, matches)
+  USING COALESCE(filters, '{}'::jsonb), normalized, pattern, max_results;
+END;
+$$;
@@ -0,0 +1,56 @@
+-- Migration: Atomic counters and a locked-down translation cache
+--
+-- PostgREST cannot add to a column, so a read-modify-write of a counter row loses
+-- increments when two requests overlap. increment_counters inserts the row or adds its
+-- counters to the existing one in a single statement (see increment() in
+-- repositories/stores/supabase.js):
+--   increment_counters('translation_cache_stats', ARRAY['date'], '{"date": "2025-01-01", "hits": 1, "misses": 0}')
+-- The function runs with the rights of the caller, so Row Level Security applies.
+--
+-- The translation cache is served to every user, so only the Worker may write it: Row Level
+-- Security without policies keeps anon and authenticated out, and the Worker uses the
+-- service role key (which bypasses it). Repeated here for databases that applied 0015 and
+-- 0016 before they enabled it.
+
+ALTER TABLE translation_cache ENABLE ROW LEVEL SECURITY;
+ALTER TABLE translation_cache_stats ENABLE ROW LEVEL SECURITY;
+
+CREATE OR REPLACE FUNCTION increment_counters(table_name TEXT, conflict_columns TEXT[], row_values JSONB)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = public
+AS $$
+DECLARE
+  column_list TEXT;
+  key_list TEXT;
+  increments TEXT;
+BEGIN
+  SELECT string_agg(quote_ident(field), ', ') INTO column_list
+  FROM jsonb_object_keys(row_values) AS field;
+
+  SELECT string_agg(quote_ident(field), ', ') INTO key_list
+  FROM unnest(conflict_columns) AS field;
+
+  SELECT string_agg(format('%I = COALESCE(t.%I, 0) + EXCLUDED.%I', field, field, field), ', ') INTO increments
+  FROM jsonb_object_keys(row_values) AS field
+  WHERE field <> ALL(conflict_columns);
+
+  IF key_list IS NULL OR increments IS NULL THEN
+    RAISE EXCEPTION 'increment_counters needs key columns and at least one counter';
+  END IF;
+
+  EXECUTE format('INSERT INTO %I AS t (%s) SELECT %s FROM jsonb_populate_record(NULL::%I, $1) ON CONFLICT (%s) DO UPDATE SET %s',
+    table_name, column_list, column_list, table_name, key_list, increments)
+  USING row_values;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION increment_counters(TEXT, TEXT[], JSONB) FROM PUBLIC, anon, authenticated;
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'service_role') THEN
+    GRANT EXECUTE ON FUNCTION increment_counters(TEXT, TEXT[], JSONB) TO service_role;
+  END IF;
+END $$;
@@ -0,0 +1,134 @@
+import { SOFT_DELETE_TABLES } from './trash.js';
+
+/**
+ * Tables holding a user's data, in dependency order (referenced tables first)
+ * Shared tables (daily_tasks, translation_cache) are not part of a backup
+ */
+export const USER_TABLES = [
+  'vocabulary_categories',
+  'phrase_categories',
+  'note_categories',
+  'vocabulary',
+  'custom_phrases',
+  'notes',
+  'review_history',
+  'study_sessions',
+  'article_drill_stats',
+  'user_settings',
+  'progress_stats',
+  'journey_progress',
+  'daily_activities',
+  'achievements',
+  'journey_landmarks',
+  'daily_task_progress',
+  'journal_entries',
+  'mistakes'
+];
+
+// Columns of a stored backup without its data, for listing
+const SNAPSHOT_SUMMARY_COLUMNS = 'id,version,row_count,size_bytes,created_at';
+
+function assertUserTable(table) {
+  if (!USER_TABLES.includes(table)) {
+    throw new Error(`Not a user table: ${table}`);
+  }
+}
+
+/**
+ * Backup repository: whole tables of one user, for exporting and restoring backups,
+ * and the backups stored for the user (backups table, migrations/0018_backups.sql)
+ * The feature repositories are the way to read and change single rows
+ * @param {object} store - Table store (see stores/)
+ * @param {string} userId - Owner of the rows
+ */
+export function createBackupRepository(store, userId) {
+  return {
+    /**
+     * Every row of the user in a table, in insertion order (rows in the trash are left out)
+     */
+    list(table) {
+      assertUserTable(table);
+      const where = { user_id: userId };
+      if (SOFT_DELETE_TABLES.includes(table)) where.deleted_at = null;
+      return store.find(table, { where, order: ['id.asc'] });
+    },
+
+    /**
+     * Empty tables, then insert and update rows, in one transaction
+     * Inserted rows may be named with $ref and referenced as { $ref } (see the stores' transaction())
+     * @param {{clear: string[], writes: Array<{table: string, insert: Array, update: Array<{id, patch}>}>}} changes
+     */
+    restore({ clear = [], writes = [] }) {
+      const changes = [];
+
+      for (const table of clear) {
+        assertUserTable(table);
+        changes.push({ op: 'remove', table, where: { user_id: userId } });
+      }
+      for (const { table, insert = [], update = [] } of writes) {
+        assertUserTable(table);
+        if (insert.length > 0) {
+          changes.push({ op: 'insert', table, values: insert.map(row => ({ ...row, user_id: userId })) });
+        }
+        for (const { id, patch } of update) {
+          changes.push({ op: 'update', table, where: { user_id: userId, id }, patch });
+        }
+      }
+
+      return store.transaction(changes);
+    },
+
+    /**
+     * Stored backups without their data, newest first
+     */
+    listSnapshots() {
+      return store.find('backups', {
+        columns: SNAPSHOT_SUMMARY_COLUMNS,
+        where: { user_id: userId },
+        order: ['created_at.desc', 'id.desc']
+      });
+    },
+
+    /**
+     * A stored backup with its data, or null
+     */
+    findSnapshot(id) {
+      return store.findOne('backups', { where: { user_id: userId, id } });
+    },
+
+    /**
+     * Store a backup (as created by services/backup.js)
+     * @returns {Promise<object>} The stored backup without its data
+     */
+    async createSnapshot(backup, { rowCount, sizeBytes }) {
+      const snapshot = await store.insert('backups', {
+        user_id: userId,
+        version: backup.version,
+        row_count: rowCount,
+        size_bytes: sizeBytes,
+        data: backup
+      });
+      const { data, ...summary } = snapshot;
+      return summary;
+    },
+
+    /**
+     * Delete all but the newest stored backups
+     * @param {number} keep - Number of backups to keep
+     * @returns {Promise<number>} Number of deleted backups
+     */
+    async pruneSnapshots(keep) {
+      const old = await store.find('backups', {
+        columns: 'id',
+        where: { user_id: userId },
+        order: ['created_at.desc', 'id.desc'],
+        limit: 1000,
+        offset: keep
+      });
+      if (old.length === 0) return 0;
+      return store.remove('backups', { user_id: userId, id: { in: old.map(snapshot => snapshot.id) } });
+    }
+  };
+}
+
+export default createBackupRepository;
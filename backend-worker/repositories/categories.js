@@ -0,0 +1,49 @@
+import { moveToTrash } from './trash.js';
+
+/**
+ * Category repository, shared by vocabulary, phrase and note categories
+ * @param {object} store - Table store (see stores/)
+ * @param {string} userId - Owner of the categories
+ * @param {{table: string}} tables - Category table
+ */
+export function createCategoryRepository(store, userId, { table }) {
+  return {
+    list() {
+      return store.find(table, { where: { user_id: userId, deleted_at: null }, order: ['name.asc'] });
+    },
+
+    /**
+     * Categories whose name contains the term or resembles it, best match first
+     */
+    search(term, { limit = 50 } = {}) {
+      return store.search(table, { where: { user_id: userId, deleted_at: null }, fields: ['name'], term, limit });
+    },
+
+    get(id) {
+      return store.findOne(table, { where: { user_id: userId, id, deleted_at: null } });
+    },
+
+    create(name) {
+      return store.insert(table, { user_id: userId, name });
+    },
+
+    /**
+     * @returns {Promise<object|null>} The renamed category, null when it does not exist
+     */
+    async rename(id, name) {
+      const [category] = await store.update(table, { user_id: userId, id, deleted_at: null }, { name });
+      return category || null;
+    },
+
+    /**
+     * Move a category to the trash; its items keep it, so restoring it brings them back
+     * (they are cleared when the category is purged, see trash.js)
+     * @returns {Promise<object|null>} The trashed category, null when it does not exist
+     */
+    remove(id) {
+      return moveToTrash(store, table, { user_id: userId, id });
+    }
+  };
+}
+
+export default createCategoryRepository;
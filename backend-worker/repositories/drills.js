@@ -0,0 +1,41 @@
+/**
+ * Drill repository (article_drill_stats)
+ * @param {object} store - Table store (see stores/)
+ * @param {string} userId - Owner of the stats
+ */
+export function createDrillRepository(store, userId) {
+  const table = 'article_drill_stats';
+
+  return {
+    listArticleStats() {
+      return store.find(table, {
+        columns: 'noun, attempts, correct_count, wrong_count',
+        where: { user_id: userId }
+      });
+    },
+
+    getArticleStats(noun) {
+      return store.findOne(table, { where: { user_id: userId, noun } });
+    },
+
+    /**
+     * Insert or replace the stats of fields.noun
+     */
+    saveArticleStats(fields) {
+      return store.upsert(table, { ...fields, user_id: userId }, { onConflict: 'user_id,noun' });
+    },
+
+    /**
+     * Nouns answered wrong at least once, most misses first
+     */
+    listTroubleNouns(limit) {
+      return store.find(table, {
+        where: { user_id: userId, wrong_count: { gt: 0 } },
+        order: ['wrong_count.desc', 'last_wrong_at.desc'],
+        limit
+      });
+    }
+  };
+}
+
+export default createDrillRepository;
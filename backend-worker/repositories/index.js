@@ -0,0 +1,86 @@
+import { getSupabaseClient, getServiceSupabaseClient } from '../supabase.js';
+import { getAuthUser } from '../auth.js';
+import { createSupabaseStore } from './stores/supabase.js';
+import { createD1Store } from './stores/d1.js';
+import { createVocabularyRepository } from './vocabulary.js';
+import { createPhraseRepository } from './phrases.js';
+import { createNoteRepository } from './notes.js';
+import { createTaskRepository } from './tasks.js';
+import { createJourneyRepository } from './journey.js';
+import { createProgressRepository } from './progress.js';
+import { createSettingsRepository } from './settings.js';
+import { createJournalRepository } from './journal.js';
+import { createDrillRepository } from './drills.js';
+import { createMistakeRepository } from './mistakes.js';
+import { createReviewRepository } from './reviews.js';
+import { createTranslationCacheRepository } from './translation-cache.js';
+import { createBackupRepository } from './backup.js';
+import { createTrashRepository } from './trash.js';
+
+/**
+ * Whether the Worker stores its data in D1 (DB binding, see wrangler.toml [env.local])
+ * instead of Supabase
+ * @param {object} env - Environment variables and bindings
+ */
+export function usesD1(env) {
+  return !!env?.DB;
+}
+
+/**
+ * Table store for the configured backend
+ * @param {object} env - Environment variables and bindings
+ * @param {string|null} accessToken - User access token, so Supabase applies Row Level Security
+ * @param {{serviceRole?: boolean}} options - serviceRole: use the service role key instead (jobs without a signed-in user)
+ */
+export function createStore(env, accessToken = null, { serviceRole = false } = {}) {
+  if (usesD1(env)) {
+    return createD1Store(env.DB);
+  }
+  if (serviceRole) {
+    return createSupabaseStore(getServiceSupabaseClient(env));
+  }
+  return createSupabaseStore(getSupabaseClient(env, accessToken));
+}
+
+/**
+ * All repositories for a user
+ * Without a user only the shared tables (translation cache) may be used
+ * @param {object} env - Environment variables and bindings
+ * @param {{id: string, accessToken: string}|null} user - Authenticated user
+ * @param {{serviceRole?: boolean}} options - See createStore()
+ */
+export function createRepositories(env, user = null, options = {}) {
+  const store = createStore(env, user?.accessToken, options);
+  const userId = user?.id;
+
+  return {
+    vocabulary: createVocabularyRepository(store, userId),
+    phrases: createPhraseRepository(store, userId),
+    notes: createNoteRepository(store, userId),
+    tasks: createTaskRepository(store, userId),
+    journey: createJourneyRepository(store, userId),
+    progress: createProgressRepository(store, userId),
+    settings: createSettingsRepository(store, userId),
+    journal: createJournalRepository(store, userId),
+    drills: createDrillRepository(store, userId),
+    mistakes: createMistakeRepository(store, userId),
+    reviews: createReviewRepository(store, userId),
+    backup: createBackupRepository(store, userId),
+    trash: createTrashRepository(store, userId),
+    translationCache: createTranslationCacheRepository(store)
+  };
+}
+
+/**
+ * Repositories of the signed-in user of a request (created once per request)
+ */
+export function getRepositories(c) {
+  let repositories = c.get('repositories');
+  if (!repositories) {
+    repositories = createRepositories(c.env, getAuthUser(c));
+    c.set('repositories', repositories);
+  }
+  return repositories;
+}
+
+export default getRepositories;
@@ -0,0 +1,66 @@
+const SORT_ORDERS = {
+  newest: ['created_at.desc'],
+  oldest: ['created_at.asc'],
+  longest: ['word_count.desc'],
+  shortest: ['word_count.asc']
+};
+
+/**
+ * Journal repository (journal_entries)
+ * @param {object} store - Table store (see stores/)
+ * @param {string} userId - Owner of the entries
+ */
+export function createJournalRepository(store, userId) {
+  const table = 'journal_entries';
+
+  return {
+    /**
+     * One page of entries
+     * @returns {Promise<{entries: Array, total: number}>}
+     */
+    async list({ sort, limit, offset }) {
+      const where = { user_id: userId };
+      const [entries, total] = await Promise.all([
+        store.find(table, { where, order: SORT_ORDERS[sort] || SORT_ORDERS.newest, limit, offset }),
+        store.count(table, where)
+      ]);
+      return { entries, total };
+    },
+
+    /**
+     * Entries matching a text and/or a created_at range, newest first
+     * @param {{text?: string, from?: string, before?: string, limit?: number}} options - from is inclusive, before exclusive
+     */
+    search({ text, from, before, limit = 50 }) {
+      const where = { user_id: userId };
+      if (text) {
+        where.$or = [{ german_text: { ilike: `%${text}%` } }, { corrected_text: { ilike: `%${text}%` } }];
+      }
+      if (from || before) {
+        where.created_at = {};
+        if (from) where.created_at.gte = from;
+        if (before) where.created_at.lt = before;
+      }
+      return store.find(table, { where, order: ['created_at.desc'], limit });
+    },
+
+    get(id) {
+      return store.findOne(table, { where: { user_id: userId, id } });
+    },
+
+    create(fields) {
+      return store.insert(table, { ...fields, user_id: userId });
+    },
+
+    async update(id, patch) {
+      const [entry] = await store.update(table, { user_id: userId, id }, patch);
+      return entry || null;
+    },
+
+    remove(id) {
+      return store.remove(table, { user_id: userId, id });
+    }
+  };
+}
+
+export default createJournalRepository;
@@ -0,0 +1,114 @@
+/**
+ * Journey repository (journey_progress, daily_activities, achievements and journey_landmarks)
+ * @param {object} store - Table store (see stores/)
+ * @param {string} userId - Owner of the journey
+ */
+export function createJourneyRepository(store, userId) {
+  return {
+    getProgress() {
+      return store.findOne('journey_progress', { where: { user_id: userId } });
+    },
+
+    createProgress(fields) {
+      return store.insert('journey_progress', { ...fields, user_id: userId });
+    },
+
+    async updateProgress(patch) {
+      const [progress] = await store.update('journey_progress', { user_id: userId }, patch);
+      return progress || null;
+    },
+
+    /**
+     * Give the user their own copy of the achievements and landmarks
+     * Rows without a user_id (seeded by the migrations) are the templates
+     */
+    async copyTemplates() {
+      const achievements = await store.find('achievements', {
+        columns: 'achievement_key, title, description, icon_emoji, category',
+        where: { user_id: null }
+      });
+      if (achievements.length > 0) {
+        await store.insert('achievements', achievements.map(a => ({ ...a, user_id: userId })));
+      }
+
+      const landmarks = await store.find('journey_landmarks', {
+        columns: 'landmark_key, name, description, icon_emoji, day_number',
+        where: { user_id: null }
+      });
+      if (landmarks.length > 0) {
+        await store.insert('journey_landmarks', landmarks.map(l => ({ ...l, user_id: userId, unlocked: false })));
+      }
+    },
+
+    /**
+     * Activity of one day (YYYY-MM-DD)
+     */
+    getActivity(date) {
+      return store.findOne('daily_activities', { where: { user_id: userId, activity_date: date } });
+    },
+
+    /**
+     * Insert or replace the activity of fields.activity_date
+     */
+    saveActivity(fields) {
+      return store.upsert('daily_activities', { ...fields, user_id: userId }, { onConflict: 'user_id,activity_date' });
+    },
+
+    /**
+     * Dates of completed days, newest first
+     */
+    listCompletedDays() {
+      return store.find('daily_activities', {
+        columns: 'activity_date, day_completed',
+        where: { user_id: userId, day_completed: true },
+        order: ['activity_date.desc']
+      });
+    },
+
+    /**
+     * Achievements, most recently unlocked first and locked ones last
+     */
+    listAchievements() {
+      return store.find('achievements', { where: { user_id: userId }, order: ['unlocked_at.desc.nullslast'] });
+    },
+
+    getAchievement(key) {
+      return store.findOne('achievements', { where: { user_id: userId, achievement_key: key } });
+    },
+
+    /**
+     * @returns {Promise<object|null>} The unlocked achievement, null when the user has no such achievement
+     */
+    async unlockAchievement(key, journeyDay) {
+      const [achievement] = await store.update('achievements', { user_id: userId, achievement_key: key }, {
+        unlocked_at: new Date().toISOString(),
+        journey_day: journeyDay
+      });
+      return achievement || null;
+    },
+
+    /**
+     * Lock every achievement of a category again
+     */
+    resetAchievements(category) {
+      return store.update('achievements', { user_id: userId, category }, { unlocked_at: null, journey_day: null });
+    },
+
+    listLandmarks() {
+      return store.find('journey_landmarks', { where: { user_id: userId }, order: ['day_number.asc'] });
+    },
+
+    unlockLandmark(key) {
+      return store.update('journey_landmarks', { user_id: userId, landmark_key: key }, {
+        unlocked: true,
+        unlocked_at: new Date().toISOString()
+      });
+    },
+
+    resetLandmarks() {
+      return store.update('journey_landmarks', { user_id: userId }, { unlocked: false, unlocked_at: null });
+    }
+  };
+}
+
+export default createJourneyRepository;
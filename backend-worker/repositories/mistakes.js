@@ -0,0 +1,31 @@
+/**
+ * Mistake repository (mistakes)
+ * @param {object} store - Table store (see stores/)
+ * @param {string} userId - Owner of the mistakes
+ */
+export function createMistakeRepository(store, userId) {
+  const table = 'mistakes';
+
+  return {
+    createMany(rows) {
+      return store.insert(table, rows.map(row => ({ ...row, user_id: userId })));
+    },
+
+    /**
+     * Mistakes recorded since an ISO timestamp, newest first
+     */
+    listSince(since) {
+      return store.find(table, {
+        columns: 'category, original, corrected, explanation, sentence, source, created_at',
+        where: { user_id: userId, created_at: { gte: since } },
+        order: ['created_at.desc']
+      });
+    },
+
+    removeForJournalEntry(journalEntryId) {
+      return store.remove(table, { user_id: userId, journal_entry_id: journalEntryId });
+    }
+  };
+}
+
+export default createMistakeRepository;
@@ -0,0 +1,80 @@
+import { createCategoryRepository } from './categories.js';
+import { moveToTrash } from './trash.js';
+
+const SORT_ORDERS = {
+  az: ['title.asc'],
+  za: ['title.desc'],
+  oldest: ['created_at.asc'],
+  newest: ['created_at.desc']
+};
+
+/**
+ * Note repository (notes and note_categories)
+ * @param {object} store - Table store (see stores/)
+ * @param {string} userId - Owner of the notes
+ */
+export function createNoteRepository(store, userId) {
+  const table = 'notes';
+  const categories = createCategoryRepository(store, userId, { table: 'note_categories' });
+
+  return {
+    categories,
+
+    /**
+     * Notes with their category as note_categories: { id, name } (null without a category)
+     * @param {{categoryId?: string, sort?: string}} options
+     */
+    async list({ categoryId, sort } = {}) {
+      const where = { user_id: userId, deleted_at: null };
+      if (categoryId && categoryId !== 'all') {
+        where.category_id = categoryId;
+      }
+
+      const [notes, allCategories] = await Promise.all([
+        store.find(table, { where, order: SORT_ORDERS[sort] || SORT_ORDERS.newest }),
+        categories.list()
+      ]);
+
+      const byId = new Map(allCategories.map(c => [c.id, { id: c.id, name: c.name }]));
+      return notes.map(note => ({ ...note, note_categories: byId.get(note.category_id) || null }));
+    },
+
+    /**
+     * Notes whose title or content contains the term or resembles it, best match first
+     */
+    search(term, { limit = 50 } = {}) {
+      return store.search(table, {
+        where: { user_id: userId, deleted_at: null },
+        fields: ['title', 'content'],
+        term,
+        limit
+      });
+    },
+
+    get(id) {
+      return store.findOne(table, { where: { user_id: userId, id, deleted_at: null } });
+    },
+
+    create(fields) {
+      return store.insert(table, { ...fields, user_id: userId });
+    },
+
+    /**
+     * @returns {Promise<object|null>} The updated note, null when it does not exist
+     */
+    async update(id, patch) {
+      const [note] = await store.update(table, { user_id: userId, id, deleted_at: null }, patch);
+      return note || null;
+    },
+
+    /**
+     * Move a note to the trash
+     * @returns {Promise<object|null>} The trashed note, null when it does not exist
+     */
+    remove(id) {
+      return moveToTrash(store, table, { user_id: userId, id });
+    }
+  };
+}
+
+export default createNoteRepository;
@@ -0,0 +1,148 @@
+import { createCategoryRepository } from './categories.js';
+import { moveToTrash } from './trash.js';
+
+const LIST_COLUMNS = 'id, english, german, meaning, example_english, example_german, created_at, times_reviewed, category_id';
+
+const SORT_ORDERS = {
+  oldest: ['created_at.asc'],
+  az: ['german.asc'],
+  za: ['german.desc'],
+  newest: ['created_at.desc']
+};
+
+function categoryFilter(categoryId, excludeCategoryId) {
+  const where = {};
+  if (categoryId && categoryId !== 'all') {
+    where.category_id = categoryId;
+  }
+  // Used to leave the "Done" category out of "All Phrases"
+  if (excludeCategoryId) {
+    where.$or = [{ category_id: null }, { category_id: { neq: excludeCategoryId } }];
+  }
+  return where;
+}
+
+/**
+ * Phrase repository (custom_phrases and phrase_categories)
+ * @param {object} store - Table store (see stores/)
+ * @param {string} userId - Owner of the phrases
+ */
+export function createPhraseRepository(store, userId) {
+  const table = 'custom_phrases';
+
+  return {
+    categories: createCategoryRepository(store, userId, { table: 'phrase_categories' }),
+
+    /**
+     * Phrases for the list view (without the review schedule)
+     * @param {{categoryId?: string, excludeCategoryId?: string, sort?: string}} options
+     */
+    list({ categoryId, excludeCategoryId, sort } = {}) {
+      return store.find(table, {
+        columns: LIST_COLUMNS,
+        where: { user_id: userId, deleted_at: null, ...categoryFilter(categoryId, excludeCategoryId) },
+        order: SORT_ORDERS[sort] || SORT_ORDERS.newest
+      });
+    },
+
+    /**
+     * Every phrase with all columns, oldest first
+     */
+    listAll() {
+      return store.find(table, { where: { user_id: userId, deleted_at: null }, order: ['created_at.asc'] });
+    },
+
+    /**
+     * Phrases due for review at the given time, most overdue first
+     * @returns {Promise<{phrases: Array, total: number}>}
+     */
+    async listDue({ now, categoryId, excludeCategoryId, limit }) {
+      const where = { user_id: userId, deleted_at: null, due_at: { lte: now }, ...categoryFilter(categoryId, excludeCategoryId) };
+      const [phrases, total] = await Promise.all([
+        store.find(table, { where, order: ['due_at.asc'], limit }),
+        store.count(table, where)
+      ]);
+      return { phrases, total };
+    },
+
+    /**
+     * Phrases or examples containing the term or resembling it, best match first
+     * (umlaut- and typo-tolerant, see store search())
+     */
+    search(term, { limit = 50 } = {}) {
+      return store.search(table, {
+        where: { user_id: userId, deleted_at: null },
+        fields: ['german', 'english', 'example_german', 'example_english'],
+        term,
+        limit
+      });
+    },
+
+    get(id) {
+      return store.findOne(table, { where: { user_id: userId, id, deleted_at: null } });
+    },
+
+    /**
+     * A phrase with the same English or German text (case-insensitive), other than excludeId
+     */
+    findDuplicate({ english, german, excludeId = null }) {
+      const where = {
+        user_id: userId,
+        deleted_at: null,
+        $or: [{ english: { ilike: english } }, { german: { ilike: german } }]
+      };
+      if (excludeId) where.id = { neq: excludeId };
+      return store.findOne(table, { where });
+    },
+
+    create(fields) {
+      return store.insert(table, { ...fields, user_id: userId });
+    },
+
+    /**
+     * Insert several rows at once
+     * @returns {Promise<Array>} The inserted rows
+     */
+    createMany(rows) {
+      if (rows.length === 0) return Promise.resolve([]);
+      return store.insert(table, rows.map(fields => ({ ...fields, user_id: userId })));
+    },
+
+    /**
+     * Insert new categories and rows in one transaction: all of them or none
+     * A row's category_id may be { $ref } of one of the new categories ({ name, $ref })
+     */
+    importMany(rows, newCategories = []) {
+      const changes = [];
+      if (newCategories.length > 0) {
+        changes.push({ op: 'insert', table: 'phrase_categories', values: newCategories.map(category => ({ ...category, user_id: userId })) });
+      }
+      if (rows.length > 0) {
+        changes.push({ op: 'insert', table, values: rows.map(fields => ({ ...fields, user_id: userId })) });
+      }
+      return store.transaction(changes);
+    },
+
+    /**
+     * @returns {Promise<object|null>} The updated phrase, null when it does not exist
+     */
+    async update(id, patch) {
+      const [phrase] = await store.update(table, { user_id: userId, id, deleted_at: null }, patch);
+      return phrase || null;
+    },
+
+    /**
+     * Move a phrase to the trash
+     * @returns {Promise<object|null>} The trashed phrase, null when it does not exist
+     */
+    remove(id) {
+      return moveToTrash(store, table, { user_id: userId, id });
+    },
+
+    removeAll() {
+      return store.remove(table, { user_id: userId });
+    }
+  };
+}
+
+export default createPhraseRepository;
@@ -0,0 +1,63 @@
+/**
+ * Progress repository (progress_stats and study_sessions)
+ * @param {object} store - Table store (see stores/)
+ * @param {string} userId - Owner of the stats
+ */
+export function createProgressRepository(store, userId) {
+  return {
+    /**
+     * Daily stats, oldest first
+     * @param {{since?: string}} options - First day to include (YYYY-MM-DD)
+     */
+    listStats({ since } = {}) {
+      const where = { user_id: userId };
+      if (since) where.date = { gte: since };
+      return store.find('progress_stats', { where, order: ['date.asc'] });
+    },
+
+    getStats(date) {
+      return store.findOne('progress_stats', { where: { user_id: userId, date } });
+    },
+
+    /**
+     * Insert or replace the stats of fields.date
+     */
+    saveStats(fields) {
+      return store.upsert('progress_stats', { ...fields, user_id: userId }, { onConflict: 'user_id,date' });
+    },
+
+    /**
+     * Add to the counters of a day, creating the row when needed
+     * @param {string} date - Day (YYYY-MM-DD)
+     * @param {{words_learned?: number, entries_written?: number, minutes_practiced?: number}} amounts
+     */
+    async addToStats(date, amounts) {
+      const existing = await this.getStats(date);
+      const fields = { date };
+      for (const [field, amount] of Object.entries(amounts)) {
+        fields[field] = (existing?.[field] || 0) + (amount || 0);
+      }
+      return this.saveStats(fields);
+    },
+
+    removeAllStats() {
+      return store.remove('progress_stats', { user_id: userId });
+    },
+
+    createSession(fields) {
+      return store.insert('study_sessions', { ...fields, user_id: userId });
+    },
+
+    /**
+     * Study sessions completed since an ISO timestamp, newest first
+     */
+    listSessions({ since }) {
+      return store.find('study_sessions', {
+        where: { user_id: userId, completed_at: { gte: since } },
+        order: ['completed_at.desc']
+      });
+    }
+  };
+}
+
+export default createProgressRepository;
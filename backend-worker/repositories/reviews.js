@@ -0,0 +1,29 @@
+/**
+ * Review history repository (review_history)
+ * @param {object} store - Table store (see stores/)
+ * @param {string} userId - Owner of the reviews
+ */
+export function createReviewRepository(store, userId) {
+  const table = 'review_history';
+
+  return {
+    create(fields) {
+      return store.insert(table, { ...fields, user_id: userId });
+    },
+
+    /**
+     * Grades of one item, newest first
+     * @param {string} itemType - 'vocabulary' or 'phrase'
+     */
+    listForItem(itemType, itemId, { limit = 100 } = {}) {
+      return store.find(table, {
+        columns: 'grade, interval_days, ease_factor, reviewed_at',
+        where: { user_id: userId, item_type: itemType, item_id: itemId },
+        order: ['reviewed_at.desc'],
+        limit
+      });
+    }
+  };
+}
+
+export default createReviewRepository;
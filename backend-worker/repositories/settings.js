@@ -0,0 +1,28 @@
+/**
+ * Settings repository (user_settings, one row per user)
+ * @param {object} store - Table store (see stores/)
+ * @param {string} userId - Owner of the settings
+ */
+export function createSettingsRepository(store, userId) {
+  const table = 'user_settings';
+
+  return {
+    /**
+     * @returns {Promise<object|null>} null when the user has not saved settings yet
+     */
+    get() {
+      return store.findOne(table, { where: { user_id: userId } });
+    },
+
+    create(fields) {
+      return store.insert(table, { ...fields, user_id: userId });
+    },
+
+    async update(id, patch) {
+      const [settings] = await store.update(table, { user_id: userId, id }, patch);
+      return settings || null;
+    }
+  };
+}
+
+export default createSettingsRepository;
@@ -0,0 +1,366 @@
+import { searchRows } from './text-search.js';
+
+/**
+ * Table store backed by a Cloudflare D1 (SQLite) database
+ *
+ * Same query format as the Supabase store (see stores/supabase.js), built as SQL.
+ * SQLite has no arrays, JSONB or booleans, so those columns are stored as JSON text
+ * and 0/1 and converted back when rows are read.
+ */
+
+const OPERATORS = {
+  eq: '=',
+  neq: '<>',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<='
+};
+
+// Columns that need converting between JavaScript values and SQLite storage
+const COLUMN_TYPES = {
+  journey_progress: { completed_days: 'json' },
+  journal_entries: { corrections: 'json' },
+  daily_activities: { day_completed: 'boolean' },
+  journey_landmarks: { unlocked: 'boolean' },
+  backups: { data: 'json' }
+};
+
+const IDENTIFIER = /^[a-z_][a-z0-9_]*$/i;
+
+function quoteIdentifier(name) {
+  if (!IDENTIFIER.test(name)) {
+    throw new Error(`Invalid identifier: ${name}`);
+  }
+  return `"${name}"`;
+}
+
+function isCondition(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function toStorage(table, column, value) {
+  const type = COLUMN_TYPES[table]?.[column];
+  if (value === null || value === undefined) return null;
+  if (type === 'json') return JSON.stringify(value);
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return value;
+}
+
+function fromStorage(table, row) {
+  const types = COLUMN_TYPES[table];
+  if (!row || !types) return row;
+
+  const converted = { ...row };
+  for (const [column, type] of Object.entries(types)) {
+    if (!(column in converted) || converted[column] === null) continue;
+    converted[column] = type === 'json' ? JSON.parse(converted[column]) : converted[column] === 1;
+  }
+  return converted;
+}
+
+/**
+ * Helper function: Build a WHERE clause, pushing bound values onto params
+ */
+function buildConditions(table, where = {}, params) {
+  const clauses = [];
+
+  for (const [column, condition] of Object.entries(where)) {
+    if (column === '$or') {
+      const branches = condition.map(branch => `(${buildConditions(table, branch, params).join(' AND ')})`);
+      clauses.push(`(${branches.join(' OR ')})`);
+      continue;
+    }
+
+    const name = quoteIdentifier(column);
+
+    if (condition === null) {
+      clauses.push(`${name} IS NULL`);
+      continue;
+    }
+    if (!isCondition(condition)) {
+      clauses.push(`${name} = ?`);
+      params.push(toStorage(table, column, condition));
+      continue;
+    }
+
+    for (const [op, value] of Object.entries(condition)) {
+      if (op === 'isNull') {
+        clauses.push(value ? `${name} IS NULL` : `${name} IS NOT NULL`);
+      } else if (op === 'in') {
+        if (value.length === 0) {
+          clauses.push('0');
+        } else {
+          clauses.push(`${name} IN (${value.map(() => '?').join(', ')})`);
+          params.push(...value.map(v => toStorage(table, column, v)));
+        }
+      } else if (op === 'ilike') {
+        // Postgres ILIKE treats backslash as the escape character by default
+        clauses.push(`LOWER(${name}) LIKE LOWER(?) ESCAPE '\\'`);
+        params.push(value);
+      } else if (OPERATORS[op]) {
+        clauses.push(`${name} ${OPERATORS[op]} ?`);
+        params.push(toStorage(table, column, value));
+      } else {
+        throw new Error(`Unsupported filter operator: ${op}`);
+      }
+    }
+  }
+
+  return clauses;
+}
+
+function whereClause(table, where, params) {
+  const clauses = buildConditions(table, where, params);
+  return clauses.length > 0 ? ` WHERE ${clauses.join(' AND ')}` : '';
+}
+
+/**
+ * ORDER BY with the Postgres NULL placement (NULLS LAST ascending, NULLS FIRST descending)
+ */
+function orderClause(order = []) {
+  if (order.length === 0) return '';
+
+  const terms = order.map(spec => {
+    const [column, direction = 'asc', nulls] = spec.split('.');
+    const ascending = direction === 'asc';
+    const nullsFirst = nulls ? nulls === 'nullsfirst' : !ascending;
+    return `${quoteIdentifier(column)} ${ascending ? 'ASC' : 'DESC'} NULLS ${nullsFirst ? 'FIRST' : 'LAST'}`;
+  });
+  return ` ORDER BY ${terms.join(', ')}`;
+}
+
+function columnList(columns) {
+  if (columns === '*') return '*';
+  return columns.split(',').map(c => quoteIdentifier(c.trim())).join(', ');
+}
+
+/**
+ * Give SQLite constraint errors the Postgres error codes the routes check for
+ */
+function translateError(error) {
+  const message = error?.message || '';
+  if (message.includes('UNIQUE constraint failed')) {
+    return Object.assign(new Error(message), { code: '23505' });
+  }
+  if (message.includes('FOREIGN KEY constraint failed')) {
+    return Object.assign(new Error(message), { code: '23503' });
+  }
+  return error;
+}
+
+function assertFiltered(where, action) {
+  if (!where || Object.keys(where).length === 0) {
+    throw new Error(`Refusing to ${action} without a filter`);
+  }
+}
+
+/**
+ * Create a store for a D1 database binding
+ * @param {object} db - D1 database (env.DB)
+ */
+export function createD1Store(db) {
+  async function all(statement) {
+    try {
+      const { results } = await statement.all();
+      return results || [];
+    } catch (error) {
+      throw translateError(error);
+    }
+  }
+
+  /**
+   * Run one statement per row in a single batch (D1 batches are transactions)
+   */
+  async function batch(statements) {
+    try {
+      const results = await db.batch(statements);
+      return results.map(r => r.results?.[0] || null);
+    } catch (error) {
+      throw translateError(error);
+    }
+  }
+
+  function insertStatement(table, row, conflictColumns = null) {
+    const columns = Object.keys(row).filter(c => row[c] !== undefined);
+    const params = columns.map(c => toStorage(table, c, row[c]));
+    let sql = `INSERT INTO ${quoteIdentifier(table)} (${columns.map(quoteIdentifier).join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`;
+
+    if (conflictColumns) {
+      const updates = columns.filter(c => !conflictColumns.includes(c));
+      sql += ` ON CONFLICT (${conflictColumns.map(quoteIdentifier).join(', ')})`;
+      sql += updates.length > 0
+        ? ` DO UPDATE SET ${updates.map(c => `${quoteIdentifier(c)} = excluded.${quoteIdentifier(c)}`).join(', ')}`
+        : ' DO NOTHING';
+    }
+
+    return db.prepare(`${sql} RETURNING *`).bind(...params);
+  }
+
+  function updateStatement(table, where, patch) {
+    const columns = Object.keys(patch).filter(c => patch[c] !== undefined);
+    const params = columns.map(c => toStorage(table, c, patch[c]));
+    const sets = columns.map(c => `${quoteIdentifier(c)} = ?`).join(', ');
+    const sql = `UPDATE ${quoteIdentifier(table)} SET ${sets}${whereClause(table, where, params)} RETURNING *`;
+
+    return db.prepare(sql).bind(...params);
+  }
+
+  function removeStatement(table, where) {
+    const params = [];
+    const sql = `DELETE FROM ${quoteIdentifier(table)}${whereClause(table, where, params)}`;
+
+    return db.prepare(sql).bind(...params);
+  }
+
+  /**
+   * Helper function: Next free id per table that rows are inserted into
+   * A batch cannot read back the ids it generates, so inserted rows get their ids up front;
+   * if another write takes one of them first, the batch fails as a whole.
+   */
+  async function nextIds(changes) {
+    const ids = {};
+    for (const { op, table } of changes) {
+      if (op !== 'insert' || table in ids) continue;
+      const [row] = await all(db.prepare(`SELECT COALESCE(MAX(id), 0) AS id FROM ${quoteIdentifier(table)}`));
+      ids[table] = row.id + 1;
+    }
+    return ids;
+  }
+
+  async function write(table, values, conflictColumns) {
+    const rows = Array.isArray(values) ? values : [values];
+    if (rows.length === 0) return [];
+
+    const results = rows.length === 1
+      ? await all(insertStatement(table, rows[0], conflictColumns))
+      : await batch(rows.map(row => insertStatement(table, row, conflictColumns)));
+    const converted = results.filter(Boolean).map(row => fromStorage(table, row));
+
+    return Array.isArray(values) ? converted : converted[0] || null;
+  }
+
+  return {
+    async find(table, { columns = '*', where, order, limit, offset = 0 } = {}) {
+      const params = [];
+      let sql = `SELECT ${columnList(columns)} FROM ${quoteIdentifier(table)}${whereClause(table, where, params)}${orderClause(order)}`;
+      if (limit !== undefined) {
+        sql += ' LIMIT ? OFFSET ?';
+        params.push(limit, offset);
+      }
+
+      const rows = await all(db.prepare(sql).bind(...params));
+      return rows.map(row => fromStorage(table, row));
+    },
+
+    async findOne(table, { columns = '*', where, order } = {}) {
+      const [row] = await this.find(table, { columns, where, order, limit: 1 });
+      return row || null;
+    },
+
+    async count(table, where) {
+      const params = [];
+      const sql = `SELECT COUNT(*) AS count FROM ${quoteIdentifier(table)}${whereClause(table, where, params)}`;
+
+      const [row] = await all(db.prepare(sql).bind(...params));
+      return row?.count || 0;
+    },
+
+    async insert(table, values) {
+      return write(table, values, null);
+    },
+
+    async update(table, where, patch) {
+      assertFiltered(where, 'update');
+      const columns = Object.keys(patch).filter(c => patch[c] !== undefined);
+      if (columns.length === 0) {
+        return this.find(table, { where });
+      }
+
+      const rows = await all(updateStatement(table, where, patch));
+      return rows.map(row => fromStorage(table, row));
+    },
+
+    async upsert(table, values, { onConflict }) {
+      return write(table, values, onConflict.split(',').map(c => c.trim()));
+    },
+
+    /**
+     * Insert a row of counters, or add its counters to the row with the same onConflict columns
+     */
+    async increment(table, values, { onConflict }) {
+      const conflictColumns = onConflict.split(',').map(c => c.trim());
+      const columns = Object.keys(values);
+      const counters = columns.filter(c => !conflictColumns.includes(c));
+      const sql = `INSERT INTO ${quoteIdentifier(table)} (${columns.map(quoteIdentifier).join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`
+        + ` ON CONFLICT (${conflictColumns.map(quoteIdentifier).join(', ')}) DO UPDATE SET `
+        + counters.map(c => `${quoteIdentifier(c)} = COALESCE(${quoteIdentifier(c)}, 0) + excluded.${quoteIdentifier(c)}`).join(', ');
+
+      try {
+        await db.prepare(sql).bind(...columns.map(c => toStorage(table, c, values[c]))).run();
+      } catch (error) {
+        throw translateError(error);
+      }
+    },
+
+    async remove(table, where) {
+      assertFiltered(where, 'delete');
+
+      try {
+        const result = await removeStatement(table, where).run();
+        return result.meta?.changes || 0;
+      } catch (error) {
+        throw translateError(error);
+      }
+    },
+
+    /**
+     * Rows in which one of the fields contains the term or resembles it (same results as stores/supabase.js)
+     * SQLite has no trigram matching, so the rows matching where are scored in JavaScript.
+     */
+    async search(table, { where = {}, fields, term, limit = 50 }) {
+      const rows = await this.find(table, { where });
+      return searchRows(rows, fields, term).slice(0, limit);
+    },
+
+    /**
+     * Apply changes in order in one batch: all of them or none (same changes as stores/supabase.js)
+     */
+    async transaction(changes) {
+      const ids = await nextIds(changes);
+      const refs = {};
+      const resolve = values => Object.fromEntries(Object.entries(values).map(([column, value]) => {
+        if (!isCondition(value) || !('$ref' in value)) return [column, value];
+        if (!(value.$ref in refs)) throw new Error(`Unknown reference: ${value.$ref}`);
+        return [column, refs[value.$ref]];
+      }));
+
+      const statements = [];
+      for (const change of changes) {
+        if (change.op === 'insert') {
+          for (const { $ref, ...values } of change.values) {
+            const id = ids[change.table]++;
+            if ($ref !== undefined) refs[$ref] = id;
+            statements.push(insertStatement(change.table, { ...resolve(values), id }));
+          }
+        } else if (change.op === 'update') {
+          assertFiltered(change.where, 'update');
+          if (Object.keys(change.patch).length > 0) {
+            statements.push(updateStatement(change.table, change.where, resolve(change.patch)));
+          }
+        } else if (change.op === 'remove') {
+          assertFiltered(change.where, 'delete');
+          statements.push(removeStatement(change.table, change.where));
+        } else {
+          throw new Error(`Unknown change: ${change.op}`);
+        }
+      }
+
+      if (statements.length > 0) {
+        await batch(statements);
+      }
+    }
+  };
+}
+
+export default createD1Store;
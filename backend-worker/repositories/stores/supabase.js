@@ -0,0 +1,233 @@
+/**
+ * Table store backed by a Supabase client
+ *
+ * Runs the store queries used by the repositories as PostgREST requests.
+ * Query format (shared with the D1 store):
+ *   where: { column: value }            equals (null matches IS NULL)
+ *          { column: { neq, gt, gte, lt, lte, ilike, in, isNull } }
+ *          { $or: [{ column: ... }, ...] }
+ *   order: ['column.asc', 'column.desc.nullslast', ...]
+ */
+
+const OPERATORS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'ilike', 'in', 'isNull'];
+
+function isCondition(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Quote a value for an or() filter so commas and parentheses in user input are kept literal
+ */
+function quoteValue(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Helper function: One where entry as PostgREST filter strings ("word.ilike.%haus%")
+ */
+function toFilterStrings(column, condition) {
+  if (condition === null) return [`${column}.is.null`];
+  if (!isCondition(condition)) return [`${column}.eq.${quoteValue(condition)}`];
+
+  return Object.entries(condition).map(([op, value]) => {
+    if (op === 'isNull') return value ? `${column}.is.null` : `${column}.not.is.null`;
+    if (op === 'in') return `${column}.in.(${value.map(quoteValue).join(',')})`;
+    return `${column}.${op}.${quoteValue(value)}`;
+  });
+}
+
+function toOrFilter(branches) {
+  return branches.map(branch => {
+    const filters = Object.entries(branch).flatMap(([column, condition]) => toFilterStrings(column, condition));
+    return filters.length === 1 ? filters[0] : `and(${filters.join(',')})`;
+  }).join(',');
+}
+
+function applyWhere(query, where = {}) {
+  for (const [column, condition] of Object.entries(where)) {
+    if (column === '$or') {
+      query = query.or(toOrFilter(condition));
+    } else if (condition === null) {
+      query = query.is(column, null);
+    } else if (!isCondition(condition)) {
+      query = query.eq(column, condition);
+    } else {
+      for (const [op, value] of Object.entries(condition)) {
+        if (!OPERATORS.includes(op)) {
+          throw new Error(`Unsupported filter operator: ${op}`);
+        }
+        if (op === 'isNull') {
+          query = value ? query.is(column, null) : query.not(column, 'is', null);
+        } else {
+          query = query[op](column, value);
+        }
+      }
+    }
+  }
+  return query;
+}
+
+function applyOrder(query, order = []) {
+  for (const spec of order) {
+    const [column, direction = 'asc', nulls] = spec.split('.');
+    const options = { ascending: direction === 'asc' };
+    if (nulls) options.nullsFirst = nulls === 'nullsfirst';
+    query = query.order(column, options);
+  }
+  return query;
+}
+
+function assertFiltered(where, action) {
+  if (!where || Object.keys(where).length === 0) {
+    throw new Error(`Refusing to ${action} without a filter`);
+  }
+}
+
+/**
+ * Create a store for a Supabase client
+ * @param {object} client - Supabase client (see supabase.js)
+ */
+export function createSupabaseStore(client) {
+  return {
+    /**
+     * Rows matching the query
+     * @param {string} table - Table name
+     * @param {{columns?: string, where?: object, order?: string[], limit?: number, offset?: number}} query
+     * @returns {Promise<Array>}
+     */
+    async find(table, { columns = '*', where, order, limit, offset = 0 } = {}) {
+      let query = applyOrder(applyWhere(client.from(table).select(columns), where), order);
+      if (limit !== undefined) {
+        query = query.range(offset, offset + limit - 1);
+      }
+
+      const { data, error } = await query;
+      if (error) throw error;
+      return data || [];
+    },
+
+    /**
+     * First row matching the query, or null
+     */
+    async findOne(table, { columns = '*', where, order } = {}) {
+      const query = applyOrder(applyWhere(client.from(table).select(columns), where), order);
+
+      const { data, error } = await query.limit(1).maybeSingle();
+      if (error) throw error;
+      return data;
+    },
+
+    async count(table, where) {
+      const query = applyWhere(client.from(table).select('*', { count: 'exact', head: true }), where);
+
+      const { count, error } = await query;
+      if (error) throw error;
+      return count || 0;
+    },
+
+    /**
+     * Insert one row (returns it) or an array of rows (returns them)
+     */
+    async insert(table, values) {
+      const query = client.from(table).insert(values).select();
+
+      const { data, error } = Array.isArray(values) ? await query : await query.single();
+      if (error) throw error;
+      return data;
+    },
+
+    /**
+     * Update the matching rows
+     * @returns {Promise<Array>} Updated rows
+     */
+    async update(table, where, patch) {
+      assertFiltered(where, 'update');
+      const query = applyWhere(client.from(table).update(patch), where).select();
+
+      const { data, error } = await query;
+      if (error) throw error;
+      return data || [];
+    },
+
+    /**
+     * Insert or update on the onConflict columns (comma-separated)
+     */
+    async upsert(table, values, { onConflict }) {
+      const query = client.from(table).upsert(values, { onConflict }).select();
+
+      const { data, error } = Array.isArray(values) ? await query : await query.single();
+      if (error) throw error;
+      return data;
+    },
+
+    /**
+     * Insert a row of counters, or add its counters to the row with the same onConflict columns
+     * Runs the increment_counters function (migrations/0022_increment_counters.sql), so
+     * concurrent increments are never lost.
+     * @param {string} table - Table name
+     * @param {object} values - Key columns and the amounts to add ({ date, hits: 1, misses: 0 })
+     * @param {{onConflict: string}} options - Key columns (comma-separated)
+     */
+    async increment(table, values, { onConflict }) {
+      const { error } = await client.rpc('increment_counters', {
+        table_name: table,
+        conflict_columns: onConflict.split(',').map(c => c.trim()),
+        row_values: values
+      });
+      if (error) throw error;
+    },
+
+    /**
+     * Delete the matching rows
+     * @returns {Promise<number>} Number of deleted rows
+     */
+    async remove(table, where) {
+      assertFiltered(where, 'delete');
+      const query = applyWhere(client.from(table).delete({ count: 'exact' }), where);
+
+      const { count, error } = await query;
+      if (error) throw error;
+      return count || 0;
+    },
+
+    /**
+     * Rows in which one of the fields contains the term or resembles it, best match first
+     * Runs the search_rows function (migrations/0020_fuzzy_search.sql): text is compared
+     * without case and umlauts (ß→ss, ä→ae), and each row gets a search_score from 0 to 1.
+     * where only matches by equality; without it every readable row is searched (shared tables).
+     * @param {string} table - Table name
+     * @param {{where?: object, fields: string[], term: string, limit?: number}} query
+     * @returns {Promise<Array>}
+     */
+    async search(table, { where = {}, fields, term, limit = 50 }) {
+      const { data, error } = await client.rpc('search_rows', {
+        table_name: table,
+        search_fields: fields,
+        term,
+        filters: where,
+        max_results: limit
+      });
+      if (error) throw error;
+      return data || [];
+    },
+
+    /**
+     * Apply changes in order in one transaction: all of them or none
+     * Runs the apply_changes function (migrations/0017_apply_changes.sql).
+     *   { op: 'insert', table, values: [row, ...] }
+     *   { op: 'update', table, where, patch }
+     *   { op: 'remove', table, where }
+     * where only matches by equality. An inserted row may be named with a $ref property;
+     * a later value { $ref: name } is replaced by the id of that row.
+     * @param {Array<object>} changes
+     */
+    async transaction(changes) {
+      if (changes.length === 0) return;
+
+      const { error } = await client.rpc('apply_changes', { changes });
+      if (error) throw error;
+    }
+  };
+}
+
+export default createSupabaseStore;
@@ -0,0 +1,112 @@
+/**
+ * Umlaut- and typo-tolerant text matching in JavaScript
+ *
+ * Mirrors the search_rows SQL function (migrations/0020_fuzzy_search.sql) for the D1 store
+ * and the search service: normalizeSearchText() folds text like search_normalize, and
+ * wordSimilarity() follows pg_trgm's word_similarity() — the share of the term's trigrams
+ * that occur in the best-matching run of words of the text.
+ */
+
+// Lowest word similarity that counts as a match (pg_trgm.word_similarity_threshold in search_rows)
+export const SIMILARITY_THRESHOLD = 0.5;
+
+const FOLDED = { ä: 'ae', ö: 'oe', ü: 'ue', ß: 'ss' };
+
+// pg_trgm only builds trigrams from letters and digits
+const WORD = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Lower case with ä→ae, ö→oe, ü→ue and ß→ss
+ */
+export function normalizeSearchText(text) {
+  return normalizeWithOffsets(text).text;
+}
+
+/**
+ * Normalized text, and for each of its characters the index of the character it came from
+ * (to map a match in the normalized text back to the original, e.g. "ss" to "ß")
+ * @returns {{text: string, offsets: number[]}}
+ */
+export function normalizeWithOffsets(text) {
+  const value = text === null || text === undefined ? '' : String(text);
+  let normalized = '';
+  const offsets = [];
+
+  for (let index = 0; index < value.length; index++) {
+    const folded = [...value[index].toLowerCase()].map(char => FOLDED[char] || char).join('');
+    normalized += folded;
+    for (let i = 0; i < folded.length; i++) offsets.push(index);
+  }
+
+  return { text: normalized, offsets };
+}
+
+/**
+ * Words of a text, as pg_trgm splits it
+ * @returns {Array<{word: string, index: number}>}
+ */
+export function splitWords(text) {
+  return [...text.matchAll(WORD)].map(match => ({ word: match[0], index: match.index }));
+}
+
+/**
+ * Helper function: Trigrams of words, each padded with two spaces in front and one behind
+ */
+function trigramsOf(words) {
+  const trigrams = new Set();
+  for (const word of words) {
+    const padded = `  ${word} `;
+    for (let i = 0; i < padded.length - 2; i++) {
+      trigrams.add(padded.slice(i, i + 3));
+    }
+  }
+  return trigrams;
+}
+
+/**
+ * How much of the term occurs in the text, from 0 to 1 (both normalized)
+ * Compares the term with every run of as many consecutive words of the text as the term has.
+ */
+export function wordSimilarity(term, text) {
+  const termWords = splitWords(term).map(({ word }) => word);
+  const termTrigrams = trigramsOf(termWords);
+  if (termTrigrams.size === 0) return 0;
+
+  const words = splitWords(text).map(({ word }) => word);
+  let best = 0;
+  for (let start = 0; start < words.length; start++) {
+    const extent = trigramsOf(words.slice(start, start + termWords.length));
+    let shared = 0;
+    for (const trigram of termTrigrams) {
+      if (extent.has(trigram)) shared++;
+    }
+    best = Math.max(best, shared / termTrigrams.size);
+  }
+  return best;
+}
+
+/**
+ * Score of one field for a normalized term: 1 when it contains the term,
+ * otherwise the word similarity, 0 below SIMILARITY_THRESHOLD
+ */
+export function matchScore(term, value) {
+  const text = normalizeSearchText(value);
+  if (!text) return 0;
+  if (text.includes(term)) return 1;
+
+  const similarity = wordSimilarity(term, text);
+  return similarity >= SIMILARITY_THRESHOLD ? similarity : 0;
+}
+
+/**
+ * Rows in which one of the fields matches the term, with their search_score, best match first
+ * (the result of search_rows, for rows that were already filtered)
+ */
+export function searchRows(rows, fields, term) {
+  const normalized = normalizeSearchText(term);
+
+  return rows
+    .map(row => ({ ...row, search_score: Math.max(...fields.map(field => matchScore(normalized, row[field]))) }))
+    .filter(row => row.search_score > 0)
+    .sort((a, b) => b.search_score - a.search_score || b.id - a.id);
+}
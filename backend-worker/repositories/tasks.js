@@ -0,0 +1,77 @@
+/**
+ * Daily task repository (shared daily_tasks definitions and the user's daily_task_progress)
+ * @param {object} store - Table store (see stores/)
+ * @param {string} userId - Owner of the progress rows
+ */
+export function createTaskRepository(store, userId) {
+  const progressTable = 'daily_task_progress';
+
+  return {
+    listTasks() {
+      return store.find('daily_tasks', { order: ['display_order.asc'] });
+    },
+
+    getTask(id) {
+      return store.findOne('daily_tasks', { where: { id } });
+    },
+
+    /**
+     * Tasks whose name contains the term or resembles it, best match first
+     */
+    searchTasks(term, { limit = 50 } = {}) {
+      return store.search('daily_tasks', { fields: ['name'], term, limit });
+    },
+
+    countTasks() {
+      return store.count('daily_tasks');
+    },
+
+    /**
+     * Progress rows of one day (YYYY-MM-DD)
+     */
+    listProgress(date) {
+      return store.find(progressTable, { where: { user_id: userId, completion_date: date } });
+    },
+
+    getProgress(taskId, date) {
+      return store.findOne(progressTable, { where: { user_id: userId, task_id: taskId, completion_date: date } });
+    },
+
+    createProgress(fields) {
+      return store.insert(progressTable, { ...fields, user_id: userId });
+    },
+
+    async updateProgress(id, patch) {
+      const [progress] = await store.update(progressTable, { user_id: userId, id }, patch);
+      return progress || null;
+    },
+
+    /**
+     * Number of tasks completed on a day
+     */
+    countCompleted(date) {
+      return store.count(progressTable, { user_id: userId, completion_date: date, completed_at: { isNull: false } });
+    },
+
+    /**
+     * Completed tasks since a day, newest day first
+     */
+    listCompletedSince(date) {
+      return store.find(progressTable, {
+        columns: 'completion_date, task_id, completed_at',
+        where: { user_id: userId, completion_date: { gte: date }, completed_at: { isNull: false } },
+        order: ['completion_date.desc']
+      });
+    },
+
+    /**
+     * Whether every task is completed on a day (false when there are no tasks)
+     */
+    async allCompleted(date) {
+      const [total, completed] = await Promise.all([this.countTasks(), this.countCompleted(date)]);
+      return total > 0 && completed === total;
+    }
+  };
+}
+
+export default createTaskRepository;
@@ -0,0 +1,75 @@
+/**
+ * Translation cache repository (translation_cache and translation_cache_stats)
+ * The cache is shared by all users, so this repository is not scoped to one; on Supabase
+ * it needs a service role store (Row Level Security keeps everyone else out)
+ * @param {object} store - Table store (see stores/)
+ */
+export function createTranslationCacheRepository(store) {
+  return {
+    /**
+     * Unexpired entries for a text from any of the providers
+     */
+    findEntries({ textHash, langpair, providers, now }) {
+      return store.find('translation_cache', {
+        columns: 'id, provider, translated_text, hit_count',
+        where: {
+          text_hash: textHash,
+          langpair,
+          provider: { in: providers },
+          expires_at: { gt: now }
+        }
+      });
+    },
+
+    recordHit(entry) {
+      return store.update('translation_cache', { id: entry.id }, {
+        hit_count: (entry.hit_count || 0) + 1,
+        last_hit_at: new Date().toISOString()
+      });
+    },
+
+    /**
+     * Insert or replace the entry for its text, langpair and provider
+     */
+    save(entry) {
+      return store.upsert('translation_cache', entry, { onConflict: 'text_hash,langpair,provider' });
+    },
+
+    /**
+     * Number of entries, optionally only from one provider or only those expired by an ISO timestamp
+     */
+    countEntries({ provider, expiredBefore } = {}) {
+      return store.count('translation_cache', {
+        ...(provider && { provider }),
+        ...(expiredBefore && { expires_at: { lte: expiredBefore } })
+      });
+    },
+
+    /**
+     * Remove entries
+     * @param {{expiredBefore?: string}} options - Only remove entries that expired by this ISO timestamp
+     * @returns {Promise<number>} Number of removed entries
+     */
+    clear({ expiredBefore } = {}) {
+      return store.remove('translation_cache', expiredBefore
+        ? { expires_at: { lte: expiredBefore } }
+        : { id: { neq: 0 } });
+    },
+
+    /**
+     * Add to a day's hit and miss counters (atomic, so concurrent lookups are all counted)
+     */
+    countLookup(date, { hits = 0, misses = 0 }) {
+      return store.increment('translation_cache_stats', { date, hits, misses }, { onConflict: 'date' });
+    },
+
+    /**
+     * Daily hit/miss counters since a day, oldest first
+     */
+    listDailyStats(since) {
+      return store.find('translation_cache_stats', { where: { date: { gte: since } }, order: ['date.asc'] });
+    }
+  };
+}
+
+export default createTranslationCacheRepository;
@@ -0,0 +1,99 @@
+/**
+ * Row types that are moved to the trash when deleted (deleted_at, migrations/0019_soft_delete.sql)
+ *   table:      table of the rows
+ *   itemsTable: for categories, the table whose rows reference them (cleared when a category is purged)
+ */
+export const TRASH_TYPES = {
+  vocabulary: { table: 'vocabulary' },
+  phrase: { table: 'custom_phrases' },
+  note: { table: 'notes' },
+  vocabulary_category: { table: 'vocabulary_categories', itemsTable: 'vocabulary' },
+  phrase_category: { table: 'phrase_categories', itemsTable: 'custom_phrases' },
+  note_category: { table: 'note_categories', itemsTable: 'notes' }
+};
+
+export const SOFT_DELETE_TABLES = Object.values(TRASH_TYPES).map(type => type.table);
+
+/**
+ * Move matching rows that are not in the trash yet to the trash
+ * @returns {Promise<object|null>} The first trashed row, null when nothing matched
+ */
+export async function moveToTrash(store, table, where) {
+  const [row] = await store.update(table, { ...where, deleted_at: null }, { deleted_at: new Date().toISOString() });
+  return row || null;
+}
+
+function getType(type) {
+  if (!TRASH_TYPES[type]) {
+    throw new Error(`Not a trash type: ${type}`);
+  }
+  return TRASH_TYPES[type];
+}
+
+/**
+ * Trash repository: deleted words, phrases, notes and categories of one user
+ * @param {object} store - Table store (see stores/)
+ * @param {string} userId - Owner of the rows
+ */
+export function createTrashRepository(store, userId) {
+  const inTrash = { user_id: userId, deleted_at: { isNull: false } };
+
+  /**
+   * Delete rows of the trash for good; categories are cleared from their items first
+   * (including trashed items, so restoring them later does not point at a missing category)
+   */
+  async function purgeWhere(type, where) {
+    const { table, itemsTable } = getType(type);
+    if (!itemsTable) {
+      return store.remove(table, { ...inTrash, ...where });
+    }
+
+    const categories = await store.find(table, { columns: 'id', where: { ...inTrash, ...where } });
+    if (categories.length === 0) return 0;
+
+    const ids = categories.map(category => category.id);
+    await store.update(itemsTable, { user_id: userId, category_id: { in: ids } }, { category_id: null });
+    return store.remove(table, { user_id: userId, id: { in: ids } });
+  }
+
+  return {
+    /**
+     * Trashed rows of a type, most recently deleted first
+     */
+    list(type) {
+      return store.find(getType(type).table, { where: inTrash, order: ['deleted_at.desc', 'id.desc'] });
+    },
+
+    /**
+     * Take a row out of the trash
+     * @returns {Promise<object|null>} The restored row, null when it is not in the trash
+     */
+    async restore(type, id) {
+      const [row] = await store.update(getType(type).table, { ...inTrash, id }, { deleted_at: null });
+      return row || null;
+    },
+
+    /**
+     * Delete a trashed row for good
+     * @returns {Promise<number>} Number of deleted rows (0 when it is not in the trash)
+     */
+    purge(type, id) {
+      return purgeWhere(type, { id });
+    },
+
+    /**
+     * Delete every row trashed before the given time, of all types
+     * @param {string} before - ISO timestamp
+     * @returns {Promise<number>} Number of deleted rows
+     */
+    async purgeDeletedBefore(before) {
+      let purged = 0;
+      for (const type of Object.keys(TRASH_TYPES)) {
+        purged += await purgeWhere(type, { deleted_at: { lt: before } });
+      }
+      return purged;
+    }
+  };
+}
+
+export default createTrashRepository;
@@ -0,0 +1,164 @@
+import { createCategoryRepository } from './categories.js';
+import { moveToTrash } from './trash.js';
+
+const SORT_ORDERS = {
+  az: ['word.asc'],
+  za: ['word.desc'],
+  frequency: ['frequency.desc'],
+  oldest: ['first_seen.asc'],
+  newest: ['first_seen.desc']
+};
+
+/**
+ * Filter for a category_id / exclude_category_id pair as sent by the frontend
+ */
+function categoryFilter(categoryId, excludeCategoryId) {
+  if (categoryId && categoryId !== 'all') {
+    return { category_id: categoryId };
+  }
+  if (excludeCategoryId) {
+    return { $or: [{ category_id: null }, { category_id: { neq: excludeCategoryId } }] };
+  }
+  return {};
+}
+
+/**
+ * Vocabulary repository (vocabulary and vocabulary_categories)
+ * @param {object} store - Table store (see stores/)
+ * @param {string} userId - Owner of the words
+ */
+export function createVocabularyRepository(store, userId) {
+  const table = 'vocabulary';
+
+  return {
+    categories: createCategoryRepository(store, userId, { table: 'vocabulary_categories' }),
+
+    /**
+     * @param {{categoryId?: string, excludeCategoryId?: string, search?: string, sort?: string}} options
+     */
+    list({ categoryId, excludeCategoryId, search, sort } = {}) {
+      const where = { user_id: userId, deleted_at: null, ...categoryFilter(categoryId, excludeCategoryId) };
+      if (search) {
+        where.word = { ilike: `%${search}%` };
+      }
+      return store.find(table, { where, order: SORT_ORDERS[sort] || SORT_ORDERS.newest });
+    },
+
+    /**
+     * Words due for review at the given time, most overdue first
+     * @returns {Promise<{words: Array, total: number}>} total counts every due word, not just this page
+     */
+    async listDue({ now, categoryId, limit }) {
+      const where = { user_id: userId, deleted_at: null, due_at: { lte: now }, ...categoryFilter(categoryId) };
+      const [words, total] = await Promise.all([
+        store.find(table, { where, order: ['due_at.asc'], limit }),
+        store.count(table, where)
+      ]);
+      return { words, total };
+    },
+
+    /**
+     * Words or meanings containing the term or resembling it, best match first
+     * (umlaut- and typo-tolerant, see store search())
+     */
+    search(term, { limit = 50 } = {}) {
+      return store.search(table, {
+        where: { user_id: userId, deleted_at: null },
+        fields: ['word', 'meaning'],
+        term,
+        limit
+      });
+    },
+
+    get(id) {
+      return store.findOne(table, { where: { user_id: userId, id, deleted_at: null } });
+    },
+
+    /**
+     * Case-insensitive lookup of a word
+     */
+    findByWord(word) {
+      return store.findOne(table, { where: { user_id: userId, deleted_at: null, word: { ilike: word } } });
+    },
+
+    listNouns() {
+      return store.find(table, {
+        columns: 'id, word, meaning, article, plural',
+        where: { user_id: userId, deleted_at: null, article: { isNull: false } }
+      });
+    },
+
+    listVerbs() {
+      return store.find(table, {
+        columns: 'id, word, meaning, auxiliary, praeteritum, partizip_ii',
+        where: { user_id: userId, deleted_at: null, part_of_speech: 'verb' }
+      });
+    },
+
+    /**
+     * First-seen timestamps, oldest first
+     */
+    listFirstSeen() {
+      return store.find(table, { columns: 'first_seen', where: { user_id: userId, deleted_at: null }, order: ['first_seen.asc'] });
+    },
+
+    /**
+     * @param {{since?: string}} options - Only count words first seen at or after this ISO timestamp
+     */
+    count({ since } = {}) {
+      const where = { user_id: userId, deleted_at: null };
+      if (since) where.first_seen = { gte: since };
+      return store.count(table, where);
+    },
+
+    create(fields) {
+      return store.insert(table, { ...fields, user_id: userId });
+    },
+
+    /**
+     * Insert several rows at once
+     * @returns {Promise<Array>} The inserted rows
+     */
+    createMany(rows) {
+      if (rows.length === 0) return Promise.resolve([]);
+      return store.insert(table, rows.map(fields => ({ ...fields, user_id: userId })));
+    },
+
+    /**
+     * Insert new categories and rows in one transaction: all of them or none
+     * A row's category_id may be { $ref } of one of the new categories ({ name, $ref })
+     */
+    importMany(rows, newCategories = []) {
+      const changes = [];
+      if (newCategories.length > 0) {
+        changes.push({ op: 'insert', table: 'vocabulary_categories', values: newCategories.map(category => ({ ...category, user_id: userId })) });
+      }
+      if (rows.length > 0) {
+        changes.push({ op: 'insert', table, values: rows.map(fields => ({ ...fields, user_id: userId })) });
+      }
+      return store.transaction(changes);
+    },
+
+    /**
+     * @returns {Promise<object|null>} The updated word, null when it does not exist
+     */
+    async update(id, patch) {
+      const [word] = await store.update(table, { user_id: userId, id, deleted_at: null }, patch);
+      return word || null;
+    },
+
+    /**
+     * Move a word to the trash
+     * @returns {Promise<object|null>} The trashed word, null when it does not exist
+     */
+    remove(id) {
+      return moveToTrash(store, table, { user_id: userId, id });
+    },
+
+    removeAll() {
+      return store.remove(table, { user_id: userId });
+    }
+  };
+}
+
+export default createVocabularyRepository;
@@ -0,0 +1,105 @@
+import { Hono } from 'hono'
+import { getCacheTtlDays, getTranslationCache } from '../services/translation-cache.js'
+import { PROVIDERS } from '../services/translation-providers.js'
+
+const router = new Hono()
+
+/**
+ * Admin endpoints require the X-Admin-Token header to match ADMIN_TOKEN
+ * They are disabled when ADMIN_TOKEN is not set
+ */
+router.use('*', async (c, next) => {
+  const adminToken = c.env?.ADMIN_TOKEN;
+
+  if (!adminToken) {
+    return c.json({
+      success: false,
+      error: 'Admin endpoints are disabled (ADMIN_TOKEN is not set)'
+    }, 503);
+  }
+
+  if (c.req.header('X-Admin-Token') !== adminToken) {
+    return c.json({
+      success: false,
+      error: 'Invalid admin token'
+    }, 401);
+  }
+
+  await next();
+});
+
+/**
+ * GET /api/admin/translation-cache
+ * Translation cache size (entries, expired, by_provider: { name: { entries } }) and daily hit/miss counters
+ * Query: days (period for the counters, default 30)
+ */
+router.get('/translation-cache', async (c) => {
+  try {
+    const translationCache = getTranslationCache(c.env);
+    const days = Math.min(Math.max(parseInt(c.req.query('days')) || 30, 1), 365);
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - days);
+
+    // Counted in the database: a listing would stop at the API's row limit
+    const entries = await translationCache.countEntries();
+    const expired = await translationCache.countEntries({ expiredBefore: new Date().toISOString() });
+    const byProvider = {};
+    for (const provider of Object.keys(PROVIDERS)) {
+      byProvider[provider] = { entries: await translationCache.countEntries({ provider }) };
+    }
+    const daily = await translationCache.listDailyStats(startDate.toISOString().split('T')[0]);
+
+    const hits = daily.reduce((sum, d) => sum + (d.hits || 0), 0);
+    const misses = daily.reduce((sum, d) => sum + (d.misses || 0), 0);
+
+    return c.json({
+      success: true,
+      data: {
+        ttl_days: getCacheTtlDays(c.env),
+        entries,
+        expired,
+        by_provider: byProvider,
+        period_days: days,
+        hits,
+        misses,
+        hit_rate: hits + misses > 0 ? Math.round((hits / (hits + misses)) * 100) : 0,
+        daily
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching translation cache stats:', error);
+    return c.json({
+      success: false,
+      error: 'Failed to fetch translation cache stats'
+    }, 500);
+  }
+});
+
+/**
+ * DELETE /api/admin/translation-cache
+ * Clear the translation cache
+ * Query: expired=true to only remove expired entries
+ */
+router.delete('/translation-cache', async (c) => {
+  try {
+    const expiredOnly = c.req.query('expired') === 'true';
+
+    const count = await getTranslationCache(c.env).clear({
+      expiredBefore: expiredOnly ? new Date().toISOString() : undefined
+    });
+
+    return c.json({
+      success: true,
+      message: expiredOnly ? 'Expired cache entries removed' : 'Translation cache cleared',
+      deleted: count || 0
+    });
+  } catch (error) {
+    console.error('Error clearing translation cache:', error);
+    return c.json({
+      success: false,
+      error: 'Failed to clear translation cache'
+    }, 500);
+  }
+});
+
+export default router
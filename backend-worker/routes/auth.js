@@ -0,0 +1,150 @@
+import { Hono } from 'hono'
+import { getSupabaseClient } from '../supabase.js'
+import { requireAuth } from '../auth.js'
+import { createLocalAuth } from '../local-auth.js'
+import { usesD1 } from '../repositories/index.js'
+
+const router = new Hono()
+
+/**
+ * Helper function: Supabase Auth, or the D1 users table when running locally without Supabase
+ */
+function getAuthClient(env) {
+  return usesD1(env) ? createLocalAuth(env) : getSupabaseClient(env).auth;
+}
+
+/**
+ * Helper function: Shape a Supabase session for the frontend
+ */
+function toSession(session) {
+  if (!session) return null;
+  return {
+    access_token: session.access_token,
+    refresh_token: session.refresh_token,
+    expires_at: session.expires_at,
+    user: {
+      id: session.user.id,
+      email: session.user.email
+    }
+  };
+}
+
+/**
+ * Helper function: Validate email/password credentials
+ * Returns an error message or null
+ */
+function validateCredentials(email, password) {
+  if (!email || typeof email !== 'string' || !email.includes('@')) {
+    return 'A valid email is required';
+  }
+  if (!password || typeof password !== 'string' || password.length < 6) {
+    return 'Password must be at least 6 characters';
+  }
+  return null;
+}
+
+/**
+ * POST /api/auth/signup
+ * Create an account with Supabase Auth
+ * Request body: { email, password }
+ * When email confirmation is enabled, no session is returned until the email is confirmed
+ */
+router.post('/signup', async (c) => {
+  try {
+    const auth = getAuthClient(c.env);
+    const { email, password } = await c.req.json();
+
+    const validationError = validateCredentials(email, password);
+    if (validationError) {
+      return c.json({ success: false, error: validationError }, 400);
+    }
+
+    const { data, error } = await auth.signUp({ email: email.trim(), password });
+
+    if (error) {
+      return c.json({ success: false, error: error.message }, error.status || 400);
+    }
+
+    return c.json({
+      success: true,
+      data: {
+        session: toSession(data.session),
+        confirmation_required: !data.session
+      }
+    }, 201);
+  } catch (error) {
+    console.error('Error signing up:', error);
+    return c.json({ success: false, error: 'Failed to sign up' }, 500);
+  }
+});
+
+/**
+ * POST /api/auth/login
+ * Sign in with email and password
+ * Request body: { email, password }
+ */
+router.post('/login', async (c) => {
+  try {
+    const auth = getAuthClient(c.env);
+    const { email, password } = await c.req.json();
+
+    const validationError = validateCredentials(email, password);
+    if (validationError) {
+      return c.json({ success: false, error: validationError }, 400);
+    }
+
+    const { data, error } = await auth.signInWithPassword({ email: email.trim(), password });
+
+    if (error) {
+      return c.json({ success: false, error: 'Invalid email or password' }, 401);
+    }
+
+    return c.json({ success: true, data: { session: toSession(data.session) } });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    return c.json({ success: false, error: 'Failed to log in' }, 500);
+  }
+});
+
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new session
+ * Request body: { refresh_token }
+ */
+router.post('/refresh', async (c) => {
+  try {
+    const auth = getAuthClient(c.env);
+    const { refresh_token } = await c.req.json();
+
+    if (!refresh_token) {
+      return c.json({ success: false, error: 'Refresh token is required' }, 400);
+    }
+
+    const { data, error } = await auth.refreshSession({ refresh_token });
+
+    if (error || !data.session) {
+      return c.json({ success: false, error: 'Session expired, please log in again' }, 401);
+    }
+
+    return c.json({ success: true, data: { session: toSession(data.session) } });
+  } catch (error) {
+    console.error('Error refreshing session:', error);
+    return c.json({ success: false, error: 'Failed to refresh session' }, 500);
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * The signed-in user
+ */
+router.get('/me', requireAuth, (c) => {
+  return c.json({
+    success: true,
+    data: {
+      id: c.get('userId'),
+      email: c.get('userEmail')
+    }
+  });
+});
+
+export default router
@@ -1,5 +1,5 @@
 import { Hono } from 'hono'
-import { getSupabaseClient } from '../supabase.js'
+import { getRepositories } from '../repositories/index.js'
 
 const router = new Hono()
 
@@ -9,28 +9,18 @@ const router = new Hono()
  */
 router.get('/', async (c) => {
   try {
-    const supabase = getSupabaseClient(c.env)
+    const repository = getRepositories(c).tasks
     const today = new Date().toISOString().split('T')[0]
 
     // Get all task definitions
-    const { data: tasks, error: tasksError } = await supabase
-      .from('daily_tasks')
-      .select('*')
-      .order('display_order', { ascending: true })
-
-    if (tasksError) throw tasksError
+    const tasks = await repository.listTasks()
 
     // Get today's progress
-    const { data: progress, error: progressError } = await supabase
-      .from('daily_task_progress')
-      .select('*')
-      .eq('completion_date', today)
-
-    if (progressError) throw progressError
+    const progress = await repository.listProgress(today)
 
     // Merge tasks with progress
     const tasksWithProgress = tasks.map(task => {
-      const taskProgress = progress?.find(p => p.task_id === task.id)
+      const taskProgress = progress.find(p => p.task_id === task.id)
 
       // Override: rename "Read a Book" task to "Daily Conversation" and set 30-minute duration
       // Override: change "Shadowing Speaking" duration to 5 minutes
@@ -105,19 +95,15 @@ router.get('/', async (c) => {
  */
 router.post('/:id/start', async (c) => {
   try {
-    const supabase = getSupabaseClient(c.env)
+    const repository = getRepositories(c).tasks
     const taskId = parseInt(c.req.param('id'))
     const today = new Date().toISOString().split('T')[0]
     const now = new Date().toISOString()
 
   // Check if task exists
-    const { data: task, error: taskError } = await supabase
-      .from('daily_tasks')
-      .select('*')
-      .eq('id', taskId)
-      .single()
+    const task = Number.isNaN(taskId) ? null : await repository.getTask(taskId)
 
-    if (taskError || !task) {
+    if (!task) {
       return c.json({
         success: false,
         error: 'Task not found'
@@ -125,16 +111,7 @@ router.post('/:id/start', async (c) => {
     }
 
     // Check if already completed today
-    const { data: existing, error: existingError } = await supabase
-      .from('daily_task_progress')
-      .select('*')
-      .eq('task_id', taskId)
-      .eq('completion_date', today)
-      .single()
-
-    if (existingError && existingError.code !== 'PGRST116') {
-      throw existingError
-    }
+    const existing = await repository.getProgress(taskId, today)
 
     if (existing?.completed_at) {
       return c.json({
@@ -146,23 +123,14 @@ router.post('/:id/start', async (c) => {
     // Insert or update progress
     if (existing) {
       // Update existing record
-      const { error: updateError } = await supabase
-        .from('daily_task_progress')
-        .update({ started_at: now })
-        .eq('id', existing.id)
-
-      if (updateError) throw updateError
+      await repository.updateProgress(existing.id, { started_at: now })
     } else {
       // Insert new record
-      const { error: insertError } = await supabase
-        .from('daily_task_progress')
-        .insert({
-          task_id: taskId,
-          completion_date: today,
-          started_at: now
-        })
-
-      if (insertError) throw insertError
+      await repository.createProgress({
+        task_id: taskId,
+        completion_date: today,
+        started_at: now
+      })
     }
 
     // Override duration/name for "Read a Book" when starting (keep DB unchanged)
@@ -215,20 +183,15 @@ router.post('/:id/start', async (c) => {
  */
 router.post('/:id/complete', async (c) => {
   try {
-    const supabase = getSupabaseClient(c.env)
+    const repository = getRepositories(c).tasks
     const taskId = parseInt(c.req.param('id'))
     const today = new Date().toISOString().split('T')[0]
     const now = new Date().toISOString()
 
     // Get the progress record
-    const { data: progress, error: progressError } = await supabase
-      .from('daily_task_progress')
-      .select('*')
-      .eq('task_id', taskId)
-      .eq('completion_date', today)
-      .single()
-
-    if (progressError) {
+    const progress = Number.isNaN(taskId) ? null : await repository.getProgress(taskId, today)
+
+    if (!progress) {
       return c.json({
         success: false,
         error: 'Task not started yet'
@@ -243,29 +206,10 @@ router.post('/:id/complete', async (c) => {
     }
 
     // Mark as completed
-    const { error: updateError } = await supabase
-      .from('daily_task_progress')
-      .update({ completed_at: now })
-      .eq('id', progress.id)
-
-    if (updateError) throw updateError
+    await repository.updateProgress(progress.id, { completed_at: now })
 
     // Check if all tasks are completed
-    const { data: allTasks, error: tasksError } = await supabase
-      .from('daily_tasks')
-      .select('id')
-
-    if (tasksError) throw tasksError
-
-    const { data: allProgress, error: allProgressError } = await supabase
-      .from('daily_task_progress')
-      .select('*')
-      .eq('completion_date', today)
-      .not('completed_at', 'is', null)
-
-    if (allProgressError) throw allProgressError
-
-    const allCompleted = allProgress?.length === allTasks?.length
+    const allCompleted = await repository.allCompleted(today)
 
     return c.json({
       success: true,
@@ -290,25 +234,11 @@ router.post('/:id/complete', async (c) => {
  */
 router.get('/progress', async (c) => {
   try {
-    const supabase = getSupabaseClient(c.env)
+    const repository = getRepositories(c).tasks
     const today = new Date().toISOString().split('T')[0]
 
-    const { data: allTasks, error: tasksError } = await supabase
-      .from('daily_tasks')
-      .select('id')
-
-    if (tasksError) throw tasksError
-
-    const { data: completedTasks, error: progressError } = await supabase
-      .from('daily_task_progress')
-      .select('*')
-      .eq('completion_date', today)
-      .not('completed_at', 'is', null)
-
-    if (progressError) throw progressError
-
-    const totalTasks = allTasks?.length || 0
-    const completedCount = completedTasks?.length || 0
+    const totalTasks = await repository.countTasks()
+    const completedCount = await repository.countCompleted(today)
     const allCompleted = completedCount === totalTasks && totalTasks > 0
 
     return c.json({
@@ -336,25 +266,17 @@ router.get('/progress', async (c) => {
  */
 router.get('/history', async (c) => {
   try {
-    const supabase = getSupabaseClient(c.env)
     const days = parseInt(c.req.query('days')) || 7
     
     const startDate = new Date()
     startDate.setDate(startDate.getDate() - days)
     const startDateStr = startDate.toISOString().split('T')[0]
 
-    const { data: history, error } = await supabase
-      .from('daily_task_progress')
-      .select('completion_date, task_id, completed_at')
-      .gte('completion_date', startDateStr)
-      .not('completed_at', 'is', null)
-      .order('completion_date', { ascending: false })
-
-    if (error) throw error
+    const history = await getRepositories(c).tasks.listCompletedSince(startDateStr)
 
     // Group by date
     const historyByDate = {}
-    history?.forEach(record => {
+    history.forEach(record => {
       if (!historyByDate[record.completion_date]) {
         historyByDate[record.completion_date] = []
       }
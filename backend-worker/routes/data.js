@@ -1,63 +1,23 @@
 import { Hono } from 'hono'
-import { getSupabaseClient } from '../supabase.js'
+import { getRepositories } from '../repositories/index.js'
+import { createBackup, restoreBackup, validateBackup } from '../services/backup.js'
+import { exportAnkiDeck, importAnkiDeck } from '../services/anki.js'
+import { exportCsv, importCsv, CSV_TYPES } from '../services/csv.js'
 
 const router = new Hono()
 
 /**
  * GET /api/data/export
+ * Download a backup of every table of the user (format 2.0, see services/backup.js)
  */
 router.get('/export', async (c) => {
   try {
-    const supabase = getSupabaseClient(c.env);
-    const { data: vocabulary, error: vocabError } = await supabase
-      .from('vocabulary')
-      .select('*')
-      .order('first_seen', { ascending: true });
-
-    if (vocabError) throw vocabError;
-
-    const { data: customPhrases, error: phrasesError } = await supabase
-      .from('custom_phrases')
-      .select('*')
-      .order('created_at', { ascending: true });
-
-    if (phrasesError) throw phrasesError;
-
-    const { data: settings, error: settingsError } = await supabase
-      .from('user_settings')
-      .select('*')
-      .limit(1)
-      .single();
-
-    const settingsData = settingsError ? {} : settings;
-
-    const { data: progressStats, error: statsError } = await supabase
-      .from('progress_stats')
-      .select('*')
-      .order('date', { ascending: true });
-
-    if (statsError) throw statsError;
-
-    const exportData = {
-      version: '1.0',
-      exportDate: new Date().toISOString(),
-      data: {
-        vocabulary: vocabulary || [],
-        customPhrases: customPhrases || [],
-        settings: settingsData,
-        progressStats: progressStats || []
-      },
-      metadata: {
-        totalVocabulary: vocabulary?.length || 0,
-        totalCustomPhrases: customPhrases?.length || 0,
-        totalProgressDays: progressStats?.length || 0
-      }
-    };
+    const backup = await createBackup(getRepositories(c));
 
     c.header('Content-Type', 'application/json');
     c.header('Content-Disposition', `attachment; filename=deutschtagebuch-backup-${new Date().toISOString().split('T')[0]}.json`);
 
-    return c.json(exportData);
+    return c.json(backup);
   } catch (error) {
     console.error('Error exporting data:', error);
     return c.json({ success: false, error: 'Failed to export data' }, 500);
@@ -66,94 +26,243 @@ router.get('/export', async (c) => {
 
 /**
  * POST /api/data/import
+ * Restore a backup (format 2.0 or 1.0) in one transaction
+ * Request body: { data: <backup>, mode: 'merge' | 'replace', dryRun?: boolean }
+ * With dryRun the counts of rows that would be created, updated, skipped or are in conflict
+ * are returned and nothing is changed.
  */
 router.post('/import', async (c) => {
   try {
-    const supabase = getSupabaseClient(c.env);
-    const { data, mode } = await c.req.json();
+    const { data, mode, dryRun } = await c.req.json();
 
-    if (!data || typeof data !== 'object' || !data.data || typeof data.data !== 'object') {
+    if (!data || typeof data !== 'object') {
       return c.json({ success: false, error: 'Invalid import data format' }, 400);
     }
 
     const importMode = mode || 'merge';
-    const stats = { vocabulary: 0, customPhrases: 0, progressStats: 0, errors: [] };
-
-    if (importMode === 'replace') {
-      await supabase.from('vocabulary').delete().neq('id', 0);
-      await supabase.from('custom_phrases').delete().neq('id', 0);
-      await supabase.from('progress_stats').delete().neq('id', 0);
-    }
-
-    if (data.data.vocabulary && Array.isArray(data.data.vocabulary)) {
-      for (const word of data.data.vocabulary) {
-        try {
-          const { error } = await supabase.from('vocabulary').insert({
-            word: word.word,
-            meaning: word.meaning,
-            first_seen: word.first_seen,
-            frequency: word.frequency || 1,
-            last_reviewed: word.last_reviewed
-          });
-          if (!error) stats.vocabulary++;
-        } catch (err) { stats.errors.push(`Vocabulary error: ${err.message}`); }
-      }
+    if (!['merge', 'replace'].includes(importMode)) {
+      return c.json({ success: false, error: 'Mode must be "merge" or "replace"' }, 400);
     }
 
-    if (data.data.customPhrases && Array.isArray(data.data.customPhrases)) {
-      for (const phrase of data.data.customPhrases) {
-        try {
-          const { error } = await supabase.from('custom_phrases').insert({
-            english: phrase.english,
-            german: phrase.german,
-            created_at: phrase.created_at,
-            times_reviewed: phrase.times_reviewed || 0
-          });
-          if (!error) stats.customPhrases++;
-        } catch (err) { stats.errors.push(`Phrase error: ${err.message}`); }
-      }
+    const errors = validateBackup(data);
+    if (errors.length > 0) {
+      return c.json({ success: false, error: 'Invalid backup file', details: errors }, 400);
     }
 
-    if (data.data.progressStats && Array.isArray(data.data.progressStats)) {
-      for (const stat of data.data.progressStats) {
-        try {
-          const { error } = await supabase.from('progress_stats').upsert({
-            date: stat.date,
-            words_learned: stat.words_learned || 0,
-            entries_written: stat.entries_written || 0,
-            minutes_practiced: stat.minutes_practiced || 0
-          }, { onConflict: 'date' });
-          if (!error) stats.progressStats++;
-        } catch (err) { stats.errors.push(`Progress stats error: ${err.message}`); }
-      }
+    const stats = await restoreBackup(getRepositories(c), data, { mode: importMode, dryRun: dryRun === true });
+
+    return c.json({
+      success: true,
+      dryRun: dryRun === true,
+      message: dryRun === true ? 'Import preview, nothing was changed' : 'Data imported successfully',
+      stats
+    });
+  } catch (error) {
+    console.error('Error importing data:', error);
+    return c.json({ success: false, error: 'Failed to import data', details: error.message }, 500);
+  }
+});
+
+/**
+ * GET /api/data/backups
+ * Stored backups of the user (written nightly, see services/scheduled-jobs.js), newest first
+ */
+router.get('/backups', async (c) => {
+  try {
+    const backups = await getRepositories(c).backup.listSnapshots();
+    return c.json({ success: true, data: backups });
+  } catch (error) {
+    console.error('Error fetching backups:', error);
+    return c.json({ success: false, error: 'Failed to fetch backups' }, 500);
+  }
+});
+
+/**
+ * GET /api/data/backups/:id
+ * Download a stored backup (same format as GET /api/data/export)
+ */
+router.get('/backups/:id', async (c) => {
+  try {
+    const snapshot = await getRepositories(c).backup.findSnapshot(c.req.param('id'));
+    if (!snapshot) {
+      return c.json({ success: false, error: 'Backup not found' }, 404);
     }
 
-    if (data.data.settings && typeof data.data.settings === 'object') {
-      const { data: existing } = await supabase.from('user_settings').select('*').limit(1).single();
-      if (existing) {
-        await supabase.from('user_settings').update({
-          daily_goal_minutes: data.data.settings.daily_goal_minutes || 60,
-          daily_sentence_goal: data.data.settings.daily_sentence_goal || 10,
-          theme: data.data.settings.theme || 'light'
-        }).eq('id', existing.id);
-      }
+    c.header('Content-Disposition', `attachment; filename=deutschtagebuch-backup-${snapshot.created_at.split('T')[0]}.json`);
+
+    return c.json(snapshot.data);
+  } catch (error) {
+    console.error('Error fetching backup:', error);
+    return c.json({ success: false, error: 'Failed to fetch backup' }, 500);
+  }
+});
+
+/**
+ * POST /api/data/backups/:id/restore
+ * Restore a stored backup through the same pipeline as POST /api/data/import
+ * Request body: { mode: 'merge' | 'replace', dryRun?: boolean }
+ */
+router.post('/backups/:id/restore', async (c) => {
+  try {
+    const { mode, dryRun } = await c.req.json().catch(() => ({}));
+
+    const importMode = mode || 'merge';
+    if (!['merge', 'replace'].includes(importMode)) {
+      return c.json({ success: false, error: 'Mode must be "merge" or "replace"' }, 400);
+    }
+
+    const repositories = getRepositories(c);
+    const snapshot = await repositories.backup.findSnapshot(c.req.param('id'));
+    if (!snapshot) {
+      return c.json({ success: false, error: 'Backup not found' }, 404);
+    }
+
+    const errors = validateBackup(snapshot.data);
+    if (errors.length > 0) {
+      return c.json({ success: false, error: 'Invalid backup file', details: errors }, 400);
+    }
+
+    const stats = await restoreBackup(repositories, snapshot.data, { mode: importMode, dryRun: dryRun === true });
+
+    return c.json({
+      success: true,
+      dryRun: dryRun === true,
+      message: dryRun === true ? 'Restore preview, nothing was changed' : 'Backup restored successfully',
+      stats
+    });
+  } catch (error) {
+    console.error('Error restoring backup:', error);
+    return c.json({ success: false, error: 'Failed to restore backup', details: error.message }, 500);
+  }
+});
+
+/**
+ * GET /api/data/anki/export
+ * Download words and phrases as an Anki plain-text deck (File > Import in Anki)
+ * Query: include=vocabulary,phrases (default both)
+ */
+router.get('/anki/export', async (c) => {
+  try {
+    const include = (c.req.query('include') || 'vocabulary,phrases').split(',').map(type => type.trim());
+    if (include.some(type => !['vocabulary', 'phrases'].includes(type))) {
+      return c.json({ success: false, error: 'include must list "vocabulary" and/or "phrases"' }, 400);
     }
 
+    const { text } = await exportAnkiDeck(getRepositories(c), { include });
+
+    c.header('Content-Type', 'text/plain; charset=utf-8');
+    c.header('Content-Disposition', `attachment; filename=deutschtagebuch-anki-${new Date().toISOString().split('T')[0]}.txt`);
+
+    return c.body(text);
+  } catch (error) {
+    console.error('Error exporting Anki deck:', error);
+    return c.json({ success: false, error: 'Failed to export Anki deck' }, 500);
+  }
+});
+
+/**
+ * POST /api/data/anki/import
+ * Import an Anki plain-text export (or a tab-separated word list) as words and phrases
+ * Form data: file, target ('auto' | 'vocabulary' | 'phrases'), dryRun ('true' to only count)
+ */
+router.post('/anki/import', async (c) => {
+  try {
+    const form = await c.req.parseBody();
+    const file = form.file;
+    const target = form.target || 'auto';
+    const dryRun = form.dryRun === 'true';
+
+    if (!file || typeof file === 'string') {
+      return c.json({ success: false, error: 'Upload the exported notes as "file"' }, 400);
+    }
+    if (!['auto', 'vocabulary', 'phrases'].includes(target)) {
+      return c.json({ success: false, error: 'target must be "auto", "vocabulary" or "phrases"' }, 400);
+    }
+
+    const stats = await importAnkiDeck(getRepositories(c), await file.text(), { target, dryRun });
+
     return c.json({
       success: true,
-      message: 'Data imported successfully',
-      stats: {
-        imported: {
-          vocabulary: stats.vocabulary,
-          customPhrases: stats.customPhrases,
-          progressStats: stats.progressStats
-        },
-        errors: stats.errors.length > 0 ? stats.errors : undefined
+      dryRun,
+      message: dryRun ? 'Import preview, nothing was changed' : 'Anki notes imported successfully',
+      stats
+    });
+  } catch (error) {
+    console.error('Error importing Anki deck:', error);
+    return c.json({ success: false, error: 'Failed to import Anki deck', details: error.message }, 500);
+  }
+});
+
+/**
+ * GET /api/data/csv/export
+ * Download words or phrases as CSV
+ * Query: type ('vocabulary' | 'phrases', default vocabulary), category_id (only that category)
+ */
+router.get('/csv/export', async (c) => {
+  try {
+    const type = c.req.query('type') || 'vocabulary';
+    if (!CSV_TYPES[type]) {
+      return c.json({ success: false, error: 'type must be "vocabulary" or "phrases"' }, 400);
+    }
+
+    const { text } = await exportCsv(getRepositories(c), { type, categoryId: c.req.query('category_id') });
+
+    c.header('Content-Type', 'text/csv; charset=utf-8');
+    c.header('Content-Disposition', `attachment; filename=deutschtagebuch-${type}-${new Date().toISOString().split('T')[0]}.csv`);
+
+    return c.body(text);
+  } catch (error) {
+    console.error('Error exporting CSV:', error);
+    return c.json({ success: false, error: 'Failed to export CSV' }, 500);
+  }
+});
+
+/**
+ * POST /api/data/csv/import
+ * Import words or phrases from a CSV file with a header row
+ * Form data: file, type ('vocabulary' | 'phrases'), mapping (optional JSON { field: column name }),
+ *   dryRun ('true' to preview the rows and errors without saving)
+ */
+router.post('/csv/import', async (c) => {
+  try {
+    const form = await c.req.parseBody();
+    const file = form.file;
+    const type = form.type || 'vocabulary';
+    const dryRun = form.dryRun === 'true';
+
+    if (!file || typeof file === 'string') {
+      return c.json({ success: false, error: 'Upload the CSV file as "file"' }, 400);
+    }
+    if (!CSV_TYPES[type]) {
+      return c.json({ success: false, error: 'type must be "vocabulary" or "phrases"' }, 400);
+    }
+
+    let mapping = {};
+    if (form.mapping) {
+      try {
+        mapping = JSON.parse(form.mapping);
+      } catch (err) {
+        mapping = null;
       }
+      if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        return c.json({ success: false, error: 'mapping must be a JSON object' }, 400);
+      }
+    }
+
+    const stats = await importCsv(getRepositories(c), await file.text(), { type, mapping, dryRun });
+    if (stats.columnErrors) {
+      return c.json({ success: false, error: 'The columns do not fit', details: stats.columnErrors, columns: stats.columns }, 400);
+    }
+
+    return c.json({
+      success: true,
+      dryRun,
+      message: dryRun ? 'Import preview, nothing was changed' : `Imported ${stats.created} of ${stats.created + stats.skipped} rows`,
+      stats
     });
   } catch (error) {
-    console.error('Error importing data:', error);
-    return c.json({ success: false, error: 'Failed to import data', details: error.message }, 500);
+    console.error('Error importing CSV:', error);
+    return c.json({ success: false, error: 'Failed to import CSV', details: error.message }, 500);
   }
 });
 
@@ -162,15 +271,15 @@ router.post('/import', async (c) => {
  */
 router.delete('/clear', async (c) => {
   try {
-    const supabase = getSupabaseClient(c.env);
+    const repositories = getRepositories(c);
     const { confirm } = await c.req.json();
     if (confirm !== 'DELETE_ALL_DATA') {
       return c.json({ success: false, error: 'Confirmation required. Send { "confirm": "DELETE_ALL_DATA" }' }, 400);
     }
 
-    await supabase.from('vocabulary').delete().neq('id', 0);
-    await supabase.from('custom_phrases').delete().neq('id', 0);
-    await supabase.from('progress_stats').delete().neq('id', 0);
+    await repositories.vocabulary.removeAll();
+    await repositories.phrases.removeAll();
+    await repositories.progress.removeAllStats();
 
     return c.json({ success: true, message: 'All data cleared successfully' });
   } catch (error) {
@@ -0,0 +1,286 @@
+import { Hono } from 'hono'
+import { getRepositories } from '../repositories/index.js'
+import { ARTICLES, ARTICLE_GENDERS, splitArticle } from '../services/german-grammar.js'
+import { conjugate, IRREGULAR_VERBS, PERSONS, TENSES, TENSE_LABELS } from '../services/conjugation.js'
+import randomWords from '../../frontend/data/Random_words.json' with { type: 'json' }
+
+const router = new Hono()
+
+/**
+ * Helper function: Nouns from the built-in word list ("Die Lösung" -> { noun: 'Lösung', article: 'die' })
+ */
+function getBuiltinNouns() {
+  return randomWords
+    .map(entry => {
+      const { word, article } = splitArticle(entry.word);
+      if (!article) return null;
+      return {
+        noun: word,
+        article,
+        meaning: entry.meaning,
+        plural: null,
+        source: 'builtin',
+        vocabulary_id: null
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Helper function: Nouns from vocabulary that have an article
+ */
+async function getVocabularyNouns(vocabulary) {
+  const words = await vocabulary.listNouns();
+
+  return words.map(w => ({
+    noun: w.word,
+    article: w.article,
+    meaning: w.meaning,
+    plural: w.plural,
+    source: 'vocabulary',
+    vocabulary_id: w.id
+  }));
+}
+
+/**
+ * Helper function: Merge noun lists, preferring vocabulary entries over built-in duplicates
+ */
+function mergeNouns(vocabularyNouns, builtinNouns) {
+  const byNoun = new Map();
+  for (const noun of [...builtinNouns, ...vocabularyNouns]) {
+    byNoun.set(noun.noun.toLowerCase(), noun);
+  }
+  return [...byNoun.values()];
+}
+
+/**
+ * Helper function: Fisher-Yates shuffle
+ */
+function shuffle(items) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+/**
+ * GET /api/drills/articles
+ * Pick nouns for a der/die/das drill
+ * Query: limit (default 20, max 50), source (all, vocabulary, builtin), focus=trouble puts frequently missed nouns first
+ */
+router.get('/articles', async (c) => {
+  try {
+    const { vocabulary, drills } = getRepositories(c);
+    const limit = Math.min(parseInt(c.req.query('limit')) || 20, 50);
+    const source = c.req.query('source') || 'all';
+    const focus = c.req.query('focus');
+
+    const vocabularyNouns = source === 'builtin' ? [] : await getVocabularyNouns(vocabulary);
+    const builtinNouns = source === 'vocabulary' ? [] : getBuiltinNouns();
+    const nouns = mergeNouns(vocabularyNouns, builtinNouns);
+
+    const stats = await drills.listArticleStats();
+
+    const statsByNoun = new Map(stats.map(s => [s.noun.toLowerCase(), s]));
+    const withStats = nouns.map(n => {
+      const s = statsByNoun.get(n.noun.toLowerCase());
+      return {
+        ...n,
+        attempts: s?.attempts || 0,
+        wrong_count: s?.wrong_count || 0
+      };
+    });
+
+    let picked;
+    if (focus === 'trouble') {
+      const trouble = shuffle(withStats.filter(n => n.wrong_count > 0))
+        .sort((a, b) => b.wrong_count - a.wrong_count)
+        .slice(0, limit);
+      const rest = shuffle(withStats.filter(n => n.wrong_count === 0));
+      picked = shuffle([...trouble, ...rest.slice(0, limit - trouble.length)]);
+    } else {
+      picked = shuffle(withStats).slice(0, limit);
+    }
+
+    return c.json({
+      success: true,
+      data: picked,
+      count: picked.length,
+      total_nouns: nouns.length
+    });
+  } catch (error) {
+    console.error('Error building article drill:', error);
+    return c.json({
+      success: false,
+      error: 'Failed to build article drill'
+    }, 500);
+  }
+});
+
+/**
+ * POST /api/drills/articles/answer
+ * Check an answer and update the noun's error tracking
+ * Request body: { noun, answer, vocabulary_id? }
+ */
+router.post('/articles/answer', async (c) => {
+  try {
+    const { vocabulary, drills } = getRepositories(c);
+    const { noun, answer, vocabulary_id } = await c.req.json();
+
+    if (!noun || typeof noun !== 'string' || !ARTICLES.includes(answer)) {
+      return c.json({
+        success: false,
+        error: `noun and answer (${ARTICLES.join(', ')}) are required`
+      }, 400);
+    }
+
+    // Look the correct article up on the server so stats can't drift from the data
+    let entry = null;
+    if (vocabulary_id) {
+      const word = await vocabulary.get(vocabulary_id);
+
+      if (word?.article) {
+        entry = { noun: word.word, article: word.article, vocabulary_id: word.id };
+      }
+    }
+    if (!entry) {
+      entry = getBuiltinNouns().find(n => n.noun.toLowerCase() === noun.trim().toLowerCase()) || null;
+    }
+    if (!entry) {
+      return c.json({
+        success: false,
+        error: 'Noun not found'
+      }, 404);
+    }
+
+    const correct = entry.article === answer;
+    const now = new Date().toISOString();
+
+    const existing = await drills.getArticleStats(entry.noun);
+
+    const stats = await drills.saveArticleStats({
+      noun: entry.noun,
+      article: entry.article,
+      vocabulary_id: entry.vocabulary_id,
+      attempts: (existing?.attempts || 0) + 1,
+      correct_count: (existing?.correct_count || 0) + (correct ? 1 : 0),
+      wrong_count: (existing?.wrong_count || 0) + (correct ? 0 : 1),
+      last_answer: answer,
+      last_wrong_at: correct ? (existing?.last_wrong_at || null) : now,
+      last_practiced: now
+    });
+
+    return c.json({
+      success: true,
+      data: {
+        correct,
+        noun: entry.noun,
+        article: entry.article,
+        gender: ARTICLE_GENDERS[entry.article],
+        stats
+      }
+    });
+  } catch (error) {
+    console.error('Error saving article drill answer:', error);
+    return c.json({
+      success: false,
+      error: 'Failed to save answer'
+    }, 500);
+  }
+});
+
+/**
+ * GET /api/drills/articles/trouble
+ * Nouns whose article is most often missed
+ * Query: limit (default 10, max 50)
+ */
+router.get('/articles/trouble', async (c) => {
+  try {
+    const limit = Math.min(parseInt(c.req.query('limit')) || 10, 50);
+
+    const stats = await getRepositories(c).drills.listTroubleNouns(limit);
+
+    const trouble = stats.map(s => ({
+      ...s,
+      error_rate: s.attempts > 0 ? Math.round((s.wrong_count / s.attempts) * 100) : 0
+    }));
+
+    return c.json({
+      success: true,
+      data: trouble
+    });
+  } catch (error) {
+    console.error('Error fetching trouble nouns:', error);
+    return c.json({
+      success: false,
+      error: 'Failed to fetch trouble nouns'
+    }, 500);
+  }
+});
+
+/**
+ * GET /api/drills/conjugation
+ * Quiz questions asking for a random person and tense of a verb
+ * Query: limit (default 10, max 50), tenses (comma-separated, default all), source (all, vocabulary, builtin)
+ */
+router.get('/conjugation', async (c) => {
+  try {
+    const limit = Math.min(parseInt(c.req.query('limit')) || 10, 50);
+    const source = c.req.query('source') || 'all';
+    const requestedTenses = (c.req.query('tenses') || '').split(',').filter(t => TENSES.includes(t));
+    const tenses = requestedTenses.length > 0 ? requestedTenses : TENSES;
+
+    const verbs = [];
+
+    if (source !== 'builtin') {
+      const words = await getRepositories(c).vocabulary.listVerbs();
+
+      for (const word of words) {
+        try {
+          verbs.push({ conjugation: conjugate(word.word, word), meaning: word.meaning, vocabulary_id: word.id });
+        } catch (err) {
+          console.warn(`[Conjugation] Skipping "${word.word}":`, err.message);
+        }
+      }
+    }
+
+    if (source !== 'vocabulary') {
+      const known = new Set(verbs.map(v => v.conjugation.infinitive));
+      for (const [infinitive, entry] of Object.entries(IRREGULAR_VERBS)) {
+        if (!known.has(infinitive)) {
+          verbs.push({ conjugation: conjugate(infinitive), meaning: entry.meaning, vocabulary_id: null });
+        }
+      }
+    }
+
+    const questions = shuffle(verbs).slice(0, limit).map(({ conjugation, meaning, vocabulary_id }) => {
+      const tense = tenses[Math.floor(Math.random() * tenses.length)];
+      const person = PERSONS[Math.floor(Math.random() * PERSONS.length)];
+      return {
+        verb: conjugation.infinitive,
+        meaning,
+        vocabulary_id,
+        tense,
+        tense_label: TENSE_LABELS[tense],
+        person,
+        answer: conjugation.tenses[tense][person]
+      };
+    });
+
+    return c.json({
+      success: true,
+      data: questions,
+      count: questions.length
+    });
+  } catch (error) {
+    console.error('Error building conjugation quiz:', error);
+    return c.json({
+      success: false,
+      error: 'Failed to build conjugation quiz'
+    }, 500);
+  }
+});
+
+export default router
@@ -0,0 +1,350 @@
+import { Hono } from 'hono'
+import { getRepositories } from '../repositories/index.js'
+import { correctGermanText } from '../services/gemini-translation.js'
+import { normalizeCorrections, countWords, diffWords, MAX_TEXT_LENGTH } from '../services/writing-correction.js'
+import { extractVocabulary } from '../services/vocabulary-extractor.js'
+import { recordMistakes } from '../services/mistake-tracker.js'
+
+const router = new Hono()
+
+/**
+ * Helper function: Correct a text with Gemini
+ * Returns null fields when the correction fails, so the entry is still saved
+ */
+async function correctText(germanText, env) {
+  try {
+    const result = await correctGermanText(germanText, env);
+    const corrections = normalizeCorrections(result.corrections);
+    return {
+      corrected_text: result.corrected_text,
+      corrections,
+      error_count: corrections.length
+    };
+  } catch (error) {
+    console.warn('[Journal] Correction failed:', error.message);
+    return {
+      corrected_text: null,
+      corrections: [],
+      error_count: 0
+    };
+  }
+}
+
+/**
+ * Helper function: Validate the German text of an entry or free-writing correction
+ * Returns an error message or null
+ */
+function validateText(germanText) {
+  if (!germanText || typeof germanText !== 'string' || germanText.trim().length === 0) {
+    return 'German text is required';
+  }
+  if (germanText.trim().length > MAX_TEXT_LENGTH) {
+    return `Text is too long (maximum ${MAX_TEXT_LENGTH} characters)`;
+  }
+  return null;
+}
+
+/**
+ * Helper function: Attach the word-level diff of original vs corrected text
+ */
+function withDiff(entry) {
+  return {
+    ...entry,
+    diff: entry.corrected_text ? diffWords(entry.german_text, entry.corrected_text) : []
+  };
+}
+
+/**
+ * GET /api/journal/entries
+ * Get all entries with pagination
+ * Query: page, limit, sort (newest, oldest, longest, shortest)
+ */
+router.get('/entries', async (c) => {
+  try {
+    const page = parseInt(c.req.query('page')) || 1;
+    const limit = Math.min(parseInt(c.req.query('limit')) || 20, 100);
+    const offset = (page - 1) * limit;
+    const sort = c.req.query('sort') || 'newest';
+
+    const { entries, total } = await getRepositories(c).journal.list({ sort, limit, offset });
+
+    return c.json({
+      success: true,
+      data: entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching journal entries:', error);
+    return c.json({
+      success: false,
+      error: 'Failed to fetch journal entries'
+    }, 500);
+  }
+});
+
+/**
+ * GET /api/journal/search
+ * Search entries by text and/or date range
+ * Query: q, startDate, endDate
+ */
+router.get('/search', async (c) => {
+  try {
+    const q = c.req.query('q');
+    const startDate = c.req.query('startDate');
+    const endDate = c.req.query('endDate');
+
+    if (!q && !startDate && !endDate) {
+      return c.json({
+        success: false,
+        error: 'Search query or date range required'
+      }, 400);
+    }
+
+    let before;
+    if (endDate) {
+      const endDateTime = new Date(endDate);
+      endDateTime.setDate(endDateTime.getDate() + 1);
+      before = endDateTime.toISOString();
+    }
+
+    const results = await getRepositories(c).journal.search({ text: q, from: startDate, before });
+
+    return c.json({
+      success: true,
+      data: results,
+      count: results.length
+    });
+  } catch (error) {
+    console.error('Error searching journal entries:', error);
+    return c.json({
+      success: false,
+      error: 'Failed to search journal entries'
+    }, 500);
+  }
+});
+
+/**
+ * GET /api/journal/entry/:id
+ * Get a specific entry with its diff
+ */
+router.get('/entry/:id', async (c) => {
+  try {
+    const id = c.req.param('id');
+
+    const entry = await getRepositories(c).journal.get(id);
+
+    if (!entry) {
+      return c.json({
+        success: false,
+        error: 'Journal entry not found'
+      }, 404);
+    }
+
+    return c.json({
+      success: true,
+      data: withDiff(entry)
+    });
+  } catch (error) {
+    console.error('Error fetching journal entry:', error);
+    return c.json({
+      success: false,
+      error: 'Failed to fetch journal entry'
+    }, 500);
+  }
+});
+
+/**
+ * POST /api/journal/entry
+ * Save German text, correct it with Gemini and extract new vocabulary
+ * Request body: { german_text, session_duration? }
+ */
+router.post('/entry', async (c) => {
+  try {
+    const repositories = getRepositories(c);
+    const { german_text, session_duration } = await c.req.json();
+
+    const validationError = validateText(german_text);
+    if (validationError) {
+      return c.json({ success: false, error: validationError }, 400);
+    }
+
+    const text = german_text.trim();
+    const correction = await correctText(text, c.env);
+
+    const newEntry = await repositories.journal.create({
+      german_text: text,
+      ...correction,
+      word_count: countWords(text),
+      session_duration: session_duration || 0
+    });
+
+    try {
+      await recordMistakes(text, correction.corrections, repositories.mistakes, { source: 'journal', journal_entry_id: newEntry.id });
+    } catch (error) {
+      console.error('Error recording mistakes:', error);
+    }
+
+    // New words come from the corrected text so misspellings don't end up in vocabulary
+    let newWords = [];
+    try {
+      newWords = await extractVocabulary(correction.corrected_text || text, c.env, repositories.vocabulary);
+    } catch (error) {
+      console.error('Error extracting vocabulary:', error);
+    }
+
+    const today = new Date().toISOString().split('T')[0];
+    try {
+      await repositories.progress.addToStats(today, {
+        words_learned: newWords.length,
+        entries_written: 1,
+        minutes_practiced: session_duration || 0
+      });
+    } catch (error) {
+      console.error('Error updating stats:', error.message);
+    }
+
+    return c.json({
+      success: true,
+      data: {
+        ...withDiff(newEntry),
+        new_words: newWords
+      }
+    }, 201);
+  } catch (error) {
+    console.error('Error saving journal entry:', error);
+    return c.json({
+      success: false,
+      error: 'Failed to save journal entry'
+    }, 500);
+  }
+});
+
+/**
+ * POST /api/journal/correct
+ * Correct free-writing text without saving a journal entry; mistakes are still tracked
+ * Request body: { german_text }
+ */
+router.post('/correct', async (c) => {
+  try {
+    const { german_text } = await c.req.json();
+
+    const validationError = validateText(german_text);
+    if (validationError) {
+      return c.json({ success: false, error: validationError }, 400);
+    }
+
+    const text = german_text.trim();
+    const correction = await correctText(text, c.env);
+
+    if (correction.corrected_text === null) {
+      return c.json({
+        success: false,
+        error: 'Correction is not available right now'
+      }, 503);
+    }
+
+    try {
+      await recordMistakes(text, correction.corrections, getRepositories(c).mistakes, { source: 'free_writing' });
+    } catch (error) {
+      console.error('Error recording mistakes:', error);
+    }
+
+    return c.json({
+      success: true,
+      data: withDiff({ german_text: text, ...correction })
+    });
+  } catch (error) {
+    console.error('Error correcting text:', error);
+    return c.json({
+      success: false,
+      error: 'Failed to correct text'
+    }, 500);
+  }
+});
+
+/**
+ * PUT /api/journal/entry/:id
+ * Update the German text and correct it again
+ * Request body: { german_text }
+ */
+router.put('/entry/:id', async (c) => {
+  try {
+    const repositories = getRepositories(c);
+    const id = c.req.param('id');
+    const { german_text } = await c.req.json();
+
+    const validationError = validateText(german_text);
+    if (validationError) {
+      return c.json({ success: false, error: validationError }, 400);
+    }
+
+    const text = german_text.trim();
+    const correction = await correctText(text, c.env);
+
+    const updated = await repositories.journal.update(id, {
+      german_text: text,
+      ...correction,
+      word_count: countWords(text),
+      updated_at: new Date().toISOString()
+    });
+
+    if (!updated) {
+      return c.json({
+        success: false,
+        error: 'Journal entry not found'
+      }, 404);
+    }
+
+    try {
+      await repositories.mistakes.removeForJournalEntry(updated.id);
+      await recordMistakes(text, correction.corrections, repositories.mistakes, { source: 'journal', journal_entry_id: updated.id });
+    } catch (error) {
+      console.error('Error recording mistakes:', error);
+    }
+
+    // Vocabulary was already extracted when the entry was created; running it again would inflate frequencies
+    return c.json({
+      success: true,
+      data: {
+        ...withDiff(updated),
+        new_words: []
+      }
+    });
+  } catch (error) {
+    console.error('Error updating journal entry:', error);
+    return c.json({
+      success: false,
+      error: 'Failed to update journal entry'
+    }, 500);
+  }
+});
+
+/**
+ * DELETE /api/journal/entry/:id
+ * Delete an entry
+ */
+router.delete('/entry/:id', async (c) => {
+  try {
+    const id = c.req.param('id');
+
+    await getRepositories(c).journal.remove(id);
+
+    return c.json({
+      success: true,
+      message: 'Journal entry deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting journal entry:', error);
+    return c.json({
+      success: false,
+      error: 'Failed to delete journal entry'
+    }, 500);
+  }
+});
+
+export default router
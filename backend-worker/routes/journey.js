@@ -1,5 +1,5 @@
 import { Hono } from 'hono'
-import { getSupabaseClient } from '../supabase.js'
+import { getRepositories } from '../repositories/index.js'
 
 const router = new Hono()
 
@@ -52,37 +52,37 @@ function getMilestoneAchievementKey(dayNumber) {
 
 /**
  * Helper function: Initialize journey progress if it doesn't exist
+ * New users also get their own copy of the achievements and landmarks
+ * (the rows seeded by migrations/0002_journey_map.sql are the templates)
  */
-async function ensureJourneyProgress(supabase) {
-  const { data: existing, error: checkError } = await supabase
-    .from('journey_progress')
-    .select('*')
-    .eq('user_id', 1)
-    .single();
-
-  if (checkError && checkError.code !== 'PGRST116') {
-    throw checkError;
-  }
+async function ensureJourneyProgress(journey) {
+  const existing = await journey.getProgress();
 
   if (!existing) {
-    const { data: newProgress, error: insertError } = await supabase
-      .from('journey_progress')
-      .insert({
-        user_id: 1,
-        journey_start_date: new Date().toISOString().split('T')[0],
-        current_day: 1,
-        completed_days: []
-      })
-      .select()
-      .single();
-
-    if (insertError) throw insertError;
+    const newProgress = await journey.createProgress({
+      journey_start_date: new Date().toISOString().split('T')[0],
+      current_day: 1,
+      completed_days: []
+    });
+
+    await journey.copyTemplates();
     return newProgress;
   }
 
   return existing;
 }
 
+/**
+ * Helper function: Unlock an achievement unless it already is
+ */
+async function unlockAchievementOnce(journey, key, journeyDay) {
+  const existingAch = await journey.getAchievement(key);
+
+  if (existingAch && !existingAch.unlocked_at) {
+    await journey.unlockAchievement(key, journeyDay);
+  }
+}
+
 /**
  * GET /api/journey/status
  * Returns current journey status, progress, and next milestone
@@ -90,21 +90,16 @@ async function ensureJourneyProgress(supabase) {
 router.get('/status', async (c) => {
   try {
     console.log('[DEBUG] /journey/status endpoint called');
-    const supabase = getSupabaseClient(c.env);
-    console.log('[DEBUG] Supabase client created successfully');
+    const { journey } = getRepositories(c);
     
     // Ensure journey progress exists
     console.log('[DEBUG] Attempting to ensure journey progress...');
-    const journeyProgress = await ensureJourneyProgress(supabase);
+    const journeyProgress = await ensureJourneyProgress(journey);
     console.log('[DEBUG] Journey progress retrieved:', journeyProgress);
     
     // Get today's activity
     const today = new Date().toISOString().split('T')[0];
-    const { data: todayActivity } = await supabase
-      .from('daily_activities')
-      .select('*')
-      .eq('activity_date', today)
-      .single();
+    const todayActivity = await journey.getActivity(today);
 
     // Calculate progress stats
     const completedDays = journeyProgress.completed_days || [];
@@ -144,7 +139,7 @@ router.get('/status', async (c) => {
     if (error.message && error.message.includes('relation') && error.message.includes('does not exist')) {
       return c.json({
         success: false,
-        error: 'Journey tables not initialized. Please run setup-journey script or journey-schema.sql in Supabase.',
+        error: 'Journey tables not initialized. Please run the database migrations (npm run migrate).',
         details: error.message
       }, 500);
     }
@@ -164,7 +159,7 @@ router.get('/status', async (c) => {
  */
 router.post('/complete-day', async (c) => {
   try {
-    const supabase = getSupabaseClient(c.env);
+    const { journey, tasks } = getRepositories(c);
     const body = await c.req.json();
     
     const activityDate = body.date || new Date().toISOString().split('T')[0];
@@ -172,7 +167,7 @@ router.post('/complete-day', async (c) => {
     const vocabularyAdded = body.vocabulary_added || 0;
 
     // Ensure journey progress exists
-    const journeyProgress = await ensureJourneyProgress(supabase);
+    const journeyProgress = await ensureJourneyProgress(journey);
     
     // Check if day is already completed
     const completedDays = journeyProgress.completed_days || [];
@@ -193,19 +188,7 @@ router.post('/complete-day', async (c) => {
     // First check if all daily tasks are completed
     const today = new Date().toISOString().split('T')[0];
     
-    const { data: allTasks, error: tasksError } = await supabase
-      .from('daily_tasks')
-      .select('id');
-      
-    const { data: completedTasks, error: completedError } = await supabase
-      .from('daily_task_progress')
-      .select('*')
-      .eq('completion_date', today)
-      .not('completed_at', 'is', null);
-    
-    const allDailyTasksCompleted = allTasks && completedTasks && 
-                                   (completedTasks.length === allTasks.length) &&
-                                   allTasks.length > 0;
+    const allDailyTasksCompleted = await tasks.allCompleted(today);
     
     const activities = {
       minutes_practiced: minutesPracticed,
@@ -216,28 +199,20 @@ router.post('/complete-day', async (c) => {
     console.log('[DEBUG] Journey completion check:', {
       minutes_practiced: minutesPracticed,
       vocabulary_added_count: vocabularyAdded,
-      daily_tasks_completed: allDailyTasksCompleted,
-      total_tasks: allTasks?.length,
-      completed_tasks: completedTasks?.length
+      daily_tasks_completed: allDailyTasksCompleted
     });
     
     const dayComplete = isDayCompleted(activities);
 
     // Upsert daily activity
-    const { error: activityError } = await supabase
-      .from('daily_activities')
-      .upsert({
-        activity_date: activityDate,
-        minutes_practiced: minutesPracticed,
-        vocabulary_added_count: vocabularyAdded,
-        day_completed: dayComplete,
-        journey_day_number: dayComplete ? currentDay : null,
-        updated_at: new Date().toISOString()
-      }, {
-        onConflict: 'activity_date'
-      });
-
-    if (activityError) throw activityError;
+    await journey.saveActivity({
+      activity_date: activityDate,
+      minutes_practiced: minutesPracticed,
+      vocabulary_added_count: vocabularyAdded,
+      day_completed: dayComplete,
+      journey_day_number: dayComplete ? currentDay : null,
+      updated_at: new Date().toISOString()
+    });
 
     if (!dayComplete) {
       return c.json({
@@ -254,17 +229,12 @@ router.post('/complete-day', async (c) => {
     const newCompletedDays = [...completedDays, currentDay];
     const nextDay = currentDay < 30 ? currentDay + 1 : currentDay;
     
-    const { error: updateError } = await supabase
-      .from('journey_progress')
-      .update({
-        current_day: nextDay,
-        completed_days: newCompletedDays,
-        last_activity_date: activityDate,
-        updated_at: new Date().toISOString()
-      })
-      .eq('user_id', 1);
-
-    if (updateError) throw updateError;
+    await journey.updateProgress({
+      current_day: nextDay,
+      completed_days: newCompletedDays,
+      last_activity_date: activityDate,
+      updated_at: new Date().toISOString()
+    });
 
     // Check for milestone achievements
     const milestoneReached = isMilestone(currentDay);
@@ -274,17 +244,9 @@ router.post('/complete-day', async (c) => {
       const achievementKey = getMilestoneAchievementKey(currentDay);
       
       if (achievementKey) {
-        const { data: achievement, error: achError } = await supabase
-          .from('achievements')
-          .update({
-            unlocked_at: new Date().toISOString(),
-            journey_day: currentDay
-          })
-          .eq('achievement_key', achievementKey)
-          .select()
-          .single();
-
-        if (!achError && achievement) {
+        const achievement = await journey.unlockAchievement(achievementKey, currentDay);
+
+        if (achievement) {
           achievementsUnlocked.push(achievement);
         }
 
@@ -298,75 +260,27 @@ router.post('/complete-day', async (c) => {
         
         const landmarkKey = landmarkMap[currentDay];
         if (landmarkKey) {
-          await supabase
-            .from('journey_landmarks')
-            .update({
-              unlocked: true,
-              unlocked_at: new Date().toISOString()
-            })
-            .eq('landmark_key', landmarkKey);
+          await journey.unlockLandmark(landmarkKey);
         }
       }
 
       // Check for first journey completion
       if (currentDay === 30) {
-        const { error: journeyCompleteError } = await supabase
-          .from('achievements')
-          .update({
-            unlocked_at: new Date().toISOString(),
-            journey_day: 30
-          })
-          .eq('achievement_key', 'first_journey_complete');
-
-        if (!journeyCompleteError) {
-          const { data: firstJourneyAch } = await supabase
-            .from('achievements')
-            .select('*')
-            .eq('achievement_key', 'first_journey_complete')
-            .single();
-          
-          if (firstJourneyAch) {
-            achievementsUnlocked.push(firstJourneyAch);
-          }
+        const firstJourneyAch = await journey.unlockAchievement('first_journey_complete', 30);
+
+        if (firstJourneyAch) {
+          achievementsUnlocked.push(firstJourneyAch);
         }
       }
     }
 
     // Check for special achievements
     if (minutesPracticed >= 50) {
-      const { data: existingAch } = await supabase
-        .from('achievements')
-        .select('unlocked_at')
-        .eq('achievement_key', 'dedicated_pirate')
-        .single();
-
-      if (existingAch && !existingAch.unlocked_at) {
-        await supabase
-          .from('achievements')
-          .update({
-            unlocked_at: new Date().toISOString(),
-            journey_day: currentDay
-          })
-          .eq('achievement_key', 'dedicated_pirate');
-      }
+      await unlockAchievementOnce(journey, 'dedicated_pirate', currentDay);
     }
 
     if (vocabularyAdded >= 20) {
-      const { data: existingAch } = await supabase
-        .from('achievements')
-        .select('unlocked_at')
-        .eq('achievement_key', 'word_hoarder')
-        .single();
-
-      if (existingAch && !existingAch.unlocked_at) {
-        await supabase
-          .from('achievements')
-          .update({
-            unlocked_at: new Date().toISOString(),
-            journey_day: currentDay
-          })
-          .eq('achievement_key', 'word_hoarder');
-      }
+      await unlockAchievementOnce(journey, 'word_hoarder', currentDay);
     }
 
     return c.json({
@@ -394,14 +308,12 @@ router.post('/complete-day', async (c) => {
  */
 router.get('/achievements', async (c) => {
   try {
-    const supabase = getSupabaseClient(c.env);
-    
-    const { data: achievements, error } = await supabase
-      .from('achievements')
-      .select('*')
-      .order('unlocked_at', { ascending: false, nullsFirst: false });
+    const { journey } = getRepositories(c);
 
-    if (error) throw error;
+    // New users get their copy of the achievements and landmarks here
+    await ensureJourneyProgress(journey);
+    
+    const achievements = await journey.listAchievements();
 
     const unlocked = achievements.filter(a => a.unlocked_at !== null);
     const locked = achievements.filter(a => a.unlocked_at === null);
@@ -430,14 +342,12 @@ router.get('/achievements', async (c) => {
  */
 router.get('/landmarks', async (c) => {
   try {
-    const supabase = getSupabaseClient(c.env);
-    
-    const { data: landmarks, error } = await supabase
-      .from('journey_landmarks')
-      .select('*')
-      .order('day_number', { ascending: true });
+    const { journey } = getRepositories(c);
 
-    if (error) throw error;
+    // New users get their copy of the achievements and landmarks here
+    await ensureJourneyProgress(journey);
+    
+    const landmarks = await journey.listLandmarks();
 
     return c.json({
       success: true,
@@ -458,14 +368,10 @@ router.get('/landmarks', async (c) => {
  */
 router.post('/reset', async (c) => {
   try {
-    const supabase = getSupabaseClient(c.env);
+    const { journey } = getRepositories(c);
     
     // Get current journey progress
-    const { data: currentProgress } = await supabase
-      .from('journey_progress')
-      .select('*')
-      .eq('user_id', 1)
-      .single();
+    const currentProgress = await journey.getProgress();
 
     const completedCount = currentProgress ? currentProgress.journey_completed_count : 0;
     const newCount = currentProgress && currentProgress.completed_days.length === 30 
@@ -473,37 +379,20 @@ router.post('/reset', async (c) => {
       : completedCount;
 
     // Reset journey progress
-    const { error: updateError } = await supabase
-      .from('journey_progress')
-      .update({
-        journey_start_date: new Date().toISOString().split('T')[0],
-        current_day: 1,
-        completed_days: [],
-        last_activity_date: null,
-        journey_completed_count: newCount,
-        updated_at: new Date().toISOString()
-      })
-      .eq('user_id', 1);
-
-    if (updateError) throw updateError;
+    await journey.updateProgress({
+      journey_start_date: new Date().toISOString().split('T')[0],
+      current_day: 1,
+      completed_days: [],
+      last_activity_date: null,
+      journey_completed_count: newCount,
+      updated_at: new Date().toISOString()
+    });
 
     // Reset landmarks
-    await supabase
-      .from('journey_landmarks')
-      .update({
-        unlocked: false,
-        unlocked_at: null
-      })
-      .neq('id', 0); // Update all
+    await journey.resetLandmarks();
 
     // Reset milestone achievements (keep special achievements)
-    await supabase
-      .from('achievements')
-      .update({
-        unlocked_at: null,
-        journey_day: null
-      })
-      .eq('category', 'milestone');
+    await journey.resetAchievements('milestone');
 
     return c.json({
       success: true,
@@ -522,41 +411,26 @@ router.post('/reset', async (c) => {
 
 /**
  * POST /api/journey/update-activity
- * Updates today's activity metrics (called by timer/vocab systems)
- * Request body: { minutes_practiced?, vocabulary_added? }
+ * Updates today's activity metrics (called by timer/vocab/study systems)
+ * Request body: { minutes_practiced?, vocabulary_added?, cards_reviewed? }
  */
 router.post('/update-activity', async (c) => {
   try {
-    const supabase = getSupabaseClient(c.env);
+    const { journey, tasks } = getRepositories(c);
     const body = await c.req.json();
     
     const today = new Date().toISOString().split('T')[0];
     
     // Get current activity or create new
-    const { data: currentActivity } = await supabase
-      .from('daily_activities')
-      .select('*')
-      .eq('activity_date', today)
-      .single();
+    const currentActivity = await journey.getActivity(today);
 
     const minutesPracticed = (currentActivity?.minutes_practiced || 0) + (body.minutes_practiced || 0);
     const vocabularyAdded = (currentActivity?.vocabulary_added_count || 0) + (body.vocabulary_added || 0);
+    const cardsReviewed = (currentActivity?.cards_reviewed || 0) + (body.cards_reviewed || 0);
 
     // Check if day should be auto-completed
     // First check if all daily tasks are completed
-    const { data: allTasks, error: tasksError } = await supabase
-      .from('daily_tasks')
-      .select('id');
-      
-    const { data: completedTasks, error: completedError } = await supabase
-      .from('daily_task_progress')
-      .select('*')
-      .eq('completion_date', today)
-      .not('completed_at', 'is', null);
-    
-    const allDailyTasksCompleted = allTasks && completedTasks && 
-                                   (completedTasks.length === allTasks.length) &&
-                                   allTasks.length > 0;
+    const allDailyTasksCompleted = await tasks.allCompleted(today);
     
     const activities = {
       minutes_practiced: minutesPracticed,
@@ -569,37 +443,29 @@ router.post('/update-activity', async (c) => {
 
     // If day just became complete, get current journey day
     if (dayComplete && !currentActivity?.day_completed) {
-      const { data: journeyProgress } = await supabase
-        .from('journey_progress')
-        .select('current_day')
-        .eq('user_id', 1)
-        .single();
+      const journeyProgress = await journey.getProgress();
       
       journeyDayNumber = journeyProgress?.current_day || null;
     }
 
     // Upsert daily activity
-    const { error: activityError } = await supabase
-      .from('daily_activities')
-      .upsert({
-        activity_date: today,
-        minutes_practiced: minutesPracticed,
-        vocabulary_added_count: vocabularyAdded,
-        day_completed: dayComplete,
-        journey_day_number: journeyDayNumber,
-        updated_at: new Date().toISOString()
-      }, {
-        onConflict: 'activity_date'
-      });
-
-    if (activityError) throw activityError;
+    await journey.saveActivity({
+      activity_date: today,
+      minutes_practiced: minutesPracticed,
+      vocabulary_added_count: vocabularyAdded,
+      cards_reviewed: cardsReviewed,
+      day_completed: dayComplete,
+      journey_day_number: journeyDayNumber,
+      updated_at: new Date().toISOString()
+    });
 
     return c.json({
       success: true,
       day_completed: dayComplete,
       activities: {
         minutes_practiced: minutesPracticed,
-        vocabulary_added_count: vocabularyAdded
+        vocabulary_added_count: vocabularyAdded,
+        cards_reviewed: cardsReviewed
       }
     });
   } catch (error) {
@@ -1,5 +1,5 @@
 import { Hono } from 'hono'
-import { getSupabaseClient } from '../supabase.js'
+import { getRepositories } from '../repositories/index.js'
 
 const router = new Hono()
 
@@ -9,17 +9,11 @@ const router = new Hono()
  */
 router.get('/categories', async (c) => {
     try {
-        const supabase = getSupabaseClient(c.env);
-        const { data: categories, error } = await supabase
-            .from('note_categories')
-            .select('*')
-            .order('name', { ascending: true });
-
-        if (error) throw error;
+        const categories = await getRepositories(c).notes.categories.list();
 
         return c.json({
             success: true,
-            data: categories || []
+            data: categories
         });
     } catch (error) {
         console.error('Error fetching note categories:', error);
@@ -36,19 +30,15 @@ router.get('/categories', async (c) => {
  */
 router.post('/categories', async (c) => {
     try {
-        const supabase = getSupabaseClient(c.env);
         const { name } = await c.req.json();
         if (!name || name.trim().length === 0) {
             return c.json({ success: false, error: 'Category name is required' }, 400);
         }
 
-        const { data: category, error } = await supabase
-            .from('note_categories')
-            .insert({ name: name.trim() })
-            .select()
-            .single();
-
-        if (error) {
+        let category;
+        try {
+            category = await getRepositories(c).notes.categories.create(name.trim());
+        } catch (error) {
             if (error.code === '23505') { // Unique constraint
                 return c.json({ success: false, error: 'Category already exists' }, 409);
             }
@@ -74,7 +64,6 @@ router.post('/categories', async (c) => {
  */
 router.put('/categories/:id', async (c) => {
     try {
-        const supabase = getSupabaseClient(c.env);
         const id = c.req.param('id');
         const { name } = await c.req.json();
         
@@ -82,23 +71,20 @@ router.put('/categories/:id', async (c) => {
             return c.json({ success: false, error: 'Category name is required' }, 400);
         }
 
-        const { data: category, error } = await supabase
-            .from('note_categories')
-            .update({ name: name.trim() })
-            .eq('id', id)
-            .select()
-            .single();
-
-        if (error) {
-            if (error.code === 'PGRST116') {
-                return c.json({ success: false, error: 'Category not found' }, 404);
-            }
+        let category;
+        try {
+            category = await getRepositories(c).notes.categories.rename(id, name.trim());
+        } catch (error) {
             if (error.code === '23505') { // Unique constraint
                 return c.json({ success: false, error: 'Category name already exists' }, 409);
             }
             throw error;
         }
 
+        if (!category) {
+            return c.json({ success: false, error: 'Category not found' }, 404);
+        }
+
         return c.json({
             success: true,
             data: category
@@ -114,30 +100,21 @@ router.put('/categories/:id', async (c) => {
 
 /**
  * DELETE /api/notes/categories/:id
- * Delete a note category (sets notes' category_id to NULL)
+ * Move a note category to the trash (its notes keep it until it is purged)
  */
 router.delete('/categories/:id', async (c) => {
     try {
-        const supabase = getSupabaseClient(c.env);
         const id = c.req.param('id');
+        const category = await getRepositories(c).notes.categories.remove(id);
 
-        // First, set category_id to NULL for all notes in this category
-        await supabase
-            .from('notes')
-            .update({ category_id: null })
-            .eq('category_id', id);
-
-        // Then delete the category
-        const { error } = await supabase
-            .from('note_categories')
-            .delete()
-            .eq('id', id);
-
-        if (error) throw error;
+        if (!category) {
+            return c.json({ success: false, error: 'Category not found' }, 404);
+        }
 
         return c.json({
             success: true,
-            message: 'Category deleted successfully'
+            message: 'Category moved to trash',
+            data: { type: 'note_category', id: category.id }
         });
     } catch (error) {
         console.error('Error deleting note category:', error);
@@ -154,37 +131,13 @@ router.delete('/categories/:id', async (c) => {
 router.get('/', async (c) => {
     try {
         console.log('[DEBUG] GET /notes endpoint called');
-        const supabase = getSupabaseClient(c.env);
         const sort = c.req.query('sort') || 'newest';
         const category_id = c.req.query('category_id');
         console.log('[DEBUG] Sort parameter:', sort);
         console.log('[DEBUG] Category filter:', category_id);
         
-        let query = supabase
-            .from('notes')
-            .select('*, note_categories(id, name)');
-
-        // Add category filter
-        if (category_id && category_id !== 'all') {
-            query = query.eq('category_id', category_id);
-        }
-
-        if (sort === 'az') {
-            query = query.order('title', { ascending: true });
-        } else if (sort === 'za') {
-            query = query.order('title', { ascending: false });
-        } else if (sort === 'oldest') {
-            query = query.order('created_at', { ascending: true });
-        } else {
-            query = query.order('created_at', { ascending: false });
-        }
-
         console.log('[DEBUG] Executing query to fetch notes...');
-        const { data: notes, error } = await query;
-        if (error) {
-            console.error('[DEBUG] Supabase query error:', error);
-            throw error;
-        }
+        const notes = await getRepositories(c).notes.list({ categoryId: category_id, sort });
 
         console.log('[DEBUG] Notes fetched successfully:', {
             count: notes ? notes.length : 0,
@@ -214,19 +167,11 @@ router.get('/', async (c) => {
  */
 router.get('/:id', async (c) => {
     try {
-        const supabase = getSupabaseClient(c.env);
         const id = c.req.param('id')
-        const { data: note, error } = await supabase
-            .from('notes')
-            .select('*')
-            .eq('id', id)
-            .single();
+        const note = await getRepositories(c).notes.get(id);
 
-        if (error) {
-            if (error.code === 'PGRST116') {
-                return c.json({ success: false, error: 'Note not found' }, 404);
-            }
-            throw error;
+        if (!note) {
+            return c.json({ success: false, error: 'Note not found' }, 404);
         }
 
         return c.json({ success: true, data: note });
@@ -242,9 +187,7 @@ router.get('/:id', async (c) => {
 router.post('/', async (c) => {
     try {
         console.log('[DEBUG] POST /notes endpoint called');
-        const supabase = getSupabaseClient(c.env);
-        console.log('[DEBUG] Supabase client created successfully');
-        
+
         const body = await c.req.json();
         console.log('[DEBUG] Request body received:', body);
         
@@ -264,16 +207,7 @@ router.post('/', async (c) => {
         }
 
         console.log('[DEBUG] Attempting to insert note:', insertData);
-        const { data: newNote, error } = await supabase
-            .from('notes')
-            .insert(insertData)
-            .select()
-            .single();
-
-        if (error) {
-            console.error('[DEBUG] Supabase insert error:', error);
-            throw error;
-        }
+        const newNote = await getRepositories(c).notes.create(insertData);
 
         console.log('[DEBUG] Note created successfully:', newNote);
         return c.json({ success: true, data: newNote }, 201);
@@ -291,7 +225,6 @@ router.post('/', async (c) => {
  */
 router.put('/:id', async (c) => {
     try {
-        const supabase = getSupabaseClient(c.env);
         const id = c.req.param('id')
         const { title, content, category_id } = await c.req.json();
         
@@ -321,18 +254,10 @@ router.put('/:id', async (c) => {
             return c.json({ success: false, error: 'No fields to update' }, 400);
         }
 
-        const { data: updatedNote, error } = await supabase
-            .from('notes')
-            .update(updateData)
-            .eq('id', id)
-            .select()
-            .single();
+        const updatedNote = await getRepositories(c).notes.update(id, updateData);
 
-        if (error) {
-            if (error.code === 'PGRST116') {
-                return c.json({ success: false, error: 'Note not found' }, 404);
-            }
-            throw error;
+        if (!updatedNote) {
+            return c.json({ success: false, error: 'Note not found' }, 404);
         }
 
         return c.json({ success: true, data: updatedNote });
@@ -344,14 +269,16 @@ router.put('/:id', async (c) => {
 
 /**
  * DELETE /api/notes/:id
+ * Move a note to the trash (restore it with POST /api/trash/note/:id/restore)
  */
 router.delete('/:id', async (c) => {
     try {
-        const supabase = getSupabaseClient(c.env);
         const id = c.req.param('id')
-        const { error } = await supabase.from('notes').delete().eq('id', id);
-        if (error) throw error;
-        return c.json({ success: true, message: 'Note deleted successfully' });
+        const note = await getRepositories(c).notes.remove(id);
+        if (!note) {
+            return c.json({ success: false, error: 'Note not found' }, 404);
+        }
+        return c.json({ success: true, message: 'Note moved to trash', data: { type: 'note', id: note.id } });
     } catch (error) {
         console.error('Error deleting note:', error);
         return c.json({ success: false, error: 'Failed to delete note' }, 500);
@@ -1,10 +1,32 @@
 import { Hono } from 'hono'
-import { getSupabaseClient } from '../supabase.js'
+import { getRepositories } from '../repositories/index.js'
 import { translateToGerman, translateToEnglish } from '../services/translation.js'
 import { generateExampleSentences } from '../services/gemini-translation.js'
+import { GRADES, isValidGrade, scheduleReview, logReview } from '../services/spaced-repetition.js'
 
 const router = new Hono()
 
+/**
+ * Helper function: Grade a single phrase and persist its next review schedule
+ * Returns null when the phrase does not exist
+ */
+async function applyPhraseReview(repositories, id, grade) {
+  const phrase = await repositories.phrases.get(id);
+  if (!phrase) return null;
+
+  const schedule = scheduleReview(phrase, grade);
+
+  const updatedPhrase = await repositories.phrases.update(id, {
+    ...schedule,
+    times_reviewed: (phrase.times_reviewed || 0) + 1
+  });
+  if (!updatedPhrase) return null;
+
+  await logReview(repositories.reviews, 'phrase', updatedPhrase.id, grade, schedule);
+
+  return updatedPhrase;
+}
+
 /**
  * GET /api/phrases
  * Get all phrases from database with optional category filtering
@@ -12,48 +34,19 @@ const router = new Hono()
  */
 router.get('/', async (c) => {
   try {
-    const supabase = getSupabaseClient(c.env);
     const category_id = c.req.query('category_id');
     const exclude_category_id = c.req.query('exclude_category_id');
     const sort = c.req.query('sort') || 'newest';
 
-    let query = supabase
-      .from('custom_phrases')
-      .select('id, english, german, meaning, example_english, example_german, created_at, times_reviewed, category_id');
-
-    // Add category filter
-    if (category_id && category_id !== 'all') {
-      query = query.eq('category_id', category_id);
-    }
-
-    // Add exclude category filter (for excluding Done category from "All Phrases")
-    if (exclude_category_id) {
-      query = query.or(`category_id.is.null,category_id.neq.${exclude_category_id}`);
-    }
-
-    // Add sorting
-    switch (sort) {
-      case 'oldest':
-        query = query.order('created_at', { ascending: true });
-        break;
-      case 'az':
-        query = query.order('german', { ascending: true });
-        break;
-      case 'za':
-        query = query.order('german', { ascending: false });
-        break;
-      case 'newest':
-      default:
-        query = query.order('created_at', { ascending: false });
-        break;
-    }
-
-    const { data: phrases, error } = await query;
-
-    if (error) throw error;
+    // exclude_category_id leaves out the Done category from "All Phrases"
+    const phrases = await getRepositories(c).phrases.list({
+      categoryId: category_id,
+      excludeCategoryId: exclude_category_id,
+      sort
+    });
 
     // Map phrases to include the 'phrase' field for frontend compatibility
-    const phrasesWithFormat = (phrases || []).map(p => ({
+    const phrasesWithFormat = phrases.map(p => ({
       ...p,
       phrase: p.german,
       builtin: false  // All phrases are now deletable/editable
@@ -83,17 +76,11 @@ router.get('/', async (c) => {
  */
 router.get('/categories', async (c) => {
   try {
-    const supabase = getSupabaseClient(c.env);
-    const { data: categories, error } = await supabase
-      .from('phrase_categories')
-      .select('*')
-      .order('name', { ascending: true });
-
-    if (error) throw error;
+    const categories = await getRepositories(c).phrases.categories.list();
 
     return c.json({
       success: true,
-      data: categories || []
+      data: categories
     });
   } catch (error) {
     console.error('Error fetching categories:', error);
@@ -110,19 +97,15 @@ router.get('/categories', async (c) => {
  */
 router.post('/categories', async (c) => {
   try {
-    const supabase = getSupabaseClient(c.env);
     const { name } = await c.req.json();
     if (!name || name.trim().length === 0) {
       return c.json({ success: false, error: 'Category name is required' }, 400);
     }
 
-    const { data: category, error } = await supabase
-      .from('phrase_categories')
-      .insert({ name: name.trim() })
-      .select()
-      .single();
-
-    if (error) {
+    let category;
+    try {
+      category = await getRepositories(c).phrases.categories.create(name.trim());
+    } catch (error) {
       if (error.code === '23505') { // Unique constraint
         return c.json({ success: false, error: 'Category already exists' }, 409);
       }
@@ -148,7 +131,6 @@ router.post('/categories', async (c) => {
  */
 router.put('/categories/:id', async (c) => {
   try {
-    const supabase = getSupabaseClient(c.env);
     const id = c.req.param('id');
     const { name } = await c.req.json();
 
@@ -156,23 +138,20 @@ router.put('/categories/:id', async (c) => {
       return c.json({ success: false, error: 'Category name is required' }, 400);
     }
 
-    const { data: category, error } = await supabase
-      .from('phrase_categories')
-      .update({ name: name.trim() })
-      .eq('id', id)
-      .select()
-      .single();
-
-    if (error) {
-      if (error.code === 'PGRST116') {
-        return c.json({ success: false, error: 'Category not found' }, 404);
-      }
+    let category;
+    try {
+      category = await getRepositories(c).phrases.categories.rename(id, name.trim());
+    } catch (error) {
       if (error.code === '23505') { // Unique constraint
         return c.json({ success: false, error: 'Category name already exists' }, 409);
       }
       throw error;
     }
 
+    if (!category) {
+      return c.json({ success: false, error: 'Category not found' }, 404);
+    }
+
     return c.json({
       success: true,
       data: category
@@ -188,30 +167,21 @@ router.put('/categories/:id', async (c) => {
 
 /**
  * DELETE /api/phrases/categories/:id
- * Delete a phrase category (sets phrases' category_id to NULL)
+ * Move a phrase category to the trash (its phrases keep it until it is purged)
  */
 router.delete('/categories/:id', async (c) => {
   try {
-    const supabase = getSupabaseClient(c.env);
     const id = c.req.param('id');
+    const category = await getRepositories(c).phrases.categories.remove(id);
 
-    // First, set category_id to NULL for all phrases in this category
-    await supabase
-      .from('custom_phrases')
-      .update({ category_id: null })
-      .eq('category_id', id);
-
-    // Then delete the category
-    const { error } = await supabase
-      .from('phrase_categories')
-      .delete()
-      .eq('id', id);
-
-    if (error) throw error;
+    if (!category) {
+      return c.json({ success: false, error: 'Category not found' }, 404);
+    }
 
     return c.json({
       success: true,
-      message: 'Category deleted successfully'
+      message: 'Category moved to trash',
+      data: { type: 'phrase_category', id: category.id }
     });
   } catch (error) {
     console.error('Error deleting category:', error);
@@ -222,15 +192,128 @@ router.delete('/categories/:id', async (c) => {
   }
 });
 
+/**
+ * GET /api/phrases/due
+ * Get phrases that are due for review, most overdue first
+ * Query: limit (default 20, max 100), category_id, exclude_category_id
+ */
+router.get('/due', async (c) => {
+  try {
+    const limit = Math.min(parseInt(c.req.query('limit')) || 20, 100);
+    const category_id = c.req.query('category_id');
+    const exclude_category_id = c.req.query('exclude_category_id');
+    const now = new Date().toISOString();
+
+    const { phrases, total } = await getRepositories(c).phrases.listDue({
+      now,
+      categoryId: category_id,
+      excludeCategoryId: exclude_category_id,
+      limit
+    });
+
+    const phrasesWithFormat = phrases.map(p => ({
+      ...p,
+      phrase: p.german,
+      builtin: false
+    }));
+
+    return c.json({
+      success: true,
+      data: phrasesWithFormat,
+      count: phrasesWithFormat.length,
+      total_due: total
+    });
+  } catch (error) {
+    console.error('Error fetching due phrases:', error);
+    return c.json({
+      success: false,
+      error: 'Failed to fetch due phrases'
+    }, 500);
+  }
+});
+
+/**
+ * POST /api/phrases/review-session
+ * Grade a batch of phrases at the end of a review session
+ * Request body: { reviews: [{ id, grade }] } where grade is again/hard/good/easy
+ */
+router.post('/review-session', async (c) => {
+  try {
+    const repositories = getRepositories(c);
+    const { reviews } = await c.req.json();
+
+    if (!Array.isArray(reviews) || reviews.length === 0) {
+      return c.json({
+        success: false,
+        error: 'At least one review is required'
+      }, 400);
+    }
+
+    const invalid = reviews.find(r => !r || !r.id || !isValidGrade(r.grade));
+    if (invalid) {
+      return c.json({
+        success: false,
+        error: `Each review needs an id and a grade (${GRADES.join(', ')})`
+      }, 400);
+    }
+
+    const results = [];
+    const summary = { again: 0, hard: 0, good: 0, easy: 0 };
+    const errors = [];
+
+    for (const review of reviews) {
+      try {
+        const updatedPhrase = await applyPhraseReview(repositories, review.id, review.grade);
+        if (!updatedPhrase) {
+          errors.push({ id: review.id, error: 'Custom phrase not found' });
+          continue;
+        }
+        summary[review.grade]++;
+        results.push({
+          id: updatedPhrase.id,
+          grade: review.grade,
+          interval_days: updatedPhrase.interval_days,
+          due_at: updatedPhrase.due_at
+        });
+      } catch (err) {
+        console.error(`Error reviewing phrase ${review.id}:`, err);
+        errors.push({ id: review.id, error: 'Failed to save review' });
+      }
+    }
+
+    const reviewed = results.length;
+    const correct = summary.good + summary.easy;
+
+    return c.json({
+      success: true,
+      data: {
+        reviewed,
+        summary,
+        accuracy: reviewed > 0 ? Math.round((correct / reviewed) * 100) : 0,
+        results,
+        errors: errors.length > 0 ? errors : undefined
+      }
+    });
+  } catch (error) {
+    console.error('Error saving phrase review session:', error);
+    return c.json({
+      success: false,
+      error: 'Failed to save review session'
+    }, 500);
+  }
+});
+
 /**
  * POST /api/phrases
  * Add a custom phrase with auto-translation and example generation
  * Supports both English->German and German->English translation
+ * Query: refresh=true to bypass the translation cache
  */
 router.post('/', async (c) => {
   try {
-    const supabase = getSupabaseClient(c.env);
+    const { phrases } = getRepositories(c);
     const { english, german, category_id } = await c.req.json();
+    const bypassCache = c.req.query('refresh') === 'true';
 
     // At least one language must be provided
     if (!english && !german) {
@@ -257,7 +340,7 @@ router.post('/', async (c) => {
       }
 
       try {
-        cleanGerman = await translateToGerman(cleanEnglish, c.env);
+        cleanGerman = await translateToGerman(cleanEnglish, c.env, { bypassCache });
         meaning = cleanEnglish;
       } catch (error) {
         console.error('Translation error:', error);
@@ -276,7 +359,7 @@ router.post('/', async (c) => {
       }
 
       try {
-        cleanEnglish = await translateToEnglish(cleanGerman, c.env);
+        cleanEnglish = await translateToEnglish(cleanGerman, c.env, { bypassCache });
         meaning = cleanEnglish;
       } catch (error) {
         console.error('Translation error:', error);
@@ -303,11 +386,7 @@ router.post('/', async (c) => {
     }
 
     // Check for duplicates
-    const { data: existing } = await supabase
-      .from('custom_phrases')
-      .select('*')
-      .or(`english.ilike.${cleanEnglish},german.ilike.${cleanGerman}`)
-      .single();
+    const existing = await phrases.findDuplicate({ english: cleanEnglish, german: cleanGerman });
 
     if (existing) {
       return c.json({
@@ -317,21 +396,15 @@ router.post('/', async (c) => {
       }, 409);
     }
 
-    const { data: newPhrase, error } = await supabase
-      .from('custom_phrases')
-      .insert({
-        english: cleanEnglish,
-        german: cleanGerman,
-        meaning: meaning,
-        example_english: exampleEnglish,
-        example_german: exampleGerman,
-        times_reviewed: 0,
-        category_id: category_id || null
-      })
-      .select()
-      .single();
-
-    if (error) throw error;
+    const newPhrase = await phrases.create({
+      english: cleanEnglish,
+      german: cleanGerman,
+      meaning: meaning,
+      example_english: exampleEnglish,
+      example_german: exampleGerman,
+      times_reviewed: 0,
+      category_id: category_id || null
+    });
 
     return c.json({
       success: true,
@@ -356,23 +429,14 @@ router.post('/', async (c) => {
  */
 router.get('/:id', async (c) => {
   try {
-    const supabase = getSupabaseClient(c.env);
     const id = c.req.param('id');
+    const phrase = await getRepositories(c).phrases.get(id);
 
-    const { data: phrase, error } = await supabase
-      .from('custom_phrases')
-      .select('*')
-      .eq('id', id)
-      .single();
-
-    if (error) {
-      if (error.code === 'PGRST116') {
-        return c.json({
-          success: false,
-          error: 'Phrase not found'
-        }, 404);
-      }
-      throw error;
+    if (!phrase) {
+      return c.json({
+        success: false,
+        error: 'Phrase not found'
+      }, 404);
     }
 
     return c.json({
@@ -398,25 +462,18 @@ router.get('/:id', async (c) => {
  */
 router.put('/:id', async (c) => {
   try {
-    const supabase = getSupabaseClient(c.env);
+    const { phrases } = getRepositories(c);
     const id = c.req.param('id');
     const { english, german, meaning, example_english, example_german, category_id } = await c.req.json();
 
     // Check if phrase exists
-    const { data: existing, error: fetchError } = await supabase
-      .from('custom_phrases')
-      .select('*')
-      .eq('id', id)
-      .single();
-
-    if (fetchError) {
-      if (fetchError.code === 'PGRST116') {
-        return c.json({
-          success: false,
-          error: 'Custom phrase not found'
-        }, 404);
-      }
-      throw fetchError;
+    const existing = await phrases.get(id);
+
+    if (!existing) {
+      return c.json({
+        success: false,
+        error: 'Custom phrase not found'
+      }, 404);
     }
 
     // Build update object with only provided fields
@@ -445,12 +502,7 @@ router.put('/:id', async (c) => {
       }
 
       // Check for duplicates (excluding current phrase)
-      const { data: duplicate } = await supabase
-        .from('custom_phrases')
-        .select('*')
-        .neq('id', id)
-        .or(`english.ilike.${cleanEnglish},german.ilike.${cleanGerman}`)
-        .single();
+      const duplicate = await phrases.findDuplicate({ english: cleanEnglish, german: cleanGerman, excludeId: id });
 
       if (duplicate) {
         return c.json({
@@ -472,14 +524,14 @@ router.put('/:id', async (c) => {
     }
 
     // Update the phrase
-    const { data: updatedPhrase, error } = await supabase
-      .from('custom_phrases')
-      .update(updateData)
-      .eq('id', id)
-      .select()
-      .single();
+    const updatedPhrase = await phrases.update(id, updateData);
 
-    if (error) throw error;
+    if (!updatedPhrase) {
+      return c.json({
+        success: false,
+        error: 'Custom phrase not found'
+      }, 404);
+    }
 
     return c.json({
       success: true,
@@ -500,22 +552,21 @@ router.put('/:id', async (c) => {
 
 /**
  * DELETE /api/phrases/:id
- * Delete a custom phrase
+ * Move a custom phrase to the trash (restore it with POST /api/trash/phrase/:id/restore)
  */
 router.delete('/:id', async (c) => {
   try {
-    const supabase = getSupabaseClient(c.env);
     const id = c.req.param('id');
-    const { error } = await supabase
-      .from('custom_phrases')
-      .delete()
-      .eq('id', id);
+    const phrase = await getRepositories(c).phrases.remove(id);
 
-    if (error) throw error;
+    if (!phrase) {
+      return c.json({ success: false, error: 'Custom phrase not found' }, 404);
+    }
 
     return c.json({
       success: true,
-      message: 'Custom phrase deleted successfully'
+      message: 'Custom phrase moved to trash',
+      data: { type: 'phrase', id: phrase.id }
     });
   } catch (error) {
     console.error('Error deleting custom phrase:', error);
@@ -528,37 +579,38 @@ router.delete('/:id', async (c) => {
 
 /**
  * PUT /api/phrases/:id/review
- * Increment review count for a phrase
+ * Grade a phrase, schedule its next review and increment its review count
+ * Request body: { grade } - again/hard/good/easy (defaults to good)
  */
 router.put('/:id/review', async (c) => {
   try {
-    const supabase = getSupabaseClient(c.env);
     const id = c.req.param('id')
-    const { data: phrase, error: fetchError } = await supabase
-      .from('custom_phrases')
-      .select('times_reviewed')
-      .eq('id', id)
-      .single();
-
-    if (fetchError) {
-      if (fetchError.code === 'PGRST116') {
-        return c.json({
-          success: false,
-          error: 'Custom phrase not found'
-        }, 404);
-      }
-      throw fetchError;
+    const body = await c.req.json().catch(() => ({}));
+    const grade = body.grade || 'good';
+
+    if (!isValidGrade(grade)) {
+      return c.json({
+        success: false,
+        error: `Grade must be one of: ${GRADES.join(', ')}`
+      }, 400);
     }
 
-    const { error } = await supabase
-      .from('custom_phrases')
-      .update({ times_reviewed: (phrase.times_reviewed || 0) + 1 })
-      .eq('id', id);
+    const updatedPhrase = await applyPhraseReview(getRepositories(c), id, grade);
 
-    if (error) throw error;
+    if (!updatedPhrase) {
+      return c.json({
+        success: false,
+        error: 'Custom phrase not found'
+      }, 404);
+    }
 
     return c.json({
       success: true,
+      data: {
+        ...updatedPhrase,
+        phrase: updatedPhrase.german,
+        builtin: false
+      },
       message: 'Phrase review count updated'
     });
   } catch (error) {
@@ -570,4 +622,26 @@ router.put('/:id/review', async (c) => {
   }
 });
 
+/**
+ * GET /api/phrases/:id/history
+ * Get the grade history of a phrase, newest first
+ */
+router.get('/:id/history', async (c) => {
+  try {
+    const id = c.req.param('id')
+    const history = await getRepositories(c).reviews.listForItem('phrase', id);
+
+    return c.json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    console.error('Error fetching phrase review history:', error);
+    return c.json({
+      success: false,
+      error: 'Failed to fetch review history'
+    }, 500);
+  }
+});
+
 export default router
\ No newline at end of file
@@ -1,5 +1,6 @@
 import { Hono } from 'hono'
-import { getSupabaseClient } from '../supabase.js'
+import { getRepositories } from '../repositories/index.js'
+import { ERROR_TYPES, ERROR_TYPE_LABELS } from '../services/writing-correction.js'
 
 const router = new Hono()
 
@@ -9,32 +10,18 @@ const router = new Hono()
  */
 router.get('/stats', async (c) => {
   try {
-    const supabase = getSupabaseClient(c.env);
-    const { count: vocabCount, error: vocabError } = await supabase
-      .from('vocabulary')
-      .select('*', { count: 'exact', head: true });
+    const { vocabulary, progress } = getRepositories(c);
+    const vocabCount = await vocabulary.count();
 
-    if (vocabError) throw vocabError;
+    // Summed here rather than with an RPC so only this user's rows are counted
+    const stats = await progress.listStats();
 
-    const { data: totalTimeData, error: timeError } = await supabase.rpc('sum_minutes_practiced');
-
-    let totalTime = 0;
-    if (timeError) {
-      const { data: stats } = await supabase.from('progress_stats').select('minutes_practiced');
-      totalTime = stats ? stats.reduce((sum, s) => sum + (s.minutes_practiced || 0), 0) : 0;
-    } else {
-      totalTime = totalTimeData || 0;
-    }
+    const totalTime = stats.reduce((sum, s) => sum + (s.minutes_practiced || 0), 0);
 
     const sevenDaysAgo = new Date();
     sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
 
-    const { count: thisWeekWords, error: weekWordsError } = await supabase
-      .from('vocabulary')
-      .select('*', { count: 'exact', head: true })
-      .gte('first_seen', sevenDaysAgo.toISOString());
-
-    if (weekWordsError) throw weekWordsError;
+    const thisWeekWords = await vocabulary.count({ since: sevenDaysAgo.toISOString() });
 
     return c.json({
       success: true,
@@ -61,17 +48,10 @@ router.get('/stats', async (c) => {
  */
 router.get('/streak', async (c) => {
   try {
-    const supabase = getSupabaseClient(c.env);
     // Streak calculation now based on daily_activities table instead of journal entries
-    const { data: activities, error } = await supabase
-      .from('daily_activities')
-      .select('activity_date, day_completed')
-      .eq('day_completed', true)
-      .order('activity_date', { ascending: false });
-
-    if (error) throw error;
+    const activities = await getRepositories(c).journey.listCompletedDays();
 
-    if (!activities || activities.length === 0) {
+    if (activities.length === 0) {
       return c.json({
         success: true,
         data: { current: 0, longest: 0, lastEntry: null }
@@ -153,18 +133,11 @@ router.get('/streak', async (c) => {
  */
 router.get('/history', async (c) => {
   try {
-    const supabase = getSupabaseClient(c.env);
     const days = parseInt(c.req.query('days')) || 7;
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - days);
 
-    const { data: history, error } = await supabase
-      .from('progress_stats')
-      .select('date, words_learned, entries_written, minutes_practiced')
-      .gte('date', startDate.toISOString().split('T')[0])
-      .order('date', { ascending: true });
-
-    if (error) throw error;
+    const history = await getRepositories(c).progress.listStats({ since: startDate.toISOString().split('T')[0] });
 
     const result = [];
     const today = new Date();
@@ -173,7 +146,7 @@ router.get('/history', async (c) => {
       const date = new Date(today);
       date.setDate(date.getDate() - i);
       const dateStr = date.toISOString().split('T')[0];
-      const existing = history?.find(h => h.date === dateStr);
+      const existing = history.find(h => h.date === dateStr);
 
       result.push({
         date: dateStr,
@@ -195,18 +168,11 @@ router.get('/history', async (c) => {
  */
 router.get('/chart-data', async (c) => {
   try {
-    const supabase = getSupabaseClient(c.env);
     const days = parseInt(c.req.query('days')) || 7;
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - days);
 
-    const { data: history, error } = await supabase
-      .from('progress_stats')
-      .select('date, words_learned, entries_written, minutes_practiced')
-      .gte('date', startDate.toISOString().split('T')[0])
-      .order('date', { ascending: true });
-
-    if (error) throw error;
+    const history = await getRepositories(c).progress.listStats({ since: startDate.toISOString().split('T')[0] });
 
     const labels = [];
     const wordsData = [];
@@ -221,7 +187,7 @@ router.get('/chart-data', async (c) => {
       const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
       labels.push(dayNames[date.getDay()]);
 
-      const existing = history?.find(h => h.date === dateStr);
+      const existing = history.find(h => h.date === dateStr);
       wordsData.push(existing ? existing.words_learned : 0);
       entriesData.push(existing ? existing.entries_written : 0);
       minutesData.push(existing ? existing.minutes_practiced : 0);
@@ -245,22 +211,13 @@ router.get('/chart-data', async (c) => {
  */
 router.get('/active-days', async (c) => {
   try {
-    const supabase = getSupabaseClient(c.env);
-    const { data: vocabDates, error: vocabError } = await supabase
-      .from('vocabulary')
-      .select('first_seen');
-
-    if (vocabError) throw vocabError;
-
-    const { data: progressDates, error: progressError } = await supabase
-      .from('progress_stats')
-      .select('date');
-
-    if (progressError) throw progressError;
+    const { vocabulary, progress } = getRepositories(c);
+    const vocabDates = await vocabulary.listFirstSeen();
+    const progressDates = await progress.listStats();
 
     const allDates = new Set();
-    if (vocabDates) vocabDates.forEach(v => allDates.add(v.first_seen.split('T')[0]));
-    if (progressDates) progressDates.forEach(p => allDates.add(p.date));
+    vocabDates.forEach(v => allDates.add(v.first_seen.split('T')[0]));
+    progressDates.forEach(p => allDates.add(p.date));
 
     return c.json({
       success: true,
@@ -275,4 +232,157 @@ router.get('/active-days', async (c) => {
   }
 });
 
+/**
+ * POST /api/progress/study-session
+ * Record a finished study session and add its time to today's progress stats
+ * Request body: { started_at, duration_seconds, vocabulary_reviewed, phrases_reviewed, correct_count }
+ */
+router.post('/study-session', async (c) => {
+  try {
+    const { progress } = getRepositories(c);
+    const body = await c.req.json();
+
+    const durationSeconds = Math.max(0, parseInt(body.duration_seconds) || 0);
+    const vocabularyReviewed = Math.max(0, parseInt(body.vocabulary_reviewed) || 0);
+    const phrasesReviewed = Math.max(0, parseInt(body.phrases_reviewed) || 0);
+    const cardsReviewed = vocabularyReviewed + phrasesReviewed;
+    const correctCount = Math.min(Math.max(0, parseInt(body.correct_count) || 0), cardsReviewed);
+
+    if (cardsReviewed === 0) {
+      return c.json({ success: false, error: 'A study session needs at least one reviewed card' }, 400);
+    }
+
+    const accuracy = Math.round((correctCount / cardsReviewed) * 100);
+
+    const session = await progress.createSession({
+      started_at: body.started_at || null,
+      completed_at: new Date().toISOString(),
+      duration_seconds: durationSeconds,
+      cards_reviewed: cardsReviewed,
+      vocabulary_reviewed: vocabularyReviewed,
+      phrases_reviewed: phrasesReviewed,
+      correct_count: correctCount,
+      accuracy
+    });
+
+    // Add the session time to today's progress stats
+    const today = new Date().toISOString().split('T')[0];
+    const minutes = Math.round(durationSeconds / 60);
+
+    if (minutes > 0) {
+      await progress.addToStats(today, { minutes_practiced: minutes });
+    }
+
+    return c.json({ success: true, data: session }, 201);
+  } catch (error) {
+    console.error('Error recording study session:', error);
+    return c.json({ success: false, error: 'Failed to record study session' }, 500);
+  }
+});
+
+/**
+ * GET /api/progress/study-sessions
+ * Recent study sessions with totals for the period
+ */
+router.get('/study-sessions', async (c) => {
+  try {
+    const days = parseInt(c.req.query('days')) || 7;
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - days);
+
+    const sessions = await getRepositories(c).progress.listSessions({ since: startDate.toISOString() });
+
+    const totals = sessions.reduce((acc, s) => {
+      acc.sessions++;
+      acc.cards_reviewed += s.cards_reviewed || 0;
+      acc.correct_count += s.correct_count || 0;
+      acc.duration_seconds += s.duration_seconds || 0;
+      return acc;
+    }, { sessions: 0, cards_reviewed: 0, correct_count: 0, duration_seconds: 0 });
+
+    totals.accuracy = totals.cards_reviewed > 0
+      ? Math.round((totals.correct_count / totals.cards_reviewed) * 100)
+      : 0;
+
+    return c.json({ success: true, data: { sessions, totals } });
+  } catch (error) {
+    console.error('Error fetching study sessions:', error);
+    return c.json({ success: false, error: 'Failed to fetch study sessions' }, 500);
+  }
+});
+
+/**
+ * GET /api/progress/mistakes
+ * Recurring writing mistakes grouped by category, with the previous period for comparison
+ * Query: days (default 7), limit (number of top categories, default 3)
+ */
+router.get('/mistakes', async (c) => {
+  try {
+    const days = Math.min(Math.max(parseInt(c.req.query('days')) || 7, 1), 365);
+    const limit = Math.min(Math.max(parseInt(c.req.query('limit')) || 3, 1), ERROR_TYPES.length);
+
+    const periodStart = new Date();
+    periodStart.setDate(periodStart.getDate() - days);
+    const previousStart = new Date(periodStart);
+    previousStart.setDate(previousStart.getDate() - days);
+
+    const mistakes = await getRepositories(c).mistakes.listSince(previousStart.toISOString());
+
+    const categories = Object.fromEntries(ERROR_TYPES.map(category => [category, {
+      category,
+      label: ERROR_TYPE_LABELS[category],
+      count: 0,
+      previous_count: 0,
+      examples: []
+    }]));
+    const daily = {};
+    let total = 0;
+
+    mistakes.forEach(m => {
+      const entry = categories[m.category] || categories.other;
+
+      if (new Date(m.created_at) < periodStart) {
+        entry.previous_count++;
+        return;
+      }
+
+      total++;
+      entry.count++;
+      // Rows are newest first, so these are the most recent examples
+      if (entry.examples.length < 3) {
+        entry.examples.push({
+          original: m.original,
+          corrected: m.corrected,
+          explanation: m.explanation,
+          sentence: m.sentence,
+          created_at: m.created_at
+        });
+      }
+
+      const date = m.created_at.split('T')[0];
+      daily[date] = daily[date] || { date, total: 0 };
+      daily[date].total++;
+      daily[date][m.category] = (daily[date][m.category] || 0) + 1;
+    });
+
+    const byCount = Object.values(categories)
+      .filter(entry => entry.count > 0)
+      .sort((a, b) => b.count - a.count);
+
+    return c.json({
+      success: true,
+      data: {
+        days,
+        total,
+        top: byCount.slice(0, limit),
+        categories: Object.values(categories),
+        daily: Object.values(daily).sort((a, b) => a.date.localeCompare(b.date))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching mistakes:', error);
+    return c.json({ success: false, error: 'Failed to fetch mistakes' }, 500);
+  }
+});
+
 export default router
\ No newline at end of file
@@ -1,63 +1,63 @@
 import { Hono } from 'hono'
-import { getSupabaseClient } from '../supabase.js'
+import { getRepositories } from '../repositories/index.js'
+import { decodeCursor, search, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE, SEARCH_TYPES } from '../services/search.js'
 
 const router = new Hono()
 
-function extractSentencesWithTerm(text, searchTerm) {
-  if (!text || !searchTerm) return [];
-  const sentences = text.match(/[^.!?]+[.!?]+/g) || [text];
-  const searchLower = searchTerm.toLowerCase();
-  const matchingSentences = [];
-  sentences.forEach(sentence => {
-    const sentenceTrimmed = sentence.trim();
-    if (sentenceTrimmed.toLowerCase().includes(searchLower)) {
-      matchingSentences.push(sentenceTrimmed);
-    }
-  });
-  return matchingSentences;
-}
-
 /**
  * GET /api/search
+ * Words, phrases, notes, categories and daily tasks matching q, most relevant first
+ * Query: q, types (comma-separated, default all: vocabulary, phrases, notes, categories, tasks),
+ *        limit (results per type, default 20, at most 50), cursor (next_cursor of the previous page)
+ * Case, umlauts and ß are ignored ("strasse" finds "Straße") and small typos still match.
+ * Every result has a score (0-1) and highlights: { field: [[start, end], ...] } ranges of the
+ * field's text where the term was found. Notes have snippets: the sentences with a match.
+ * counts are the matches per type over all pages; next_cursor is null on the last page.
+ * truncated: { type: true } when a type had more candidates than are ranked (200), its count
+ * and pages stop there and a narrower query finds the rest.
  */
 router.get('/', async (c) => {
   try {
-    const supabase = getSupabaseClient(c.env);
     const q = c.req.query('q')
     if (!q || q.trim().length === 0) {
       return c.json({ success: false, error: 'Search query is required' }, 400);
     }
-
     const searchTerm = q.trim();
 
-    const { data: vocabResults, error: vocabError } = await supabase
-      .from('vocabulary')
-      .select('*')
-      .or(`word.ilike.%${searchTerm}%,meaning.ilike.%${searchTerm}%`)
-      .order('frequency', { ascending: false })
-      .limit(50);
+    let types = SEARCH_TYPES;
+    const typesParam = c.req.query('types');
+    if (typesParam) {
+      types = [...new Set(typesParam.split(',').map(type => type.trim()).filter(Boolean))];
+      if (types.length === 0 || types.some(type => !SEARCH_TYPES.includes(type))) {
+        return c.json({
+          success: false,
+          error: `types must be a comma-separated list of: ${SEARCH_TYPES.join(', ')}`
+        }, 400);
+      }
+    }
 
-    if (vocabError) throw vocabError;
+    const limit = Math.min(Math.max(parseInt(c.req.query('limit')) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
 
-    // Search phrases table
-    const { data: phrasesResults, error: phrasesError } = await supabase
-      .from('custom_phrases')
-      .select('*')
-      .or(`english.ilike.%${searchTerm}%,german.ilike.%${searchTerm}%,example_english.ilike.%${searchTerm}%,example_german.ilike.%${searchTerm}%`)
-      .order('created_at', { ascending: false })
-      .limit(50);
+    let offsets = {};
+    const cursor = c.req.query('cursor');
+    if (cursor) {
+      offsets = decodeCursor(cursor, searchTerm);
+      if (!offsets) {
+        return c.json({ success: false, error: 'Invalid cursor for this search' }, 400);
+      }
+      // A cursor continues the types that had more results
+      types = types.filter(type => type in offsets);
+    }
 
-    if (phrasesError) throw phrasesError;
+    const { results, counts, truncated, nextCursor } = await search(getRepositories(c), searchTerm, { types, limit, offsets });
 
     return c.json({
       success: true,
       data: {
-        vocabulary: vocabResults || [],
-        phrases: phrasesResults || [],
-        counts: {
-          vocabulary: vocabResults ? vocabResults.length : 0,
-          phrases: phrasesResults ? phrasesResults.length : 0
-        }
+        ...results,
+        counts,
+        truncated,
+        next_cursor: nextCursor
       }
     });
   } catch (error) {
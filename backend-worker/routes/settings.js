@@ -1,5 +1,5 @@
 import { Hono } from 'hono'
-import { getSupabaseClient } from '../supabase.js'
+import { getRepositories } from '../repositories/index.js'
 
 const router = new Hono()
 
@@ -9,16 +9,7 @@ const router = new Hono()
  */
 router.get('/', async (c) => {
   try {
-    const supabase = getSupabaseClient(c.env);
-    const { data: settings, error } = await supabase
-      .from('user_settings')
-      .select('*')
-      .limit(1)
-      .single();
-
-    if (error && error.code !== 'PGRST116') {
-      throw error;
-    }
+    const settings = await getRepositories(c).settings.get();
 
     if (!settings) {
       return c.json({
@@ -50,7 +41,7 @@ router.get('/', async (c) => {
  */
 router.put('/', async (c) => {
   try {
-    const supabase = getSupabaseClient(c.env);
+    const { settings } = getRepositories(c);
     const { daily_goal_minutes, daily_sentence_goal, theme } = await c.req.json();
 
     // Validation
@@ -81,15 +72,7 @@ router.put('/', async (c) => {
       }
     }
 
-    const { data: existing, error: fetchError } = await supabase
-      .from('user_settings')
-      .select('*')
-      .limit(1)
-      .single();
-
-    if (fetchError && fetchError.code !== 'PGRST116') {
-      throw fetchError;
-    }
+    const existing = await settings.get();
 
     if (existing) {
       const updates = {};
@@ -98,31 +81,18 @@ router.put('/', async (c) => {
       if (theme !== undefined) updates.theme = theme;
 
       if (Object.keys(updates).length > 0) {
-        const { data: updated, error } = await supabase
-          .from('user_settings')
-          .update(updates)
-          .eq('id', existing.id)
-          .select()
-          .single();
-
-        if (error) throw error;
+        const updated = await settings.update(existing.id, updates);
 
         return c.json({ success: true, data: updated });
       } else {
         return c.json({ success: true, data: existing });
       }
     } else {
-      const { data: newSettings, error } = await supabase
-        .from('user_settings')
-        .insert({
-          daily_goal_minutes: daily_goal_minutes || 60,
-          daily_sentence_goal: daily_sentence_goal || 10,
-          theme: theme || 'light'
-        })
-        .select()
-        .single();
-
-      if (error) throw error;
+      const newSettings = await settings.create({
+        daily_goal_minutes: daily_goal_minutes || 60,
+        daily_sentence_goal: daily_sentence_goal || 10,
+        theme: theme || 'light'
+      });
 
       return c.json({ success: true, data: newSettings }, 201);
     }
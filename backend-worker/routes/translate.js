@@ -1,15 +1,18 @@
 import { Hono } from 'hono'
-import { translateToGerman, translateMultipleSentences, translateToEnglish as translateToEnglishWithFallback } from '../services/translation.js'
+import { translate, translateMultipleSentences } from '../services/translation.js'
+import { getProviderOrder, getProviderTimeout } from '../services/translation-providers.js'
 
 const router = new Hono()
 
 /**
  * POST /api/translate
  * Translate English text to German
+ * Query: refresh=true to bypass the translation cache
  */
 router.post('/', async (c) => {
   try {
     const { text, multiSentence } = await c.req.json();
+    const bypassCache = c.req.query('refresh') === 'true';
 
     // Validation
     if (!text || typeof text !== 'string') {
@@ -34,19 +37,18 @@ router.post('/', async (c) => {
     }
 
     // Translate
-    let translatedText;
-    if (multiSentence) {
-      translatedText = await translateMultipleSentences(text, c.env);
-    } else {
-      translatedText = await translateToGerman(text, c.env);
-    }
+    const { translated, provider, cached } = multiSentence
+      ? await translateMultipleSentences(text, c.env, { bypassCache })
+      : await translate(text, 'en', 'de', c.env, { bypassCache });
 
     return c.json({
       success: true,
       data: {
         original: text,
-        translated: translatedText,
-        language: 'de'
+        translated,
+        language: 'de',
+        provider,
+        cached
       }
     });
   } catch (error) {
@@ -73,6 +75,7 @@ router.post('/', async (c) => {
 /**
  * POST /api/translate/reverse
  * Translate German text to English (for manual vocabulary addition)
+ * Query: refresh=true to bypass the translation cache
  */
 router.post('/reverse', async (c) => {
   try {
@@ -85,14 +88,17 @@ router.post('/reverse', async (c) => {
       }, 400);
     }
 
-    const translatedText = await translateToEnglishWithFallback(text, c.env);
+    const bypassCache = c.req.query('refresh') === 'true';
+    const { translated, provider, cached } = await translate(text, 'de', 'en', c.env, { bypassCache });
 
     return c.json({
       success: true,
       data: {
         original: text,
-        translated: translatedText,
-        language: 'en'
+        translated,
+        language: 'en',
+        provider,
+        cached
       }
     });
   } catch (error) {
@@ -105,4 +111,20 @@ router.post('/reverse', async (c) => {
   }
 });
 
+/**
+ * GET /api/translate/providers
+ * Configured provider order with the timeout of each provider
+ */
+router.get('/providers', (c) => {
+  const providers = getProviderOrder(c.env).map(name => ({
+    name,
+    timeout_ms: getProviderTimeout(name, c.env)
+  }));
+
+  return c.json({
+    success: true,
+    data: providers
+  });
+});
+
 export default router
\ No newline at end of file
@@ -0,0 +1,140 @@
+import { Hono } from 'hono'
+import { getRepositories } from '../repositories/index.js'
+import { TRASH_TYPES } from '../repositories/trash.js'
+import { listTrash, TRASH_RETENTION_DAYS } from '../services/trash.js'
+
+const router = new Hono()
+
+/**
+ * Helper function: 400 response for an unknown type, or null
+ */
+function invalidType(c, type) {
+  if (TRASH_TYPES[type]) return null;
+  return c.json({
+    success: false,
+    error: `type must be one of: ${Object.keys(TRASH_TYPES).join(', ')}`
+  }, 400);
+}
+
+/**
+ * GET /api/trash
+ * Deleted words, phrases, notes and categories, most recently deleted first
+ * Query: type (only one type, see repositories/trash.js)
+ * Rows are purged automatically TRASH_RETENTION_DAYS after they were deleted (purge_at).
+ */
+router.get('/', async (c) => {
+  try {
+    const type = c.req.query('type');
+    if (type) {
+      const error = invalidType(c, type);
+      if (error) return error;
+    }
+
+    const items = await listTrash(getRepositories(c), { type });
+
+    return c.json({
+      success: true,
+      data: items,
+      retention_days: TRASH_RETENTION_DAYS
+    });
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    return c.json({
+      success: false,
+      error: 'Failed to fetch trash'
+    }, 500);
+  }
+});
+
+/**
+ * POST /api/trash/:type/:id/restore
+ * Take a row out of the trash (undo a delete)
+ */
+router.post('/:type/:id/restore', async (c) => {
+  try {
+    const type = c.req.param('type');
+    const error = invalidType(c, type);
+    if (error) return error;
+
+    let restored;
+    try {
+      restored = await getRepositories(c).trash.restore(type, c.req.param('id'));
+    } catch (error) {
+      if (error.code === '23505') { // Unique constraint
+        return c.json({
+          success: false,
+          error: 'An entry with the same name exists, rename or delete it first'
+        }, 409);
+      }
+      throw error;
+    }
+
+    if (!restored) {
+      return c.json({ success: false, error: 'Not found in trash' }, 404);
+    }
+
+    return c.json({
+      success: true,
+      message: 'Restored from trash',
+      data: restored
+    });
+  } catch (error) {
+    console.error('Error restoring from trash:', error);
+    return c.json({
+      success: false,
+      error: 'Failed to restore from trash'
+    }, 500);
+  }
+});
+
+/**
+ * DELETE /api/trash/:type/:id
+ * Delete a row in the trash for good
+ */
+router.delete('/:type/:id', async (c) => {
+  try {
+    const type = c.req.param('type');
+    const error = invalidType(c, type);
+    if (error) return error;
+
+    const purged = await getRepositories(c).trash.purge(type, c.req.param('id'));
+    if (purged === 0) {
+      return c.json({ success: false, error: 'Not found in trash' }, 404);
+    }
+
+    return c.json({
+      success: true,
+      message: 'Deleted permanently'
+    });
+  } catch (error) {
+    console.error('Error purging from trash:', error);
+    return c.json({
+      success: false,
+      error: 'Failed to delete permanently'
+    }, 500);
+  }
+});
+
+/**
+ * DELETE /api/trash
+ * Empty the trash
+ */
+router.delete('/', async (c) => {
+  try {
+    const purged = await getRepositories(c).trash.purgeDeletedBefore(new Date().toISOString());
+
+    return c.json({
+      success: true,
+      message: 'Trash emptied',
+      purged
+    });
+  } catch (error) {
+    console.error('Error emptying trash:', error);
+    return c.json({
+      success: false,
+      error: 'Failed to empty trash'
+    }, 500);
+  }
+});
+
+export default router
@@ -1,64 +1,70 @@
 import { Hono } from 'hono'
-import { getSupabaseClient } from '../supabase.js'
+import { getRepositories } from '../repositories/index.js'
 import { getVocabularyStats } from '../services/vocabulary-extractor.js'
 import { translateToGerman } from '../services/translation.js'
+import { GRADES, isValidGrade, scheduleReview, logReview } from '../services/spaced-repetition.js'
+import { generateGrammarInfo, generateConjugation } from '../services/gemini-translation.js'
+import { conjugate, isCompleteTable } from '../services/conjugation.js'
+import { GRAMMAR_FIELDS, normalizeGrammar, pruneGrammar, splitArticle } from '../services/german-grammar.js'
 
 const router = new Hono()
 
+/**
+ * Helper function: Ask Gemini for a word's grammatical metadata
+ * Returns an empty object when the suggestion fails, so adding a word never depends on it
+ */
+async function suggestGrammar(germanWord, englishMeaning, env) {
+  try {
+    const suggestion = await generateGrammarInfo(germanWord, englishMeaning, env);
+    const { data } = normalizeGrammar(suggestion);
+    return pruneGrammar(data);
+  } catch (error) {
+    console.warn(`[Grammar] Could not suggest grammar for "${germanWord}":`, error.message);
+    return {};
+  }
+}
+
+/**
+ * Helper function: Grade a single word and persist its next review schedule
+ * Returns null when the word does not exist
+ */
+async function applyReview(repositories, id, grade) {
+  const word = await repositories.vocabulary.get(id);
+  if (!word) return null;
+
+  const schedule = scheduleReview(word, grade);
+  const updatedWord = await repositories.vocabulary.update(id, schedule);
+  if (!updatedWord) return null;
+
+  await logReview(repositories.reviews, 'vocabulary', updatedWord.id, grade, schedule);
+
+  return updatedWord;
+}
+
 /**
  * GET /api/vocabulary
  * Get all vocabulary words with optional filtering and sorting
  */
 router.get('/', async (c) => {
   try {
-    const supabase = getSupabaseClient(c.env);
+    const { vocabulary } = getRepositories(c);
     const sort = c.req.query('sort')
     const search = c.req.query('search')
     const category_id = c.req.query('category_id')
     const exclude_category_id = c.req.query('exclude_category_id')
 
-    let query = supabase.from('vocabulary').select('*');
-
-    // Add category filter
-    if (category_id && category_id !== 'all') {
-      query = query.eq('category_id', category_id);
-    }
-
-    // Add exclude category filter
-    if (exclude_category_id && !category_id) {
-      query = query.or(`category_id.is.null,category_id.neq.${exclude_category_id}`);
-    }
-
-    // Add search filter
-    if (search) {
-      query = query.ilike('word', `%${search}%`);
-    }
-
-    // Add sorting
-    switch (sort) {
-      case 'az':
-        query = query.order('word', { ascending: true });
-        break;
-      case 'za':
-        query = query.order('word', { ascending: false });
-        break;
-      case 'frequency':
-        query = query.order('frequency', { ascending: false });
-        break;
-      case 'newest':
-      default:
-        query = query.order('first_seen', { ascending: false });
-        break;
-    }
-
-    const { data: words, error } = await query;
-
-    if (error) throw error;
+    // Sorts: az, za, frequency, newest (default)
+    const words = await vocabulary.list({
+      categoryId: category_id,
+      excludeCategoryId: category_id ? undefined : exclude_category_id,
+      search,
+      sort
+    });
 
     return c.json({
       success: true,
-      data: words || [],
-      count: words ? words.length : 0
+      data: words,
+      count: words.length
     });
   } catch (error) {
     console.error('Error fetching vocabulary:', error);
@@ -75,17 +81,11 @@ router.get('/', async (c) => {
  */
 router.get('/categories', async (c) => {
   try {
-    const supabase = getSupabaseClient(c.env);
-    const { data: categories, error } = await supabase
-      .from('vocabulary_categories')
-      .select('*')
-      .order('name', { ascending: true });
-
-    if (error) throw error;
+    const categories = await getRepositories(c).vocabulary.categories.list();
 
     return c.json({
       success: true,
-      data: categories || []
+      data: categories
     });
   } catch (error) {
     console.error('Error fetching categories:', error);
@@ -102,19 +102,15 @@ router.get('/categories', async (c) => {
  */
 router.post('/categories', async (c) => {
   try {
-    const supabase = getSupabaseClient(c.env);
     const { name } = await c.req.json();
     if (!name || name.trim().length === 0) {
       return c.json({ success: false, error: 'Category name is required' }, 400);
     }
 
-    const { data: category, error } = await supabase
-      .from('vocabulary_categories')
-      .insert({ name: name.trim() })
-      .select()
-      .single();
-
-    if (error) {
+    let category;
+    try {
+      category = await getRepositories(c).vocabulary.categories.create(name.trim());
+    } catch (error) {
       if (error.code === '23505') { // Unique constraint
         return c.json({ success: false, error: 'Category already exists' }, 409);
       }
@@ -136,22 +132,21 @@ router.post('/categories', async (c) => {
 
 /**
  * DELETE /api/vocabulary/categories/:id
- * Delete a vocabulary category
+ * Move a vocabulary category to the trash (its words keep it until it is purged)
  */
 router.delete('/categories/:id', async (c) => {
   try {
-    const supabase = getSupabaseClient(c.env);
     const id = c.req.param('id')
-    const { error } = await supabase
-      .from('vocabulary_categories')
-      .delete()
-      .eq('id', id);
+    const category = await getRepositories(c).vocabulary.categories.remove(id);
 
-    if (error) throw error;
+    if (!category) {
+      return c.json({ success: false, error: 'Category not found' }, 404);
+    }
 
     return c.json({
       success: true,
-      message: 'Category deleted successfully'
+      message: 'Category moved to trash',
+      data: { type: 'vocabulary_category', id: category.id }
     });
   } catch (error) {
     console.error('Error deleting category:', error);
@@ -168,7 +163,7 @@ router.delete('/categories/:id', async (c) => {
  */
 router.get('/stats', async (c) => {
   try {
-    const stats = await getVocabularyStats(c.env);
+    const stats = await getVocabularyStats(getRepositories(c).vocabulary);
 
     return c.json({
       success: true,
@@ -183,14 +178,115 @@ router.get('/stats', async (c) => {
   }
 });
 
+/**
+ * GET /api/vocabulary/due
+ * Get words that are due for review, most overdue first
+ * Query: limit (default 20, max 100), category_id
+ */
+router.get('/due', async (c) => {
+  try {
+    const limit = Math.min(parseInt(c.req.query('limit')) || 20, 100);
+    const category_id = c.req.query('category_id');
+    const now = new Date().toISOString();
+
+    const { words, total } = await getRepositories(c).vocabulary.listDue({ now, categoryId: category_id, limit });
+
+    return c.json({
+      success: true,
+      data: words,
+      count: words.length,
+      total_due: total
+    });
+  } catch (error) {
+    console.error('Error fetching due vocabulary:', error);
+    return c.json({
+      success: false,
+      error: 'Failed to fetch due vocabulary'
+    }, 500);
+  }
+});
+
+/**
+ * POST /api/vocabulary/review-session
+ * Grade a batch of words at the end of a review session
+ * Request body: { reviews: [{ id, grade }] } where grade is again/hard/good/easy
+ */
+router.post('/review-session', async (c) => {
+  try {
+    const repositories = getRepositories(c);
+    const { reviews } = await c.req.json();
+
+    if (!Array.isArray(reviews) || reviews.length === 0) {
+      return c.json({
+        success: false,
+        error: 'At least one review is required'
+      }, 400);
+    }
+
+    const invalid = reviews.find(r => !r || !r.id || !isValidGrade(r.grade));
+    if (invalid) {
+      return c.json({
+        success: false,
+        error: `Each review needs an id and a grade (${GRADES.join(', ')})`
+      }, 400);
+    }
+
+    const results = [];
+    const summary = { again: 0, hard: 0, good: 0, easy: 0 };
+    const errors = [];
+
+    for (const review of reviews) {
+      try {
+        const updatedWord = await applyReview(repositories, review.id, review.grade);
+        if (!updatedWord) {
+          errors.push({ id: review.id, error: 'Vocabulary word not found' });
+          continue;
+        }
+        summary[review.grade]++;
+        results.push({
+          id: updatedWord.id,
+          grade: review.grade,
+          interval_days: updatedWord.interval_days,
+          due_at: updatedWord.due_at
+        });
+      } catch (err) {
+        console.error(`Error reviewing word ${review.id}:`, err);
+        errors.push({ id: review.id, error: 'Failed to save review' });
+      }
+    }
+
+    const reviewed = results.length;
+    const correct = summary.good + summary.easy;
+
+    return c.json({
+      success: true,
+      data: {
+        reviewed,
+        summary,
+        accuracy: reviewed > 0 ? Math.round((correct / reviewed) * 100) : 0,
+        results,
+        errors: errors.length > 0 ? errors : undefined
+      }
+    });
+  } catch (error) {
+    console.error('Error saving review session:', error);
+    return c.json({
+      success: false,
+      error: 'Failed to save review session'
+    }, 500);
+  }
+});
+
 /**
  * POST /api/vocabulary
  * Manually add a vocabulary word
+ * Query: refresh=true to bypass the translation cache
  */
 router.post('/', async (c) => {
   try {
-    const supabase = getSupabaseClient(c.env);
-    const { word, meaning, category_id } = await c.req.json();
+    const { vocabulary } = getRepositories(c);
+    const body = await c.req.json();
+    const { word, meaning, category_id } = body;
 
     if (!word || typeof word !== 'string' || word.trim().length === 0) {
       return c.json({
@@ -199,23 +295,35 @@ router.post('/', async (c) => {
       }, 400);
     }
 
+    const { data: providedGrammar, errors: grammarErrors } = normalizeGrammar(body);
+    if (grammarErrors.length > 0) {
+      return c.json({
+        success: false,
+        error: grammarErrors.join('; ')
+      }, 400);
+    }
+
     const englishWord = word.trim();
     let germanTranslation = meaning?.trim() || null;
 
     if (!germanTranslation) {
       try {
-        germanTranslation = await translateToGerman(englishWord);
+        germanTranslation = await translateToGerman(englishWord, c.env, { bypassCache: c.req.query('refresh') === 'true' });
       } catch (error) {
         console.error('Error translating to German:', error);
       }
     }
 
+    // "der Hund" is stored as "Hund" with article "der"
+    let splitOffArticle = null;
     if (germanTranslation) {
-      const { data: existing } = await supabase
-        .from('vocabulary')
-        .select('*')
-        .ilike('word', germanTranslation)
-        .single();
+      const split = splitArticle(germanTranslation);
+      germanTranslation = split.word;
+      splitOffArticle = split.article;
+    }
+
+    if (germanTranslation) {
+      const existing = await vocabulary.findByWord(germanTranslation);
 
       if (existing) {
         return c.json({
@@ -226,24 +334,33 @@ router.post('/', async (c) => {
       }
     }
 
-    const { data: newWord, error } = await supabase
-      .from('vocabulary')
-      .insert({
-        word: germanTranslation || englishWord,
-        meaning: englishWord,
-        frequency: 1,
-        category_id: category_id || null
-      })
-      .select()
-      .single();
+    // Fields sent by the client win over Gemini's suggestion
+    let grammar = { ...providedGrammar };
+    let grammarSuggested = false;
+    if (germanTranslation && !providedGrammar.part_of_speech) {
+      const suggested = await suggestGrammar(germanTranslation, englishWord, c.env);
+      grammarSuggested = Object.keys(suggested).length > 0;
+      grammar = { ...suggested, ...providedGrammar };
+    }
+    if (splitOffArticle && !grammar.article) {
+      grammar.article = splitOffArticle;
+      grammar.part_of_speech = grammar.part_of_speech || 'noun';
+    }
 
-    if (error) throw error;
+    const newWord = await vocabulary.create({
+      word: germanTranslation || englishWord,
+      meaning: englishWord,
+      frequency: 1,
+      category_id: category_id || null,
+      ...pruneGrammar(grammar)
+    });
 
     return c.json({
       success: true,
       data: {
         ...newWord,
-        translated: !meaning
+        translated: !meaning,
+        grammar_suggested: grammarSuggested
       }
     }, 201);
   } catch (error) {
@@ -261,11 +378,28 @@ router.post('/', async (c) => {
  */
 router.put('/:id', async (c) => {
   try {
-    const supabase = getSupabaseClient(c.env);
     const id = c.req.param('id');
-    const { word, meaning, category_id } = await c.req.json();
+    const body = await c.req.json();
+    const { word, meaning, category_id } = body;
 
-    const updateData = {};
+    const { data: grammarData, errors: grammarErrors } = normalizeGrammar(body);
+    if (grammarErrors.length > 0) {
+      return c.json({
+        success: false,
+        error: grammarErrors.join('; ')
+      }, 400);
+    }
+
+    const updateData = { ...grammarData };
+
+    // Changing the part of speech clears the fields that don't apply to it (and only those)
+    if (grammarData.part_of_speech) {
+      const allFields = Object.fromEntries(GRAMMAR_FIELDS.map(field => [field, true]));
+      const kept = pruneGrammar({ ...allFields, part_of_speech: grammarData.part_of_speech });
+      for (const field of GRAMMAR_FIELDS) {
+        if (!(field in kept)) updateData[field] = null;
+      }
+    }
 
     // Only validate and update word if provided
     if (word !== undefined) {
@@ -296,21 +430,13 @@ router.put('/:id', async (c) => {
       }, 400);
     }
 
-    const { data: updatedWord, error } = await supabase
-      .from('vocabulary')
-      .update(updateData)
-      .eq('id', id)
-      .select()
-      .single();
+    const updatedWord = await getRepositories(c).vocabulary.update(id, updateData);
 
-    if (error) {
-      if (error.code === 'PGRST116') {
-        return c.json({
-          success: false,
-          error: 'Vocabulary word not found'
-        }, 404);
-      }
-      throw error;
+    if (!updatedWord) {
+      return c.json({
+        success: false,
+        error: 'Vocabulary word not found'
+      }, 404);
     }
 
     return c.json({
@@ -333,23 +459,14 @@ router.put('/:id', async (c) => {
  */
 router.get('/:id', async (c) => {
   try {
-    const supabase = getSupabaseClient(c.env);
     const id = c.req.param('id');
-    
-    const { data: word, error } = await supabase
-      .from('vocabulary')
-      .select('*')
-      .eq('id', id)
-      .single();
-
-    if (error) {
-      if (error.code === 'PGRST116') {
-        return c.json({
-          success: false,
-          error: 'Vocabulary word not found'
-        }, 404);
-      }
-      throw error;
+    const word = await getRepositories(c).vocabulary.get(id);
+
+    if (!word) {
+      return c.json({
+        success: false,
+        error: 'Vocabulary word not found'
+      }, 404);
     }
 
     return c.json({
@@ -367,22 +484,21 @@ router.get('/:id', async (c) => {
 
 /**
  * DELETE /api/vocabulary/:id
- * Delete a vocabulary word
+ * Move a vocabulary word to the trash (restore it with POST /api/trash/vocabulary/:id/restore)
  */
 router.delete('/:id', async (c) => {
   try {
-    const supabase = getSupabaseClient(c.env);
     const id = c.req.param('id')
-    const { error } = await supabase
-      .from('vocabulary')
-      .delete()
-      .eq('id', id);
+    const word = await getRepositories(c).vocabulary.remove(id);
 
-    if (error) throw error;
+    if (!word) {
+      return c.json({ success: false, error: 'Vocabulary word not found' }, 404);
+    }
 
     return c.json({
       success: true,
-      message: 'Vocabulary word deleted successfully'
+      message: 'Vocabulary word moved to trash',
+      data: { type: 'vocabulary', id: word.id }
     });
   } catch (error) {
     console.error('Error deleting vocabulary word:', error);
@@ -399,22 +515,15 @@ router.delete('/:id', async (c) => {
  */
 router.get('/:id/meaning', async (c) => {
   try {
-    const supabase = getSupabaseClient(c.env);
+    const { vocabulary } = getRepositories(c);
     const id = c.req.param('id')
-    const { data: word, error } = await supabase
-      .from('vocabulary')
-      .select('*')
-      .eq('id', id)
-      .single();
-
-    if (error) {
-      if (error.code === 'PGRST116') {
-        return c.json({
-          success: false,
-          error: 'Vocabulary word not found'
-        }, 404);
-      }
-      throw error;
+    const word = await vocabulary.get(id);
+
+    if (!word) {
+      return c.json({
+        success: false,
+        error: 'Vocabulary word not found'
+      }, 404);
     }
 
     if (word.meaning) {
@@ -428,12 +537,9 @@ router.get('/:id/meaning', async (c) => {
     }
 
     try {
-      const meaning = await translateToGerman(word.word);
+      const meaning = await translateToGerman(word.word, c.env);
 
-      await supabase
-        .from('vocabulary')
-        .update({ meaning })
-        .eq('id', id);
+      await vocabulary.update(id, { meaning });
 
       return c.json({
         success: true,
@@ -458,23 +564,140 @@ router.get('/:id/meaning', async (c) => {
   }
 });
 
+/**
+ * GET /api/vocabulary/:id/conjugation
+ * Präsens, Präteritum, Perfekt and Konjunktiv II tables for a verb
+ * Query: enrich=true asks Gemini for verbs the rules engine doesn't know
+ */
+router.get('/:id/conjugation', async (c) => {
+  try {
+    const id = c.req.param('id');
+    const enrich = c.req.query('enrich') === 'true';
+
+    const word = await getRepositories(c).vocabulary.get(id);
+
+    if (!word) {
+      return c.json({
+        success: false,
+        error: 'Vocabulary word not found'
+      }, 404);
+    }
+
+    if (word.part_of_speech && word.part_of_speech !== 'verb') {
+      return c.json({
+        success: false,
+        error: 'Only verbs can be conjugated'
+      }, 400);
+    }
+
+    let conjugation;
+    try {
+      conjugation = conjugate(word.word, word);
+    } catch (err) {
+      return c.json({
+        success: false,
+        error: err.message
+      }, 400);
+    }
+
+    // Only rule-based tables can be improved; irregular and user-entered forms are already right
+    if (enrich && conjugation.source === 'rules') {
+      try {
+        const tenses = await generateConjugation(conjugation.infinitive, c.env);
+        if (isCompleteTable(tenses)) {
+          conjugation = { ...conjugation, tenses, source: 'gemini' };
+        }
+      } catch (err) {
+        console.warn(`[Conjugation] Gemini enrichment failed for "${word.word}":`, err.message);
+      }
+    }
+
+    return c.json({
+      success: true,
+      data: {
+        id: word.id,
+        meaning: word.meaning,
+        ...conjugation
+      }
+    });
+  } catch (error) {
+    console.error('Error conjugating verb:', error);
+    return c.json({
+      success: false,
+      error: 'Failed to conjugate verb'
+    }, 500);
+  }
+});
+
+/**
+ * POST /api/vocabulary/:id/grammar/suggest
+ * Ask Gemini for a word's grammatical metadata without saving it
+ * Fill the fields in with PUT /api/vocabulary/:id after review
+ */
+router.post('/:id/grammar/suggest', async (c) => {
+  try {
+    const id = c.req.param('id');
+    const word = await getRepositories(c).vocabulary.get(id);
+
+    if (!word) {
+      return c.json({
+        success: false,
+        error: 'Vocabulary word not found'
+      }, 404);
+    }
+
+    const suggestion = await suggestGrammar(word.word, word.meaning, c.env);
+
+    if (Object.keys(suggestion).length === 0) {
+      return c.json({
+        success: false,
+        error: 'No grammar suggestion available'
+      }, 502);
+    }
+
+    return c.json({
+      success: true,
+      data: suggestion
+    });
+  } catch (error) {
+    console.error('Error suggesting grammar:', error);
+    return c.json({
+      success: false,
+      error: 'Failed to suggest grammar'
+    }, 500);
+  }
+});
+
 /**
  * PUT /api/vocabulary/:id/review
- * Mark a word as reviewed
+ * Grade a word and schedule its next review
+ * Request body: { grade } - again/hard/good/easy (defaults to good)
  */
 router.put('/:id/review', async (c) => {
   try {
-    const supabase = getSupabaseClient(c.env);
     const id = c.req.param('id')
-    const { error } = await supabase
-      .from('vocabulary')
-      .update({ last_reviewed: new Date().toISOString() })
-      .eq('id', id);
+    const body = await c.req.json().catch(() => ({}));
+    const grade = body.grade || 'good';
+
+    if (!isValidGrade(grade)) {
+      return c.json({
+        success: false,
+        error: `Grade must be one of: ${GRADES.join(', ')}`
+      }, 400);
+    }
 
-    if (error) throw error;
+    const updatedWord = await applyReview(getRepositories(c), id, grade);
+
+    if (!updatedWord) {
+      return c.json({
+        success: false,
+        error: 'Vocabulary word not found'
+      }, 404);
+    }
 
     return c.json({
       success: true,
+      data: updatedWord,
       message: 'Word marked as reviewed'
     });
   } catch (error) {
@@ -0,0 +1,316 @@
+import { formatDelimitedRow, parseDelimited, stripByteOrderMark } from './delimited-text.js';
+
+/**
+ * Anki decks as plain-text notes (GET /api/data/anki/export, POST /api/data/anki/import)
+ *
+ * Uses the format of Anki's "Notes in Plain Text" export and File > Import: "#key:value"
+ * header lines, then one note per line with tab-separated fields (quoted as in
+ * services/delimited-text.js).
+ *
+ * Exported columns: Front, Back, Example, Example translation, Tags
+ *   words:   word / meaning
+ *   phrases: German / English / German example / English example
+ * Tags are "vocabulary" or "phrase" plus the category name (spaces become underscores).
+ */
+
+export const ANKI_DECK_NAME = 'Deutschtagebuch';
+
+const COLUMNS = ['Front', 'Back', 'Example', 'Example translation', 'Tags'];
+
+const TYPE_TAGS = { vocabulary: 'vocabulary', phrases: 'phrase' };
+
+// Column names of other tools, mapped to the fields of a note
+const FIELD_NAMES = {
+  front: ['front', 'word', 'german', 'deutsch', 'question'],
+  back: ['back', 'meaning', 'english', 'translation', 'answer'],
+  example: ['example', 'example german', 'beispiel', 'sentence'],
+  exampleTranslation: ['example translation', 'example english']
+};
+
+// Separator names allowed in the #separator header
+const SEPARATORS = { tab: '\t', comma: ',', semicolon: ';', space: ' ', pipe: '|', colon: ':' };
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ', '#39': '\'' };
+
+// Notes inserted per request
+const INSERT_BATCH_SIZE = 200;
+
+/**
+ * Helper function: A category name as an Anki tag (tags are separated by spaces)
+ */
+function toTag(name) {
+  return name.trim().replace(/\s+/g, '_');
+}
+
+/**
+ * Helper function: Category name from an Anki tag ("German::Animals" -> "Animals")
+ */
+function fromTag(tag) {
+  return tag.split('::').pop().replace(/_/g, ' ').trim();
+}
+
+/**
+ * Notes as an Anki plain-text file
+ * @param {Array<{front: string, back: string, example?: string, exampleTranslation?: string, tags: string[]}>} notes
+ * @returns {string}
+ */
+export function formatAnkiNotes(notes) {
+  const separator = '\t';
+  const lines = [
+    '#separator:tab',
+    '#html:false',
+    '#notetype:Basic',
+    `#deck:${ANKI_DECK_NAME}`,
+    `#columns:${COLUMNS.join(separator)}`,
+    `#tags column:${COLUMNS.length}`
+  ];
+
+  for (const note of notes) {
+    const fields = [note.front, note.back, note.example, note.exampleTranslation, note.tags.join(' ')];
+    lines.push(formatDelimitedRow(fields, separator));
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Helper function: Plain text of an HTML field as exported by Anki
+ */
+function stripHtml(value) {
+  return value
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(div|p)>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(#39|[a-z]+);/gi, (entity, name) => HTML_ENTITIES[name.toLowerCase()] ?? entity)
+    .trim();
+}
+
+/**
+ * Helper function: Which field of a note each column holds
+ */
+function mapColumns(headers, columnCount) {
+  // "#tags column:5" style headers count from 1
+  const special = {};
+  for (const name of ['tags', 'guid', 'notetype', 'deck']) {
+    const column = parseInt(headers[`${name} column`]);
+    if (column > 0) special[column - 1] = name;
+  }
+
+  const mapping = {};
+  if (headers.columns) {
+    const names = headers.columns.split(headers.separator).map(name => name.trim().toLowerCase());
+    names.forEach((name, index) => {
+      if (special[index] || name === 'tags') {
+        mapping[index] = special[index] || 'tags';
+        return;
+      }
+      const field = Object.keys(FIELD_NAMES).find(key => FIELD_NAMES[key].includes(name));
+      if (field && !Object.values(mapping).includes(field)) mapping[index] = field;
+    });
+    return mapping;
+  }
+
+  // Without names the remaining columns are front, back, example, example translation in order
+  const fields = Object.keys(FIELD_NAMES);
+  for (let index = 0; index < columnCount; index++) {
+    mapping[index] = special[index] || fields.shift();
+  }
+  return mapping;
+}
+
+/**
+ * Parse an Anki plain-text export (or any tab-separated word list)
+ * @param {string} text - File content
+ * @returns {{notes: Array<{line: number, front: string, back: string, example: string, exampleTranslation: string, tags: string[]}>}}
+ */
+export function parseAnkiNotes(text) {
+  const lines = stripByteOrderMark(text).split(/\r?\n/);
+  const headers = {};
+  let headerLines = 0;
+
+  while (headerLines < lines.length && lines[headerLines].startsWith('#')) {
+    const [key, ...value] = lines[headerLines].slice(1).split(':');
+    headers[key.trim().toLowerCase()] = value.join(':');
+    headerLines++;
+  }
+
+  const separatorName = (headers.separator || 'tab').trim();
+  headers.separator = SEPARATORS[separatorName.toLowerCase()] || separatorName || '\t';
+  const html = headers.html?.trim().toLowerCase() === 'true';
+
+  const records = parseDelimited(lines.slice(headerLines).join('\n'), headers.separator, { firstLine: headerLines + 1 });
+  const columnCount = Math.max(0, ...records.map(record => record.fields.length));
+  const mapping = mapColumns(headers, columnCount);
+
+  const notes = records.map(({ line, fields }) => {
+    const note = { line, front: '', back: '', example: '', exampleTranslation: '', tags: [] };
+    fields.forEach((value, index) => {
+      const field = mapping[index];
+      if (field === 'tags') {
+        note.tags = value.split(/\s+/).filter(Boolean);
+      } else if (field in FIELD_NAMES) {
+        note[field] = html ? stripHtml(value) : value.trim();
+      }
+    });
+    return note;
+  });
+
+  return { notes };
+}
+
+/**
+ * Export words and phrases as Anki notes
+ * @param {object} repositories - Repositories of the user (see repositories/index.js)
+ * @param {{include?: string[]}} options - 'vocabulary' and/or 'phrases'
+ * @returns {Promise<{text: string, count: number}>}
+ */
+export async function exportAnkiDeck(repositories, { include = ['vocabulary', 'phrases'] } = {}) {
+  const notes = [];
+
+  if (include.includes('vocabulary')) {
+    const [words, categories] = await Promise.all([
+      repositories.vocabulary.list({ sort: 'oldest' }),
+      repositories.vocabulary.categories.list()
+    ]);
+    const categoryNames = new Map(categories.map(category => [category.id, category.name]));
+
+    for (const word of words) {
+      const category = categoryNames.get(word.category_id);
+      notes.push({
+        front: word.word,
+        back: word.meaning,
+        tags: [TYPE_TAGS.vocabulary, ...(category ? [toTag(category)] : [])]
+      });
+    }
+  }
+
+  if (include.includes('phrases')) {
+    const [phrases, categories] = await Promise.all([
+      repositories.phrases.listAll(),
+      repositories.phrases.categories.list()
+    ]);
+    const categoryNames = new Map(categories.map(category => [category.id, category.name]));
+
+    for (const phrase of phrases) {
+      const category = categoryNames.get(phrase.category_id);
+      notes.push({
+        front: phrase.german,
+        back: phrase.english,
+        example: phrase.example_german,
+        exampleTranslation: phrase.example_english,
+        tags: [TYPE_TAGS.phrases, ...(category ? [toTag(category)] : [])]
+      });
+    }
+  }
+
+  return { text: formatAnkiNotes(notes), count: notes.length };
+}
+
+/**
+ * Helper function: Whether a note becomes a word or a phrase
+ */
+function noteTarget(note, target) {
+  if (target !== 'auto') return target;
+  return note.tags.includes(TYPE_TAGS.phrases) ? 'phrases' : 'vocabulary';
+}
+
+/**
+ * Helper function: Category id for a tag name, creating the category unless this is a dry run
+ */
+async function resolveCategory(categoryRepository, categoriesByName, name, { dryRun, stats }) {
+  const key = name.toLowerCase();
+  if (!categoriesByName.has(key)) {
+    const category = dryRun ? { id: null, name } : await categoryRepository.create(name);
+    categoriesByName.set(key, category);
+    stats.categories.created++;
+  }
+  return categoriesByName.get(key).id;
+}
+
+/**
+ * Import the notes of an Anki plain-text file as words and phrases
+ * Notes are skipped when a word already exists (same word, ignoring case; the word column
+ * is unique per user) or a phrase has the same English or German text as an existing one,
+ * and when the file repeats them. Missing categories are created from the tags.
+ * @param {object} repositories - Repositories of the user
+ * @param {string} text - File content
+ * @param {{target?: 'auto'|'vocabulary'|'phrases', dryRun?: boolean}} options - auto uses the
+ *   "phrase" tag of exported notes and imports everything else as words
+ * @returns {Promise<object>} Counts per type and the skipped notes with their line numbers
+ */
+export async function importAnkiDeck(repositories, text, { target = 'auto', dryRun = false } = {}) {
+  const { notes } = parseAnkiNotes(text);
+  const stats = {
+    vocabulary: { created: 0, duplicates: 0 },
+    phrases: { created: 0, duplicates: 0 },
+    categories: { created: 0 },
+    skipped: []
+  };
+
+  const [words, phrases, vocabularyCategories, phraseCategories] = await Promise.all([
+    repositories.vocabulary.list(),
+    repositories.phrases.listAll(),
+    repositories.vocabulary.categories.list(),
+    repositories.phrases.categories.list()
+  ]);
+
+  const knownWords = new Set(words.map(word => word.word.toLowerCase()));
+  const knownPhrases = {
+    english: new Set(phrases.map(phrase => phrase.english.toLowerCase())),
+    german: new Set(phrases.map(phrase => phrase.german.toLowerCase()))
+  };
+  const categories = {
+    vocabulary: { repository: repositories.vocabulary.categories, byName: new Map(vocabularyCategories.map(c => [c.name.toLowerCase(), c])) },
+    phrases: { repository: repositories.phrases.categories, byName: new Map(phraseCategories.map(c => [c.name.toLowerCase(), c])) }
+  };
+  const rows = { vocabulary: [], phrases: [] };
+
+  for (const note of notes) {
+    const type = noteTarget(note, target);
+
+    if (!note.front || (type === 'phrases' && !note.back)) {
+      stats.skipped.push({ line: note.line, reason: type === 'phrases' ? 'German and English text required' : 'Word required' });
+      continue;
+    }
+
+    if (type === 'vocabulary' ? knownWords.has(note.front.toLowerCase())
+      : knownPhrases.german.has(note.front.toLowerCase()) || knownPhrases.english.has(note.back.toLowerCase())) {
+      stats[type].duplicates++;
+      stats.skipped.push({ line: note.line, reason: `Duplicate: ${note.front}` });
+      continue;
+    }
+
+    const categoryTag = note.tags.find(tag => !Object.values(TYPE_TAGS).includes(tag));
+    const categoryName = categoryTag ? fromTag(categoryTag) : '';
+    const categoryId = categoryName
+      ? await resolveCategory(categories[type].repository, categories[type].byName, categoryName, { dryRun, stats })
+      : null;
+
+    if (type === 'vocabulary') {
+      knownWords.add(note.front.toLowerCase());
+      rows.vocabulary.push({ word: note.front, meaning: note.back || null, category_id: categoryId });
+    } else {
+      knownPhrases.german.add(note.front.toLowerCase());
+      knownPhrases.english.add(note.back.toLowerCase());
+      rows.phrases.push({
+        german: note.front,
+        english: note.back,
+        example_german: note.example || null,
+        example_english: note.exampleTranslation || null,
+        category_id: categoryId,
+        times_reviewed: 0
+      });
+    }
+    stats[type].created++;
+  }
+
+  if (!dryRun) {
+    for (const type of ['vocabulary', 'phrases']) {
+      for (let i = 0; i < rows[type].length; i += INSERT_BATCH_SIZE) {
+        await repositories[type].createMany(rows[type].slice(i, i + INSERT_BATCH_SIZE));
+      }
+    }
+  }
+
+  return stats;
+}
@@ -0,0 +1,444 @@
+import { USER_TABLES } from '../repositories/backup.js';
+
+/**
+ * Backups of all of a user's data (GET /api/data/export, POST /api/data/import)
+ *
+ * Format 2.0 has one list of rows per table (see USER_TABLES). Database ids are left out
+ * because they change when rows are restored elsewhere; foreign keys are written as the
+ * stable key of the referenced row instead, e.g. a word's category_id becomes
+ * "category": { "name": "Animals" } and a review's item_id becomes "item": { "word": "Haus" }.
+ *
+ * Restoring validates the whole file first, then plans every row (create, update, skip when
+ * unchanged, or conflict) and writes the plan in one transaction, so a failing restore
+ * leaves the data as it was.
+ */
+
+export const BACKUP_VERSION = '2.0';
+
+/**
+ * How each table is matched and linked
+ *   key:  columns identifying a row of the user (an existing row with the same key is updated on import)
+ *   refs: foreign key column -> { as: field name in the backup, table: referenced table (or a function of the row),
+ *         required: skip the row when the reference cannot be resolved instead of clearing it }
+ */
+const TABLES = {
+  vocabulary_categories: { key: ['name'] },
+  phrase_categories: { key: ['name'] },
+  note_categories: { key: ['name'] },
+  vocabulary: {
+    key: ['word'],
+    refs: { category_id: { as: 'category', table: 'vocabulary_categories' } }
+  },
+  custom_phrases: {
+    key: ['english', 'german'],
+    refs: { category_id: { as: 'category', table: 'phrase_categories' } }
+  },
+  notes: {
+    key: ['title', 'created_at'],
+    refs: { category_id: { as: 'category', table: 'note_categories' } }
+  },
+  review_history: {
+    key: ['item_type', 'item_id', 'reviewed_at'],
+    refs: { item_id: { as: 'item', table: row => row.item_type === 'phrase' ? 'custom_phrases' : 'vocabulary', required: true } }
+  },
+  study_sessions: { key: ['completed_at'] },
+  article_drill_stats: {
+    key: ['noun'],
+    refs: { vocabulary_id: { as: 'vocabulary', table: 'vocabulary' } }
+  },
+  user_settings: { key: [] },
+  progress_stats: { key: ['date'] },
+  journey_progress: { key: [] },
+  daily_activities: { key: ['activity_date'] },
+  achievements: { key: ['achievement_key'] },
+  journey_landmarks: { key: ['landmark_key'] },
+  daily_task_progress: {
+    key: ['task_id', 'completion_date'],
+    refs: { task_id: { as: 'task', table: 'daily_tasks', required: true } }
+  },
+  journal_entries: { key: ['created_at'] },
+  mistakes: {
+    key: ['journal_entry_id', 'original', 'created_at'],
+    refs: { journal_entry_id: { as: 'journal_entry', table: 'journal_entries' } }
+  },
+  // Shared task definitions, only referenced by name
+  daily_tasks: { key: ['name'] }
+};
+
+const TIMESTAMP = /^\d{4}-\d{2}-\d{2}T/;
+
+/**
+ * Columns of each table as they appear in a backup (foreign keys are written as refs instead)
+ * Types: text, integer, number, boolean, date (YYYY-MM-DD), timestamp, json; "!" marks required columns
+ */
+const COLUMNS = {
+  vocabulary_categories: { name: 'text!', created_at: 'timestamp' },
+  phrase_categories: { name: 'text!', created_at: 'timestamp' },
+  note_categories: { name: 'text!', created_at: 'timestamp' },
+  vocabulary: {
+    word: 'text!', meaning: 'text', first_seen: 'timestamp', frequency: 'integer', last_reviewed: 'timestamp',
+    ease_factor: 'number', interval_days: 'integer', repetitions: 'integer', lapses: 'integer', due_at: 'timestamp',
+    part_of_speech: 'text', article: 'text', plural: 'text', genitive: 'text', auxiliary: 'text',
+    praeteritum: 'text', partizip_ii: 'text'
+  },
+  custom_phrases: {
+    english: 'text!', german: 'text!', meaning: 'text', example_english: 'text', example_german: 'text',
+    created_at: 'timestamp', times_reviewed: 'integer', ease_factor: 'number', interval_days: 'integer',
+    repetitions: 'integer', lapses: 'integer', due_at: 'timestamp', last_reviewed: 'timestamp'
+  },
+  notes: { title: 'text!', content: 'text!', created_at: 'timestamp' },
+  review_history: {
+    item_type: 'text!', grade: 'text!', interval_days: 'integer!', ease_factor: 'number!', reviewed_at: 'timestamp'
+  },
+  study_sessions: {
+    started_at: 'timestamp', completed_at: 'timestamp', duration_seconds: 'integer', cards_reviewed: 'integer',
+    vocabulary_reviewed: 'integer', phrases_reviewed: 'integer', correct_count: 'integer', accuracy: 'integer'
+  },
+  article_drill_stats: {
+    noun: 'text!', article: 'text!', attempts: 'integer', correct_count: 'integer', wrong_count: 'integer',
+    last_answer: 'text', last_wrong_at: 'timestamp', last_practiced: 'timestamp'
+  },
+  user_settings: { daily_goal_minutes: 'integer', daily_sentence_goal: 'integer', theme: 'text' },
+  progress_stats: { date: 'date!', words_learned: 'integer', entries_written: 'integer', minutes_practiced: 'integer' },
+  journey_progress: {
+    journey_start_date: 'date!', current_day: 'integer', completed_days: 'json', last_activity_date: 'date',
+    journey_completed_count: 'integer', created_at: 'timestamp', updated_at: 'timestamp'
+  },
+  daily_activities: {
+    activity_date: 'date!', minutes_practiced: 'integer', vocabulary_added_count: 'integer', cards_reviewed: 'integer',
+    day_completed: 'boolean', journey_day_number: 'integer', created_at: 'timestamp', updated_at: 'timestamp'
+  },
+  achievements: {
+    achievement_key: 'text!', title: 'text!', description: 'text', icon_emoji: 'text', unlocked_at: 'timestamp',
+    journey_day: 'integer', category: 'text', created_at: 'timestamp'
+  },
+  journey_landmarks: {
+    landmark_key: 'text!', name: 'text!', description: 'text', icon_emoji: 'text', day_number: 'integer!',
+    unlocked: 'boolean', unlocked_at: 'timestamp', created_at: 'timestamp'
+  },
+  daily_task_progress: { completion_date: 'date!', started_at: 'timestamp', completed_at: 'timestamp', created_at: 'timestamp' },
+  journal_entries: {
+    german_text: 'text!', corrected_text: 'text', corrections: 'json', word_count: 'integer', error_count: 'integer',
+    session_duration: 'integer', created_at: 'timestamp', updated_at: 'timestamp'
+  },
+  mistakes: {
+    category: 'text!', original: 'text!', corrected: 'text!', explanation: 'text', sentence: 'text',
+    source: 'text', created_at: 'timestamp'
+  }
+};
+
+const TYPE_CHECKS = {
+  text: value => typeof value === 'string',
+  integer: value => Number.isInteger(value),
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  boolean: value => typeof value === 'boolean',
+  date: value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value),
+  timestamp: value => typeof value === 'string' && !Number.isNaN(Date.parse(value)),
+  json: value => typeof value === 'object'
+};
+
+// Validation stops collecting after this many errors
+const MAX_ERRORS = 50;
+
+/**
+ * Helper function: Key value as compared between databases
+ * Timestamps are normalized, since Postgres and D1 format them differently
+ */
+function normalizeKeyValue(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'string' && TIMESTAMP.test(value)) {
+    const date = new Date(value);
+    if (!Number.isNaN(date.getTime())) return date.toISOString();
+  }
+  return value;
+}
+
+function rowKey(table, row) {
+  return JSON.stringify(TABLES[table].key.map(column => normalizeKeyValue(row[column])));
+}
+
+function pickKey(table, row) {
+  return Object.fromEntries(TABLES[table].key.map(column => [column, row[column]]));
+}
+
+function referencedTable(ref, row) {
+  return typeof ref.table === 'function' ? ref.table(row) : ref.table;
+}
+
+/**
+ * Helper function: Rows of a table by their key
+ */
+function indexByKey(table, rows) {
+  return new Map(rows.map(row => [rowKey(table, row), row]));
+}
+
+/**
+ * Helper function: A database row as written to a backup
+ */
+function toBackupRow(table, row, rowsById) {
+  // Backups only hold rows outside the trash, so deleted_at is always empty
+  const { id, user_id, deleted_at, ...backupRow } = row;
+
+  for (const [column, ref] of Object.entries(TABLES[table].refs || {})) {
+    const target = referencedTable(ref, row);
+    const referenced = row[column] === null ? null : rowsById[target].get(row[column]);
+    delete backupRow[column];
+    backupRow[ref.as] = referenced ? pickKey(target, referenced) : null;
+  }
+
+  return backupRow;
+}
+
+/**
+ * Helper function: A backup row as written to the database
+ * References to rows created by the same restore become { $ref } placeholders.
+ * Throws when a required reference cannot be resolved
+ */
+function fromBackupRow(table, backupRow, rowsByKey) {
+  const { id, user_id, ...row } = backupRow;
+
+  for (const [column, ref] of Object.entries(TABLES[table].refs || {})) {
+    const value = row[ref.as];
+    delete row[ref.as];
+
+    const target = referencedTable(ref, row);
+    const referenced = value ? rowsByKey[target]?.get(rowKey(target, value)) : null;
+    if (!referenced && ref.required) {
+      throw new Error(`unknown ${ref.as} ${JSON.stringify(value)}`);
+    }
+    row[column] = referenced ? referenced.id : null;
+  }
+
+  return row;
+}
+
+/**
+ * Helper function: Convert a version 1.0 backup (vocabulary, customPhrases, settings, progressStats)
+ * Its category ids cannot be resolved, so words and phrases are restored without a category
+ */
+function upgradeFromV1(data) {
+  const withoutCategory = ({ category_id, ...row }) => row;
+  const upgraded = {};
+
+  if (Array.isArray(data.vocabulary)) upgraded.vocabulary = data.vocabulary.map(withoutCategory);
+  if (Array.isArray(data.customPhrases)) upgraded.custom_phrases = data.customPhrases.map(withoutCategory);
+  if (Array.isArray(data.progressStats)) upgraded.progress_stats = data.progressStats;
+  if (data.settings && typeof data.settings === 'object' && Object.keys(data.settings).length > 0) {
+    upgraded.user_settings = [data.settings];
+  }
+
+  return upgraded;
+}
+
+/**
+ * Helper function: Rows of a backup by table, in format 2.0
+ */
+function backupTables(backup) {
+  return backup.version === BACKUP_VERSION ? backup.data : upgradeFromV1(backup.data);
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Helper function: Check one backup row against COLUMNS, pushing messages onto errors
+ */
+function validateRow(table, row, path, errors) {
+  if (!isObject(row)) {
+    errors.push(`${path}: expected an object`);
+    return;
+  }
+
+  const columns = COLUMNS[table];
+  const refs = Object.values(TABLES[table].refs || {});
+
+  for (const [field, value] of Object.entries(row)) {
+    if (field === 'id' || field === 'user_id') continue;
+
+    const ref = refs.find(r => r.as === field);
+    if (ref) {
+      if (value !== null && !isObject(value)) errors.push(`${path}.${field}: expected an object or null`);
+      continue;
+    }
+
+    const type = columns[field]?.replace('!', '');
+    if (!type) {
+      errors.push(`${path}.${field}: unknown column`);
+    } else if (value !== null && !TYPE_CHECKS[type](value)) {
+      errors.push(`${path}.${field}: expected ${type}`);
+    }
+  }
+
+  for (const [column, type] of Object.entries(columns)) {
+    if (type.endsWith('!') && (row[column] === undefined || row[column] === null)) {
+      errors.push(`${path}.${column}: required`);
+    }
+  }
+  for (const ref of refs) {
+    if (ref.required && !row[ref.as]) errors.push(`${path}.${ref.as}: required`);
+  }
+}
+
+/**
+ * Check a backup file before anything is restored
+ * @param {object} backup - Parsed backup file ({ version, data })
+ * @returns {string[]} Problems found (at most MAX_ERRORS), empty when the backup is valid
+ */
+export function validateBackup(backup) {
+  if (!isObject(backup)) return ['expected a backup object'];
+  if (!['1.0', BACKUP_VERSION].includes(backup.version)) {
+    return [`version: unsupported backup version ${JSON.stringify(backup.version)}`];
+  }
+  if (!isObject(backup.data)) return ['data: expected an object'];
+
+  const errors = [];
+  const tables = backupTables(backup);
+
+  if (backup.version === BACKUP_VERSION) {
+    for (const table of Object.keys(tables)) {
+      if (!USER_TABLES.includes(table)) errors.push(`data.${table}: unknown table`);
+    }
+  }
+
+  for (const table of USER_TABLES) {
+    if (tables[table] === undefined) continue;
+    if (!Array.isArray(tables[table])) {
+      errors.push(`data.${table}: expected an array`);
+      continue;
+    }
+    tables[table].forEach((row, index) => validateRow(table, row, `data.${table}[${index}]`, errors));
+    if (errors.length >= MAX_ERRORS) break;
+  }
+
+  return errors.slice(0, MAX_ERRORS);
+}
+
+/**
+ * Helper function: Whether restoring row onto an existing row would change nothing
+ */
+function isUnchanged(row, existing) {
+  return Object.entries(row).every(([column, value]) =>
+    JSON.stringify(normalizeKeyValue(value)) === JSON.stringify(normalizeKeyValue(existing[column]))
+  );
+}
+
+/**
+ * Export every table of the user
+ * @param {object} repositories - Repositories of the user (see repositories/index.js)
+ * @returns {Promise<object>} Backup in format BACKUP_VERSION
+ */
+export async function createBackup(repositories) {
+  const rowsByTable = { daily_tasks: await repositories.tasks.listTasks() };
+  for (const table of USER_TABLES) {
+    rowsByTable[table] = await repositories.backup.list(table);
+  }
+
+  const rowsById = Object.fromEntries(
+    Object.entries(rowsByTable).map(([table, rows]) => [table, new Map(rows.map(row => [row.id, row]))])
+  );
+
+  const data = {};
+  const counts = {};
+  for (const table of USER_TABLES) {
+    data[table] = rowsByTable[table].map(row => toBackupRow(table, row, rowsById));
+    counts[table] = data[table].length;
+  }
+
+  return {
+    version: BACKUP_VERSION,
+    exportDate: new Date().toISOString(),
+    data,
+    metadata: { tables: counts }
+  };
+}
+
+/**
+ * Work out what restoring a validated backup would do, without writing anything
+ * Tables are planned in dependency order so references resolve to existing or restored rows.
+ * In merge mode a row with the same key as an existing row updates it (or is skipped when
+ * nothing differs); in replace mode the tables contained in the backup start out empty.
+ * Rows that cannot be restored (unknown required reference, key repeated within the file)
+ * are conflicts and left out.
+ * @param {object} repositories - Repositories of the user
+ * @param {object} backup - Backup that passed validateBackup()
+ * @param {{mode?: 'merge'|'replace'}} options
+ * @returns {Promise<{stats: object, changes: object}>} Counts per table and the changes for backup.restore()
+ */
+export async function planRestore(repositories, backup, { mode = 'merge' } = {}) {
+  const data = backupTables(backup);
+  const tables = USER_TABLES.filter(table => Array.isArray(data[table]));
+  const replaced = mode === 'replace' ? tables : [];
+  const stats = { created: {}, updated: {}, skipped: {}, conflicted: {}, conflicts: [] };
+  const changes = { clear: [...replaced].reverse(), writes: [] };
+
+  const rowsByKey = { daily_tasks: indexByKey('daily_tasks', await repositories.tasks.listTasks()) };
+
+  for (const table of USER_TABLES) {
+    const existing = replaced.includes(table) ? new Map() : indexByKey(table, await repositories.backup.list(table));
+    rowsByKey[table] = existing;
+    if (!tables.includes(table)) continue;
+
+    const counts = { created: 0, updated: 0, skipped: 0, conflicted: 0 };
+    const write = { table, insert: [], update: [] };
+    const keysInBackup = new Set();
+
+    data[table].forEach((backupRow, index) => {
+      const conflict = reason => {
+        counts.conflicted++;
+        stats.conflicts.push({ table, index, reason });
+      };
+
+      let row;
+      try {
+        row = fromBackupRow(table, backupRow, rowsByKey);
+      } catch (error) {
+        return conflict(error.message);
+      }
+
+      const key = rowKey(table, row);
+      if (keysInBackup.has(key)) {
+        return conflict(`same ${TABLES[table].key.join(', ') || 'row'} as an earlier row`);
+      }
+      keysInBackup.add(key);
+
+      const match = existing.get(key);
+      if (!match) {
+        const ref = `${table}:${index}`;
+        write.insert.push({ ...row, $ref: ref });
+        existing.set(key, { ...row, id: { $ref: ref } });
+        counts.created++;
+      } else if (isUnchanged(row, match)) {
+        counts.skipped++;
+      } else {
+        write.update.push({ id: match.id, patch: row });
+        counts.updated++;
+      }
+    });
+
+    for (const [name, count] of Object.entries(counts)) {
+      stats[name][table] = count;
+    }
+    changes.writes.push(write);
+  }
+
+  return { stats, changes };
+}
+
+/**
+ * Restore a validated backup (format 2.0, or 1.0 as exported before) into the user's tables
+ * Every change is written in one transaction; with dryRun nothing is written at all.
+ * @param {object} repositories - Repositories of the user
+ * @param {object} backup - Backup that passed validateBackup()
+ * @param {{mode?: 'merge'|'replace', dryRun?: boolean}} options
+ * @returns {Promise<object>} Row counts per table (created, updated, skipped, conflicted) and the conflicts
+ */
+export async function restoreBackup(repositories, backup, { mode = 'merge', dryRun = false } = {}) {
+  const { stats, changes } = await planRestore(repositories, backup, { mode });
+
+  if (!dryRun) {
+    await repositories.backup.restore(changes);
+  }
+
+  return stats;
+}
@@ -0,0 +1,360 @@
+/**
+ * German verb conjugation
+ *
+ * Regular verbs are conjugated by rules. Strong, mixed and modal verbs
+ * come from IRREGULAR_VERBS. Prefixed verbs reuse the table entry of
+ * their base verb (aufstehen -> stehen, verstehen -> stehen).
+ * A word's own praeteritum/partizip_ii/auxiliary always win.
+ */
+
+export const PERSONS = ['ich', 'du', 'er/sie/es', 'wir', 'ihr', 'sie/Sie'];
+
+export const TENSES = ['praesens', 'praeteritum', 'perfekt', 'konjunktiv_ii'];
+
+export const TENSE_LABELS = {
+  praesens: 'Präsens',
+  praeteritum: 'Präteritum',
+  perfekt: 'Perfekt',
+  konjunktiv_ii: 'Konjunktiv II'
+};
+
+/**
+ * Irregular verbs
+ * present: full Präsens when the endings themselves are irregular
+ * present_stem: changed stem used for du and er/sie/es (geben -> gib)
+ * praeteritum: 3rd person singular Präteritum
+ * konjunktiv_ii: 3rd person singular Konjunktiv II when it is commonly used
+ *   (verbs without one use würde + infinitive)
+ */
+export const IRREGULAR_VERBS = {
+  sein: { meaning: 'to be', present: ['bin', 'bist', 'ist', 'sind', 'seid', 'sind'], praeteritum: 'war', partizip_ii: 'gewesen', auxiliary: 'sein', konjunktiv_ii: 'wäre' },
+  haben: { meaning: 'to have', present: ['habe', 'hast', 'hat', 'haben', 'habt', 'haben'], praeteritum: 'hatte', partizip_ii: 'gehabt', auxiliary: 'haben', konjunktiv_ii: 'hätte' },
+  werden: { meaning: 'to become', present: ['werde', 'wirst', 'wird', 'werden', 'werdet', 'werden'], praeteritum: 'wurde', partizip_ii: 'geworden', auxiliary: 'sein', konjunktiv_ii: 'würde' },
+  können: { meaning: 'can', present: ['kann', 'kannst', 'kann', 'können', 'könnt', 'können'], praeteritum: 'konnte', partizip_ii: 'gekonnt', auxiliary: 'haben', konjunktiv_ii: 'könnte' },
+  müssen: { meaning: 'must', present: ['muss', 'musst', 'muss', 'müssen', 'müsst', 'müssen'], praeteritum: 'musste', partizip_ii: 'gemusst', auxiliary: 'haben', konjunktiv_ii: 'müsste' },
+  dürfen: { meaning: 'may', present: ['darf', 'darfst', 'darf', 'dürfen', 'dürft', 'dürfen'], praeteritum: 'durfte', partizip_ii: 'gedurft', auxiliary: 'haben', konjunktiv_ii: 'dürfte' },
+  sollen: { meaning: 'should', present: ['soll', 'sollst', 'soll', 'sollen', 'sollt', 'sollen'], praeteritum: 'sollte', partizip_ii: 'gesollt', auxiliary: 'haben', konjunktiv_ii: 'sollte' },
+  wollen: { meaning: 'to want', present: ['will', 'willst', 'will', 'wollen', 'wollt', 'wollen'], praeteritum: 'wollte', partizip_ii: 'gewollt', auxiliary: 'haben', konjunktiv_ii: 'wollte' },
+  mögen: { meaning: 'to like', present: ['mag', 'magst', 'mag', 'mögen', 'mögt', 'mögen'], praeteritum: 'mochte', partizip_ii: 'gemocht', auxiliary: 'haben', konjunktiv_ii: 'möchte' },
+  wissen: { meaning: 'to know', present: ['weiß', 'weißt', 'weiß', 'wissen', 'wisst', 'wissen'], praeteritum: 'wusste', partizip_ii: 'gewusst', auxiliary: 'haben', konjunktiv_ii: 'wüsste' },
+  tun: { meaning: 'to do', present: ['tue', 'tust', 'tut', 'tun', 'tut', 'tun'], praeteritum: 'tat', partizip_ii: 'getan', auxiliary: 'haben', konjunktiv_ii: 'täte' },
+  gehen: { meaning: 'to go', praeteritum: 'ging', partizip_ii: 'gegangen', auxiliary: 'sein', konjunktiv_ii: 'ginge' },
+  kommen: { meaning: 'to come', praeteritum: 'kam', partizip_ii: 'gekommen', auxiliary: 'sein', konjunktiv_ii: 'käme' },
+  stehen: { meaning: 'to stand', praeteritum: 'stand', partizip_ii: 'gestanden', auxiliary: 'haben', konjunktiv_ii: 'stünde' },
+  bleiben: { meaning: 'to stay', praeteritum: 'blieb', partizip_ii: 'geblieben', auxiliary: 'sein', konjunktiv_ii: 'bliebe' },
+  fahren: { meaning: 'to drive', present_stem: 'fähr', praeteritum: 'fuhr', partizip_ii: 'gefahren', auxiliary: 'sein', konjunktiv_ii: 'führe' },
+  fliegen: { meaning: 'to fly', praeteritum: 'flog', partizip_ii: 'geflogen', auxiliary: 'sein' },
+  laufen: { meaning: 'to run', present_stem: 'läuf', praeteritum: 'lief', partizip_ii: 'gelaufen', auxiliary: 'sein' },
+  fallen: { meaning: 'to fall', present_stem: 'fäll', praeteritum: 'fiel', partizip_ii: 'gefallen', auxiliary: 'sein' },
+  sterben: { meaning: 'to die', present_stem: 'stirb', praeteritum: 'starb', partizip_ii: 'gestorben', auxiliary: 'sein' },
+  ziehen: { meaning: 'to pull / to move', praeteritum: 'zog', partizip_ii: 'gezogen', auxiliary: 'haben' },
+  sehen: { meaning: 'to see', present_stem: 'sieh', praeteritum: 'sah', partizip_ii: 'gesehen', auxiliary: 'haben', konjunktiv_ii: 'sähe' },
+  lesen: { meaning: 'to read', present_stem: 'lies', praeteritum: 'las', partizip_ii: 'gelesen', auxiliary: 'haben' },
+  geben: { meaning: 'to give', present_stem: 'gib', praeteritum: 'gab', partizip_ii: 'gegeben', auxiliary: 'haben', konjunktiv_ii: 'gäbe' },
+  nehmen: { meaning: 'to take', present_stem: 'nimm', praeteritum: 'nahm', partizip_ii: 'genommen', auxiliary: 'haben' },
+  essen: { meaning: 'to eat', present_stem: 'iss', praeteritum: 'aß', partizip_ii: 'gegessen', auxiliary: 'haben' },
+  vergessen: { meaning: 'to forget', present_stem: 'vergiss', praeteritum: 'vergaß', partizip_ii: 'vergessen', auxiliary: 'haben' },
+  sprechen: { meaning: 'to speak', present_stem: 'sprich', praeteritum: 'sprach', partizip_ii: 'gesprochen', auxiliary: 'haben' },
+  helfen: { meaning: 'to help', present_stem: 'hilf', praeteritum: 'half', partizip_ii: 'geholfen', auxiliary: 'haben' },
+  treffen: { meaning: 'to meet', present_stem: 'triff', praeteritum: 'traf', partizip_ii: 'getroffen', auxiliary: 'haben' },
+  werfen: { meaning: 'to throw', present_stem: 'wirf', praeteritum: 'warf', partizip_ii: 'geworfen', auxiliary: 'haben' },
+  schlafen: { meaning: 'to sleep', present_stem: 'schläf', praeteritum: 'schlief', partizip_ii: 'geschlafen', auxiliary: 'haben' },
+  tragen: { meaning: 'to carry / to wear', present_stem: 'träg', praeteritum: 'trug', partizip_ii: 'getragen', auxiliary: 'haben' },
+  laden: { meaning: 'to load', present_stem: 'läd', praeteritum: 'lud', partizip_ii: 'geladen', auxiliary: 'haben' },
+  halten: { meaning: 'to hold', present_stem: 'hält', praeteritum: 'hielt', partizip_ii: 'gehalten', auxiliary: 'haben' },
+  lassen: { meaning: 'to let', present_stem: 'läss', praeteritum: 'ließ', partizip_ii: 'gelassen', auxiliary: 'haben' },
+  waschen: { meaning: 'to wash', present_stem: 'wäsch', praeteritum: 'wusch', partizip_ii: 'gewaschen', auxiliary: 'haben' },
+  finden: { meaning: 'to find', praeteritum: 'fand', partizip_ii: 'gefunden', auxiliary: 'haben', konjunktiv_ii: 'fände' },
+  trinken: { meaning: 'to drink', praeteritum: 'trank', partizip_ii: 'getrunken', auxiliary: 'haben' },
+  singen: { meaning: 'to sing', praeteritum: 'sang', partizip_ii: 'gesungen', auxiliary: 'haben' },
+  beginnen: { meaning: 'to begin', praeteritum: 'begann', partizip_ii: 'begonnen', auxiliary: 'haben' },
+  gewinnen: { meaning: 'to win', praeteritum: 'gewann', partizip_ii: 'gewonnen', auxiliary: 'haben' },
+  schreiben: { meaning: 'to write', praeteritum: 'schrieb', partizip_ii: 'geschrieben', auxiliary: 'haben' },
+  schreien: { meaning: 'to scream', praeteritum: 'schrie', partizip_ii: 'geschrien', auxiliary: 'haben' },
+  scheinen: { meaning: 'to shine / to seem', praeteritum: 'schien', partizip_ii: 'geschienen', auxiliary: 'haben' },
+  liegen: { meaning: 'to lie', praeteritum: 'lag', partizip_ii: 'gelegen', auxiliary: 'haben', konjunktiv_ii: 'läge' },
+  sitzen: { meaning: 'to sit', praeteritum: 'saß', partizip_ii: 'gesessen', auxiliary: 'haben' },
+  rufen: { meaning: 'to call', praeteritum: 'rief', partizip_ii: 'gerufen', auxiliary: 'haben' },
+  heißen: { meaning: 'to be called', praeteritum: 'hieß', partizip_ii: 'geheißen', auxiliary: 'haben' },
+  schließen: { meaning: 'to close', praeteritum: 'schloss', partizip_ii: 'geschlossen', auxiliary: 'haben' },
+  bieten: { meaning: 'to offer', praeteritum: 'bot', partizip_ii: 'geboten', auxiliary: 'haben' },
+  verlieren: { meaning: 'to lose', praeteritum: 'verlor', partizip_ii: 'verloren', auxiliary: 'haben' },
+  bringen: { meaning: 'to bring', praeteritum: 'brachte', partizip_ii: 'gebracht', auxiliary: 'haben', konjunktiv_ii: 'brächte' },
+  denken: { meaning: 'to think', praeteritum: 'dachte', partizip_ii: 'gedacht', auxiliary: 'haben', konjunktiv_ii: 'dächte' },
+  kennen: { meaning: 'to know (be familiar with)', praeteritum: 'kannte', partizip_ii: 'gekannt', auxiliary: 'haben' },
+  nennen: { meaning: 'to name', praeteritum: 'nannte', partizip_ii: 'genannt', auxiliary: 'haben' },
+  rennen: { meaning: 'to run', praeteritum: 'rannte', partizip_ii: 'gerannt', auxiliary: 'sein' }
+};
+
+// Regular base verbs that commonly take a separable prefix
+const REGULAR_BASES = [
+  'machen', 'kaufen', 'hören', 'stellen', 'legen', 'holen', 'räumen', 'suchen',
+  'zeigen', 'passen', 'füllen', 'bauen', 'hängen', 'decken', 'setzen',
+  'wachen', 'probieren', 'melden', 'lernen', 'kochen', 'packen', 'spielen'
+];
+
+// Prefixed verbs whose auxiliary differs from their base verb
+const PREFIXED_AUXILIARIES = {
+  aufstehen: 'sein',
+  aufwachen: 'sein',
+  einschlafen: 'sein',
+  einziehen: 'sein',
+  umziehen: 'sein',
+  entstehen: 'sein'
+};
+
+const SEPARABLE_PREFIXES = [
+  'zurück', 'zusammen', 'weiter', 'vorbei', 'heraus', 'herein', 'hinaus', 'hinein',
+  'nach', 'fern', 'fest', 'frei', 'auf', 'aus', 'ein', 'mit', 'vor', 'weg', 'los',
+  'her', 'hin', 'ab', 'an', 'bei', 'zu', 'um', 'da'
+];
+
+const INSEPARABLE_PREFIXES = ['miss', 'emp', 'ent', 'zer', 'ver', 'be', 'er', 'ge'];
+
+const PRONOUN_AUX = {
+  haben: IRREGULAR_VERBS.haben.present,
+  sein: IRREGULAR_VERBS.sein.present
+};
+
+/**
+ * Helper function: Split a verb into prefix and base verb
+ * Only splits when the base is a known verb, so words like "antworten" stay whole
+ */
+function splitPrefix(infinitive) {
+  const isKnownBase = base => Boolean(IRREGULAR_VERBS[base]) || REGULAR_BASES.includes(base);
+
+  for (const prefix of SEPARABLE_PREFIXES) {
+    const base = infinitive.slice(prefix.length);
+    if (infinitive.startsWith(prefix) && isKnownBase(base)) {
+      return { prefix, base, separable: true };
+    }
+  }
+  for (const prefix of INSEPARABLE_PREFIXES) {
+    const base = infinitive.slice(prefix.length);
+    if (infinitive.startsWith(prefix) && IRREGULAR_VERBS[base]) {
+      return { prefix, base, separable: false };
+    }
+  }
+  return null;
+}
+
+/**
+ * Helper function: Stem of a regular verb (machen -> mach, wandern -> wander)
+ */
+function getStem(infinitive) {
+  if (/[^aeiou]e[lr]n$/.test(infinitive)) return infinitive.slice(0, -1);
+  if (infinitive.endsWith('en')) return infinitive.slice(0, -2);
+  if (infinitive.endsWith('n')) return infinitive.slice(0, -1);
+  return infinitive;
+}
+
+/**
+ * Helper function: Whether endings starting with a consonant need a linking e
+ * (arbeit-e-st, atm-e-t, but lern-st)
+ */
+function needsLinkingE(stem) {
+  return /[dt]$/.test(stem) || /[^aeiouäöülrmnh][mn]$/.test(stem);
+}
+
+/**
+ * Helper function: Append an ending starting with s or t to a stem
+ */
+function addEnding(stem, ending, linkingE) {
+  if (ending === 'st' && /(s|ß|z|x)$/.test(stem)) {
+    return `${stem}t`;
+  }
+  return linkingE ? `${stem}e${ending}` : `${stem}${ending}`;
+}
+
+/**
+ * Helper function: Present tense of a (base) verb
+ */
+function conjugatePresent(infinitive, entry) {
+  if (entry?.present) return [...entry.present];
+
+  const stem = getStem(infinitive);
+  const linkingE = needsLinkingE(stem);
+  const elnErn = /[^aeiou]e[lr]n$/.test(infinitive);
+  const plural = elnErn ? infinitive : `${stem}en`;
+
+  // ich wand(e)re / samm(e)le drops the e before l
+  const ich = elnErn && stem.endsWith('el') ? `${stem.slice(0, -2)}le` : `${stem}e`;
+
+  let du = addEnding(stem, 'st', linkingE);
+  let er = addEnding(stem, 't', linkingE);
+
+  if (entry?.present_stem) {
+    const changed = entry.present_stem;
+    du = addEnding(changed, 'st', false);
+    er = changed.endsWith('t') ? changed : `${changed}t`;
+  }
+
+  return [ich, du, er, plural, addEnding(stem, 't', linkingE), plural];
+}
+
+/**
+ * Helper function: Endings for a Präteritum or Konjunktiv II stem given in 3rd person singular
+ * Forms ending in e (machte, wäre) take weak endings, others (ging, fand, las) strong endings
+ */
+function conjugateFromThirdPerson(form) {
+  if (form.endsWith('e')) {
+    return [form, `${form}st`, form, `${form}n`, `${form}t`, `${form}n`];
+  }
+  return [
+    form,
+    /[dtsßz]$/.test(form) ? `${form}est` : `${form}st`,
+    form,
+    `${form}en`,
+    /[dt]$/.test(form) ? `${form}et` : `${form}t`,
+    `${form}en`
+  ];
+}
+
+/**
+ * Helper function: Regular Präteritum 3rd person singular (machte, arbeitete)
+ */
+function regularPraeteritum(infinitive) {
+  const stem = getStem(infinitive);
+  return needsLinkingE(stem) ? `${stem}ete` : `${stem}te`;
+}
+
+/**
+ * Helper function: Regular Partizip II (gemacht, gearbeitet, studiert, bezahlt)
+ */
+function regularPartizip(infinitive) {
+  const stem = getStem(infinitive);
+  const ending = needsLinkingE(stem) ? 'et' : 't';
+  const inseparable = INSEPARABLE_PREFIXES.some(prefix =>
+    infinitive.startsWith(prefix) && infinitive.length - prefix.length >= 4
+  );
+  if (infinitive.endsWith('ieren') || inseparable) return `${stem}${ending}`;
+  return `ge${stem}${ending}`;
+}
+
+/**
+ * Helper function: Build the four tense tables for a simple (unprefixed) verb
+ */
+function conjugateBase(infinitive, entry) {
+  return {
+    present: conjugatePresent(infinitive, entry),
+    praeteritum: entry?.praeteritum || regularPraeteritum(infinitive),
+    partizip_ii: entry?.partizip_ii || regularPartizip(infinitive),
+    auxiliary: entry?.auxiliary || 'haben',
+    konjunktiv_ii: entry?.konjunktiv_ii || null
+  };
+}
+
+/**
+ * Helper function: Add a separable prefix after the conjugated verb (stehe auf)
+ */
+function withSeparablePrefix(forms, prefix) {
+  return forms.map(form => `${form} ${prefix}`);
+}
+
+/**
+ * Helper function: Zip persons with forms into an object
+ */
+function toTable(forms) {
+  return Object.fromEntries(PERSONS.map((person, i) => [person, forms[i]]));
+}
+
+/**
+ * Conjugate a German verb in Präsens, Präteritum, Perfekt and Konjunktiv II
+ * @param {string} infinitive - The verb in the infinitive (e.g. 'aufstehen')
+ * @param {object} overrides - Known forms from the vocabulary entry ({ praeteritum, partizip_ii, auxiliary })
+ * @returns {object} { infinitive, auxiliary, partizip_ii, praeteritum, source, separable_prefix, tenses }
+ */
+export function conjugate(infinitive, overrides = {}) {
+  const verb = infinitive?.trim().toLowerCase();
+  if (!verb || !/n$/.test(verb) || /\s/.test(verb)) {
+    throw new Error(`Not a German infinitive: ${infinitive}`);
+  }
+
+  let base;
+  let prefix = null;
+  let separable = false;
+  let source = 'rules';
+
+  if (IRREGULAR_VERBS[verb]) {
+    base = conjugateBase(verb, IRREGULAR_VERBS[verb]);
+    source = 'irregular';
+  } else {
+    const split = splitPrefix(verb);
+    if (split) {
+      const entry = IRREGULAR_VERBS[split.base];
+      base = conjugateBase(split.base, entry);
+      prefix = split.prefix;
+      separable = split.separable;
+      source = entry ? 'irregular' : 'rules';
+
+      if (separable) {
+        base.partizip_ii = `${prefix}${base.partizip_ii}`;
+        base.auxiliary = PREFIXED_AUXILIARIES[verb] || base.auxiliary;
+      } else {
+        base.present = base.present.map(form => `${prefix}${form}`);
+        base.praeteritum = `${prefix}${base.praeteritum}`;
+        base.partizip_ii = `${prefix}${base.partizip_ii.replace(/^ge/, '')}`;
+        base.konjunktiv_ii = base.konjunktiv_ii ? `${prefix}${base.konjunktiv_ii}` : null;
+        // Inseparable verbs are transitive far more often than not (verstehen, bekommen)
+        base.auxiliary = PREFIXED_AUXILIARIES[verb] || 'haben';
+      }
+    } else {
+      base = conjugateBase(verb, null);
+    }
+  }
+
+  // The word's own grammar fields win over the rules
+  if (overrides.praeteritum) {
+    const form = overrides.praeteritum.trim().toLowerCase();
+    base.praeteritum = separable ? form.replace(new RegExp(`\\s+${prefix}$`), '') : form;
+    source = 'vocabulary';
+  }
+  if (overrides.partizip_ii) {
+    base.partizip_ii = overrides.partizip_ii.trim().toLowerCase();
+    source = 'vocabulary';
+  }
+  if (overrides.auxiliary === 'haben' || overrides.auxiliary === 'sein') {
+    base.auxiliary = overrides.auxiliary;
+  }
+
+  let praesens = base.present;
+  let praeteritum = conjugateFromThirdPerson(base.praeteritum);
+  const perfekt = PRONOUN_AUX[base.auxiliary].map(aux => `${aux} ${base.partizip_ii}`);
+  let konjunktivII = base.konjunktiv_ii
+    ? conjugateFromThirdPerson(base.konjunktiv_ii)
+    : conjugateFromThirdPerson('würde').map(form => `${form} ${verb}`);
+
+  if (separable) {
+    praesens = withSeparablePrefix(praesens, prefix);
+    praeteritum = withSeparablePrefix(praeteritum, prefix);
+    if (base.konjunktiv_ii) {
+      konjunktivII = withSeparablePrefix(konjunktivII, prefix);
+    }
+  }
+
+  return {
+    infinitive: verb,
+    auxiliary: base.auxiliary,
+    partizip_ii: base.partizip_ii,
+    praeteritum: praeteritum[2],
+    separable_prefix: separable ? prefix : null,
+    source,
+    tenses: {
+      praesens: toTable(praesens),
+      praeteritum: toTable(praeteritum),
+      perfekt: toTable(perfekt),
+      konjunktiv_ii: toTable(konjunktivII)
+    }
+  };
+}
+
+/**
+ * Check that a conjugation table (e.g. from Gemini) has every tense and person
+ * @param {object} tenses - { praesens: { ich, du, ... }, ... }
+ * @returns {boolean}
+ */
+export function isCompleteTable(tenses) {
+  return Boolean(tenses) && TENSES.every(tense =>
+    tenses[tense] && PERSONS.every(person => typeof tenses[tense][person] === 'string' && tenses[tense][person].trim())
+  );
+}
@@ -0,0 +1,295 @@
+import { formatDelimitedRow, parseDelimited, stripByteOrderMark } from './delimited-text.js';
+import { normalizeGrammar, pruneGrammar, splitArticle } from './german-grammar.js';
+
+/**
+ * CSV word lists for spreadsheets (GET /api/data/csv/export, POST /api/data/csv/import)
+ *
+ * The first row holds the column names. Columns are matched to fields by name (or an
+ * explicit mapping), so lists from class can be imported as they are. Comma, semicolon
+ * (German Excel) and tab separated files are recognised from the header row.
+ */
+
+/**
+ * Fields per type, in export order
+ *   required: rows without them are reported as errors
+ *   aliases:  other column names for the field (compared lowercase, spaces as underscores)
+ */
+export const CSV_TYPES = {
+  vocabulary: {
+    fields: ['word', 'meaning', 'category', 'article', 'plural'],
+    required: ['word'],
+    aliases: {
+      word: ['german', 'deutsch', 'wort'],
+      meaning: ['english', 'englisch', 'translation', 'bedeutung'],
+      category: ['folder', 'topic', 'kategorie'],
+      article: ['artikel', 'gender'],
+      plural: ['mehrzahl']
+    }
+  },
+  phrases: {
+    fields: ['english', 'german', 'meaning', 'example_english', 'example_german', 'category'],
+    required: ['english', 'german'],
+    aliases: {
+      english: ['englisch'],
+      german: ['deutsch'],
+      meaning: ['notes', 'bedeutung'],
+      example_english: ['english_example'],
+      example_german: ['german_example', 'example', 'beispiel'],
+      category: ['folder', 'topic', 'kategorie']
+    }
+  }
+};
+
+// Rows of the file returned with a dry run
+const PREVIEW_ROWS = 20;
+
+// A cell starting with one of these is run as a formula by spreadsheets
+const FORMULA_PREFIX = /^[=+\-@]/;
+
+function normalizeColumnName(name) {
+  return name.trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+/**
+ * Helper function: The separator used by the header row (the most frequent candidate)
+ */
+function detectSeparator(headerLine) {
+  const candidates = [',', ';', '\t'];
+  const counts = candidates.map(separator => headerLine.split(separator).length);
+  return candidates[counts.indexOf(Math.max(...counts))];
+}
+
+/**
+ * Helper function: Column index per field
+ * @param {string[]} headers - Column names of the file
+ * @param {object} mapping - field -> column name, to override matching by name
+ * @returns {{columns: object, errors: string[]}}
+ */
+function mapColumns(type, headers, mapping) {
+  const { fields, aliases } = CSV_TYPES[type];
+  const normalized = headers.map(normalizeColumnName);
+  const columns = {};
+  const errors = [];
+
+  for (const field of fields) {
+    if (mapping[field] !== undefined) {
+      const index = normalized.indexOf(normalizeColumnName(String(mapping[field])));
+      if (index === -1) {
+        errors.push(`Column "${mapping[field]}" for ${field} not found`);
+      } else {
+        columns[field] = index;
+      }
+      continue;
+    }
+
+    const index = normalized.findIndex(name => name === field || aliases[field].includes(name));
+    if (index !== -1) columns[field] = index;
+  }
+
+  for (const field of CSV_TYPES[type].required) {
+    if (columns[field] === undefined && mapping[field] === undefined) {
+      errors.push(`Missing column for ${field}`);
+    }
+  }
+
+  return { columns, errors };
+}
+
+/**
+ * Helper function: Keep a spreadsheet from running a cell as a formula ("=1+1" is exported as "'=1+1")
+ */
+function escapeFormula(value) {
+  return typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value;
+}
+
+/**
+ * Helper function: A cell as exported by escapeFormula, back to its value
+ */
+function unescapeFormula(value) {
+  return value?.startsWith("'") && FORMULA_PREFIX.test(value.slice(1)) ? value.slice(1) : value;
+}
+
+/**
+ * Read a CSV file as rows of fields
+ * @param {string} text - File content
+ * @param {'vocabulary'|'phrases'} type
+ * @param {object} mapping - Optional field -> column name
+ * @returns {{columns: object, errors: string[], rows: Array<{row: number, values: object}>}}
+ *   columns: field -> column name used; errors: problems with the columns (nothing can be imported)
+ */
+export function readCsv(text, type, mapping = {}) {
+  const content = stripByteOrderMark(text);
+  const separator = detectSeparator(content.split(/\r?\n/, 1)[0]);
+  const [header, ...records] = parseDelimited(content, separator);
+
+  if (!header) {
+    return { columns: {}, errors: ['The file is empty'], rows: [] };
+  }
+
+  const { columns, errors } = mapColumns(type, header.fields, mapping);
+  const rows = records.map(({ line, fields }) => {
+    const values = {};
+    for (const [field, index] of Object.entries(columns)) {
+      values[field] = unescapeFormula(fields[index]?.trim() || null);
+    }
+    return { row: line, values };
+  });
+
+  const columnNames = Object.fromEntries(Object.entries(columns).map(([field, index]) => [field, header.fields[index].trim()]));
+  return { columns: columnNames, errors, rows };
+}
+
+/**
+ * Helper function: A vocabulary row as stored, with the problems found
+ */
+function toWord(values) {
+  const errors = [];
+  const { word, article: splitOff } = splitArticle(values.word || '');
+  if (!word) errors.push('word is required');
+
+  const { data: grammar, errors: grammarErrors } = normalizeGrammar({
+    article: values.article ?? splitOff ?? undefined,
+    plural: values.plural ?? undefined
+  });
+  errors.push(...grammarErrors);
+  if (grammar.article) grammar.part_of_speech = 'noun';
+
+  return {
+    record: { word, meaning: values.meaning ?? null, frequency: 1, ...pruneGrammar(grammar) },
+    errors
+  };
+}
+
+/**
+ * Helper function: A phrase row as stored, with the problems found
+ */
+function toPhrase(values) {
+  const errors = [];
+  if (!values.english) errors.push('english is required');
+  if (!values.german) errors.push('german is required');
+
+  return {
+    record: {
+      english: values.english,
+      german: values.german,
+      meaning: values.meaning ?? null,
+      example_english: values.example_english ?? null,
+      example_german: values.example_german ?? null,
+      times_reviewed: 0
+    },
+    errors
+  };
+}
+
+/**
+ * Import the rows of a CSV file as words or phrases
+ * Rows with problems (missing fields, invalid article, duplicates of existing entries or of
+ * earlier rows) are reported with their row number and left out; the other rows are imported.
+ * Categories named in the file are created when they do not exist yet. The categories and
+ * rows are written in one transaction, so a failing import changes nothing.
+ * @param {object} repositories - Repositories of the user (see repositories/index.js)
+ * @param {string} text - File content
+ * @param {{type: 'vocabulary'|'phrases', mapping?: object, dryRun?: boolean}} options - With dryRun
+ *   nothing is written and the first rows are returned as they would be saved
+ * @returns {Promise<object>} columns, created, skipped, categories.created, errors per row,
+ *   preview (dry run), or columnErrors when the columns do not fit
+ */
+export async function importCsv(repositories, text, { type, mapping = {}, dryRun = false }) {
+  const { columns, errors: columnErrors, rows } = readCsv(text, type, mapping);
+  if (columnErrors.length > 0) {
+    return { columns, columnErrors };
+  }
+
+  const repository = repositories[type];
+  const [existing, categories] = await Promise.all([
+    type === 'vocabulary' ? repository.list() : repository.listAll(),
+    repository.categories.list()
+  ]);
+
+  const seen = type === 'vocabulary'
+    ? { word: new Map(existing.map(word => [word.word.toLowerCase(), null])) }
+    : {
+      english: new Map(existing.map(phrase => [phrase.english.toLowerCase(), null])),
+      german: new Map(existing.map(phrase => [phrase.german.toLowerCase(), null]))
+    };
+  const categoriesByName = new Map(categories.map(category => [category.name.toLowerCase(), category]));
+
+  const stats = { columns, created: 0, skipped: 0, categories: { created: 0 }, errors: [] };
+  const records = [];
+  const newCategories = [];
+  const preview = [];
+
+  for (const { row, values } of rows) {
+    const { record, errors } = type === 'vocabulary' ? toWord(values) : toPhrase(values);
+
+    // Duplicates: the row number of the earlier row, or null for an existing entry
+    for (const field of Object.keys(seen)) {
+      const value = record[field]?.toLowerCase();
+      if (!value || !seen[field].has(value)) continue;
+      const earlierRow = seen[field].get(value);
+      errors.push(earlierRow ? `same ${field} as row ${earlierRow}` : `${field} "${record[field]}" already exists`);
+    }
+
+    if (errors.length > 0) {
+      stats.skipped++;
+      stats.errors.push({ row, errors });
+      continue;
+    }
+
+    for (const field of Object.keys(seen)) {
+      seen[field].set(record[field].toLowerCase(), row);
+    }
+
+    record.category_id = null;
+    if (values.category) {
+      const key = values.category.toLowerCase();
+      if (!categoriesByName.has(key)) {
+        const ref = `category:${newCategories.length}`;
+        newCategories.push({ name: values.category, $ref: ref });
+        categoriesByName.set(key, { id: dryRun ? null : { $ref: ref }, name: values.category });
+        stats.categories.created++;
+      }
+      record.category_id = categoriesByName.get(key).id;
+    }
+
+    records.push(record);
+    if (preview.length < PREVIEW_ROWS) {
+      const { category_id, ...fields } = record;
+      preview.push({ row, ...fields, category: values.category ? categoriesByName.get(values.category.toLowerCase()).name : null });
+    }
+    stats.created++;
+  }
+
+  if (dryRun) {
+    stats.preview = preview;
+  } else {
+    await repository.importMany(records, newCategories);
+  }
+
+  return stats;
+}
+
+/**
+ * Export words or phrases as CSV (with a byte order mark, so Excel reads umlauts correctly)
+ * Cells that a spreadsheet would run as a formula are prefixed with ' (undone on import)
+ * @param {object} repositories - Repositories of the user
+ * @param {{type: 'vocabulary'|'phrases', categoryId?: string}} options - Only the words or phrases of a category
+ * @returns {Promise<{text: string, count: number}>}
+ */
+export async function exportCsv(repositories, { type, categoryId }) {
+  const repository = repositories[type];
+  const [items, categories] = await Promise.all([
+    repository.list({ categoryId, sort: 'az' }),
+    repository.categories.list()
+  ]);
+  const categoryNames = new Map(categories.map(category => [category.id, category.name]));
+  const { fields } = CSV_TYPES[type];
+
+  const lines = [formatDelimitedRow(fields, ',')];
+  for (const item of items) {
+    const row = { ...item, category: categoryNames.get(item.category_id) ?? null };
+    lines.push(formatDelimitedRow(fields.map(field => escapeFormula(row[field])), ','));
+  }
+
+  return { text: `\uFEFF${lines.join('\r\n')}\r\n`, count: items.length };
+}
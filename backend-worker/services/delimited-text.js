@@ -0,0 +1,86 @@
+/**
+ * Delimiter-separated text (CSV, tab-separated), as written by spreadsheets and Anki
+ *
+ * Fields containing the separator, a quote or a line break are quoted, with quotes doubled:
+ *   "Guten Tag, Frau ""Müller"""
+ */
+
+/**
+ * One row of fields, quoted where needed
+ * @param {Array<*>} fields - Values (null and undefined become empty fields)
+ * @param {string} separator - e.g. ',' or '\t'
+ * @returns {string}
+ */
+export function formatDelimitedRow(fields, separator) {
+  return fields.map(value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    if (text.includes(separator) || text.includes('"') || /[\r\n]/.test(text)) {
+      return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+  }).join(separator);
+}
+
+/**
+ * Split text into rows of fields, honouring quotes (a quoted field may span lines)
+ * Blank lines are left out.
+ * @param {string} text
+ * @param {string} separator
+ * @param {{firstLine?: number}} options - Line number of the first line of text
+ * @returns {Array<{line: number, fields: string[]}>} Rows with the line they start on
+ */
+export function parseDelimited(text, separator, { firstLine = 1 } = {}) {
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = firstLine;
+  let rowLine = firstLine;
+
+  const endRow = () => {
+    fields.push(field);
+    if (fields.length > 1 || fields[0].trim() !== '') {
+      rows.push({ line: rowLine, fields });
+    }
+    fields = [];
+    field = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === separator) {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || fields.length > 0) endRow();
+
+  return rows;
+}
+
+/**
+ * Remove a UTF-8 byte order mark (added by Excel and needed by it to read umlauts)
+ */
+export function stripByteOrderMark(text) {
+  return text.replace(/^\uFEFF/, '');
+}
@@ -1,10 +1,28 @@
+const GEMINI_API_BASE = 'https://generativelanguage.googleapis.com/v1beta';
+const DEFAULT_GEMINI_MODEL = 'gemini-2.5-flash';
+
+/**
+ * Build the generateContent URL for the configured Gemini model
+ * GEMINI_MODEL and GEMINI_API_BASE override the defaults (e.g. to point at a local stand-in)
+ * @param {object} env - Environment variables
+ * @returns {string} The API URL
+ */
+function getGeminiUrl(env = null) {
+    const readEnv = (name) => env?.[name] || globalThis[name] || (typeof process !== 'undefined' ? process.env?.[name] : undefined);
+    const base = (readEnv('GEMINI_API_BASE') || GEMINI_API_BASE).replace(/\/$/, '');
+    const model = readEnv('GEMINI_MODEL') || DEFAULT_GEMINI_MODEL;
+    return `${base}/models/${model}:generateContent`;
+}
+
 /**
  * Translate text using Google Gemini via native fetch
  * @param {string} text - The text to translate
  * @param {string} targetLang - The target language (e.g., 'German' or 'English')
+ * @param {object} env - Environment variables
+ * @param {AbortSignal} signal - Optional abort signal (used for provider timeouts)
  * @returns {Promise<string>} The translated text
  */
-async function translateWithGeminiApi(text, targetLang = 'German', env = null) {
+export async function translateWithGeminiApi(text, targetLang = 'German', env = null, signal = undefined) {
     const apiKey = env?.GEMINI_API_KEY || globalThis.GEMINI_API_KEY || (typeof process !== 'undefined' ? process.env?.GEMINI_API_KEY : undefined);
 
     if (!apiKey) {
@@ -20,7 +38,7 @@ async function translateWithGeminiApi(text, targetLang = 'German', env = null) {
     };
 
     try {
-        const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent`;
+        const url = getGeminiUrl(env);
         console.log('[DEBUG] Gemini API URL:', url);
         const response = await fetch(
             url,
@@ -30,7 +48,8 @@ async function translateWithGeminiApi(text, targetLang = 'German', env = null) {
                     'Content-Type': 'application/json',
                     'x-goog-api-key': apiKey
                 },
-                body: JSON.stringify(payload)
+                body: JSON.stringify(payload),
+                signal
             }
         );
 
@@ -102,7 +121,7 @@ Do not include any other text, quotes, or explanations.`
     };
 
     try {
-        const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent`;
+        const url = getGeminiUrl(env);
         const response = await fetch(url, {
             method: 'POST',
             headers: {
@@ -156,3 +175,200 @@ Do not include any other text, quotes, or explanations.`
         };
     }
 }
+
+/**
+ * Suggest grammatical metadata for a German word
+ * @param {string} germanWord - The German word (without article)
+ * @param {string} englishMeaning - The English meaning, used to disambiguate
+ * @param {object} env - Environment variables
+ * @returns {Promise<object>} Raw fields (part_of_speech, article, plural, genitive, auxiliary, praeteritum, partizip_ii)
+ */
+export async function generateGrammarInfo(germanWord, englishMeaning = '', env = null) {
+    const apiKey = env?.GEMINI_API_KEY || globalThis.GEMINI_API_KEY || (typeof process !== 'undefined' ? process.env?.GEMINI_API_KEY : undefined);
+
+    if (!apiKey) {
+        throw new Error('GEMINI_API_KEY is not set');
+    }
+
+    const payload = {
+        contents: [{
+            parts: [{
+                text: `Give the grammatical information for the German word "${germanWord}"${englishMeaning ? ` (English: "${englishMeaning}")` : ''}.
+
+Return ONLY a JSON object with these keys:
+- "part_of_speech": one of noun, verb, adjective, adverb, pronoun, preposition, conjunction, interjection, numeral, other
+- "article": "der", "die" or "das" for nouns, otherwise null
+- "plural": nominative plural for nouns (e.g. "Häuser"), otherwise null
+- "genitive": genitive singular with article for nouns (e.g. "des Hauses"), otherwise null
+- "auxiliary": "haben" or "sein" for verbs, otherwise null
+- "praeteritum": Präteritum 3rd person singular for verbs (e.g. "ging"), otherwise null
+- "partizip_ii": Partizip II for verbs (e.g. "gegangen"), otherwise null`
+            }]
+        }],
+        generationConfig: {
+            responseMimeType: 'application/json'
+        }
+    };
+
+    const url = getGeminiUrl(env);
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'x-goog-api-key': apiKey
+        },
+        body: JSON.stringify(payload)
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error?.message || `HTTP error! status: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const responseText = data.candidates?.[0]?.content?.parts?.[0]?.text;
+
+    if (!responseText) {
+        throw new Error('Unexpected response format from Gemini API');
+    }
+
+    // Strip a markdown fence in case the model adds one anyway
+    const json = responseText.trim().replace(/^```(?:json)?\s*|\s*```$/g, '');
+    return JSON.parse(json);
+}
+
+/**
+ * Ask Gemini for full conjugation tables of a German verb
+ * @param {string} infinitive - The verb in the infinitive
+ * @param {object} env - Environment variables
+ * @returns {Promise<object>} { praesens, praeteritum, perfekt, konjunktiv_ii }, each keyed by person
+ */
+export async function generateConjugation(infinitive, env = null) {
+    const apiKey = env?.GEMINI_API_KEY || globalThis.GEMINI_API_KEY || (typeof process !== 'undefined' ? process.env?.GEMINI_API_KEY : undefined);
+
+    if (!apiKey) {
+        throw new Error('GEMINI_API_KEY is not set');
+    }
+
+    const payload = {
+        contents: [{
+            parts: [{
+                text: `Conjugate the German verb "${infinitive}".
+
+Return ONLY a JSON object with the keys "praesens", "praeteritum", "perfekt" and "konjunktiv_ii".
+Each value is an object with the keys "ich", "du", "er/sie/es", "wir", "ihr", "sie/Sie" holding the verb form without the pronoun.
+Perfekt includes the auxiliary (e.g. "bin gegangen"). Separable prefixes go after the verb (e.g. "stehe auf").
+For Konjunktiv II use the form that is common in everyday German (e.g. "ginge", otherwise "würde machen").`
+            }]
+        }],
+        generationConfig: {
+            responseMimeType: 'application/json'
+        }
+    };
+
+    const url = getGeminiUrl(env);
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'x-goog-api-key': apiKey
+        },
+        body: JSON.stringify(payload)
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error?.message || `HTTP error! status: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const responseText = data.candidates?.[0]?.content?.parts?.[0]?.text;
+
+    if (!responseText) {
+        throw new Error('Unexpected response format from Gemini API');
+    }
+
+    const json = responseText.trim().replace(/^```(?:json)?\s*|\s*```$/g, '');
+    return JSON.parse(json);
+}
+
+/**
+ * Correct German text written by a learner and explain each error
+ * @param {string} germanText - The learner's German text
+ * @param {object} env - Environment variables
+ * @returns {Promise<{corrected_text: string, corrections: Array}>}
+ */
+export async function correctGermanText(germanText, env = null) {
+    const apiKey = env?.GEMINI_API_KEY || globalThis.GEMINI_API_KEY || (typeof process !== 'undefined' ? process.env?.GEMINI_API_KEY : undefined);
+
+    if (!apiKey) {
+        throw new Error('GEMINI_API_KEY is not set');
+    }
+
+    const payload = {
+        contents: [{
+            parts: [{
+                text: `You are a friendly German teacher. Correct the following text written by a German learner.
+Keep the learner's meaning and style; only fix real mistakes.
+
+Text:
+"""
+${germanText}
+"""
+
+Return ONLY a JSON object with:
+- "corrected_text": the full corrected text
+- "corrections": an array with one object per mistake:
+  - "original": the wrong words as written
+  - "corrected": the corrected words
+  - "type": exactly one of
+    - article_gender (wrong article or noun gender)
+    - case_ending (wrong case, article/adjective/noun ending)
+    - verb_position (verb in the wrong place, e.g. V2, subordinate clause, separable prefix)
+    - tense (wrong tense, auxiliary, participle or verb conjugation)
+    - spelling (spelling, capitalization, umlauts)
+    - preposition (wrong or missing preposition)
+    - other (anything else, e.g. word choice or punctuation)
+  - "explanation": one short sentence in English explaining the rule
+
+If there are no mistakes, return the text unchanged and an empty array.`
+            }]
+        }],
+        generationConfig: {
+            responseMimeType: 'application/json'
+        }
+    };
+
+    const url = getGeminiUrl(env);
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'x-goog-api-key': apiKey
+        },
+        body: JSON.stringify(payload)
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error?.message || `HTTP error! status: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const responseText = data.candidates?.[0]?.content?.parts?.[0]?.text;
+
+    if (!responseText) {
+        throw new Error('Unexpected response format from Gemini API');
+    }
+
+    const json = JSON.parse(responseText.trim().replace(/^```(?:json)?\s*|\s*```$/g, ''));
+
+    if (typeof json.corrected_text !== 'string') {
+        throw new Error('Gemini response is missing corrected_text');
+    }
+
+    return {
+        corrected_text: json.corrected_text.trim(),
+        corrections: Array.isArray(json.corrections) ? json.corrections : []
+    };
+}
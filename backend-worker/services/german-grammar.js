@@ -0,0 +1,112 @@
+/**
+ * German grammar metadata for vocabulary entries
+ *
+ * Nouns carry an article, plural and genitive; verbs carry the
+ * perfect tense auxiliary, Präteritum and Partizip II.
+ */
+
+export const PARTS_OF_SPEECH = [
+  'noun',
+  'verb',
+  'adjective',
+  'adverb',
+  'pronoun',
+  'preposition',
+  'conjunction',
+  'interjection',
+  'numeral',
+  'other'
+];
+
+export const ARTICLES = ['der', 'die', 'das'];
+
+export const ARTICLE_GENDERS = {
+  der: 'masculine',
+  die: 'feminine',
+  das: 'neuter'
+};
+
+export const AUXILIARIES = ['haben', 'sein'];
+
+// Free-text fields that are stored as trimmed strings
+const TEXT_FIELDS = ['plural', 'genitive', 'praeteritum', 'partizip_ii'];
+
+export const GRAMMAR_FIELDS = ['part_of_speech', 'article', 'auxiliary', ...TEXT_FIELDS];
+
+/**
+ * Validate and normalize the grammar fields present in a request body
+ * Fields that are not present are left out; empty values clear the field
+ * @param {object} input - Request body or Gemini suggestion
+ * @returns {{data: object, errors: string[]}} Normalized fields and validation errors
+ */
+export function normalizeGrammar(input) {
+  const data = {};
+  const errors = [];
+
+  if (!input || typeof input !== 'object') {
+    return { data, errors };
+  }
+
+  const pick = (field, allowed) => {
+    if (input[field] === undefined) return;
+    const value = typeof input[field] === 'string' ? input[field].trim().toLowerCase() : input[field];
+    if (value === null || value === '') {
+      data[field] = null;
+    } else if (allowed.includes(value)) {
+      data[field] = value;
+    } else {
+      errors.push(`${field} must be one of: ${allowed.join(', ')}`);
+    }
+  };
+
+  pick('part_of_speech', PARTS_OF_SPEECH);
+  pick('article', ARTICLES);
+  pick('auxiliary', AUXILIARIES);
+
+  for (const field of TEXT_FIELDS) {
+    if (input[field] === undefined) continue;
+    if (input[field] === null || typeof input[field] === 'string') {
+      data[field] = input[field]?.trim() || null;
+    } else {
+      errors.push(`${field} must be a string`);
+    }
+  }
+
+  return { data, errors };
+}
+
+/**
+ * Drop fields that do not apply to the word's part of speech
+ * (an article on a verb, a Partizip II on a noun, ...)
+ * @param {object} grammar - Normalized grammar fields
+ * @returns {object} Grammar fields consistent with part_of_speech
+ */
+export function pruneGrammar(grammar) {
+  const result = { ...grammar };
+
+  if (result.part_of_speech && result.part_of_speech !== 'noun') {
+    delete result.article;
+    delete result.plural;
+    delete result.genitive;
+  }
+  if (result.part_of_speech && result.part_of_speech !== 'verb') {
+    delete result.auxiliary;
+    delete result.praeteritum;
+    delete result.partizip_ii;
+  }
+
+  return result;
+}
+
+/**
+ * Split a leading article off a noun typed as "der Hund"
+ * @param {string} word - The German word as entered
+ * @returns {{word: string, article: string|null}}
+ */
+export function splitArticle(word) {
+  const match = word?.trim().match(/^(der|die|das)\s+(\S.*)$/i);
+  if (!match) {
+    return { word: word?.trim(), article: null };
+  }
+  return { word: match[2], article: match[1].toLowerCase() };
+}
@@ -0,0 +1,29 @@
+import { findSentence } from './writing-correction.js';
+
+/**
+ * Persist classified corrections in the mistakes table
+ * @param {string} text - Text as written by the learner
+ * @param {Array} corrections - Normalized corrections (see normalizeCorrections)
+ * @param {object} mistakes - Mistake repository of the user (see repositories/mistakes.js)
+ * @param {object} options - { source: 'journal' | 'free_writing', journal_entry_id }
+ * @returns {Promise<number>} Number of mistakes recorded
+ */
+export async function recordMistakes(text, corrections, mistakes, { source = 'journal', journal_entry_id = null } = {}) {
+  if (!Array.isArray(corrections) || corrections.length === 0) {
+    return 0;
+  }
+
+  const rows = corrections.map(correction => ({
+    category: correction.type,
+    original: correction.original,
+    corrected: correction.corrected,
+    explanation: correction.explanation || null,
+    sentence: findSentence(text, correction.original),
+    source,
+    journal_entry_id
+  }));
+
+  await mistakes.createMany(rows);
+
+  return rows.length;
+}
@@ -0,0 +1,97 @@
+import { createRepositories, usesD1 } from '../repositories/index.js';
+import { getServiceSupabaseClient } from '../supabase.js';
+import { createLocalAuth } from '../local-auth.js';
+import { createBackup } from './backup.js';
+import { purgeExpiredTrash } from './trash.js';
+import { getSetting } from './translation-providers.js';
+
+/**
+ * Nightly jobs for every user (Cron Trigger in wrangler.toml, scheduled handler in index.js)
+ *
+ * Each run stores the full export of services/backup.js in the backups table, deletes
+ * the user's older backups beyond BACKUP_RETENTION (default 7) and purges expired rows
+ * from the trash (services/trash.js). On Supabase the job uses SUPABASE_SERVICE_ROLE_KEY,
+ * since there is no signed-in user whose token could be used.
+ * A failing user is logged and skipped, so one broken account does not stop the others.
+ */
+
+const DEFAULT_RETENTION = 7;
+
+// Accounts fetched per page when listing users
+const USERS_PER_PAGE = 100;
+
+/**
+ * Number of stored backups kept per user
+ */
+export function getBackupRetention(env) {
+  const retention = parseInt(getSetting(env, 'BACKUP_RETENTION'));
+  return retention > 0 ? retention : DEFAULT_RETENTION;
+}
+
+/**
+ * Helper function: Ids of all accounts (Supabase Auth, or the D1 users table)
+ */
+async function listUserIds(env) {
+  const auth = usesD1(env) ? createLocalAuth(env) : getServiceSupabaseClient(env).auth;
+  const ids = [];
+
+  for (let page = 1; ; page++) {
+    const { data, error } = await auth.admin.listUsers({ page, perPage: USERS_PER_PAGE });
+    if (error) throw error;
+    ids.push(...data.users.map(user => user.id));
+    if (data.users.length < USERS_PER_PAGE) break;
+  }
+
+  return ids;
+}
+
+/**
+ * Store a backup of one user's data and prune the older ones
+ * @param {object} repositories - Repositories of the user
+ * @param {number} retention - Number of backups to keep
+ * @returns {Promise<object>} The stored backup without its data
+ */
+export async function storeBackup(repositories, retention) {
+  const backup = await createBackup(repositories);
+  const rowCount = Object.values(backup.metadata.tables).reduce((sum, count) => sum + count, 0);
+  const sizeBytes = new TextEncoder().encode(JSON.stringify(backup)).length;
+
+  const snapshot = await repositories.backup.createSnapshot(backup, { rowCount, sizeBytes });
+  await repositories.backup.pruneSnapshots(retention);
+  return snapshot;
+}
+
+/**
+ * Back up every user and purge their expired trash
+ * The two jobs run independently, so a failing backup does not keep the trash from being purged.
+ * @param {object} env - Environment variables and bindings
+ * @returns {Promise<{users: number, stored: number, purged: number, failed: number, purgeFailed: number}>}
+ *   stored backups, purged trash rows, users whose backup / trash purge failed
+ */
+export async function runScheduledJobs(env) {
+  const retention = getBackupRetention(env);
+  const userIds = await listUserIds(env);
+  const result = { users: userIds.length, stored: 0, purged: 0, failed: 0, purgeFailed: 0 };
+
+  for (const userId of userIds) {
+    const repositories = createRepositories(env, { id: userId }, { serviceRole: true });
+
+    try {
+      await storeBackup(repositories, retention);
+      result.stored++;
+    } catch (error) {
+      console.error(`Error backing up user ${userId}:`, error);
+      result.failed++;
+    }
+
+    try {
+      result.purged += await purgeExpiredTrash(repositories);
+    } catch (error) {
+      console.error(`Error purging the trash of user ${userId}:`, error);
+      result.purgeFailed++;
+    }
+  }
+
+  console.log(`[Nightly] Stored ${result.stored} of ${result.users} backups (${result.failed} failed), purged ${result.purged} trashed rows (${result.purgeFailed} failed)`);
+  return result;
+}
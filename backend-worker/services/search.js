@@ -0,0 +1,276 @@
+import {
+  normalizeSearchText,
+  normalizeWithOffsets,
+  splitWords,
+  wordSimilarity,
+  SIMILARITY_THRESHOLD
+} from '../repositories/stores/text-search.js';
+
+/**
+ * Search across vocabulary, phrases, notes, categories and daily tasks (GET /api/search)
+ *
+ * The stores find the candidates (umlaut- and typo-tolerant, see stores/text-search.js);
+ * this ranks them by relevance, marks where the term was found in each field and pages
+ * through each type with a cursor.
+ */
+
+export const SEARCH_TYPES = ['vocabulary', 'phrases', 'notes', 'categories', 'tasks'];
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 50;
+
+// Most candidates ranked per type (and per category table); pages only reach this far,
+// a type that hit the limit is reported as truncated
+export const MAX_CANDIDATES = 200;
+
+// Weight of a match per field: the German word or phrase counts most, examples least
+export const FIELD_WEIGHTS = {
+  vocabulary: { word: 1, meaning: 0.9 },
+  phrases: { german: 1, english: 0.9, example_german: 0.6, example_english: 0.6 },
+  notes: { title: 1, content: 0.8 },
+  categories: { name: 1 },
+  tasks: { name: 1 }
+};
+
+// Category results by type (as in the trash), with the repository that holds the table
+const CATEGORY_REPOSITORIES = {
+  vocabulary_category: 'vocabulary',
+  phrase_category: 'phrases',
+  note_category: 'notes'
+};
+
+// Context shown for a note: the first sentences with a match, shortened around it
+const MAX_SNIPPETS = 3;
+const SNIPPET_LENGTH = 160;
+
+// Score of a match by kind, before the field weight
+const MATCH_SCORES = {
+  exact: 1,
+  prefix: 0.9,
+  wordPrefix: 0.8,
+  contains: 0.7,
+  similar: 0.6 // times the word similarity
+};
+
+function isWordCharacter(char) {
+  return char !== undefined && /[\p{L}\p{N}]/u.test(char);
+}
+
+/**
+ * Helper function: Relevance of one field for a normalized term, from 0 to 1
+ */
+function scoreField(term, value) {
+  const text = normalizeSearchText(value);
+  if (!text) return 0;
+  if (text === term) return MATCH_SCORES.exact;
+  if (text.startsWith(term)) return MATCH_SCORES.prefix;
+
+  let index = text.indexOf(term);
+  if (index !== -1) {
+    for (; index !== -1; index = text.indexOf(term, index + 1)) {
+      if (!isWordCharacter(text[index - 1])) return MATCH_SCORES.wordPrefix;
+    }
+    return MATCH_SCORES.contains;
+  }
+
+  const similarity = wordSimilarity(term, text);
+  return similarity >= SIMILARITY_THRESHOLD ? MATCH_SCORES.similar * similarity : 0;
+}
+
+/**
+ * Helper function: Sort spans and join the ones that overlap or touch
+ */
+function mergeSpans(spans) {
+  const merged = [];
+  for (const span of [...spans].sort((a, b) => a[0] - b[0])) {
+    const last = merged[merged.length - 1];
+    if (last && span[0] <= last[1]) {
+      last[1] = Math.max(last[1], span[1]);
+    } else {
+      merged.push([...span]);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Where a normalized term was found in a field, as [start, end) character ranges of the
+ * original text ("strasse" in "Die Straße" is [4, 10]). Without an exact occurrence,
+ * the words that resemble a word of the term are marked.
+ * @returns {Array<[number, number]>}
+ */
+export function highlightMatches(term, value) {
+  const { text, offsets } = normalizeWithOffsets(value);
+  if (!text || !term) return [];
+  const toSpan = (start, end) => [offsets[start], offsets[end - 1] + 1];
+
+  const spans = [];
+  for (let index = text.indexOf(term); index !== -1; index = text.indexOf(term, index + term.length)) {
+    spans.push(toSpan(index, index + term.length));
+  }
+
+  if (spans.length === 0) {
+    const termWords = splitWords(term).map(({ word }) => word);
+    for (const { word, index } of splitWords(text)) {
+      if (termWords.some(termWord => wordSimilarity(termWord, word) >= SIMILARITY_THRESHOLD)) {
+        spans.push(toSpan(index, index + word.length));
+      }
+    }
+  }
+
+  return mergeSpans(spans);
+}
+
+/**
+ * Sentences of a text that contain the search term (or resemble it)
+ * Lines count as sentences too, so list-style notes give one snippet per line.
+ */
+export function extractSentencesWithTerm(text, searchTerm) {
+  if (!text || !searchTerm) return [];
+  const term = normalizeSearchText(searchTerm);
+  const sentences = text.match(/[^.!?\n]+[.!?]*/g) || [];
+
+  return sentences
+    .map(sentence => sentence.trim())
+    .filter(sentence => sentence && highlightMatches(term, sentence).length > 0);
+}
+
+/**
+ * Helper function: A sentence cut to SNIPPET_LENGTH around its first match, with its highlights
+ */
+function toSnippet(sentence, term) {
+  let text = sentence;
+  if (text.length > SNIPPET_LENGTH) {
+    const [[start]] = highlightMatches(term, text);
+    const from = Math.max(0, Math.min(start - Math.floor(SNIPPET_LENGTH / 4), text.length - SNIPPET_LENGTH));
+    const to = from + SNIPPET_LENGTH;
+    text = `${from > 0 ? '…' : ''}${text.slice(from, to)}${to < sentence.length ? '…' : ''}`;
+  }
+  return { text, highlights: highlightMatches(term, text) };
+}
+
+/**
+ * Context snippets of a text for a normalized term
+ * @returns {Array<{text: string, highlights: Array<[number, number]>}>}
+ */
+export function buildSnippets(text, term) {
+  return extractSentencesWithTerm(text, term).slice(0, MAX_SNIPPETS).map(sentence => toSnippet(sentence, term));
+}
+
+/**
+ * Cursor for the next page of a search: the query and the offset reached per type
+ */
+export function encodeCursor(query, offsets) {
+  return btoa(encodeURIComponent(JSON.stringify({ q: query, offsets })))
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Offsets per type of a cursor made for the same query, null when the cursor is not valid
+ * @returns {Object<string, number>|null}
+ */
+export function decodeCursor(cursor, query) {
+  try {
+    const { q, offsets } = JSON.parse(decodeURIComponent(atob(cursor.replace(/-/g, '+').replace(/_/g, '/'))));
+    if (q !== query || !offsets || typeof offsets !== 'object') return null;
+
+    const entries = Object.entries(offsets);
+    const valid = entries.length > 0 && entries.every(([type, offset]) =>
+      SEARCH_TYPES.includes(type) && Number.isInteger(offset) && offset >= 0);
+    return valid ? offsets : null;
+  } catch {
+    return null;
+  }
+}
+
+// Rows fetched per store: one more than is ranked shows whether there were more
+const CANDIDATE_LIMIT = MAX_CANDIDATES + 1;
+
+/**
+ * Helper function: The first MAX_CANDIDATES candidates of one store, and whether it had more
+ */
+async function candidates(rowsPromise) {
+  const rows = await rowsPromise;
+  return { rows: rows.slice(0, MAX_CANDIDATES), truncated: rows.length > MAX_CANDIDATES };
+}
+
+// Candidates per type, best store match first
+const SOURCES = {
+  vocabulary: (repositories, text) => candidates(repositories.vocabulary.search(text, { limit: CANDIDATE_LIMIT })),
+  phrases: (repositories, text) => candidates(repositories.phrases.search(text, { limit: CANDIDATE_LIMIT })),
+  notes: (repositories, text) => candidates(repositories.notes.search(text, { limit: CANDIDATE_LIMIT })),
+  tasks: (repositories, text) => candidates(repositories.tasks.searchTasks(text, { limit: CANDIDATE_LIMIT })),
+  categories: async (repositories, text) => {
+    const lists = await Promise.all(Object.entries(CATEGORY_REPOSITORIES).map(async ([type, name]) => {
+      const { rows, truncated } = await candidates(repositories[name].categories.search(text, { limit: CANDIDATE_LIMIT }));
+      return { rows: rows.map(category => ({ ...category, type })), truncated };
+    }));
+    return { rows: lists.flatMap(list => list.rows), truncated: lists.some(list => list.truncated) };
+  }
+};
+
+/**
+ * Helper function: Rows with their relevance (score) and highlights, most relevant first
+ * Ties go to the more frequent word, then the newer row.
+ */
+function rank(rows, term, weights) {
+  const results = rows.map(({ search_score: _storeScore, ...row }) => {
+    let score = 0;
+    const highlights = {};
+    for (const [field, weight] of Object.entries(weights)) {
+      const fieldScore = scoreField(term, row[field]);
+      if (fieldScore === 0) continue;
+      score = Math.max(score, weight * fieldScore);
+      highlights[field] = highlightMatches(term, row[field]);
+    }
+    return { ...row, score: Math.round(score * 1000) / 1000, highlights };
+  });
+
+  return results
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score || (b.frequency || 0) - (a.frequency || 0) || b.id - a.id);
+}
+
+/**
+ * Results of each type matching a search query, most relevant first, one page per type
+ * Every result has a score (0-1) and highlights ({field: [[start, end], ...]}); notes also
+ * get snippets of their content, categories their type (vocabulary_category, ...).
+ * @param {object} repositories - Repositories of the user (see repositories/index.js)
+ * @param {string} query - Search text (not empty)
+ * @param {{types?: string[], limit?: number, offsets?: Object<string, number>}} options
+ *   types: SEARCH_TYPES to search, limit: results per type, offsets: from decodeCursor()
+ * @returns {Promise<{results: Object<string, Array>, counts: Object<string, number>, truncated: Object<string, boolean>, nextCursor: string|null}>}
+ *   counts are the matches of each type over all pages; truncated marks the types with more
+ *   than MAX_CANDIDATES candidates, whose count and pages stop there; nextCursor is null on the last page
+ */
+export async function search(repositories, query, { types = SEARCH_TYPES, limit = DEFAULT_PAGE_SIZE, offsets = {} } = {}) {
+  const text = query.normalize('NFC');
+  const term = normalizeSearchText(text);
+
+  const found = await Promise.all(types.map(type => SOURCES[type](repositories, text)));
+
+  const results = {};
+  const counts = {};
+  const truncated = {};
+  const next = {};
+  types.forEach((type, index) => {
+    const ranked = rank(found[index].rows, term, FIELD_WEIGHTS[type]);
+    const offset = offsets[type] || 0;
+    const page = ranked.slice(offset, offset + limit);
+    results[type] = type === 'notes'
+      ? page.map(note => ({ ...note, snippets: buildSnippets(note.content, term) }))
+      : page;
+    counts[type] = ranked.length;
+    truncated[type] = found[index].truncated;
+    if (offset + limit < ranked.length) {
+      next[type] = offset + limit;
+    }
+  });
+
+  return {
+    results,
+    counts,
+    truncated,
+    nextCursor: Object.keys(next).length > 0 ? encodeCursor(query, next) : null
+  };
+}
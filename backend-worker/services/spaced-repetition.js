@@ -0,0 +1,111 @@
+/**
+ * Spaced repetition scheduling (SM-2 variant)
+ *
+ * Each reviewable item stores its own scheduling state:
+ * ease_factor, interval_days, repetitions, lapses and due_at.
+ * scheduleReview() takes that state plus a grade and returns the next state.
+ */
+
+export const GRADES = ['again', 'hard', 'good', 'easy'];
+
+export const DEFAULT_EASE = 2.5;
+export const MIN_EASE = 1.3;
+
+// A failed card comes back within the same day instead of waiting a full interval
+const RELEARN_DELAY_MINUTES = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether a value is one of the supported review grades
+ * @param {string} grade - The grade to check
+ * @returns {boolean}
+ */
+export function isValidGrade(grade) {
+  return GRADES.includes(grade);
+}
+
+/**
+ * Compute the next scheduling state for an item after a review
+ * @param {object} card - Current state ({ ease_factor, interval_days, repetitions, lapses })
+ * @param {string} grade - One of 'again', 'hard', 'good', 'easy'
+ * @param {Date} now - Review time (defaults to the current time)
+ * @returns {object} Fields to persist on the item
+ */
+export function scheduleReview(card, grade, now = new Date()) {
+  if (!isValidGrade(grade)) {
+    throw new Error(`Invalid grade: ${grade}`);
+  }
+
+  let ease = Number(card?.ease_factor) || DEFAULT_EASE;
+  let interval = Number(card?.interval_days) || 0;
+  let repetitions = Number(card?.repetitions) || 0;
+  let lapses = Number(card?.lapses) || 0;
+  let dueAt;
+
+  switch (grade) {
+    case 'again':
+      ease = Math.max(MIN_EASE, ease - 0.2);
+      interval = 0;
+      repetitions = 0;
+      lapses += 1;
+      dueAt = new Date(now.getTime() + RELEARN_DELAY_MINUTES * 60 * 1000);
+      break;
+    case 'hard':
+      ease = Math.max(MIN_EASE, ease - 0.15);
+      interval = repetitions === 0 ? 1 : Math.max(1, Math.round(interval * 1.2));
+      repetitions += 1;
+      break;
+    case 'good':
+      if (repetitions === 0) {
+        interval = 1;
+      } else if (repetitions === 1) {
+        interval = 6;
+      } else {
+        interval = Math.max(interval + 1, Math.round(interval * ease));
+      }
+      repetitions += 1;
+      break;
+    case 'easy':
+      ease += 0.15;
+      interval = repetitions === 0 ? 4 : Math.max(interval + 1, Math.round(interval * ease * 1.3));
+      repetitions += 1;
+      break;
+  }
+
+  if (!dueAt) {
+    dueAt = new Date(now.getTime() + interval * DAY_MS);
+  }
+
+  return {
+    ease_factor: Math.round(ease * 100) / 100,
+    interval_days: interval,
+    repetitions,
+    lapses,
+    due_at: dueAt.toISOString(),
+    last_reviewed: now.toISOString()
+  };
+}
+
+/**
+ * Record a graded review in the shared review history
+ * Failures are logged but never block the review itself
+ * @param {object} reviews - Review history repository (see repositories/reviews.js)
+ * @param {string} itemType - 'vocabulary' or 'phrase'
+ * @param {number|string} itemId - The reviewed item's id
+ * @param {string} grade - The grade that was given
+ * @param {object} schedule - The state returned by scheduleReview()
+ */
+export async function logReview(reviews, itemType, itemId, grade, schedule) {
+  try {
+    await reviews.create({
+      item_type: itemType,
+      item_id: itemId,
+      grade,
+      interval_days: schedule.interval_days,
+      ease_factor: schedule.ease_factor,
+      reviewed_at: schedule.last_reviewed
+    });
+  } catch (error) {
+    console.warn(`[Review] Failed to log ${itemType} review for ${itemId}:`, error.message);
+  }
+}
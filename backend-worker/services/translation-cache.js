@@ -0,0 +1,132 @@
+import { createRepositories } from '../repositories/index.js';
+import { getSetting } from './translation-providers.js';
+
+/**
+ * Persistent translation cache (translation_cache table)
+ *
+ * Entries are keyed by normalized text + langpair + provider and expire after
+ * TRANSLATION_CACHE_TTL_DAYS (default 30). Every user is served the same entries, so
+ * they are read and written with the service role key only (SUPABASE_SERVICE_ROLE_KEY;
+ * without it the cache is skipped). Cache errors are logged and never fail a translation.
+ */
+
+const DEFAULT_TTL_DAYS = 30;
+
+/**
+ * Normalize text for cache lookups (case is kept: "Sie" and "sie" differ in German)
+ * @param {string} text - Text to normalize
+ * @returns {string}
+ */
+export function normalizeCacheText(text) {
+  return text.normalize('NFC').trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * SHA-256 hex digest of the normalized text
+ */
+async function hashText(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(normalizeCacheText(text)));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Whether the cache is enabled (TRANSLATION_CACHE=off disables it)
+ */
+function isCacheEnabled(env) {
+  return getSetting(env, 'TRANSLATION_CACHE') !== 'off';
+}
+
+/**
+ * Cache TTL in days
+ */
+export function getCacheTtlDays(env) {
+  const ttl = parseInt(getSetting(env, 'TRANSLATION_CACHE_TTL_DAYS'));
+  return ttl > 0 ? ttl : DEFAULT_TTL_DAYS;
+}
+
+/**
+ * Translation cache repository (with the service role key, the only one the tables are open to)
+ * @param {object} env - Environment variables and bindings
+ */
+export function getTranslationCache(env) {
+  return createRepositories(env, null, { serviceRole: true }).translationCache;
+}
+
+/**
+ * Add a hit or miss to today's counters
+ */
+async function countLookup(cache, field) {
+  const today = new Date().toISOString().split('T')[0];
+  await cache.countLookup(today, { [field]: 1 });
+}
+
+/**
+ * Look up a cached translation from any of the given providers
+ * The first provider in the list wins when several have an entry
+ * @param {string} text - Source text
+ * @param {string} langpair - Language pair (e.g. 'en|de')
+ * @param {string[]} providers - Provider names in preference order
+ * @param {object} env - Environment variables
+ * @returns {Promise<{translated: string, provider: string}|null>} null on a miss
+ */
+export async function getCachedTranslation(text, langpair, providers, env) {
+  if (!isCacheEnabled(env)) return null;
+
+  try {
+    const cache = getTranslationCache(env);
+    const entries = await cache.findEntries({
+      textHash: await hashText(text),
+      langpair,
+      providers,
+      now: new Date().toISOString()
+    });
+
+    const entry = providers
+      .map(provider => entries.find(e => e.provider === provider))
+      .find(Boolean);
+
+    if (!entry) {
+      await countLookup(cache, 'misses');
+      return null;
+    }
+
+    await cache.recordHit(entry);
+    await countLookup(cache, 'hits');
+
+    return { translated: entry.translated_text, provider: entry.provider };
+  } catch (error) {
+    console.warn('[Translation cache] Lookup failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Store a translation, replacing an existing entry for the same key
+ * @param {string} text - Source text
+ * @param {string} langpair - Language pair (e.g. 'en|de')
+ * @param {string} provider - Provider that produced the translation
+ * @param {string} translated - Translated text
+ * @param {object} env - Environment variables
+ */
+export async function setCachedTranslation(text, langpair, provider, translated, env) {
+  if (!isCacheEnabled(env)) return;
+
+  try {
+    const expiresAt = new Date();
+    expiresAt.setDate(expiresAt.getDate() + getCacheTtlDays(env));
+
+    await getTranslationCache(env).save({
+      text_hash: await hashText(text),
+      source_text: normalizeCacheText(text),
+      langpair,
+      provider,
+      translated_text: translated,
+      hit_count: 0,
+      created_at: new Date().toISOString(),
+      last_hit_at: null,
+      expires_at: expiresAt.toISOString()
+    });
+  } catch (error) {
+    console.warn('[Translation cache] Store failed:', error.message);
+  }
+}
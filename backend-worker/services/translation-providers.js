@@ -0,0 +1,218 @@
+import { translateWithGeminiApi } from './gemini-translation.js';
+
+/**
+ * Translation provider registry
+ *
+ * Every provider has the same shape:
+ *   translate(text, { source, target }, env, signal) => Promise<string>
+ * with ISO language codes ('en', 'de'). The order in which providers are tried
+ * is configured with TRANSLATION_PROVIDERS (see getProviderOrder).
+ */
+
+export const DEFAULT_PROVIDER_ORDER = ['gemini', 'mymemory'];
+
+const LANGUAGE_NAMES = {
+  en: 'English',
+  de: 'German'
+};
+
+/**
+ * Read a setting from the Worker env, falling back to process.env for Node scripts
+ */
+export function getSetting(env, name) {
+  return env?.[name] || globalThis[name] || (typeof process !== 'undefined' ? process.env?.[name] : undefined);
+}
+
+/**
+ * Translate text with the MyMemory API (free, no key required)
+ * @param {string} text - The text to translate
+ * @param {string} langpair - The language pair (e.g., 'en|de' or 'de|en')
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<string>} The translated text
+ */
+export async function translateWithMyMemory(text, langpair = 'en|de', signal = undefined) {
+  if (!text || typeof text !== 'string') {
+    throw new Error('Invalid text provided for translation');
+  }
+
+  const url = new URL('https://api.mymemory.translated.net/get');
+  url.searchParams.append('q', text);
+  url.searchParams.append('langpair', langpair);
+
+  const response = await fetch(url.toString(), {
+    method: 'GET',
+    headers: { 'Accept': 'application/json' },
+    signal
+  });
+
+  if (!response.ok) {
+    throw new Error(`Translation API error: ${response.status}`);
+  }
+
+  const data = await response.json();
+  if (data && data.responseData && data.responseData.translatedText) {
+    return data.responseData.translatedText;
+  }
+  throw new Error('Invalid response from translation API');
+}
+
+export const PROVIDERS = {
+  gemini: {
+    timeoutMs: 10000,
+    translate: (text, { target }, env, signal) =>
+      translateWithGeminiApi(text, LANGUAGE_NAMES[target], env, signal)
+  },
+
+  mymemory: {
+    timeoutMs: 8000,
+    translate: (text, { source, target }, env, signal) =>
+      translateWithMyMemory(text, `${source}|${target}`, signal)
+  },
+
+  libretranslate: {
+    timeoutMs: 8000,
+    async translate(text, { source, target }, env, signal) {
+      const baseUrl = getSetting(env, 'LIBRETRANSLATE_URL') || 'https://libretranslate.com';
+      const apiKey = getSetting(env, 'LIBRETRANSLATE_API_KEY');
+
+      const response = await fetch(`${baseUrl.replace(/\/$/, '')}/translate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ q: text, source, target, format: 'text', ...(apiKey && { api_key: apiKey }) }),
+        signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`LibreTranslate API error: ${response.status}`);
+      }
+
+      const data = await response.json();
+      if (!data?.translatedText) {
+        throw new Error('Invalid response from LibreTranslate');
+      }
+      return data.translatedText;
+    }
+  },
+
+  // Works with DeepL and DeepL-compatible APIs (set DEEPL_API_URL for the latter)
+  deepl: {
+    timeoutMs: 8000,
+    async translate(text, { source, target }, env, signal) {
+      const apiKey = getSetting(env, 'DEEPL_API_KEY');
+      if (!apiKey) {
+        throw new Error('DEEPL_API_KEY is not set');
+      }
+
+      const url = getSetting(env, 'DEEPL_API_URL') || 'https://api-free.deepl.com/v2/translate';
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `DeepL-Auth-Key ${apiKey}`
+        },
+        body: JSON.stringify({
+          text: [text],
+          source_lang: source.toUpperCase(),
+          target_lang: target === 'en' ? 'EN-US' : target.toUpperCase()
+        }),
+        signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`DeepL API error: ${response.status}`);
+      }
+
+      const data = await response.json();
+      const translated = data?.translations?.[0]?.text;
+      if (!translated) {
+        throw new Error('Invalid response from DeepL');
+      }
+      return translated;
+    }
+  },
+
+  // Offline stand-in for local development and tests, never calls the network
+  mock: {
+    timeoutMs: 1000,
+    async translate(text, { target }) {
+      return `[${target}] ${text}`;
+    }
+  }
+};
+
+/**
+ * Ordered list of providers to try, from TRANSLATION_PROVIDERS (comma separated)
+ * Unknown names are skipped with a warning
+ * @param {object} env - Environment variables
+ * @returns {string[]} Provider names
+ */
+export function getProviderOrder(env) {
+  const configured = getSetting(env, 'TRANSLATION_PROVIDERS');
+  if (!configured) return DEFAULT_PROVIDER_ORDER;
+
+  const names = configured
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(name => {
+      if (!name) return false;
+      if (!PROVIDERS[name]) {
+        console.warn(`[Translation] Unknown provider "${name}" in TRANSLATION_PROVIDERS, skipping`);
+        return false;
+      }
+      return true;
+    });
+
+  return names.length > 0 ? [...new Set(names)] : DEFAULT_PROVIDER_ORDER;
+}
+
+/**
+ * Timeout for a provider: <NAME>_TIMEOUT_MS, then TRANSLATION_TIMEOUT_MS, then the provider default
+ * @param {string} name - Provider name
+ * @param {object} env - Environment variables
+ * @returns {number} Timeout in milliseconds
+ */
+export function getProviderTimeout(name, env) {
+  const specific = parseInt(getSetting(env, `${name.toUpperCase()}_TIMEOUT_MS`));
+  if (specific > 0) return specific;
+
+  const global = parseInt(getSetting(env, 'TRANSLATION_TIMEOUT_MS'));
+  if (global > 0) return global;
+
+  return PROVIDERS[name].timeoutMs;
+}
+
+/**
+ * Run one provider with its timeout
+ * @param {string} name - Provider name
+ * @param {string} text - Text to translate
+ * @param {{source: string, target: string}} languages - ISO language codes
+ * @param {object} env - Environment variables
+ * @returns {Promise<string>} The translated text
+ */
+export async function translateWithProvider(name, text, languages, env) {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown translation provider: ${name}`);
+  }
+
+  const timeoutMs = getProviderTimeout(name, env);
+  const controller = new AbortController();
+  let timer;
+
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new Error(`${name} timeout after ${timeoutMs}ms`));
+    }, timeoutMs);
+  });
+
+  try {
+    const translated = await Promise.race([
+      provider.translate(text, languages, env, controller.signal),
+      timeout
+    ]);
+    return translated.trim();
+  } finally {
+    clearTimeout(timer);
+  }
+}
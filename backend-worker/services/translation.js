@@ -1,78 +1,77 @@
-import { translateWithGemini, translateToEnglish } from './gemini-translation.js';
+import { getProviderOrder, translateWithProvider, translateWithMyMemory } from './translation-providers.js';
+import { getCachedTranslation, setCachedTranslation } from './translation-cache.js';
 
 /**
- * Translate text between languages using MyMemory API (Fallback)
+ * Translate text with the configured providers, in order, until one succeeds
+ * Results are read from and written to the translation cache
  * @param {string} text - The text to translate
- * @param {string} langpair - The language pair (e.g., 'en|de' or 'de|en')
- * @returns {Promise<string>} The translated text
+ * @param {string} source - Source language code ('en' or 'de')
+ * @param {string} target - Target language code ('en' or 'de')
+ * @param {object} env - The environment object containing API keys and provider settings
+ * @param {object} options - { bypassCache: skip the cache lookup and refresh the entry }
+ * @returns {Promise<{translated: string, provider: string, cached: boolean}>} The translation and the provider that produced it
  */
-export async function translateWithMyMemory(text, langpair = 'en|de') {
+export async function translate(text, source, target, env = null, { bypassCache = false } = {}) {
   if (!text || typeof text !== 'string') {
     throw new Error('Invalid text provided for translation');
   }
 
-  try {
-    const url = new URL('https://api.mymemory.translated.net/get');
-    url.searchParams.append('q', text);
-    url.searchParams.append('langpair', langpair);
+  const providers = getProviderOrder(env);
+  const langpair = `${source}|${target}`;
 
-    const response = await fetch(url.toString(), {
-      method: 'GET',
-      headers: { 'Accept': 'application/json' }
-    });
+  if (!bypassCache) {
+    const cached = await getCachedTranslation(text, langpair, providers, env);
+    if (cached) return { ...cached, cached: true };
+  }
 
-    if (!response.ok) {
-      throw new Error(`Translation API error: ${response.status}`);
-    }
+  const failures = [];
 
-    const data = await response.json();
-    if (data && data.responseData && data.responseData.translatedText) {
-      return data.responseData.translatedText;
-    } else {
-      throw new Error('Invalid response from translation API');
+  for (const provider of providers) {
+    try {
+      const translated = await translateWithProvider(provider, text, { source, target }, env);
+      await setCachedTranslation(text, langpair, provider, translated, env);
+      return { translated, provider, cached: false };
+    } catch (error) {
+      console.warn(`[Translation] ${provider} (${source.toUpperCase()}->${target.toUpperCase()}) failed: ${error.message}`);
+      failures.push(`${provider}: ${error.message}`);
     }
-  } catch (error) {
-    throw new Error(`Translation failed: ${error.message}`);
   }
+
+  throw new Error(`Translation failed: ${failures.join('; ')}`);
 }
 
 /**
- * Translate text from English to German using Gemini with MyMemory fallback
+ * Translate text from English to German using the configured providers
  * @param {string} text - The English text to translate
  * @param {object} env - The environment object containing API keys
+ * @param {object} options - { bypassCache }
  * @returns {Promise<string>} The translated German text
  */
-export async function translateToGerman(text, env = null) {
-  try {
-    return await translateWithGemini(text, env);
-  } catch (error) {
-    console.warn(`[Translation] Gemini (EN->DE) failed, falling back to MyMemory. Error: ${error.message}`);
-    return await translateWithMyMemory(text, 'en|de');
-  }
+export async function translateToGerman(text, env = null, options = {}) {
+  const { translated } = await translate(text, 'en', 'de', env, options);
+  return translated;
 }
 
 /**
- * Translate text from German to English using Gemini with MyMemory fallback
+ * Translate text from German to English using the configured providers
  * @param {string} text - The German word or phrase to translate
  * @param {object} env - The environment object containing API keys
+ * @param {object} options - { bypassCache }
  * @returns {Promise<string>} The translated English text
  */
-export async function translateToEnglishWithFallback(text, env = null) {
-  try {
-    return await translateToEnglish(text, env);
-  } catch (error) {
-    console.warn(`[Translation] Gemini (DE->EN) failed, falling back to MyMemory. Error: ${error.message}`);
-    return await translateWithMyMemory(text, 'de|en');
-  }
+export async function translateToEnglishWithFallback(text, env = null, options = {}) {
+  const { translated } = await translate(text, 'de', 'en', env, options);
+  return translated;
 }
 
 /**
  * Translate multiple sentences (split by newlines or periods)
  * @param {string} text - The English text with multiple sentences
  * @param {object} env - The environment object containing API keys
- * @returns {Promise<string>} The translated German text
+ * @param {object} options - { bypassCache }
+ * @returns {Promise<{translated: string, provider: string, cached: boolean}>} The translated German text and the provider(s) used
  */
-export async function translateMultipleSentences(text, env = null) {
+export async function translateMultipleSentences(text, env = null, options = {}) {
   if (!text || typeof text !== 'string') {
     throw new Error('Invalid text provided for translation');
   }
@@ -80,6 +79,8 @@ export async function translateMultipleSentences(text, env = null) {
   // Split by newlines and periods, but keep the delimiters
   const sentences = text.split(/(\n|\.(?:\s|$))/).filter(s => s.trim().length > 0);
   const translations = [];
+  const providers = new Set();
+  let allCached = true;
 
   for (const sentence of sentences) {
     // Skip delimiters
@@ -89,18 +90,26 @@ export async function translateMultipleSentences(text, env = null) {
     }
 
     try {
-      const translated = await translateToGerman(sentence.trim(), env);
+      const { translated, provider, cached } = await translate(sentence.trim(), 'en', 'de', env, options);
       translations.push(translated);
+      providers.add(provider);
 
-      // Add a small delay to avoid rate limiting
-      await new Promise(resolve => setTimeout(resolve, 100));
+      // Add a small delay to avoid rate limiting (not needed for cached sentences)
+      if (!cached) {
+        allCached = false;
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
     } catch (error) {
       console.error(`Error translating sentence: ${sentence}`, error.message);
       translations.push(sentence);
     }
   }
 
-  return translations.join(' ').trim();
+  return {
+    translated: translations.join(' ').trim(),
+    provider: [...providers].join(',') || null,
+    cached: providers.size > 0 && allCached
+  };
 }
 
-export { translateToEnglishWithFallback as translateToEnglish };
\ No newline at end of file
+export { translateToEnglishWithFallback as translateToEnglish, translateWithMyMemory };
\ No newline at end of file
@@ -0,0 +1,65 @@
+import { TRASH_TYPES } from '../repositories/trash.js';
+
+/**
+ * Trash: deleted words, phrases, notes and categories (GET /api/trash)
+ *
+ * Deleting only sets deleted_at, so a delete can be undone until the row is purged:
+ * by the user, or automatically TRASH_RETENTION_DAYS after the delete by the nightly
+ * job (services/scheduled-jobs.js).
+ */
+
+export const TRASH_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest note excerpt shown in the trash
+const EXCERPT_LENGTH = 80;
+
+/**
+ * Helper function: Title and detail line of a trashed row
+ */
+function describe(type, row) {
+  switch (type) {
+    case 'vocabulary':
+      return { title: row.word, detail: row.meaning };
+    case 'phrase':
+      return { title: row.german, detail: row.english };
+    case 'note': {
+      const content = (row.content || '').replace(/\s+/g, ' ').trim();
+      return { title: row.title, detail: content.length > EXCERPT_LENGTH ? `${content.slice(0, EXCERPT_LENGTH)}…` : content };
+    }
+    default:
+      return { title: row.name, detail: null };
+  }
+}
+
+/**
+ * Everything in the user's trash, most recently deleted first
+ * @param {object} repositories - Repositories of the user (see repositories/index.js)
+ * @param {{type?: string}} options - Only rows of this type (see TRASH_TYPES)
+ * @returns {Promise<Array<{type: string, id: number, title: string, detail: string|null, deleted_at: string, purge_at: string}>>}
+ */
+export async function listTrash(repositories, { type } = {}) {
+  const types = type ? [type] : Object.keys(TRASH_TYPES);
+  const lists = await Promise.all(types.map(name => repositories.trash.list(name)));
+
+  const entries = lists.flatMap((rows, index) => rows.map(row => ({
+    type: types[index],
+    id: row.id,
+    ...describe(types[index], row),
+    deleted_at: row.deleted_at,
+    purge_at: new Date(Date.parse(row.deleted_at) + TRASH_RETENTION_DAYS * DAY_MS).toISOString()
+  })));
+
+  return entries.sort((a, b) => Date.parse(b.deleted_at) - Date.parse(a.deleted_at));
+}
+
+/**
+ * Delete rows that have been in the trash for longer than TRASH_RETENTION_DAYS
+ * @param {object} repositories - Repositories of the user
+ * @param {Date} now
+ * @returns {Promise<number>} Number of deleted rows
+ */
+export function purgeExpiredTrash(repositories, now = new Date()) {
+  return repositories.trash.purgeDeletedBefore(new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_MS).toISOString());
+}
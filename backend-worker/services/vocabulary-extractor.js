@@ -1,5 +1,4 @@
-import { getSupabaseClient } from '../supabase.js';
-import { translateToGerman } from './translation.js';
+import { translateToEnglishWithFallback } from './translation.js';
 
 // Common German stop words to filter out
 const STOP_WORDS = new Set([
@@ -17,15 +16,15 @@ const STOP_WORDS = new Set([
 /**
  * Extract vocabulary from German text
  * @param {string} germanText - The German text to extract words from
+ * @param {object} env - Environment variables (translation keys)
+ * @param {object} vocabulary - Vocabulary repository of the user the words belong to (see repositories/vocabulary.js)
  * @returns {Promise<Array>} Array of new words added
  */
-export async function extractVocabulary(germanText, env) {
+export async function extractVocabulary(germanText, env, vocabulary) {
   if (!germanText || typeof germanText !== 'string') {
     return [];
   }
 
-  const supabase = getSupabaseClient(env);
-
   // Remove punctuation and split into words
   const rawWords = germanText
     .replace(/[.,\/#!$%\^\&\*;:{}=\-_`~()„""‚''»«›‹?]/g, '')
@@ -47,26 +46,19 @@ export async function extractVocabulary(germanText, env) {
 
     try {
       // Check if word already exists
-      const { data: existing, error: fetchError } = await supabase
-        .from('vocabulary')
-        .select('id, frequency')
-        .ilike('word', cleanWord)
-        .single();
+      const existing = await vocabulary.findByWord(cleanWord);
 
       if (existing) {
         // Update frequency and last_reviewed
-        await supabase
-          .from('vocabulary')
-          .update({
-            frequency: existing.frequency + 1,
-            last_reviewed: today
-          })
-          .eq('id', existing.id);
+        await vocabulary.update(existing.id, {
+          frequency: existing.frequency + 1,
+          last_reviewed: today
+        });
       } else {
         // Try to get meaning for new words (but don't block if it fails)
         let meaning = null;
         try {
-          meaning = await translateToGerman(cleanWord);
+          meaning = await translateToEnglishWithFallback(cleanWord, env);
           // Small delay to avoid rate limiting
           await new Promise(resolve => setTimeout(resolve, 100));
         } catch (error) {
@@ -74,26 +66,20 @@ export async function extractVocabulary(germanText, env) {
         }
 
         // Insert new word with meaning
-        const { data: newWord, error } = await supabase
-          .from('vocabulary')
-          .insert({
-            word: cleanWord,
-            meaning: meaning,
-            first_seen: today,
-            frequency: 1,
-            last_reviewed: today
-          })
-          .select()
-          .single();
-
-        if (!error && newWord) {
-          newWords.push({
-            id: newWord.id,
-            word: cleanWord,
-            meaning: meaning,
-            first_seen: today
-          });
-        }
+        const newWord = await vocabulary.create({
+          word: cleanWord,
+          meaning: meaning,
+          first_seen: today,
+          frequency: 1,
+          last_reviewed: today
+        });
+
+        newWords.push({
+          id: newWord.id,
+          word: cleanWord,
+          meaning: meaning,
+          first_seen: today
+        });
       }
     } catch (error) {
       console.error(`Error processing word "${cleanWord}":`, error.message);
@@ -105,50 +91,30 @@ export async function extractVocabulary(germanText, env) {
 
 /**
  * Get vocabulary statistics
+ * @param {object} vocabulary - Vocabulary repository of the user (see repositories/vocabulary.js)
  * @returns {Promise<Object>} Statistics about vocabulary
  */
-export async function getVocabularyStats(env) {
-  const supabase = getSupabaseClient(env);
-  
+export async function getVocabularyStats(vocabulary) {
   // Total vocabulary
-  const { count: total, error: totalError } = await supabase
-    .from('vocabulary')
-    .select('*', { count: 'exact', head: true });
-
-  if (totalError) throw totalError;
+  const total = await vocabulary.count();
 
   // This week
   const sevenDaysAgo = new Date();
   sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
 
-  const { count: thisWeek, error: weekError } = await supabase
-    .from('vocabulary')
-    .select('*', { count: 'exact', head: true })
-    .gte('first_seen', sevenDaysAgo.toISOString());
-
-  if (weekError) throw weekError;
+  const thisWeek = await vocabulary.count({ since: sevenDaysAgo.toISOString() });
 
   // This month
   const thirtyDaysAgo = new Date();
   thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
 
-  const { count: thisMonth, error: monthError } = await supabase
-    .from('vocabulary')
-    .select('*', { count: 'exact', head: true })
-    .gte('first_seen', thirtyDaysAgo.toISOString());
-
-  if (monthError) throw monthError;
+  const thisMonth = await vocabulary.count({ since: thirtyDaysAgo.toISOString() });
 
   // Average per week (calculate from all vocabulary)
-  const { data: allVocab, error: allError } = await supabase
-    .from('vocabulary')
-    .select('first_seen')
-    .order('first_seen', { ascending: true });
-
-  if (allError) throw allError;
+  const allVocab = await vocabulary.listFirstSeen();
 
   let averagePerWeek = 0;
-  if (allVocab && allVocab.length > 0) {
+  if (allVocab.length > 0) {
     const firstDate = new Date(allVocab[0].first_seen);
     const now = new Date();
     const weeksSinceStart = Math.max(1, (now - firstDate) / (1000 * 60 * 60 * 24 * 7));
@@ -156,9 +122,9 @@ export async function getVocabularyStats(env) {
   }
 
   return {
-    total: total || 0,
-    thisWeek: thisWeek || 0,
-    thisMonth: thisMonth || 0,
+    total,
+    thisWeek,
+    thisMonth,
     averagePerWeek
   };
-}
\ No newline at end of file
+}
@@ -0,0 +1,175 @@
+/**
+ * Helpers for corrected German writing
+ *
+ * Corrections come from Gemini (see correctGermanText in gemini-translation.js);
+ * this module validates them and builds the word-level diff shown to the user.
+ */
+
+/**
+ * Fixed mistake taxonomy used for corrections and the mistakes table
+ * 'other' covers corrections that fit none of the categories (e.g. word choice)
+ */
+export const ERROR_TYPES = [
+  'article_gender',
+  'case_ending',
+  'verb_position',
+  'tense',
+  'spelling',
+  'preposition',
+  'other'
+];
+
+export const ERROR_TYPE_LABELS = {
+  article_gender: 'Article / gender',
+  case_ending: 'Case ending',
+  verb_position: 'Verb position',
+  tense: 'Tense',
+  spelling: 'Spelling',
+  preposition: 'Preposition',
+  other: 'Other'
+};
+
+// Looser names Gemini sometimes uses instead of the taxonomy keys
+const ERROR_TYPE_ALIASES = {
+  article: 'article_gender',
+  gender: 'article_gender',
+  case: 'case_ending',
+  declension: 'case_ending',
+  adjective_ending: 'case_ending',
+  word_order: 'verb_position',
+  conjugation: 'tense',
+  verb_form: 'tense'
+};
+
+/**
+ * Map a correction type to the taxonomy
+ * @param {string} type - Type as returned by Gemini
+ * @returns {string} One of ERROR_TYPES
+ */
+export function classifyErrorType(type) {
+  const key = typeof type === 'string' ? type.trim().toLowerCase().replace(/[\s/-]+/g, '_') : '';
+  if (ERROR_TYPES.includes(key)) return key;
+  return ERROR_TYPE_ALIASES[key] || 'other';
+}
+
+/**
+ * Keep only well-formed corrections and classify them into the taxonomy
+ * @param {Array} corrections - Raw corrections from Gemini
+ * @returns {Array<{original: string, corrected: string, type: string, explanation: string}>}
+ */
+export function normalizeCorrections(corrections) {
+  if (!Array.isArray(corrections)) return [];
+
+  return corrections
+    .filter(c => c && typeof c.original === 'string' && typeof c.corrected === 'string')
+    .filter(c => c.original.trim() !== c.corrected.trim())
+    .map(c => ({
+      original: c.original.trim(),
+      corrected: c.corrected.trim(),
+      type: classifyErrorType(c.type),
+      explanation: typeof c.explanation === 'string' ? c.explanation.trim() : ''
+    }));
+}
+
+/**
+ * Find the sentence of a text that contains a fragment
+ * @param {string} text - Full text as written
+ * @param {string} fragment - Words to look for
+ * @returns {string|null} The sentence, or null when the fragment is not found
+ */
+export function findSentence(text, fragment) {
+  if (!text || !fragment) return null;
+
+  const sentences = text.match(/[^.!?\n]+[.!?]*/g) || [];
+  const needle = fragment.trim().toLowerCase();
+  const sentence = sentences.find(s => s.toLowerCase().includes(needle));
+
+  return sentence ? sentence.trim() : null;
+}
+
+/**
+ * Count the words in a text
+ * @param {string} text - Any text
+ * @returns {number}
+ */
+export function countWords(text) {
+  const trimmed = text?.trim();
+  return trimmed ? trimmed.split(/\s+/).length : 0;
+}
+
+// Longest text accepted for correction (a journal entry or free writing)
+export const MAX_TEXT_LENGTH = 10000;
+
+// Largest LCS table built by diffWords; longer changed passages are shown as removed + added
+const MAX_DIFF_CELLS = 1000000;
+
+/**
+ * Word-level diff of two texts (longest common subsequence)
+ * Adjacent words of the same kind are merged into one segment. The unchanged words at the
+ * start and end are skipped before the LCS table is built, so it only spans the changed part.
+ * @param {string} original - Text as written
+ * @param {string} corrected - Corrected text
+ * @returns {Array<{type: 'equal'|'removed'|'added', text: string}>}
+ */
+export function diffWords(original, corrected) {
+  const a = original?.trim() ? original.trim().split(/\s+/) : [];
+  const b = corrected?.trim() ? corrected.trim().split(/\s+/) : [];
+
+  const segments = [];
+  const push = (type, word) => {
+    const last = segments[segments.length - 1];
+    if (last && last.type === type) {
+      last.text += ` ${word}`;
+    } else {
+      segments.push({ type, text: word });
+    }
+  };
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let end = 0;
+  while (end < a.length - start && end < b.length - start && a[a.length - 1 - end] === b[b.length - 1 - end]) end++;
+
+  const aEnd = a.length - end;
+  const bEnd = b.length - end;
+  for (let k = 0; k < start; k++) push('equal', a[k]);
+
+  if ((aEnd - start) * (bEnd - start) > MAX_DIFF_CELLS) {
+    for (let k = start; k < aEnd; k++) push('removed', a[k]);
+    for (let k = start; k < bEnd; k++) push('added', b[k]);
+  } else {
+    // lengths[i][j] = LCS length of a[start + i..aEnd] and b[start + j..bEnd]
+    const rows = aEnd - start;
+    const cols = bEnd - start;
+    const lengths = Array.from({ length: rows + 1 }, () => new Array(cols + 1).fill(0));
+    for (let i = rows - 1; i >= 0; i--) {
+      for (let j = cols - 1; j >= 0; j--) {
+        lengths[i][j] = a[start + i] === b[start + j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < rows && j < cols) {
+      if (a[start + i] === b[start + j]) {
+        push('equal', a[start + i]);
+        i++;
+        j++;
+      } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+        push('removed', a[start + i]);
+        i++;
+      } else {
+        push('added', b[start + j]);
+        j++;
+      }
+    }
+    while (i < rows) push('removed', a[start + i++]);
+    while (j < cols) push('added', b[start + j++]);
+  }
+
+  for (let k = aEnd; k < a.length; k++) push('equal', a[k]);
+
+  return segments;
+}
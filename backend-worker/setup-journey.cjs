@@ -17,11 +17,11 @@ async function setupJourneyMap() {
 
     try {
         // Read the SQL schema file
-        console.log('📖 Reading journey-schema.sql...');
-        const schemaPath = path.join(__dirname, 'journey-schema.sql');
+        console.log('📖 Reading migrations/0002_journey_map.sql...');
+        const schemaPath = path.join(__dirname, 'migrations', '0002_journey_map.sql');
         
         if (!fs.existsSync(schemaPath)) {
-            throw new Error('journey-schema.sql not found! Make sure the file exists in backend-worker/');
+            throw new Error('0002_journey_map.sql not found! Make sure the file exists in backend-worker/migrations/');
         }
 
         const schemaSql = fs.readFileSync(schemaPath, 'utf8');
@@ -46,11 +46,11 @@ async function setupJourneyMap() {
         // Since Supabase JS client doesn't support raw SQL execution,
         // we need to inform the user to run it in the SQL editor
         console.log('⚠️  Note: The Supabase JavaScript client does not support raw SQL execution.');
-        console.log('   Please run journey-schema.sql in the Supabase SQL Editor:\n');
+        console.log('   Run `npm run migrate` with DATABASE_URL set, or run the migration in the Supabase SQL Editor:\n');
         console.log('   1. Go to https://supabase.com/dashboard');
         console.log('   2. Select your project');
         console.log('   3. Navigate to SQL Editor');
-        console.log('   4. Copy and paste the contents of backend-worker/journey-schema.sql');
+        console.log('   4. Copy and paste the contents of backend-worker/migrations/0002_journey_map.sql');
         console.log('   5. Click "Run"\n');
 
         // Verify tables exist by checking if we can query them
@@ -84,11 +84,11 @@ async function setupJourneyMap() {
         }
 
         if (!allTablesExist) {
-            console.log('\n⚠️  Some tables are missing. Please run journey-schema.sql in Supabase SQL Editor.\n');
+            console.log('\n⚠️  Some tables are missing. Please run `npm run migrate` (see README).\n');
             console.log('📋 Setup Instructions:');
             console.log('   1. Open Supabase dashboard: https://supabase.com/dashboard');
             console.log('   2. Go to SQL Editor');
-            console.log('   3. Run the journey-schema.sql file');
+            console.log('   3. Run the migrations/0002_journey_map.sql file');
             console.log('   4. Come back and run this script again\n');
             process.exit(1);
         }
@@ -174,8 +174,7 @@ async function setupJourneyMap() {
         console.error('\n❌ Setup failed:', error.message);
         console.error('\nTroubleshooting:');
         console.error('- Verify SUPABASE_URL and SUPABASE_ANON_KEY in .env file');
-        console.error('- Ensure you have run supabase-schema.sql first');
-        console.error('- Run journey-schema.sql in Supabase SQL Editor');
+        console.error('- Apply the database migrations: npm run migrate');
         console.error('- Check Supabase dashboard for error details');
         console.error('- You can safely re-run this script after fixing issues\n');
         process.exit(1);
@@ -1,8 +1,9 @@
 import { createClient } from '@supabase/supabase-js'
 
 // In Cloudflare Workers with Hono, environment variables are passed via context (c.env)
-// We create a function to get the Supabase client with the environment variables
-export function getSupabaseClient(env) {
+// We create a function to get the Supabase client with the environment variables.
+// Pass the user's access token so requests run as that user and Row Level Security applies.
+export function getSupabaseClient(env, accessToken = null) {
     const supabaseUrl = env.SUPABASE_URL
     const supabaseAnonKey = env.SUPABASE_ANON_KEY
 
@@ -16,9 +17,34 @@ export function getSupabaseClient(env) {
         {
             auth: {
                 persistSession: false
-            }
+            },
+            ...(accessToken && {
+                global: {
+                    headers: { Authorization: `Bearer ${accessToken}` }
+                }
+            })
         }
     );
 }
 
+/**
+ * Supabase client with the service role key, for jobs that run without a signed-in user
+ * (the scheduled backups). It bypasses Row Level Security, so every query must filter by user_id.
+ */
+export function getServiceSupabaseClient(env) {
+    const supabaseUrl = env.SUPABASE_URL
+    const serviceRoleKey = env.SUPABASE_SERVICE_ROLE_KEY
+
+    if (!supabaseUrl || !serviceRoleKey) {
+        throw new Error('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required for jobs without a user');
+    }
+
+    return createClient(supabaseUrl, serviceRoleKey, {
+        auth: {
+            persistSession: false,
+            autoRefreshToken: false
+        }
+    });
+}
+
 export default getSupabaseClient;
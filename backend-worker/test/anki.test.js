@@ -0,0 +1,127 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { asUser, resetState, signUp, supabase } from './helpers/app.js';
+import { parseAnkiNotes } from '../services/anki.js';
+
+let api;
+
+beforeEach(async () => {
+  resetState();
+  api = asUser(await signUp());
+});
+
+function upload(text, fields = {}) {
+  const form = new FormData();
+  form.append('file', new File([text], 'deck.txt', { type: 'text/plain' }));
+  for (const [name, value] of Object.entries(fields)) form.append(name, value);
+  return api('POST', '/data/anki/import', { body: form });
+}
+
+test('exports words and phrases as Anki notes with category tags', async () => {
+  const { body: animals } = await api('POST', '/vocabulary/categories', { body: { name: 'Wild animals' } });
+  await api('POST', '/vocabulary', { body: { word: 'dog', meaning: 'Hund', category_id: animals.data.id } });
+  await api('POST', '/phrases', { body: { english: 'Thank you', german: 'Danke' } });
+
+  const { status, body, headers } = await api('GET', '/data/anki/export');
+
+  assert.equal(status, 200);
+  assert.match(headers.get('Content-Disposition'), /deutschtagebuch-anki-\d{4}-\d{2}-\d{2}\.txt/);
+  const lines = body.trim().split('\n');
+  assert.deepEqual(lines.slice(0, 6), [
+    '#separator:tab',
+    '#html:false',
+    '#notetype:Basic',
+    '#deck:Deutschtagebuch',
+    '#columns:Front\tBack\tExample\tExample translation\tTags',
+    '#tags column:5'
+  ]);
+  assert.equal(lines[6], 'Hund\tdog\t\t\tvocabulary Wild_animals');
+  assert.match(lines[7], /^Danke\tThank you\t.*\tphrase$/);
+
+  const wordsOnly = await api('GET', '/data/anki/export?include=vocabulary');
+  assert.equal(wordsOnly.body.trim().split('\n').length, 7);
+  assert.equal((await api('GET', '/data/anki/export?include=cards')).status, 400);
+});
+
+test('imports an exported deck into another account', async () => {
+  const { body: animals } = await api('POST', '/vocabulary/categories', { body: { name: 'Wild animals' } });
+  await api('POST', '/vocabulary', { body: { word: 'dog', meaning: 'Hund', category_id: animals.data.id } });
+  await api('POST', '/phrases', { body: { english: 'Thank you', german: 'Danke' } });
+  const { body: deck } = await api('GET', '/data/anki/export');
+
+  const other = asUser(await signUp('other@example.com'));
+  const form = new FormData();
+  form.append('file', new File([deck], 'deck.txt'));
+  const { status, body } = await other('POST', '/data/anki/import', { body: form });
+
+  assert.equal(status, 200);
+  assert.equal(body.stats.vocabulary.created, 1);
+  assert.equal(body.stats.phrases.created, 1);
+  assert.equal(body.stats.categories.created, 1);
+
+  const [word] = (await other('GET', '/vocabulary')).body.data;
+  assert.equal(word.word, 'Hund');
+  assert.equal(word.meaning, 'dog');
+  const category = supabase.rows('vocabulary_categories').find(c => c.id === word.category_id);
+  assert.equal(category.name, 'Wild animals');
+
+  const [phrase] = (await other('GET', '/phrases')).body.data;
+  assert.equal(phrase.german, 'Danke');
+});
+
+test('skips duplicates of existing words and within the file', async () => {
+  await api('POST', '/vocabulary', { body: { word: 'house', meaning: 'Haus' } });
+
+  const { body } = await upload('haus\thouse\nBaum\ttree\nbaum\ttree\n\nKatze\n');
+
+  assert.equal(body.stats.vocabulary.created, 2);
+  assert.equal(body.stats.vocabulary.duplicates, 2);
+  assert.deepEqual(body.stats.skipped, [
+    { line: 1, reason: 'Duplicate: haus' },
+    { line: 3, reason: 'Duplicate: baum' }
+  ]);
+  const words = (await api('GET', '/vocabulary?sort=az')).body.data.map(w => [w.word, w.meaning]);
+  assert.deepEqual(words, [['Baum', 'tree'], ['Haus', 'house'], ['Katze', null]]);
+});
+
+test('previews an import without changing anything', async () => {
+  const { body } = await upload('Hund\tdog\tAnimals\n', { dryRun: 'true' });
+
+  assert.equal(body.dryRun, true);
+  assert.equal(body.stats.vocabulary.created, 1);
+  assert.equal((await api('GET', '/vocabulary')).body.data.length, 0);
+});
+
+test('imports everything as phrases when asked', async () => {
+  const { body } = await upload('Wie geht\'s?\tHow are you?\tWie geht\'s dir heute?\tHow are you today?\n', { target: 'phrases' });
+
+  assert.equal(body.stats.phrases.created, 1);
+  const [phrase] = (await api('GET', '/phrases')).body.data;
+  assert.equal(phrase.example_german, 'Wie geht\'s dir heute?');
+  assert.equal(phrase.example_english, 'How are you today?');
+});
+
+test('rejects imports without a file or with an unknown target', async () => {
+  assert.equal((await api('POST', '/data/anki/import', { body: new FormData() })).status, 400);
+  assert.equal((await upload('Hund\tdog\n', { target: 'cards' })).status, 400);
+});
+
+test('parses Anki exports with HTML, quoted fields and extra columns', () => {
+  const text = [
+    '#separator:tab',
+    '#html:true',
+    '#guid column:1',
+    '#notetype column:2',
+    '#deck column:3',
+    '#tags column:6',
+    'a1b2\tBasic\tGerman\tder Hund<br>the dog\t&quot;dog&quot; &amp; &lt;pet&gt;\tGerman::Animals leech',
+    'c3d4\tBasic\tGerman\t"zwei\nZeilen"\ttwo lines\t'
+  ].join('\n');
+
+  const { notes } = parseAnkiNotes(text);
+
+  assert.deepEqual(notes, [
+    { line: 7, front: 'der Hund\nthe dog', back: '"dog" & <pet>', example: '', exampleTranslation: '', tags: ['German::Animals', 'leech'] },
+    { line: 8, front: 'zwei\nZeilen', back: 'two lines', example: '', exampleTranslation: '', tags: [] }
+  ]);
+});
@@ -0,0 +1,45 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { request, resetState, signUp } from './helpers/app.js';
+
+beforeEach(resetState);
+
+test('signs up, logs in and refreshes a session', async () => {
+  const signup = await request('POST', '/auth/signup', { body: { email: 'anna@example.com', password: 'geheim123' } });
+  assert.equal(signup.status, 201);
+  assert.equal(signup.body.data.confirmation_required, false);
+  assert.equal(signup.body.data.session.user.email, 'anna@example.com');
+
+  const login = await request('POST', '/auth/login', { body: { email: 'anna@example.com', password: 'geheim123' } });
+  assert.equal(login.status, 200);
+  const { access_token, refresh_token } = login.body.data.session;
+
+  const me = await request('GET', '/auth/me', { token: access_token });
+  assert.equal(me.status, 200);
+  assert.equal(me.body.data.email, 'anna@example.com');
+
+  const refreshed = await request('POST', '/auth/refresh', { body: { refresh_token } });
+  assert.equal(refreshed.status, 200);
+  assert.ok(refreshed.body.data.session.access_token);
+});
+
+test('rejects invalid credentials and duplicate accounts', async () => {
+  assert.equal((await request('POST', '/auth/signup', { body: { email: 'not-an-email', password: 'geheim123' } })).status, 400);
+  assert.equal((await request('POST', '/auth/signup', { body: { email: 'anna@example.com', password: '123' } })).status, 400);
+
+  await signUp('anna@example.com');
+  const duplicate = await request('POST', '/auth/signup', { body: { email: 'anna@example.com', password: 'geheim123' } });
+  assert.equal(duplicate.status, 422);
+
+  const wrongPassword = await request('POST', '/auth/login', { body: { email: 'anna@example.com', password: 'wrong-password' } });
+  assert.equal(wrongPassword.status, 401);
+
+  const badRefresh = await request('POST', '/auth/refresh', { body: { refresh_token: 'unknown' } });
+  assert.equal(badRefresh.status, 401);
+});
+
+test('rejects missing and forged access tokens', async () => {
+  assert.equal((await request('GET', '/auth/me')).status, 401);
+  assert.equal((await request('GET', '/vocabulary', { token: 'not-a-jwt' })).status, 401);
+  assert.equal((await request('GET', '/debug/env')).status, 401);
+});
@@ -0,0 +1,68 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { asUser, resetState, runScheduled, signUp, supabase } from './helpers/app.js';
+
+let api;
+
+beforeEach(async () => {
+  resetState();
+  api = asUser(await signUp());
+});
+
+test('backs up every user and lists the backups of the signed-in user', async () => {
+  await api('POST', '/vocabulary', { body: { word: 'house', meaning: 'Haus' } });
+  const other = asUser(await signUp('other@example.com'));
+
+  const [result] = await runScheduled();
+
+  assert.deepEqual(result, { users: 2, stored: 2, purged: 0, failed: 0, purgeFailed: 0 });
+  const { status, body } = await api('GET', '/data/backups');
+  assert.equal(status, 200);
+  assert.equal(body.data.length, 1);
+  assert.equal(body.data[0].version, '2.0');
+  assert.ok(body.data[0].row_count >= 1);
+  assert.ok(body.data[0].size_bytes > 0);
+  assert.equal(body.data[0].data, undefined);
+  assert.equal((await other('GET', '/data/backups')).body.data.length, 1);
+
+  const download = await api('GET', `/data/backups/${body.data[0].id}`);
+  assert.deepEqual(download.body.data.vocabulary.map(word => word.word), ['Haus']);
+  assert.equal((await other('GET', `/data/backups/${body.data[0].id}`)).status, 404);
+});
+
+test('keeps only the newest backups', async () => {
+  for (let run = 0; run < 3; run++) {
+    await runScheduled({ BACKUP_RETENTION: '2' });
+  }
+
+  const ids = supabase.rows('backups').map(backup => backup.id);
+  assert.deepEqual(ids, [2, 3]);
+  assert.deepEqual((await api('GET', '/data/backups')).body.data.map(backup => backup.id), [3, 2]);
+});
+
+test('restores a stored backup through the import pipeline', async () => {
+  await api('POST', '/vocabulary', { body: { word: 'house', meaning: 'Haus' } });
+  await runScheduled();
+  const [{ id: wordId }] = (await api('GET', '/vocabulary')).body.data;
+  await api('DELETE', `/vocabulary/${wordId}`);
+  await api('POST', '/vocabulary', { body: { word: 'tree', meaning: 'Baum' } });
+  const [backup] = (await api('GET', '/data/backups')).body.data;
+
+  const preview = await api('POST', `/data/backups/${backup.id}/restore`, { body: { mode: 'replace', dryRun: true } });
+  assert.equal(preview.body.dryRun, true);
+  assert.equal(preview.body.stats.created.vocabulary, 1);
+  assert.equal((await api('GET', '/vocabulary')).body.data.length, 1);
+
+  const { status, body } = await api('POST', `/data/backups/${backup.id}/restore`, { body: { mode: 'replace' } });
+  assert.equal(status, 200);
+  assert.equal(body.dryRun, false);
+  assert.deepEqual((await api('GET', '/vocabulary')).body.data.map(word => word.word), ['Haus']);
+
+  assert.equal((await api('POST', '/data/backups/999/restore', { body: {} })).status, 404);
+  assert.equal((await api('POST', `/data/backups/${backup.id}/restore`, { body: { mode: 'append' } })).status, 400);
+});
+
+test('needs the service role key on Supabase', async () => {
+  await assert.rejects(runScheduled({ SUPABASE_SERVICE_ROLE_KEY: '' }), /SUPABASE_SERVICE_ROLE_KEY/);
+  assert.equal(supabase.rows('backups').length, 0);
+});
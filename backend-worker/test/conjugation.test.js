@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { conjugate, isCompleteTable } from '../services/conjugation.js';
+
+test('conjugates regular verbs by rule', () => {
+  const machen = conjugate('machen');
+  assert.equal(machen.source, 'rules');
+  assert.equal(machen.auxiliary, 'haben');
+  assert.deepEqual(Object.values(machen.tenses.praesens), ['mache', 'machst', 'macht', 'machen', 'macht', 'machen']);
+  assert.deepEqual(Object.values(machen.tenses.praeteritum), ['machte', 'machtest', 'machte', 'machten', 'machtet', 'machten']);
+  assert.equal(machen.tenses.perfekt.ich, 'habe gemacht');
+  assert.equal(machen.tenses.konjunktiv_ii.ich, 'würde machen');
+  assert.ok(isCompleteTable(machen.tenses));
+
+  const arbeiten = conjugate('arbeiten');
+  assert.equal(arbeiten.tenses.praesens.du, 'arbeitest');
+  assert.equal(arbeiten.praeteritum, 'arbeitete');
+  assert.equal(arbeiten.partizip_ii, 'gearbeitet');
+});
+
+test('conjugates strong verbs from the irregular table', () => {
+  const laden = conjugate('laden');
+  assert.equal(laden.source, 'irregular');
+  assert.deepEqual(Object.values(laden.tenses.praesens), ['lade', 'lädst', 'lädt', 'laden', 'ladet', 'laden']);
+  assert.deepEqual(Object.values(laden.tenses.praeteritum), ['lud', 'ludest', 'lud', 'luden', 'ludet', 'luden']);
+  assert.equal(laden.tenses.perfekt.ich, 'habe geladen');
+
+  const fahren = conjugate('fahren');
+  assert.equal(fahren.tenses.praesens['er/sie/es'], 'fährt');
+  assert.equal(fahren.tenses.konjunktiv_ii.ich, 'führe');
+});
+
+test('uses sein as the auxiliary for verbs of motion and change', () => {
+  const gehen = conjugate('gehen');
+  assert.equal(gehen.auxiliary, 'sein');
+  assert.deepEqual(Object.values(gehen.tenses.perfekt), [
+    'bin gegangen', 'bist gegangen', 'ist gegangen', 'sind gegangen', 'seid gegangen', 'sind gegangen'
+  ]);
+});
+
+test('moves separable prefixes behind the verb and into the participle', () => {
+  const einladen = conjugate('einladen');
+  assert.equal(einladen.separable_prefix, 'ein');
+  assert.equal(einladen.partizip_ii, 'eingeladen');
+  assert.equal(einladen.tenses.praesens.du, 'lädst ein');
+  assert.equal(einladen.tenses.praeteritum.ich, 'lud ein');
+  assert.equal(einladen.tenses.perfekt.ich, 'habe eingeladen');
+  assert.equal(einladen.tenses.konjunktiv_ii.ich, 'würde einladen');
+
+  const aufstehen = conjugate('aufstehen');
+  assert.equal(aufstehen.auxiliary, 'sein');
+  assert.equal(aufstehen.tenses.praesens.ich, 'stehe auf');
+  assert.equal(aufstehen.tenses.perfekt['er/sie/es'], 'ist aufgestanden');
+});
+
+test('keeps inseparable prefixes on the verb without ge-', () => {
+  const verstehen = conjugate('verstehen');
+  assert.equal(verstehen.separable_prefix, null);
+  assert.equal(verstehen.tenses.praesens.ich, 'verstehe');
+  assert.equal(verstehen.praeteritum, 'verstand');
+  assert.equal(verstehen.tenses.perfekt.ich, 'habe verstanden');
+});
+
+test('prefers the forms saved on the word over the rules', () => {
+  const backen = conjugate('backen', { praeteritum: 'buk', partizip_ii: 'gebacken' });
+  assert.equal(backen.source, 'vocabulary');
+  assert.equal(backen.tenses.praeteritum.wir, 'buken');
+  assert.equal(backen.tenses.perfekt.ich, 'habe gebacken');
+});
+
+test('rejects words that are not infinitives', () => {
+  assert.throws(() => conjugate('Haus'), /Not a German infinitive/);
+  assert.throws(() => conjugate('nach Hause gehen'), /Not a German infinitive/);
+});
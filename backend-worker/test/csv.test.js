@@ -0,0 +1,156 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { asUser, resetState, signUp, supabase } from './helpers/app.js';
+
+let api;
+
+beforeEach(async () => {
+  resetState();
+  api = asUser(await signUp());
+});
+
+function upload(text, fields = {}) {
+  const form = new FormData();
+  form.append('file', new File([text], 'list.csv', { type: 'text/csv' }));
+  for (const [name, value] of Object.entries(fields)) form.append(name, value);
+  return api('POST', '/data/csv/import', { body: form });
+}
+
+test('imports words with categories, articles and plurals', async () => {
+  await api('POST', '/vocabulary', { body: { word: 'house', meaning: 'Haus' } });
+  await api('POST', '/vocabulary/categories', { body: { name: 'Animals' } });
+
+  const csv = [
+    'Word,Meaning,Category,Article,Plural',
+    'der Hund,dog,animals,,Hunde',
+    'Katze,cat,Animals,die,Katzen',
+    'Tisch,table,Furniture,den,',
+    'haus,house,,,',
+    ',tree,,,',
+    'laufen,"to run, to walk",Verbs,,'
+  ].join('\n');
+
+  const { status, body } = await upload(csv);
+
+  assert.equal(status, 200);
+  assert.equal(body.stats.created, 3);
+  assert.equal(body.stats.skipped, 3);
+  assert.equal(body.stats.categories.created, 1);
+  assert.deepEqual(body.stats.errors, [
+    { row: 4, errors: ['article must be one of: der, die, das'] },
+    { row: 5, errors: ['word "haus" already exists'] },
+    { row: 6, errors: ['word is required'] }
+  ]);
+
+  const words = (await api('GET', '/vocabulary?sort=az')).body.data;
+  const hund = words.find(w => w.word === 'Hund');
+  assert.equal(hund.article, 'der');
+  assert.equal(hund.plural, 'Hunde');
+  assert.equal(hund.part_of_speech, 'noun');
+  assert.equal(words.find(w => w.word === 'Katze').category_id, hund.category_id);
+  assert.equal(words.find(w => w.word === 'laufen').meaning, 'to run, to walk');
+  assert.deepEqual(supabase.rows('vocabulary_categories').map(c => c.name), ['Animals', 'Verbs']);
+});
+
+test('writes nothing when the import fails part-way', async () => {
+  const fetch = globalThis.fetch;
+  globalThis.fetch = async (input, init) => {
+    const request = new Request(input, init);
+    if (new URL(request.url).pathname === '/rest/v1/rpc/apply_changes') {
+      return Response.json({ code: '57014', message: 'canceling statement due to statement timeout' }, { status: 500 });
+    }
+    return fetch(request);
+  };
+  let response;
+  try {
+    response = await upload('word,category\nHund,Tiere\nKatze,Tiere\n');
+  } finally {
+    globalThis.fetch = fetch;
+  }
+
+  assert.equal(response.status, 500);
+  assert.equal(supabase.rows('vocabulary').length, 0);
+  assert.equal(supabase.rows('vocabulary_categories').length, 0);
+});
+
+test('previews an import with the rows as they would be saved', async () => {
+  const csv = 'Wort;Bedeutung;Kategorie\nder Hund;dog;Tiere\nder Hund;dog;Tiere\n';
+
+  const { body } = await upload(csv, { dryRun: 'true' });
+
+  assert.equal(body.dryRun, true);
+  assert.deepEqual(body.stats.columns, { word: 'Wort', meaning: 'Bedeutung', category: 'Kategorie' });
+  assert.equal(body.stats.categories.created, 1);
+  assert.deepEqual(body.stats.errors, [{ row: 3, errors: ['same word as row 2'] }]);
+  assert.deepEqual(body.stats.preview, [
+    { row: 2, word: 'Hund', meaning: 'dog', frequency: 1, article: 'der', part_of_speech: 'noun', category: 'Tiere' }
+  ]);
+  assert.equal((await api('GET', '/vocabulary')).body.data.length, 0);
+  assert.equal(supabase.rows('vocabulary_categories').length, 0);
+});
+
+test('imports phrases with a column mapping', async () => {
+  await api('POST', '/phrases', { body: { english: 'Thank you', german: 'Danke' } });
+  const csv = 'EN,DE,Satz\nGood morning,Guten Morgen,"Guten Morgen, Frau ""Müller""!"\nthank you,Vielen Dank,\n';
+
+  const { body } = await upload(csv, {
+    type: 'phrases',
+    mapping: JSON.stringify({ english: 'EN', german: 'DE', example_german: 'Satz' })
+  });
+
+  assert.equal(body.stats.created, 1);
+  assert.deepEqual(body.stats.errors, [{ row: 3, errors: ['english "thank you" already exists'] }]);
+  const phrase = (await api('GET', '/phrases')).body.data.find(p => p.german === 'Guten Morgen');
+  assert.equal(phrase.example_german, 'Guten Morgen, Frau "Müller"!');
+});
+
+test('rejects files whose columns do not fit', async () => {
+  const missing = await upload('english,notes\nhouse,Haus\n');
+  assert.equal(missing.status, 400);
+  assert.deepEqual(missing.body.details, ['Missing column for word']);
+
+  const unknown = await upload('Wort\nHaus\n', { mapping: JSON.stringify({ word: 'Word' }) });
+  assert.deepEqual(unknown.body.details, ['Column "Word" for word not found']);
+
+  assert.equal((await upload('word\nHaus\n', { type: 'notes' })).status, 400);
+  assert.equal((await upload('word\nHaus\n', { mapping: '{word' })).status, 400);
+  for (const mapping of ['null', '[]', '"word"']) {
+    const invalid = await upload('word\nHaus\n', { mapping });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error, 'mapping must be a JSON object');
+  }
+});
+
+test('exports the words of a category as CSV', async () => {
+  const { body: animals } = await api('POST', '/vocabulary/categories', { body: { name: 'Animals' } });
+  await api('POST', '/vocabulary', { body: { word: 'dog', meaning: 'der Hund', category_id: animals.data.id, plural: 'Hunde' } });
+  await api('POST', '/vocabulary', { body: { word: 'to run, to walk', meaning: 'laufen' } });
+
+  const all = await api('GET', '/data/csv/export');
+  assert.equal(all.headers.get('Content-Type'), 'text/csv; charset=utf-8');
+  assert.equal(all.body, 'word,meaning,category,article,plural\r\nHund,dog,Animals,der,Hunde\r\nlaufen,"to run, to walk",,,\r\n');
+
+  const filtered = await api('GET', `/data/csv/export?category_id=${animals.data.id}`);
+  assert.equal(filtered.body.trim().split('\r\n').length, 2);
+
+  const phrases = await api('GET', '/data/csv/export?type=phrases');
+  assert.equal(phrases.body, 'english,german,meaning,example_english,example_german,category\r\n');
+});
+
+test('escapes cells that spreadsheets would run as formulas', async () => {
+  await api('POST', '/vocabulary', { body: { word: '=HYPERLINK("https://example.com")', meaning: '-chen' } });
+  await api('POST', '/vocabulary', { body: { word: '@station', meaning: 'Bahnhof' } });
+
+  const { body: text } = await api('GET', '/data/csv/export');
+  assert.equal(text, `word,meaning,category,article,plural\r\n'-chen,"'=HYPERLINK(""https://example.com"")",,,\r\nBahnhof,'@station,,,\r\n`);
+
+  for (const word of (await api('GET', '/vocabulary')).body.data) {
+    await api('DELETE', `/vocabulary/${word.id}`);
+  }
+  await upload(text);
+  const words = (await api('GET', '/vocabulary?sort=az')).body.data;
+  assert.deepEqual(words.map(word => [word.word, word.meaning]), [
+    ['-chen', '=HYPERLINK("https://example.com")'],
+    ['Bahnhof', '@station']
+  ]);
+});
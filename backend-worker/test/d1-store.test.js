@@ -0,0 +1,129 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'node:crypto';
+import { createD1Store } from '../repositories/stores/d1.js';
+import { createD1Database } from './helpers/d1.js';
+
+let database;
+let store;
+
+before(async () => {
+  database = await createD1Database();
+  store = createD1Store(database.db);
+});
+
+after(() => database.dispose());
+
+/**
+ * Each test works on its own user, so the tests share one database
+ */
+async function addUser() {
+  const id = randomUUID();
+  await store.insert('users', { id, email: `${id}@example.com`, password_hash: 'hash' });
+  return id;
+}
+
+test('filters with or, ilike and in', async () => {
+  const userId = await addUser();
+  await store.insert('vocabulary', [
+    { user_id: userId, word: 'Haus', meaning: 'house', frequency: 3 },
+    { user_id: userId, word: 'Hausaufgabe', meaning: 'homework', frequency: 1 },
+    { user_id: userId, word: '100%_sicher', meaning: 'completely sure', frequency: 2 },
+    { user_id: userId, word: 'Baum', meaning: null, frequency: 5 }
+  ]);
+  const words = async where => (await store.find('vocabulary', { columns: 'word', where: { user_id: userId, ...where }, order: ['word.asc'] }))
+    .map(row => row.word);
+
+  assert.deepEqual(await words({ word: { ilike: 'haus%' } }), ['Haus', 'Hausaufgabe']);
+  assert.deepEqual(await words({ word: { ilike: '%\\%\\_%' } }), ['100%_sicher']);
+  assert.deepEqual(await words({ word: { in: ['Baum', 'Haus', 'Garten'] } }), ['Baum', 'Haus']);
+  assert.deepEqual(await words({ word: { in: [] } }), []);
+  assert.deepEqual(await words({ $or: [{ frequency: { gte: 3 } }, { meaning: { ilike: 'HOME%' } }] }), ['Baum', 'Haus', 'Hausaufgabe']);
+  assert.deepEqual(await words({ $or: [{ meaning: null }, { word: 'Haus', frequency: { lt: 2 } }] }), ['Baum']);
+  assert.deepEqual(await words({ meaning: { isNull: false }, frequency: { neq: 3 } }), ['100%_sicher', 'Hausaufgabe']);
+  assert.equal(await store.count('vocabulary', { user_id: userId, word: { ilike: '%au%' } }), 3);
+});
+
+test('stores JSON and boolean columns as text and 0/1 and reads them back', async () => {
+  const userId = await addUser();
+  const corrections = [{ original: 'der Schule', corrected: 'die Schule', type: 'case_ending' }];
+
+  const entry = await store.insert('journal_entries', { user_id: userId, german_text: 'Ich gehe in der Schule.', corrections });
+  assert.deepEqual(entry.corrections, corrections);
+  const [stored] = await database.db.prepare('SELECT corrections FROM journal_entries WHERE id = ?').bind(entry.id).all()
+    .then(({ results }) => results);
+  assert.equal(stored.corrections, JSON.stringify(corrections));
+
+  await store.insert('journey_landmarks', [
+    { user_id: userId, landmark_key: 'berlin', name: 'Berlin', day_number: 1, unlocked: true },
+    { user_id: userId, landmark_key: 'munich', name: 'München', day_number: 10, unlocked: false }
+  ]);
+  const unlocked = await store.find('journey_landmarks', { where: { user_id: userId, unlocked: true } });
+  assert.deepEqual(unlocked.map(row => [row.landmark_key, row.unlocked]), [['berlin', true]]);
+
+  const [updated] = await store.update('journey_landmarks', { user_id: userId, landmark_key: 'munich' }, { unlocked: true });
+  assert.equal(updated.unlocked, true);
+});
+
+test('upserts on the conflict columns and reports unique violations as 23505', async () => {
+  const userId = await addUser();
+  const key = { user_id: userId, activity_date: '2025-03-01' };
+
+  const first = await store.upsert('daily_activities', { ...key, minutes_practiced: 10, day_completed: false }, { onConflict: 'user_id,activity_date' });
+  const second = await store.upsert('daily_activities', { ...key, minutes_practiced: 45, day_completed: true }, { onConflict: 'user_id,activity_date' });
+
+  assert.equal(second.id, first.id);
+  assert.equal(second.minutes_practiced, 45);
+  assert.equal(second.day_completed, true);
+  assert.equal(await store.count('daily_activities', { user_id: userId }), 1);
+
+  await assert.rejects(store.insert('daily_activities', { ...key, minutes_practiced: 5 }), { code: '23505' });
+});
+
+test('adds counters to the existing row', async () => {
+  await store.increment('translation_cache_stats', { date: '2025-03-02', hits: 1, misses: 0 }, { onConflict: 'date' });
+  await Promise.all([
+    store.increment('translation_cache_stats', { date: '2025-03-02', hits: 1, misses: 0 }, { onConflict: 'date' }),
+    store.increment('translation_cache_stats', { date: '2025-03-02', hits: 0, misses: 1 }, { onConflict: 'date' })
+  ]);
+
+  assert.deepEqual(await store.findOne('translation_cache_stats', { where: { date: '2025-03-02' } }), { date: '2025-03-02', hits: 2, misses: 1 });
+});
+
+test('resolves references to rows inserted earlier in a transaction', async () => {
+  const userId = await addUser();
+
+  await store.transaction([
+    { op: 'insert', table: 'vocabulary_categories', values: [{ $ref: 'category:0', user_id: userId, name: 'Essen' }] },
+    { op: 'insert', table: 'vocabulary', values: [
+      { user_id: userId, word: 'Brot', category_id: { $ref: 'category:0' } },
+      { user_id: userId, word: 'Käse', category_id: { $ref: 'category:0' } }
+    ] }
+  ]);
+
+  const category = await store.findOne('vocabulary_categories', { where: { user_id: userId, name: 'Essen' } });
+  const rows = await store.find('vocabulary', { where: { user_id: userId }, order: ['word.asc'] });
+  assert.deepEqual(rows.map(row => [row.word, row.category_id]), [['Brot', category.id], ['Käse', category.id]]);
+
+  await assert.rejects(
+    store.transaction([{ op: 'insert', table: 'vocabulary', values: [{ user_id: userId, word: 'Milch', category_id: { $ref: 'category:9' } }] }]),
+    /Unknown reference: category:9/
+  );
+});
+
+test('rolls back the whole transaction when a statement fails', async () => {
+  const userId = await addUser();
+  await store.insert('vocabulary', { user_id: userId, word: 'Apfel' });
+
+  await assert.rejects(store.transaction([
+    { op: 'insert', table: 'vocabulary_categories', values: [{ $ref: 'category:0', user_id: userId, name: 'Obst' }] },
+    { op: 'update', table: 'vocabulary', where: { user_id: userId, word: 'Apfel' }, patch: { meaning: 'apple' } },
+    { op: 'insert', table: 'vocabulary', values: [
+      { user_id: userId, word: 'Birne', category_id: { $ref: 'category:0' } },
+      { user_id: userId, word: 'Apfel', category_id: { $ref: 'category:0' } }
+    ] }
+  ]), { code: '23505' });
+
+  assert.equal(await store.count('vocabulary_categories', { user_id: userId }), 0);
+  assert.deepEqual(await store.find('vocabulary', { columns: 'word,meaning', where: { user_id: userId } }), [{ word: 'Apfel', meaning: null }]);
+});
@@ -0,0 +1,71 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { asUser, resetState, signUp } from './helpers/app.js';
+
+let api;
+
+beforeEach(async () => {
+  resetState();
+  api = asUser(await signUp());
+});
+
+test('lists the tasks in display order with the duration overrides', async () => {
+  const { status, body } = await api('GET', '/daily-tasks');
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.data.tasks.map(t => [t.name, t.duration_minutes]), [
+    ['Vocabulary Review', 15],
+    ['Daily Conversation', 30],
+    ['Shadowing Speaking', 5]
+  ]);
+  assert.equal(body.data.completed_count, 0);
+  assert.equal(body.data.all_completed, false);
+});
+
+test('starts and completes tasks', async () => {
+  const { body: list } = await api('GET', '/daily-tasks');
+  const [first] = list.data.tasks;
+
+  assert.equal((await api('POST', `/daily-tasks/${first.id}/complete`)).status, 400);
+
+  const started = await api('POST', `/daily-tasks/${first.id}/start`);
+  assert.equal(started.status, 200);
+  assert.equal((await api('GET', '/daily-tasks')).body.data.tasks[0].in_progress, true);
+
+  const completed = await api('POST', `/daily-tasks/${first.id}/complete`);
+  assert.equal(completed.body.data.all_tasks_completed, false);
+
+  assert.equal((await api('POST', `/daily-tasks/${first.id}/start`)).status, 400);
+  assert.equal((await api('POST', `/daily-tasks/${first.id}/complete`)).status, 400);
+
+  const progress = await api('GET', '/daily-tasks/progress');
+  assert.deepEqual(
+    { completed: progress.body.data.completed_tasks, total: progress.body.data.total_tasks, percentage: progress.body.data.completion_percentage },
+    { completed: 1, total: 3, percentage: 33 }
+  );
+});
+
+test('reports when all tasks are done and keeps the history', async () => {
+  const { body: list } = await api('GET', '/daily-tasks');
+
+  let result;
+  for (const task of list.data.tasks) {
+    await api('POST', `/daily-tasks/${task.id}/start`);
+    result = await api('POST', `/daily-tasks/${task.id}/complete`);
+  }
+  assert.equal(result.body.data.all_tasks_completed, true);
+  assert.equal((await api('GET', '/daily-tasks/progress')).body.data.all_completed, true);
+
+  const history = await api('GET', '/daily-tasks/history?days=3');
+  const [dates] = Object.values(history.body.data.history);
+  assert.equal(dates.length, 3);
+
+  // Completing every task also completes the journey day
+  const day = await api('POST', '/journey/complete-day', { body: {} });
+  assert.equal(day.body.day_completed, true);
+});
+
+test('returns 404 for unknown tasks', async () => {
+  assert.equal((await api('POST', '/daily-tasks/9999/start')).status, 404);
+  assert.equal((await api('POST', '/daily-tasks/abc/start')).status, 404);
+});
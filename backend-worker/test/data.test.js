@@ -0,0 +1,230 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { asUser, resetState, signUp, supabase } from './helpers/app.js';
+
+let api;
+
+beforeEach(async () => {
+  resetState();
+  api = asUser(await signUp());
+});
+
+async function addSampleData() {
+  const { body: animals } = await api('POST', '/vocabulary/categories', { body: { name: 'Animals' } });
+  const { body: dog } = await api('POST', '/vocabulary', { body: { word: 'dog', meaning: 'Hund', category_id: animals.data.id } });
+  await api('PUT', `/vocabulary/${dog.data.id}/review`, { body: { grade: 'good' } });
+
+  const { body: done } = await api('POST', '/phrases/categories', { body: { name: 'Done' } });
+  await api('POST', '/phrases', { body: { english: 'Thank you', german: 'Danke', category_id: done.data.id } });
+
+  const { body: grammar } = await api('POST', '/notes/categories', { body: { name: 'Grammar' } });
+  await api('POST', '/notes', { body: { title: 'Dativ', content: 'mit, nach, bei', category_id: grammar.data.id } });
+
+  const { body: tasks } = await api('GET', '/daily-tasks');
+  await api('POST', `/daily-tasks/${tasks.data.tasks[1].id}/start`);
+
+  await api('POST', '/progress/study-session', { body: { duration_seconds: 600, vocabulary_reviewed: 1 } });
+  await api('POST', '/journey/complete-day', { body: { minutes_practiced: 60 } });
+  await api('PUT', '/settings', { body: { theme: 'dark' } });
+}
+
+test('exports every table with references as stable keys', async () => {
+  await addSampleData();
+
+  const { status, body } = await api('GET', '/data/export');
+
+  assert.equal(status, 200);
+  assert.equal(body.version, '2.0');
+  assert.equal(body.metadata.tables.vocabulary, 1);
+  assert.equal(body.metadata.tables.achievements, 8);
+
+  const [word] = body.data.vocabulary;
+  assert.equal(word.word, 'Hund');
+  assert.deepEqual(word.category, { name: 'Animals' });
+  assert.equal('id' in word, false);
+  assert.equal('category_id' in word, false);
+
+  assert.deepEqual(body.data.review_history[0].item, { word: 'Hund' });
+  assert.deepEqual(body.data.custom_phrases[0].category, { name: 'Done' });
+  assert.deepEqual(body.data.notes[0].category, { name: 'Grammar' });
+  assert.deepEqual(body.data.daily_task_progress[0].task, { name: 'Read a Book' });
+  assert.deepEqual(body.data.journey_progress[0].completed_days, [1]);
+  assert.equal(body.data.achievements.find(a => a.achievement_key === 'dedicated_pirate').journey_day, 1);
+  assert.equal(body.data.user_settings[0].theme, 'dark');
+});
+
+test('restores a backup into another account with its references', async () => {
+  await addSampleData();
+  const { body: backup } = await api('GET', '/data/export');
+
+  const other = asUser(await signUp('other@example.com'));
+  await other('POST', '/vocabulary/categories', { body: { name: 'Colours' } });
+  const imported = await other('POST', '/data/import', { body: { data: backup } });
+
+  assert.equal(imported.status, 200);
+  assert.deepEqual(imported.body.stats.conflicts, []);
+  assert.equal(imported.body.stats.created.vocabulary, 1);
+  assert.equal(imported.body.stats.created.achievements, 8);
+
+  const { body: restored } = await other('GET', '/data/export');
+  for (const table of Object.keys(backup.data)) {
+    if (table === 'vocabulary_categories') continue;
+    assert.deepEqual(restored.data[table], backup.data[table], table);
+  }
+
+  const [word] = (await other('GET', '/vocabulary')).body.data;
+  const category = supabase.rows('vocabulary_categories').find(c => c.id === word.category_id);
+  assert.equal(category.name, 'Animals');
+  assert.notEqual(category.user_id, supabase.rows('vocabulary_categories')[0].user_id);
+
+  const journey = await other('GET', '/journey/status');
+  assert.deepEqual(journey.body.data.completed_days, [1]);
+});
+
+test('updates rows with the same key when merging', async () => {
+  await addSampleData();
+  const { body: backup } = await api('GET', '/data/export');
+  backup.data.vocabulary[0].meaning = 'hound';
+
+  const merged = await api('POST', '/data/import', { body: { data: backup } });
+
+  assert.equal(merged.body.stats.created.vocabulary, 0);
+  assert.equal(merged.body.stats.updated.vocabulary, 1);
+  assert.equal(merged.body.stats.created.notes, 0);
+  assert.equal(merged.body.stats.skipped.notes, 1);
+  assert.equal((await api('GET', '/vocabulary')).body.data[0].meaning, 'hound');
+  assert.equal(supabase.rows('review_history').length, 1);
+});
+
+test('replaces the tables in the backup', async () => {
+  await addSampleData();
+  const { body: backup } = await api('GET', '/data/export');
+
+  await api('POST', '/vocabulary', { body: { word: 'tree', meaning: 'Baum' } });
+  const replaced = await api('POST', '/data/import', { body: { data: backup, mode: 'replace' } });
+
+  assert.equal(replaced.body.stats.created.vocabulary, 1);
+  assert.deepEqual((await api('GET', '/vocabulary')).body.data.map(w => w.word), ['Hund']);
+});
+
+test('reports rows whose references cannot be resolved', async () => {
+  await addSampleData();
+  const { body: backup } = await api('GET', '/data/export');
+  backup.data.daily_task_progress[0].task = { name: 'Unknown task' };
+
+  const other = asUser(await signUp('other@example.com'));
+  const { body } = await other('POST', '/data/import', { body: { data: backup } });
+
+  assert.equal(body.stats.created.daily_task_progress, 0);
+  assert.equal(body.stats.conflicted.daily_task_progress, 1);
+  assert.deepEqual(body.stats.conflicts, [
+    { table: 'daily_task_progress', index: 0, reason: 'unknown task {"name":"Unknown task"}' }
+  ]);
+});
+
+test('reports rows repeating a key as conflicts', async () => {
+  const backup = { version: '2.0', data: { vocabulary: [{ word: 'Haus' }, { word: 'Haus', meaning: 'house' }] } };
+
+  const { body } = await api('POST', '/data/import', { body: { data: backup } });
+
+  assert.equal(body.stats.created.vocabulary, 1);
+  assert.deepEqual(body.stats.conflicts, [{ table: 'vocabulary', index: 1, reason: 'same word as an earlier row' }]);
+});
+
+test('previews an import without changing anything', async () => {
+  await addSampleData();
+  const { body: backup } = await api('GET', '/data/export');
+  backup.data.vocabulary[0].meaning = 'hound';
+  backup.data.vocabulary.push({ word: 'Katze', meaning: 'cat', category: { name: 'Pets' } });
+  backup.data.vocabulary_categories.push({ name: 'Pets' });
+
+  const { status, body } = await api('POST', '/data/import', { body: { data: backup, dryRun: true } });
+
+  assert.equal(status, 200);
+  assert.equal(body.dryRun, true);
+  assert.equal(body.stats.created.vocabulary, 1);
+  assert.equal(body.stats.created.vocabulary_categories, 1);
+  assert.equal(body.stats.updated.vocabulary, 1);
+  assert.equal(body.stats.skipped.notes, 1);
+
+  const { body: words } = await api('GET', '/vocabulary');
+  assert.deepEqual(words.data.map(w => [w.word, w.meaning]), [['Hund', 'dog']]);
+  assert.equal(supabase.rows('vocabulary_categories').length, 1);
+});
+
+test('imports version 1.0 backups', async () => {
+  const backup = {
+    version: '1.0',
+    data: {
+      vocabulary: [{ id: 7, word: 'Haus', meaning: 'house', category_id: 3, frequency: 2 }],
+      customPhrases: [{ id: 4, english: 'Thank you', german: 'Danke' }],
+      settings: { id: 1, daily_goal_minutes: 45, daily_sentence_goal: 10, theme: 'dark' },
+      progressStats: [{ date: '2026-01-05', words_learned: 3, entries_written: 1, minutes_practiced: 20 }]
+    }
+  };
+
+  const { body } = await api('POST', '/data/import', { body: { data: backup } });
+
+  assert.deepEqual(body.stats.created, { vocabulary: 1, custom_phrases: 1, user_settings: 1, progress_stats: 1 });
+  const [word] = (await api('GET', '/vocabulary')).body.data;
+  assert.equal(word.frequency, 2);
+  assert.equal(word.category_id, null);
+  assert.equal((await api('GET', '/settings')).body.data.daily_goal_minutes, 45);
+});
+
+test('rejects invalid imports', async () => {
+  assert.equal((await api('POST', '/data/import', { body: { data: { version: '1.0' } } })).status, 400);
+  assert.equal((await api('POST', '/data/import', { body: { data: { version: '2.0', data: {} }, mode: 'append' } })).status, 400);
+  assert.equal((await api('POST', '/data/import', { body: { data: { version: '3.0', data: {} } } })).status, 400);
+});
+
+test('validates every row before restoring any', async () => {
+  await api('POST', '/vocabulary', { body: { word: 'tree', meaning: 'Baum' } });
+  const backup = {
+    version: '2.0',
+    data: {
+      vocabulary: [{ word: 'Haus', frequency: 'often' }, { meaning: 'cat' }],
+      notes: [{ title: 'Dativ', content: 'mit', colour: 'red' }],
+      flashcards: []
+    }
+  };
+
+  const { status, body } = await api('POST', '/data/import', { body: { data: backup, mode: 'replace' } });
+
+  assert.equal(status, 400);
+  assert.deepEqual(body.details, [
+    'data.flashcards: unknown table',
+    'data.vocabulary[0].frequency: expected integer',
+    'data.vocabulary[1].word: required',
+    'data.notes[0].colour: unknown column'
+  ]);
+  assert.deepEqual((await api('GET', '/vocabulary')).body.data.map(w => w.word), ['Baum']);
+});
+
+test('keeps the data when a restore fails part way', async () => {
+  await addSampleData();
+  const { body: backup } = await api('GET', '/data/export');
+  backup.data.review_history[0].grade = 'perfect';
+
+  const { status } = await api('POST', '/data/import', { body: { data: backup, mode: 'replace' } });
+
+  assert.equal(status, 500);
+  assert.deepEqual((await api('GET', '/vocabulary')).body.data.map(w => w.word), ['Hund']);
+  assert.equal(supabase.rows('vocabulary_categories').length, 1);
+  assert.equal(supabase.rows('review_history').length, 1);
+  assert.equal(supabase.rows('notes').length, 1);
+});
+
+test('clears the data only with the confirmation phrase', async () => {
+  await addSampleData();
+
+  assert.equal((await api('DELETE', '/data/clear', { body: { confirm: 'yes' } })).status, 400);
+
+  const cleared = await api('DELETE', '/data/clear', { body: { confirm: 'DELETE_ALL_DATA' } });
+  assert.equal(cleared.status, 200);
+
+  const { body } = await api('GET', '/data/export');
+  assert.equal(body.metadata.tables.vocabulary, 0);
+  assert.equal(body.metadata.tables.custom_phrases, 0);
+  assert.equal(body.metadata.tables.progress_stats, 0);
+});
@@ -0,0 +1,135 @@
+import { createFakeSupabase } from './fake-supabase.js';
+
+/**
+ * Test harness: the Worker app in-process, with Supabase and the translation APIs stubbed
+ *
+ * globalThis.fetch is replaced before index.js is imported, so supabase-js and the
+ * translation providers talk to in-memory fakes instead of the network.
+ * node --test runs every test file in its own process, so the stub never leaks between files.
+ */
+
+const JWT_SECRET = 'test-jwt-secret-with-at-least-32-characters';
+const SERVICE_ROLE_KEY = 'test-service-role-key';
+
+export const supabase = createFakeSupabase({ jwtSecret: JWT_SECRET, serviceRoleKey: SERVICE_ROLE_KEY });
+
+/**
+ * Fake translation APIs
+ * MyMemory answers from the dictionary (or "[de] text"); Gemini fails unless a handler is set
+ */
+export const translations = {
+  dictionary: new Map(),
+  requests: [],
+  gemini: null,
+
+  reset() {
+    this.dictionary.clear();
+    this.requests = [];
+    this.gemini = null;
+  }
+};
+
+function translateWithDictionary(text, langpair) {
+  return translations.dictionary.get(text) || `[${langpair.split('|')[1]}] ${text}`;
+}
+
+async function fakeFetch(input, init) {
+  const request = new Request(input, init);
+  const { hostname, searchParams } = new URL(request.url);
+
+  if (supabase.handles(request)) {
+    return supabase.fetch(request);
+  }
+
+  if (hostname === 'api.mymemory.translated.net') {
+    translations.requests.push({ provider: 'mymemory', text: searchParams.get('q') });
+    const translatedText = translateWithDictionary(searchParams.get('q'), searchParams.get('langpair'));
+    return Response.json({ responseData: { translatedText }, responseStatus: 200 });
+  }
+
+  if (hostname === 'generativelanguage.googleapis.com') {
+    const body = await request.json();
+    const prompt = body.contents[0].parts[0].text;
+    translations.requests.push({ provider: 'gemini', prompt });
+    if (!translations.gemini) {
+      return Response.json({ error: { message: 'Gemini is unavailable in tests' } }, { status: 503 });
+    }
+    return Response.json({ candidates: [{ content: { parts: [{ text: translations.gemini(prompt) }] } }] });
+  }
+
+  throw new Error(`Unexpected network request in tests: ${request.method} ${request.url}`);
+}
+
+globalThis.fetch = fakeFetch;
+
+const { app, default: worker } = await import('../../index.js');
+
+export const env = {
+  SUPABASE_URL: supabase.url,
+  SUPABASE_ANON_KEY: 'test-anon-key',
+  SUPABASE_JWT_SECRET: JWT_SECRET,
+  SUPABASE_SERVICE_ROLE_KEY: SERVICE_ROLE_KEY,
+  TRANSLATION_PROVIDERS: 'mymemory'
+};
+
+/**
+ * Clear all data, accounts and translation stubs (call in beforeEach)
+ */
+export function resetState() {
+  supabase.reset();
+  translations.reset();
+}
+
+/**
+ * Send a request to the app
+ * @param {string} method - HTTP method
+ * @param {string} path - Path without the /api prefix (the Worker is mounted at the root)
+ * @param {{token?: string, body?: object|FormData, env?: object, headers?: object}} options - Bearer token, JSON body (or form data), extra env vars and headers
+ * @returns {Promise<{status: number, body: object|string, headers: Headers}>} body is parsed when the response is JSON
+ */
+export async function request(method, path, { token, body, env: extraEnv, headers: extraHeaders } = {}) {
+  const headers = { ...extraHeaders };
+  const isForm = body instanceof FormData;
+  if (token) headers.Authorization = `Bearer ${token}`;
+  if (body !== undefined && !isForm) headers['Content-Type'] = 'application/json';
+
+  const response = await app.request(path, {
+    method,
+    headers,
+    body: body === undefined || isForm ? body : JSON.stringify(body)
+  }, { ...env, ...extraEnv });
+
+  const text = await response.text();
+  const isJson = (response.headers.get('Content-Type') || '').includes('application/json');
+  return { status: response.status, body: text ? (isJson ? JSON.parse(text) : text) : null, headers: response.headers };
+}
+
+/**
+ * Run the Worker's scheduled handler (Cron Trigger) and wait for its work
+ * @param {object} extraEnv - Extra env vars
+ */
+export async function runScheduled(extraEnv = {}) {
+  const pending = [];
+  await worker.scheduled({ cron: '0 3 * * *', scheduledTime: Date.now() }, { ...env, ...extraEnv }, {
+    waitUntil: promise => pending.push(promise)
+  });
+  return Promise.all(pending);
+}
+
+/**
+ * Sign up a new account and return its access token
+ */
+export async function signUp(email = 'learner@example.com', password = 'secret-password') {
+  const { status, body } = await request('POST', '/auth/signup', { body: { email, password } });
+  if (status !== 201) {
+    throw new Error(`Sign up failed (${status}): ${JSON.stringify(body)}`);
+  }
+  return body.data.session.access_token;
+}
+
+/**
+ * Request helper bound to one user's access token
+ */
+export function asUser(token) {
+  return (method, path, options = {}) => request(method, path, { ...options, token });
+}
@@ -0,0 +1,46 @@
+import { readdir, readFile } from 'node:fs/promises';
+import { Miniflare } from 'miniflare';
+
+/**
+ * A real D1 database for store tests, run locally by Miniflare (the simulator behind wrangler dev)
+ *
+ * The schema comes from d1-migrations/, applied in order like `wrangler d1 migrations apply`.
+ * The database lives in memory and is gone after dispose().
+ */
+
+const MIGRATIONS_DIR = new URL('../../d1-migrations/', import.meta.url);
+
+/**
+ * Helper function: Split a migration into statements (the migrations have no triggers,
+ * so every statement ends with a semicolon at the end of a line)
+ */
+function statements(sql) {
+  return sql
+    .split('\n')
+    .filter(line => !line.trimStart().startsWith('--'))
+    .join('\n')
+    .split(/;\s*$/m)
+    .map(statement => statement.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Start a D1 database with every migration applied
+ * @returns {Promise<{db: object, dispose: function}>} db is the D1 binding (env.DB)
+ */
+export async function createD1Database() {
+  const miniflare = new Miniflare({
+    modules: true,
+    script: 'export default { fetch() { return new Response(null, { status: 404 }); } };',
+    d1Databases: ['DB']
+  });
+  const db = await miniflare.getD1Database('DB');
+
+  const files = (await readdir(MIGRATIONS_DIR)).filter(file => file.endsWith('.sql')).sort();
+  for (const file of files) {
+    const sql = await readFile(new URL(file, MIGRATIONS_DIR), 'utf8');
+    await db.batch(statements(sql).map(statement => db.prepare(statement)));
+  }
+
+  return { db, dispose: () => miniflare.dispose() };
+}
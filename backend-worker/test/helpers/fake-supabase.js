@@ -0,0 +1,695 @@
+import { sign } from 'hono/jwt';
+import { searchRows } from '../../repositories/stores/text-search.js';
+
+/**
+ * In-memory stand-in for a Supabase project
+ *
+ * Answers the PostgREST (/rest/v1) and GoTrue (/auth/v1) requests that supabase-js sends,
+ * so the Worker can run in-process without a database. Supports the subset the
+ * repositories use (see repositories/stores/supabase.js):
+ *   filters eq, neq, gt, gte, lt, lte, ilike, in, is, not.is and or=(..., and(...))
+ *   order (with nullsfirst/nullslast), offset/limit, HEAD counts
+ *   insert, upsert (on_conflict), update, delete, single objects
+ *   unique constraints (error code 23505), CHECK constraints on allowed values (23514)
+ *   rpc/apply_changes (migrations/0017_apply_changes.sql), all or nothing
+ *   rpc/search_rows (migrations/0020_fuzzy_search.sql), scored like the D1 store
+ *   rpc/increment_counters (migrations/0022_increment_counters.sql)
+ *   tables with Row Level Security and no policies, open to the service role key only
+ *   auth admin user listing (paged), as used with the service role key
+ */
+
+const now = () => new Date().toISOString();
+
+const spacedRepetitionDefaults = () => ({
+  ease_factor: 2.5, interval_days: 0, repetitions: 0, lapses: 0, due_at: now()
+});
+
+/**
+ * Tables with their unique keys, allowed values (CHECK constraints) and column defaults, following migrations/
+ * softDelete: unique keys only apply to rows outside the trash (partial indexes WHERE deleted_at IS NULL)
+ * serviceRoleOnly: Row Level Security without policies, so only the service role key gets in
+ */
+const TABLES = {
+  vocabulary_categories: { unique: [['user_id', 'name']], softDelete: true, defaults: () => ({ created_at: now(), deleted_at: null }) },
+  vocabulary: {
+    unique: [['user_id', 'word']],
+    softDelete: true,
+    defaults: () => ({
+      meaning: null, category_id: null, first_seen: now(), frequency: 1, last_reviewed: now(),
+      ...spacedRepetitionDefaults(),
+      part_of_speech: null, article: null, plural: null, genitive: null,
+      auxiliary: null, praeteritum: null, partizip_ii: null, deleted_at: null
+    })
+  },
+  phrase_categories: { unique: [['user_id', 'name']], softDelete: true, defaults: () => ({ created_at: now(), deleted_at: null }) },
+  custom_phrases: {
+    defaults: () => ({
+      meaning: null, example_english: null, example_german: null, category_id: null,
+      created_at: now(), times_reviewed: 0, ...spacedRepetitionDefaults(), last_reviewed: null, deleted_at: null
+    })
+  },
+  review_history: {
+    checks: { item_type: ['vocabulary', 'phrase'], grade: ['again', 'hard', 'good', 'easy'] },
+    defaults: () => ({ reviewed_at: now() })
+  },
+  study_sessions: {
+    defaults: () => ({
+      started_at: null, completed_at: now(), duration_seconds: 0, cards_reviewed: 0,
+      vocabulary_reviewed: 0, phrases_reviewed: 0, correct_count: 0, accuracy: 0
+    })
+  },
+  article_drill_stats: {
+    unique: [['user_id', 'noun']],
+    defaults: () => ({
+      vocabulary_id: null, attempts: 0, correct_count: 0, wrong_count: 0,
+      last_answer: null, last_wrong_at: null, last_practiced: null
+    })
+  },
+  user_settings: {
+    unique: [['user_id']],
+    defaults: () => ({ daily_goal_minutes: 60, daily_sentence_goal: 10, theme: 'light' })
+  },
+  progress_stats: {
+    unique: [['user_id', 'date']],
+    defaults: () => ({ words_learned: 0, entries_written: 0, minutes_practiced: 0 })
+  },
+  journey_progress: {
+    unique: [['user_id']],
+    defaults: () => ({
+      current_day: 1, completed_days: [], last_activity_date: null, journey_completed_count: 0,
+      created_at: now(), updated_at: now()
+    })
+  },
+  daily_activities: {
+    unique: [['user_id', 'activity_date']],
+    defaults: () => ({
+      minutes_practiced: 0, vocabulary_added_count: 0, cards_reviewed: 0, day_completed: false,
+      journey_day_number: null, created_at: now(), updated_at: now()
+    })
+  },
+  achievements: {
+    unique: [['user_id', 'achievement_key']],
+    defaults: () => ({
+      description: null, icon_emoji: null, unlocked_at: null, journey_day: null,
+      category: 'milestone', created_at: now()
+    })
+  },
+  journey_landmarks: {
+    unique: [['user_id', 'landmark_key']],
+    defaults: () => ({ description: null, icon_emoji: null, unlocked: false, unlocked_at: null, created_at: now() })
+  },
+  daily_tasks: { defaults: () => ({ duration_minutes: 10, display_order: 0, icon: null, created_at: now() }) },
+  daily_task_progress: { defaults: () => ({ started_at: null, completed_at: null, created_at: now() }) },
+  note_categories: { unique: [['user_id', 'name']], softDelete: true, defaults: () => ({ created_at: now(), deleted_at: null }) },
+  notes: { defaults: () => ({ category_id: null, created_at: now(), deleted_at: null }) },
+  journal_entries: {
+    defaults: () => ({
+      corrected_text: null, corrections: [], word_count: 0, error_count: 0, session_duration: 0,
+      created_at: now(), updated_at: now()
+    })
+  },
+  mistakes: { defaults: () => ({ explanation: null, sentence: null, source: 'journal', journal_entry_id: null, created_at: now() }) },
+  backups: { defaults: () => ({ row_count: 0, size_bytes: 0, created_at: now() }) },
+  translation_cache: {
+    serviceRoleOnly: true,
+    unique: [['text_hash', 'langpair', 'provider']],
+    defaults: () => ({ hit_count: 0, created_at: now(), last_hit_at: null })
+  },
+  translation_cache_stats: { serviceRoleOnly: true, primaryKey: 'date', unique: [['date']], defaults: () => ({ hits: 0, misses: 0 }) }
+};
+
+/**
+ * Templates copied to each new user, as seeded by migrations/0002_journey_map.sql,
+ * and daily task definitions (which the migrations leave to each deployment)
+ */
+const SEED_ROWS = {
+  journey_landmarks: [
+    { landmark_key: 'east_blue_harbor', name: 'East Blue Harbor', description: 'Starting point of your journey', icon_emoji: '🏴‍☠️', day_number: 1 },
+    { landmark_key: 'grammar_fort', name: 'Grammar Fort', description: 'Master the grammar fundamentals', icon_emoji: '⚓', day_number: 7 },
+    { landmark_key: 'vocab_island', name: 'Vocab Island', description: 'Discover vocabulary treasures', icon_emoji: '🏝️', day_number: 14 },
+    { landmark_key: 'quiz_bridge', name: 'Quiz Bridge', description: 'Test your skills in the challenge zone', icon_emoji: '⚔️', day_number: 21 },
+    { landmark_key: 'treasure_island', name: 'Treasure Island', description: 'Complete your journey and claim your rewards', icon_emoji: '💎', day_number: 30 }
+  ],
+  achievements: [
+    { achievement_key: 'day_7_milestone', title: 'Week Warrior', description: 'Completed 7 days of learning!', icon_emoji: '⚓', category: 'milestone' },
+    { achievement_key: 'day_14_milestone', title: 'Vocab Collector', description: 'Reached the halfway point!', icon_emoji: '🏝️', category: 'milestone' },
+    { achievement_key: 'day_21_milestone', title: 'Three Weeks Strong', description: '21 days of dedication!', icon_emoji: '⚔️', category: 'milestone' },
+    { achievement_key: 'day_30_milestone', title: 'Journey Complete', description: 'Conquered the 30-day challenge!', icon_emoji: '💎', category: 'milestone' },
+    { achievement_key: 'first_journey_complete', title: 'First Voyage', description: 'Completed your first 30-day journey!', icon_emoji: '🏆', category: 'special' },
+    { achievement_key: 'speed_runner', title: 'Speed Runner', description: 'Completed 7 days in 7 consecutive calendar days', icon_emoji: '⚡', category: 'special' },
+    { achievement_key: 'dedicated_pirate', title: 'Dedicated Pirate', description: 'Practiced 50+ minutes in a single day', icon_emoji: '🔥', category: 'special' },
+    { achievement_key: 'word_hoarder', title: 'Word Hoarder', description: 'Added 20+ vocabulary words in one day', icon_emoji: '📚', category: 'special' }
+  ],
+  daily_tasks: [
+    { name: 'Vocabulary Review', duration_minutes: 15, display_order: 1, icon: '📚' },
+    { name: 'Read a Book', duration_minutes: 20, display_order: 2, icon: '📖' },
+    { name: 'Shadowing Speaking', duration_minutes: 15, display_order: 3, icon: '🗣️' }
+  ]
+};
+
+function jsonResponse(body, status = 200, headers = {}) {
+  return new Response(body === undefined ? null : JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers }
+  });
+}
+
+function postgrestError(status, code, message, details = null) {
+  return jsonResponse({ code, message, details, hint: null }, status);
+}
+
+/**
+ * Split on commas that are not inside parentheses or double quotes
+ */
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let current = '';
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted && char === '\\') {
+      current += char + text[++i];
+      continue;
+    }
+    if (char === '"') quoted = !quoted;
+    if (!quoted && char === '(') depth++;
+    if (!quoted && char === ')') depth--;
+    if (!quoted && depth === 0 && char === ',') {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  if (current) parts.push(current);
+  return parts;
+}
+
+function unquote(value) {
+  if (value.length >= 2 && value.startsWith('"') && value.endsWith('"')) {
+    return value.slice(1, -1).replace(/\\(.)/g, '$1');
+  }
+  return value;
+}
+
+/**
+ * Compare a stored value with a filter value from the URL (always a string)
+ */
+function coerce(stored, value) {
+  if (typeof stored === 'number') return Number(value);
+  if (typeof stored === 'boolean') return value === 'true';
+  return value;
+}
+
+function likePattern(pattern) {
+  const source = pattern
+    .split('')
+    .map(char => {
+      if (char === '%' || char === '*') return '.*';
+      if (char === '_') return '.';
+      return char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`, 'is');
+}
+
+/**
+ * Predicate for one "operator.value" filter on a column
+ */
+function compileCondition(column, expression) {
+  if (expression.startsWith('not.')) {
+    const inner = compileCondition(column, expression.slice(4));
+    return row => !inner(row);
+  }
+
+  const dot = expression.indexOf('.');
+  const op = expression.slice(0, dot);
+  const raw = expression.slice(dot + 1);
+
+  if (op === 'is') {
+    const expected = raw === 'null' ? null : raw === 'true';
+    return row => (row[column] ?? null) === expected;
+  }
+  if (op === 'in') {
+    const values = splitTopLevel(raw.replace(/^\(|\)$/g, '')).map(unquote);
+    return row => row[column] !== null && row[column] !== undefined &&
+      values.some(value => coerce(row[column], value) === row[column]);
+  }
+  if (op === 'ilike' || op === 'like') {
+    const pattern = likePattern(unquote(raw));
+    return row => typeof row[column] === 'string' && pattern.test(row[column]);
+  }
+
+  const value = unquote(raw);
+  return row => {
+    const stored = row[column];
+    if (stored === null || stored === undefined) return false;
+    const expected = coerce(stored, value);
+    switch (op) {
+      case 'eq': return stored === expected;
+      case 'neq': return stored !== expected;
+      case 'gt': return stored > expected;
+      case 'gte': return stored >= expected;
+      case 'lt': return stored < expected;
+      case 'lte': return stored <= expected;
+      default: throw new Error(`Fake Supabase does not support the ${op} operator`);
+    }
+  };
+}
+
+/**
+ * Predicate for an or=(...) / and(...) group
+ */
+function compileGroup(branches, every) {
+  const predicates = splitTopLevel(branches).map(branch => {
+    const nested = branch.match(/^(and|or)\((.*)\)$/s);
+    if (nested) return compileGroup(nested[2], nested[1] === 'and');
+    const dot = branch.indexOf('.');
+    return compileCondition(branch.slice(0, dot), branch.slice(dot + 1));
+  });
+  return row => every ? predicates.every(p => p(row)) : predicates.some(p => p(row));
+}
+
+const RESERVED_PARAMS = ['select', 'order', 'offset', 'limit', 'on_conflict', 'columns'];
+
+function compileFilters(searchParams) {
+  const predicates = [];
+  for (const [key, value] of searchParams) {
+    if (RESERVED_PARAMS.includes(key)) continue;
+    if (key === 'or' || key === 'and') {
+      predicates.push(compileGroup(value.replace(/^\(|\)$/g, ''), key === 'and'));
+    } else {
+      predicates.push(compileCondition(key, value));
+    }
+  }
+  return row => predicates.every(p => p(row));
+}
+
+function compareValues(a, b) {
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+}
+
+function sortRows(rows, order) {
+  if (!order) return rows;
+  const specs = order.split(',').map(spec => {
+    const [column, direction = 'asc', nulls] = spec.split('.');
+    const ascending = direction !== 'desc';
+    // Postgres puts NULLs last for ascending and first for descending order
+    const nullsFirst = nulls ? nulls === 'nullsfirst' : !ascending;
+    return { column, ascending, nullsFirst };
+  });
+
+  return [...rows].sort((a, b) => {
+    for (const { column, ascending, nullsFirst } of specs) {
+      const left = a[column] ?? null;
+      const right = b[column] ?? null;
+      if (left === null && right === null) continue;
+      if (left === null) return nullsFirst ? -1 : 1;
+      if (right === null) return nullsFirst ? 1 : -1;
+      const result = compareValues(left, right);
+      if (result !== 0) return ascending ? result : -result;
+    }
+    return 0;
+  });
+}
+
+function project(row, select) {
+  if (!select || select === '*') return structuredClone(row);
+  const projected = {};
+  for (const column of select.split(',')) {
+    projected[column] = structuredClone(row[column] ?? null);
+  }
+  return projected;
+}
+
+/**
+ * Create an empty Supabase stand-in
+ * @param {{jwtSecret: string, url?: string}} options - Secret that signs access tokens (SUPABASE_JWT_SECRET)
+ */
+export function createFakeSupabase({ jwtSecret, serviceRoleKey, url = 'https://fake-project.supabase.co' }) {
+  const tables = {};
+  const sequences = {};
+  const users = new Map();
+  const refreshTokens = new Map();
+
+  function getTable(name) {
+    if (!TABLES[name]) {
+      throw new Error(`Fake Supabase has no table "${name}"`);
+    }
+    if (!tables[name]) {
+      tables[name] = [];
+      sequences[name] = 0;
+    }
+    return tables[name];
+  }
+
+  function buildRow(table, values) {
+    const { primaryKey = 'id', defaults } = TABLES[table];
+    const row = { ...defaults(), ...structuredClone(values) };
+    if (primaryKey === 'id' && row.id === undefined) {
+      row.id = ++sequences[table];
+    } else if (primaryKey === 'id') {
+      sequences[table] = Math.max(sequences[table], row.id);
+    }
+    return row;
+  }
+
+  /**
+   * First unique key that a row shares with another row (NULLs never conflict, as in Postgres)
+   */
+  function findConflict(table, row, rows) {
+    const { unique = [], softDelete } = TABLES[table];
+    const indexed = candidate => !softDelete || !candidate.deleted_at;
+    if (!indexed(row)) return null;
+
+    for (const key of unique) {
+      if (key.some(column => row[column] === null || row[column] === undefined)) continue;
+      const other = rows.find(existing => existing !== row && indexed(existing) && key.every(column => existing[column] === row[column]));
+      if (other) return key;
+    }
+    return null;
+  }
+
+  /**
+   * Response for the first CHECK constraint a row violates, or null
+   */
+  function checkViolation(table, row) {
+    for (const [column, allowed] of Object.entries(TABLES[table].checks || {})) {
+      if (row[column] !== null && row[column] !== undefined && !allowed.includes(row[column])) {
+        return postgrestError(400, '23514',
+          `new row for relation "${table}" violates check constraint "${table}_${column}_check"`);
+      }
+    }
+    return null;
+  }
+
+  function uniqueViolation(table, key) {
+    return postgrestError(409, '23505',
+      `duplicate key value violates unique constraint "${table}_${key.join('_')}_key"`,
+      `Key (${key.join(', ')}) already exists.`);
+  }
+
+  function respondWithRows(request, rows, status) {
+    const select = new URL(request.url).searchParams.get('select');
+    const wantsRows = (request.headers.get('Prefer') || '').includes('return=representation') || request.method === 'GET';
+    if (!wantsRows) return new Response(null, { status: 204 });
+
+    const result = rows.map(row => project(row, select));
+    if ((request.headers.get('Accept') || '').includes('application/vnd.pgrst.object+json')) {
+      if (result.length !== 1) {
+        return postgrestError(406, 'PGRST116', 'JSON object requested, multiple (or no) rows returned',
+          `The result contains ${result.length} rows`);
+      }
+      return jsonResponse(result[0], status);
+    }
+    return jsonResponse(result, status);
+  }
+
+  /**
+   * Response for a request to a service role table without the service role key, or null
+   * (reads find no rows, writes violate the row-level security policy)
+   */
+  function rowSecurityViolation(request, table) {
+    if (!TABLES[table]?.serviceRoleOnly || request.headers.get('apikey') === serviceRoleKey) return null;
+    if (request.method === 'GET' || request.method === 'HEAD') return jsonResponse([]);
+    return postgrestError(403, '42501', `new row violates row-level security policy for table "${table}"`);
+  }
+
+  /**
+   * Same contract as the increment_counters SQL function: insert the row or add its counters
+   */
+  function handleIncrementCounters(request, { table_name: table, conflict_columns: keys, row_values: values }) {
+    const violation = rowSecurityViolation(request, table);
+    if (violation) return violation;
+
+    const rows = getTable(table);
+    const existing = rows.find(row => keys.every(column => row[column] === values[column]));
+    if (!existing) {
+      rows.push(buildRow(table, values));
+    } else {
+      for (const [column, value] of Object.entries(values)) {
+        if (!keys.includes(column)) existing[column] = (existing[column] || 0) + value;
+      }
+    }
+    return new Response(null, { status: 204 });
+  }
+
+  function handleRest(request, table, body) {
+    const violation = rowSecurityViolation(request, table);
+    if (violation) return violation;
+
+    const rows = getTable(table);
+    const { searchParams } = new URL(request.url);
+    const prefer = request.headers.get('Prefer') || '';
+    const matches = compileFilters(searchParams);
+
+    if (request.method === 'GET' || request.method === 'HEAD') {
+      const offset = parseInt(searchParams.get('offset')) || 0;
+      const limit = searchParams.has('limit') ? parseInt(searchParams.get('limit')) : Infinity;
+      const filtered = sortRows(rows.filter(matches), searchParams.get('order'));
+      const page = filtered.slice(offset, offset + limit);
+      const range = { 'Content-Range': page.length ? `${offset}-${offset + page.length - 1}/${filtered.length}` : `*/${filtered.length}` };
+
+      if (request.method === 'HEAD') return new Response(null, { status: 200, headers: range });
+      const response = respondWithRows(request, page, 200);
+      for (const [key, value] of Object.entries(range)) response.headers.set(key, value);
+      return response;
+    }
+
+    if (request.method === 'POST') {
+      const values = Array.isArray(body) ? body : [body];
+      const upsertOn = prefer.includes('resolution=merge-duplicates')
+        ? (searchParams.get('on_conflict') || 'id').split(',')
+        : null;
+      const next = [...rows];
+      const written = [];
+
+      for (const value of values) {
+        const existing = upsertOn && next.find(row => upsertOn.every(column => value[column] !== undefined && row[column] === value[column]));
+        if (existing) {
+          const merged = { ...existing, ...structuredClone(value) };
+          next[next.indexOf(existing)] = merged;
+          written.push(merged);
+        } else {
+          const row = buildRow(table, value);
+          next.push(row);
+          written.push(row);
+        }
+      }
+
+      // All or nothing, like a single INSERT statement
+      for (const row of written) {
+        const violation = checkViolation(table, row);
+        if (violation) return violation;
+        const conflict = findConflict(table, row, next);
+        if (conflict) return uniqueViolation(table, conflict);
+      }
+      tables[table] = next;
+      return respondWithRows(request, written, 201);
+    }
+
+    if (request.method === 'PATCH') {
+      const next = rows.map(row => matches(row) ? { ...row, ...structuredClone(body) } : row);
+      const updated = next.filter((row, index) => row !== rows[index]);
+      for (const row of updated) {
+        const violation = checkViolation(table, row);
+        if (violation) return violation;
+        const conflict = findConflict(table, row, next);
+        if (conflict) return uniqueViolation(table, conflict);
+      }
+      tables[table] = next;
+      return respondWithRows(request, updated, 200);
+    }
+
+    if (request.method === 'DELETE') {
+      const removed = rows.filter(matches);
+      tables[table] = rows.filter(row => !matches(row));
+      const response = respondWithRows(request, removed, 200);
+      response.headers.set('Content-Range', `*/${removed.length}`);
+      return response;
+    }
+
+    return postgrestError(405, 'PGRST000', `Method ${request.method} not supported`);
+  }
+
+  /**
+   * Same contract as the apply_changes SQL function: changes in order, rolled back on any error
+   */
+  function handleApplyChanges({ changes }) {
+    const snapshot = structuredClone({ tables, sequences });
+    const refs = {};
+    const resolve = values => Object.fromEntries(Object.entries(values).map(([column, value]) => {
+      if (value === null || typeof value !== 'object' || !('$ref' in value)) return [column, value];
+      if (!(value.$ref in refs)) throw postgrestError(400, 'P0001', `Unknown reference: ${value.$ref}`);
+      return [column, refs[value.$ref]];
+    }));
+    const matchesWhere = where => row => Object.entries(where).every(([column, value]) => row[column] === value);
+
+    try {
+      for (const change of changes) {
+        const rows = getTable(change.table);
+
+        if (change.op === 'insert') {
+          for (const { $ref, ...values } of change.values) {
+            const row = buildRow(change.table, resolve(values));
+            rows.push(row);
+            const violation = checkViolation(change.table, row);
+            if (violation) throw violation;
+            const conflict = findConflict(change.table, row, rows);
+            if (conflict) throw uniqueViolation(change.table, conflict);
+            if ($ref !== undefined) refs[$ref] = row.id;
+          }
+        } else if (change.op === 'update') {
+          const patch = resolve(change.patch);
+          tables[change.table] = rows.map(row => matchesWhere(change.where)(row) ? { ...row, ...structuredClone(patch) } : row);
+          for (const row of tables[change.table]) {
+            const violation = checkViolation(change.table, row);
+            if (violation) throw violation;
+            const conflict = findConflict(change.table, row, tables[change.table]);
+            if (conflict) throw uniqueViolation(change.table, conflict);
+          }
+        } else if (change.op === 'remove') {
+          tables[change.table] = rows.filter(row => !matchesWhere(change.where)(row));
+        } else {
+          throw postgrestError(400, 'P0001', `Unknown change: ${change.op}`);
+        }
+      }
+    } catch (error) {
+      for (const name of Object.keys(tables)) delete tables[name];
+      Object.assign(tables, snapshot.tables);
+      Object.assign(sequences, snapshot.sequences);
+      if (error instanceof Response) return error;
+      throw error;
+    }
+
+    return new Response(null, { status: 204 });
+  }
+
+  /**
+   * Same contract as the search_rows SQL function, with the matching of stores/text-search.js
+   */
+  function handleSearchRows({ table_name: table, search_fields: fields, term, filters = {}, max_results: limit = 50 }) {
+    const rows = getTable(table).filter(row => Object.entries(filters).every(([column, value]) => row[column] === value));
+    return jsonResponse(searchRows(rows, fields, term).slice(0, limit));
+  }
+
+  async function createSession(user) {
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const refreshToken = crypto.randomUUID();
+    refreshTokens.set(refreshToken, user.id);
+
+    return {
+      access_token: await sign({ sub: user.id, email: user.email, aud: 'authenticated', role: 'authenticated', iat: issuedAt, exp: issuedAt + 3600 }, jwtSecret),
+      token_type: 'bearer',
+      expires_in: 3600,
+      expires_at: issuedAt + 3600,
+      refresh_token: refreshToken,
+      user: { id: user.id, aud: 'authenticated', role: 'authenticated', email: user.email }
+    };
+  }
+
+  function authError(status, code, message) {
+    return jsonResponse({ code: status, error_code: code, msg: message }, status);
+  }
+
+  async function handleAuth(request, path, body) {
+    const grantType = new URL(request.url).searchParams.get('grant_type');
+
+    if (path === 'signup') {
+      const email = body.email.toLowerCase();
+      if (users.has(email)) return authError(422, 'user_already_exists', 'User already registered');
+      const user = { id: crypto.randomUUID(), email, password: body.password };
+      users.set(email, user);
+      return jsonResponse(await createSession(user));
+    }
+
+    if (path === 'token' && grantType === 'password') {
+      const user = users.get(body.email.toLowerCase());
+      if (!user || user.password !== body.password) {
+        return authError(400, 'invalid_credentials', 'Invalid login credentials');
+      }
+      return jsonResponse(await createSession(user));
+    }
+
+    if (path === 'token' && grantType === 'refresh_token') {
+      const userId = refreshTokens.get(body.refresh_token);
+      const user = [...users.values()].find(candidate => candidate.id === userId);
+      if (!user) return authError(400, 'refresh_token_not_found', 'Invalid Refresh Token: Refresh Token Not Found');
+      refreshTokens.delete(body.refresh_token);
+      return jsonResponse(await createSession(user));
+    }
+
+    if (path === 'admin/users' && request.method === 'GET') {
+      const searchParams = new URL(request.url).searchParams;
+      const page = parseInt(searchParams.get('page')) || 1;
+      const perPage = parseInt(searchParams.get('per_page')) || 50;
+      const all = [...users.values()].map(user => ({ id: user.id, aud: 'authenticated', role: 'authenticated', email: user.email }));
+      return jsonResponse({ users: all.slice((page - 1) * perPage, page * perPage), aud: 'authenticated' }, 200, { 'x-total-count': String(all.length) });
+    }
+
+    return authError(404, 'not_found', `Fake Supabase does not handle /auth/v1/${path}`);
+  }
+
+  return {
+    url,
+
+    /**
+     * Rows of a table (copies, for assertions)
+     */
+    rows(table) {
+      return structuredClone(getTable(table));
+    },
+
+    /**
+     * Insert rows directly, bypassing the API
+     */
+    seed(table, values) {
+      const rows = getTable(table);
+      const inserted = values.map(value => buildRow(table, value));
+      rows.push(...inserted);
+      return structuredClone(inserted);
+    },
+
+    /**
+     * Drop all data and accounts, then restore the shared templates
+     */
+    reset() {
+      for (const name of Object.keys(tables)) delete tables[name];
+      users.clear();
+      refreshTokens.clear();
+      this.seed('journey_landmarks', SEED_ROWS.journey_landmarks.map(l => ({ ...l, user_id: null })));
+      this.seed('achievements', SEED_ROWS.achievements.map(a => ({ ...a, user_id: null })));
+      this.seed('daily_tasks', SEED_ROWS.daily_tasks);
+    },
+
+    /**
+     * Whether a request is meant for this project
+     */
+    handles(request) {
+      return request.url.startsWith(`${url}/`);
+    },
+
+    async fetch(request) {
+      const { pathname } = new URL(request.url);
+      const text = request.method === 'GET' || request.method === 'HEAD' ? '' : await request.text();
+      const body = text ? JSON.parse(text) : undefined;
+
+      if (pathname === '/rest/v1/rpc/apply_changes') return handleApplyChanges(body);
+      if (pathname === '/rest/v1/rpc/search_rows') return handleSearchRows(body);
+      if (pathname === '/rest/v1/rpc/increment_counters') return handleIncrementCounters(request, body);
+
+      const rest = pathname.match(/^\/rest\/v1\/(\w+)$/);
+      if (rest) return handleRest(request, rest[1], body);
+
+      const auth = pathname.match(/^\/auth\/v1\/(\w+(?:\/\w+)?)$/);
+      if (auth) return handleAuth(request, auth[1], body);
+
+      return jsonResponse({ message: `Fake Supabase does not handle ${pathname}` }, 404);
+    }
+  };
+}
+
+export default createFakeSupabase;
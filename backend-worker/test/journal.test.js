@@ -0,0 +1,57 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { asUser, resetState, signUp, translations } from './helpers/app.js';
+import { diffWords, MAX_TEXT_LENGTH } from '../services/writing-correction.js';
+
+let api;
+
+beforeEach(async () => {
+  resetState();
+  api = asUser(await signUp());
+});
+
+test('corrects free writing and returns the word diff', async () => {
+  translations.gemini = () => JSON.stringify({
+    corrected_text: 'Ich gehe heute in die Schule.',
+    corrections: [{ original: 'in der Schule', corrected: 'in die Schule', type: 'case_ending', explanation: 'Richtung: Akkusativ' }]
+  });
+
+  const { status, body } = await api('POST', '/journal/correct', {
+    body: { german_text: 'Ich gehe heute in der Schule.' },
+    env: { GEMINI_API_KEY: 'test-gemini-key' }
+  });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.data.diff, [
+    { type: 'equal', text: 'Ich gehe heute in' },
+    { type: 'removed', text: 'der' },
+    { type: 'added', text: 'die' },
+    { type: 'equal', text: 'Schule.' }
+  ]);
+});
+
+test('rejects missing texts and texts longer than the correction limit', async () => {
+  const tooLong = 'Wort '.repeat(MAX_TEXT_LENGTH / 5 + 1);
+  const { body: entry } = await api('POST', '/journal/entry', { body: { german_text: 'Ich bin müde.' } });
+
+  for (const [method, path] of [['POST', '/journal/entry'], ['POST', '/journal/correct'], ['PUT', `/journal/entry/${entry.data.id}`]]) {
+    const missing = await api(method, path, { body: { german_text: '   ' } });
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.error, 'German text is required');
+
+    const long = await api(method, path, { body: { german_text: tooLong } });
+    assert.equal(long.status, 400);
+    assert.equal(long.body.error, `Text is too long (maximum ${MAX_TEXT_LENGTH} characters)`);
+  }
+});
+
+test('diffs long texts without building a table of every word pair', () => {
+  const original = Array.from({ length: 3000 }, (_, i) => `a${i}`).join(' ');
+  const corrected = Array.from({ length: 3000 }, (_, i) => `b${i}`).join(' ');
+
+  const diff = diffWords(`Anfang ${original} Ende`, `Anfang ${corrected} Ende`);
+
+  assert.deepEqual(diff.map(segment => segment.type), ['equal', 'removed', 'added', 'equal']);
+  assert.equal(diff[1].text, original);
+  assert.equal(diff[2].text, corrected);
+});
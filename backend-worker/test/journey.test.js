@@ -0,0 +1,79 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { asUser, resetState, signUp, supabase } from './helpers/app.js';
+
+let api;
+
+beforeEach(async () => {
+  resetState();
+  api = asUser(await signUp());
+});
+
+test('starts a journey with the user\'s own achievements and landmarks', async () => {
+  const status = await api('GET', '/journey/status');
+  assert.equal(status.status, 200);
+  assert.equal(status.body.data.current_day, 1);
+  assert.deepEqual(status.body.data.completed_days, []);
+  assert.equal(status.body.data.next_milestone, 7);
+
+  const achievements = await api('GET', '/journey/achievements');
+  assert.equal(achievements.body.data.total_achievements, 8);
+  assert.equal(achievements.body.data.total_unlocked, 0);
+
+  const landmarks = await api('GET', '/journey/landmarks');
+  assert.deepEqual(landmarks.body.data.map(l => l.day_number), [1, 7, 14, 21, 30]);
+
+  // The templates stay untouched
+  assert.equal(supabase.rows('achievements').filter(a => a.user_id === null).length, 8);
+});
+
+test('only completes a day once the criteria are met', async () => {
+  const short = await api('POST', '/journey/complete-day', { body: { minutes_practiced: 5 } });
+  assert.equal(short.body.day_completed, false);
+
+  const completed = await api('POST', '/journey/complete-day', { body: { minutes_practiced: 10 } });
+  assert.equal(completed.body.day_completed, true);
+  assert.equal(completed.body.next_day, 2);
+
+  const status = await api('GET', '/journey/status');
+  assert.deepEqual(status.body.data.completed_days, [1]);
+  assert.equal(status.body.data.today_activity.day_completed, true);
+});
+
+test('unlocks the milestone achievement and landmark on day 7', async () => {
+  let result;
+  for (let day = 1; day <= 7; day++) {
+    result = await api('POST', '/journey/complete-day', { body: { vocabulary_added: 5 } });
+  }
+
+  assert.equal(result.body.journey_day, 7);
+  assert.equal(result.body.milestone_reached, true);
+  assert.deepEqual(result.body.achievements_unlocked.map(a => a.achievement_key), ['day_7_milestone']);
+
+  const landmarks = await api('GET', '/journey/landmarks');
+  assert.equal(landmarks.body.data.find(l => l.landmark_key === 'grammar_fort').unlocked, true);
+
+  const reset = await api('POST', '/journey/reset');
+  assert.equal(reset.body.journey_count, 0);
+
+  const achievements = await api('GET', '/journey/achievements');
+  assert.equal(achievements.body.data.total_unlocked, 0);
+  assert.equal((await api('GET', '/journey/status')).body.data.current_day, 1);
+});
+
+test('unlocks special achievements once', async () => {
+  await api('POST', '/journey/complete-day', { body: { minutes_practiced: 60 } });
+  await api('POST', '/journey/complete-day', { body: { minutes_practiced: 60 } });
+
+  const achievements = await api('GET', '/journey/achievements');
+  assert.deepEqual(achievements.body.data.unlocked.map(a => a.achievement_key), ['dedicated_pirate']);
+  assert.equal(achievements.body.data.unlocked[0].journey_day, 1);
+});
+
+test('accumulates today\'s activity', async () => {
+  await api('POST', '/journey/update-activity', { body: { minutes_practiced: 4, cards_reviewed: 10 } });
+  const result = await api('POST', '/journey/update-activity', { body: { minutes_practiced: 6 } });
+
+  assert.equal(result.body.day_completed, true);
+  assert.deepEqual(result.body.activities, { minutes_practiced: 10, vocabulary_added_count: 0, cards_reviewed: 10 });
+});
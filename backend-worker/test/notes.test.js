@@ -0,0 +1,57 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { asUser, resetState, signUp } from './helpers/app.js';
+
+let api;
+
+beforeEach(async () => {
+  resetState();
+  api = asUser(await signUp());
+});
+
+test('creates, lists, updates and deletes notes', async () => {
+  const created = await api('POST', '/notes', { body: { title: ' Dativ ', content: 'mit, nach, bei, seit' } });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.data.title, 'Dativ');
+
+  await api('POST', '/notes', { body: { title: 'Akkusativ', content: 'durch, für, gegen' } });
+
+  const list = await api('GET', '/notes?sort=az');
+  assert.deepEqual(list.body.data.map(n => n.title), ['Akkusativ', 'Dativ']);
+
+  const updated = await api('PUT', `/notes/${created.body.data.id}`, { body: { content: 'aus, bei, mit, nach, seit, von, zu' } });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.data.title, 'Dativ');
+  assert.match(updated.body.data.content, /^aus/);
+
+  await api('DELETE', `/notes/${created.body.data.id}`);
+  assert.equal((await api('GET', `/notes/${created.body.data.id}`)).status, 404);
+});
+
+test('validates notes', async () => {
+  assert.equal((await api('POST', '/notes', { body: { title: 'No content' } })).status, 400);
+
+  const { body } = await api('POST', '/notes', { body: { title: 'Title', content: 'Content' } });
+  assert.equal((await api('PUT', `/notes/${body.data.id}`, { body: { title: '  ' } })).status, 400);
+  assert.equal((await api('PUT', `/notes/${body.data.id}`, { body: {} })).status, 400);
+  assert.equal((await api('PUT', '/notes/9999', { body: { title: 'Missing' } })).status, 404);
+});
+
+test('groups notes by category', async () => {
+  const { body: grammar } = await api('POST', '/notes/categories', { body: { name: 'Grammar' } });
+  assert.equal((await api('POST', '/notes/categories', { body: { name: 'Grammar' } })).status, 409);
+
+  await api('POST', '/notes', { body: { title: 'Dativ', content: 'mit', category_id: grammar.data.id } });
+  await api('POST', '/notes', { body: { title: 'Ideas', content: 'Write more' } });
+
+  const filtered = await api('GET', `/notes?category_id=${grammar.data.id}`);
+  assert.deepEqual(filtered.body.data.map(n => n.title), ['Dativ']);
+  assert.deepEqual(filtered.body.data[0].note_categories, { id: grammar.data.id, name: 'Grammar' });
+
+  const renamed = await api('PUT', `/notes/categories/${grammar.data.id}`, { body: { name: 'Grammatik' } });
+  assert.equal(renamed.body.data.name, 'Grammatik');
+
+  await api('DELETE', `/notes/categories/${grammar.data.id}`);
+  const all = await api('GET', '/notes?sort=az');
+  assert.deepEqual(all.body.data.map(n => n.note_categories), [null, null]);
+});
@@ -0,0 +1,81 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { asUser, resetState, signUp, translations } from './helpers/app.js';
+
+let api;
+
+beforeEach(async () => {
+  resetState();
+  api = asUser(await signUp());
+});
+
+test('adds a phrase from English with Gemini examples', async () => {
+  translations.dictionary.set('Good morning', 'Guten Morgen');
+  translations.gemini = () => 'ENGLISH: Good morning, everyone!\nGERMAN: Guten Morgen, alle zusammen!';
+
+  const { status, body } = await api('POST', '/phrases', {
+    body: { english: 'Good morning' },
+    env: { GEMINI_API_KEY: 'test-gemini-key' }
+  });
+
+  assert.equal(status, 201);
+  assert.equal(body.data.german, 'Guten Morgen');
+  assert.equal(body.data.phrase, 'Guten Morgen');
+  assert.equal(body.data.example_english, 'Good morning, everyone!');
+  assert.equal(body.data.example_german, 'Guten Morgen, alle zusammen!');
+});
+
+test('translates German phrases to English and falls back to simple examples', async () => {
+  translations.dictionary.set('Wie geht\'s?', 'How are you?');
+
+  const { status, body } = await api('POST', '/phrases', { body: { german: 'Wie geht\'s?' } });
+
+  assert.equal(status, 201);
+  assert.equal(body.data.english, 'How are you?');
+  assert.match(body.data.example_german, /^Wie geht's\?, ich habe nicht erwartet/);
+});
+
+test('validates input and rejects duplicates', async () => {
+  const empty = await api('POST', '/phrases', { body: {} });
+  assert.equal(empty.status, 400);
+
+  await api('POST', '/phrases', { body: { english: 'Thank you', german: 'Danke' } });
+  const duplicate = await api('POST', '/phrases', { body: { english: 'thank you', german: 'danke' } });
+  assert.equal(duplicate.status, 409);
+});
+
+test('edits, moves between categories and deletes phrases', async () => {
+  const { body: created } = await api('POST', '/phrases', { body: { english: 'Thank you', german: 'Danke' } });
+  const { body: done } = await api('POST', '/phrases/categories', { body: { name: 'Done' } });
+
+  const edited = await api('PUT', `/phrases/${created.data.id}`, { body: { english: 'Thanks', german: 'Danke schön' } });
+  assert.equal(edited.status, 200);
+  assert.equal(edited.body.data.german, 'Danke schön');
+
+  const incomplete = await api('PUT', `/phrases/${created.data.id}`, { body: { english: 'Thanks' } });
+  assert.equal(incomplete.status, 400);
+
+  await api('PUT', `/phrases/${created.data.id}`, { body: { category_id: done.data.id } });
+  const remaining = await api('GET', `/phrases?exclude_category_id=${done.data.id}`);
+  assert.equal(remaining.body.count.total, 0);
+
+  const renamed = await api('PUT', `/phrases/categories/${done.data.id}`, { body: { name: 'Learned' } });
+  assert.equal(renamed.body.data.name, 'Learned');
+
+  await api('DELETE', `/phrases/${created.data.id}`);
+  assert.equal((await api('GET', `/phrases/${created.data.id}`)).status, 404);
+});
+
+test('reviews phrases and keeps their history', async () => {
+  const { body: created } = await api('POST', '/phrases', { body: { english: 'Thank you', german: 'Danke' } });
+
+  assert.equal((await api('GET', '/phrases/due')).body.total_due, 1);
+
+  const reviewed = await api('PUT', `/phrases/${created.data.id}/review`, { body: { grade: 'good' } });
+  assert.equal(reviewed.body.data.times_reviewed, 1);
+
+  await api('POST', '/phrases/review-session', { body: { reviews: [{ id: created.data.id, grade: 'hard' }] } });
+
+  const history = await api('GET', `/phrases/${created.data.id}/history`);
+  assert.deepEqual(history.body.data.map(entry => entry.grade).sort(), ['good', 'hard']);
+});
@@ -0,0 +1,84 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { asUser, resetState, signUp, supabase } from './helpers/app.js';
+
+let api;
+let userId;
+
+function daysAgo(days) {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return date.toISOString();
+}
+
+beforeEach(async () => {
+  resetState();
+  api = asUser(await signUp());
+  userId = (await api('GET', '/auth/me')).body.data.id;
+});
+
+test('counts vocabulary and practice time', async () => {
+  await api('POST', '/vocabulary', { body: { word: 'house', meaning: 'Haus' } });
+  await api('POST', '/progress/study-session', { body: { duration_seconds: 600, vocabulary_reviewed: 4, correct_count: 3 } });
+
+  const { body } = await api('GET', '/progress/stats');
+  assert.deepEqual(body.data, { vocabulary: { total: 1, thisWeek: 1 }, time: { total: 10 } });
+
+  const history = await api('GET', '/progress/history?days=3');
+  assert.equal(history.body.data.length, 3);
+  assert.equal(history.body.data[2].minutes_practiced, 10);
+
+  const chart = await api('GET', '/progress/chart-data?days=3');
+  assert.deepEqual(chart.body.data.datasets.minutes, [0, 0, 10]);
+
+  const active = await api('GET', '/progress/active-days');
+  assert.equal(active.body.data.activeDays, 1);
+});
+
+test('records study sessions', async () => {
+  const empty = await api('POST', '/progress/study-session', { body: { duration_seconds: 60 } });
+  assert.equal(empty.status, 400);
+
+  const created = await api('POST', '/progress/study-session', {
+    body: { duration_seconds: 300, vocabulary_reviewed: 6, phrases_reviewed: 4, correct_count: 20 }
+  });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.data.cards_reviewed, 10);
+  assert.equal(created.body.data.accuracy, 100);
+
+  const { body } = await api('GET', '/progress/study-sessions');
+  assert.deepEqual(body.data.totals, { sessions: 1, cards_reviewed: 10, correct_count: 10, duration_seconds: 300, accuracy: 100 });
+});
+
+test('calculates the streak from completed days', async () => {
+  assert.deepEqual((await api('GET', '/progress/streak')).body.data, { current: 0, longest: 0, lastEntry: null });
+
+  supabase.seed('daily_activities', [0, 1, 2, 5, 6].map(days => ({
+    user_id: userId,
+    activity_date: daysAgo(days).split('T')[0],
+    day_completed: true
+  })));
+
+  const { body } = await api('GET', '/progress/streak');
+  assert.equal(body.data.current, 3);
+  assert.equal(body.data.longest, 3);
+  assert.equal(body.data.lastEntry, daysAgo(0).split('T')[0]);
+});
+
+test('groups recurring mistakes and compares them with the previous period', async () => {
+  supabase.seed('mistakes', [
+    { user_id: userId, category: 'article_gender', original: 'der Haus', corrected: 'das Haus', created_at: daysAgo(1) },
+    { user_id: userId, category: 'article_gender', original: 'die Tisch', corrected: 'der Tisch', created_at: daysAgo(2) },
+    { user_id: userId, category: 'spelling', original: 'Strase', corrected: 'Straße', created_at: daysAgo(3) },
+    { user_id: userId, category: 'article_gender', original: 'das Frau', corrected: 'die Frau', created_at: daysAgo(10) }
+  ]);
+
+  const { body } = await api('GET', '/progress/mistakes?days=7&limit=1');
+
+  assert.equal(body.data.total, 3);
+  assert.equal(body.data.top.length, 1);
+  assert.equal(body.data.top[0].category, 'article_gender');
+  assert.equal(body.data.top[0].count, 2);
+  assert.equal(body.data.top[0].previous_count, 1);
+  assert.equal(body.data.daily.length, 3);
+});
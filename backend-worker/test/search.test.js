@@ -0,0 +1,152 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { asUser, resetState, signUp, supabase } from './helpers/app.js';
+import { MAX_CANDIDATES } from '../services/search.js';
+
+let api;
+
+beforeEach(async () => {
+  resetState();
+  api = asUser(await signUp());
+});
+
+test('requires a query', async () => {
+  const { status } = await api('GET', '/search?q=%20');
+  assert.equal(status, 400);
+});
+
+test('finds vocabulary and phrases in either language', async () => {
+  await api('POST', '/vocabulary', { body: { word: 'house', meaning: 'Haus' } });
+  await api('POST', '/vocabulary', { body: { word: 'tree', meaning: 'Baum' } });
+  await api('POST', '/phrases', { body: { english: 'at home', german: 'zu Hause' } });
+
+  const german = await api('GET', '/search?q=haus');
+  assert.deepEqual(german.body.data.vocabulary.map(w => w.word), ['Haus']);
+  assert.deepEqual(german.body.data.phrases.map(p => p.german), ['zu Hause']);
+  assert.deepEqual(german.body.data.counts, { vocabulary: 1, phrases: 1, notes: 0, categories: 0, tasks: 0 });
+
+  const english = await api('GET', '/search?q=tree');
+  assert.deepEqual(english.body.data.vocabulary.map(w => w.word), ['Baum']);
+  assert.equal(english.body.data.counts.phrases, 0);
+});
+
+test('only searches the signed-in user\'s data', async () => {
+  await api('POST', '/vocabulary', { body: { word: 'house', meaning: 'Haus' } });
+
+  const other = asUser(await signUp('other@example.com'));
+  const { body } = await other('GET', '/search?q=haus');
+  assert.equal(body.data.counts.vocabulary, 0);
+});
+
+test('ignores umlauts and ß and tolerates typos', async () => {
+  await api('POST', '/vocabulary', { body: { word: 'over', meaning: 'über' } });
+  await api('POST', '/vocabulary', { body: { word: 'street', meaning: 'Straße' } });
+  await api('POST', '/phrases', { body: { english: 'beautiful trees', german: 'schöne Bäume' } });
+
+  const search = async q => (await api('GET', `/search?q=${encodeURIComponent(q)}`)).body.data;
+
+  assert.deepEqual((await search('uber')).vocabulary.map(w => w.word), ['über']);
+  assert.deepEqual((await search('ueber')).vocabulary.map(w => w.word), ['über']);
+  assert.deepEqual((await search('STRASSE')).vocabulary.map(w => w.word), ['Straße']);
+  assert.deepEqual((await search('Strase')).vocabulary.map(w => w.word), ['Straße']);
+  assert.deepEqual((await search('baeume')).phrases.map(p => p.german), ['schöne Bäume']);
+  assert.equal((await search('Baum')).counts.phrases, 0);
+});
+
+test('ranks results by relevance and marks the matches', async () => {
+  const { body: phrase } = await api('POST', '/phrases', { body: { english: 'to go', german: 'gehen' } });
+  await api('PUT', `/phrases/${phrase.data.id}`, { body: { english: 'to go', german: 'gehen', example_german: 'Wir gehen nach Hause.' } });
+  await api('POST', '/vocabulary', { body: { word: 'at home', meaning: 'zu Hause' } });
+  await api('POST', '/vocabulary', { body: { word: 'house', meaning: 'Haus' } });
+  await api('POST', '/vocabulary', { body: { word: 'home page', meaning: 'Hausseite' } });
+  await api('POST', '/vocabulary', { body: { word: 'street', meaning: 'Straße' } });
+
+  const { vocabulary, phrases } = (await api('GET', '/search?q=haus')).body.data;
+
+  assert.deepEqual(vocabulary.map(w => [w.word, w.score]), [['Haus', 1], ['Hausseite', 0.9], ['zu Hause', 0.8]]);
+  assert.deepEqual(vocabulary[2].highlights, { word: [[3, 7]] });
+  assert.deepEqual(phrases[0].highlights, { example_german: [[15, 19]] });
+  assert.ok(phrases[0].score < vocabulary[2].score);
+
+  const street = (await api('GET', '/search?q=strasse')).body.data.vocabulary[0];
+  assert.deepEqual(street.highlights, { word: [[0, 6]] });
+  const typo = (await api('GET', '/search?q=hauze')).body.data.vocabulary;
+  assert.deepEqual(typo.find(w => w.word === 'zu Hause').highlights, { word: [[3, 8]] });
+});
+
+test('finds notes with snippets, categories and daily tasks', async () => {
+  await api('POST', '/notes', { body: { title: 'Dativ', content: 'Nach dem Essen gehe ich nach Hause. Das ist gut.\nzu Hause = at home' } });
+  await api('POST', '/notes', { body: { title: 'Akkusativ', content: 'durch, für, gegen' } });
+  await api('POST', '/phrases/categories', { body: { name: 'Zuhause' } });
+  await api('POST', '/notes/categories', { body: { name: 'Wörter' } });
+
+  const { body } = await api('GET', '/search?q=hause');
+  assert.deepEqual(body.data.notes.map(note => note.title), ['Dativ']);
+  assert.deepEqual(body.data.notes[0].snippets, [
+    { text: 'Nach dem Essen gehe ich nach Hause.', highlights: [[29, 34]] },
+    { text: 'zu Hause = at home', highlights: [[3, 8]] }
+  ]);
+  assert.deepEqual(body.data.categories.map(category => [category.type, category.name]), [['phrase_category', 'Zuhause']]);
+
+  const words = (await api('GET', '/search?q=worter&types=categories')).body.data;
+  assert.deepEqual(Object.keys(words), ['categories', 'counts', 'truncated', 'next_cursor']);
+  assert.deepEqual(words.categories.map(category => [category.type, category.name]), [['note_category', 'Wörter']]);
+
+  const tasks = (await api('GET', '/search?q=book&types=tasks')).body.data;
+  assert.deepEqual(tasks.tasks.map(task => task.name), ['Read a Book']);
+
+  assert.equal((await api('GET', '/search?q=haus&types=notes,words')).status, 400);
+});
+
+test('pages through results with a cursor', async () => {
+  for (const word of ['Haus', 'Rathaus', 'Haustür', 'Krankenhaus', 'Hausaufgabe']) {
+    await api('POST', '/vocabulary', { body: { word, meaning: word } });
+  }
+  await api('POST', '/notes', { body: { title: 'Haus', content: 'das Haus, die Häuser' } });
+
+  const first = (await api('GET', '/search?q=haus&limit=2')).body.data;
+  assert.equal(first.vocabulary.length, 2);
+  assert.equal(first.counts.vocabulary, 5);
+  assert.equal(first.counts.notes, 1);
+  assert.equal(first.truncated.vocabulary, false);
+  assert.ok(first.next_cursor);
+
+  const seen = first.vocabulary.map(word => word.word);
+  let cursor = first.next_cursor;
+  while (cursor) {
+    const page = (await api('GET', `/search?q=haus&limit=2&cursor=${cursor}`)).body.data;
+    assert.deepEqual(Object.keys(page), ['vocabulary', 'counts', 'truncated', 'next_cursor']);
+    seen.push(...page.vocabulary.map(word => word.word));
+    cursor = page.next_cursor;
+  }
+  assert.equal(seen.length, 5);
+  assert.equal(new Set(seen).size, 5);
+  assert.equal(seen[0], 'Haus');
+
+  assert.equal((await api('GET', `/search?q=baum&cursor=${first.next_cursor}`)).status, 400);
+  assert.equal((await api('GET', '/search?q=haus&cursor=nonsense')).status, 400);
+});
+
+test('marks a type as truncated when it has more candidates than are ranked', async () => {
+  await api('POST', '/vocabulary', { body: { word: 'house', meaning: 'Haus' } });
+  const [{ user_id: userId }] = supabase.rows('vocabulary');
+  const seedWords = (from, count) => supabase.seed('vocabulary', Array.from({ length: count }, (_, i) => ({
+    user_id: userId, word: `Haus ${from + i}`, meaning: `house ${from + i}`
+  })));
+
+  seedWords(0, MAX_CANDIDATES - 1);
+  const exact = (await api('GET', '/search?q=haus&types=vocabulary&limit=50')).body.data;
+  assert.equal(exact.counts.vocabulary, MAX_CANDIDATES);
+  assert.deepEqual(exact.truncated, { vocabulary: false });
+
+  seedWords(MAX_CANDIDATES, 1);
+  const first = (await api('GET', '/search?q=haus&types=vocabulary&limit=50')).body.data;
+  assert.equal(first.counts.vocabulary, MAX_CANDIDATES);
+  assert.deepEqual(first.truncated, { vocabulary: true });
+
+  let pages = 1;
+  for (let cursor = first.next_cursor; cursor; pages++) {
+    cursor = (await api('GET', `/search?q=haus&types=vocabulary&limit=50&cursor=${cursor}`)).body.data.next_cursor;
+  }
+  assert.equal(pages, MAX_CANDIDATES / 50);
+});
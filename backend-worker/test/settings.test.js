@@ -0,0 +1,37 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { asUser, resetState, signUp } from './helpers/app.js';
+
+let api;
+
+beforeEach(async () => {
+  resetState();
+  api = asUser(await signUp());
+});
+
+test('returns the defaults before anything is saved', async () => {
+  const { status, body } = await api('GET', '/settings');
+  assert.equal(status, 200);
+  assert.deepEqual(body.data, { daily_goal_minutes: 60, daily_sentence_goal: 10, theme: 'light' });
+});
+
+test('creates the settings on the first save and updates them afterwards', async () => {
+  const created = await api('PUT', '/settings', { body: { theme: 'dark' } });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.data.theme, 'dark');
+  assert.equal(created.body.data.daily_goal_minutes, 60);
+
+  const updated = await api('PUT', '/settings', { body: { daily_goal_minutes: 30 } });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.data.daily_goal_minutes, 30);
+  assert.equal(updated.body.data.theme, 'dark');
+
+  const { body } = await api('GET', '/settings');
+  assert.equal(body.data.daily_goal_minutes, 30);
+});
+
+test('validates the values', async () => {
+  assert.equal((await api('PUT', '/settings', { body: { daily_goal_minutes: 0 } })).status, 400);
+  assert.equal((await api('PUT', '/settings', { body: { daily_sentence_goal: 101 } })).status, 400);
+  assert.equal((await api('PUT', '/settings', { body: { theme: 'blue' } })).status, 400);
+});
@@ -0,0 +1,127 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { asUser, env, request, resetState, signUp, supabase, translations } from './helpers/app.js';
+
+const withGemini = { GEMINI_API_KEY: 'test-gemini-key', TRANSLATION_PROVIDERS: 'gemini,mymemory' };
+
+let api;
+
+beforeEach(async () => {
+  resetState();
+  api = asUser(await signUp());
+});
+
+test('translates English to German and caches the result', async () => {
+  translations.dictionary.set('Good night', 'Gute Nacht');
+
+  const first = await api('POST', '/translate', { body: { text: 'Good night' } });
+  assert.equal(first.status, 200);
+  assert.deepEqual(first.body.data, { original: 'Good night', translated: 'Gute Nacht', language: 'de', provider: 'mymemory', cached: false });
+
+  const second = await api('POST', '/translate', { body: { text: 'Good night' } });
+  assert.equal(second.body.data.cached, true);
+  assert.equal(translations.requests.length, 1);
+  assert.equal(supabase.rows('translation_cache')[0].hit_count, 1);
+
+  const refreshed = await api('POST', '/translate?refresh=true', { body: { text: 'Good night' } });
+  assert.equal(refreshed.body.data.cached, false);
+  assert.equal(translations.requests.length, 2);
+  assert.equal(supabase.rows('translation_cache').length, 1);
+});
+
+test('keeps the translation cache closed to everyone but the Worker', async () => {
+  translations.dictionary.set('Good night', 'Gute Nacht');
+  await api('POST', '/translate', { body: { text: 'Good night' } });
+  await api('POST', '/translate', { body: { text: 'Good night' } });
+  await api('POST', '/translate', { body: { text: 'Good night' } });
+
+  const [stats] = supabase.rows('translation_cache_stats');
+  assert.deepEqual({ hits: stats.hits, misses: stats.misses }, { hits: 2, misses: 1 });
+
+  const anon = { apikey: env.SUPABASE_ANON_KEY, Authorization: `Bearer ${env.SUPABASE_ANON_KEY}`, 'Content-Type': 'application/json' };
+  const read = await fetch(`${supabase.url}/rest/v1/translation_cache?select=*`, { headers: anon });
+  assert.deepEqual(await read.json(), []);
+  const write = await fetch(`${supabase.url}/rest/v1/translation_cache`, {
+    method: 'POST',
+    headers: anon,
+    body: JSON.stringify({ text_hash: 'x', source_text: 'Good night', langpair: 'en|de', provider: 'mymemory', translated_text: 'Guten Tag', expires_at: '2999-01-01T00:00:00Z' })
+  });
+  assert.equal(write.status, 403);
+  assert.equal(supabase.rows('translation_cache').length, 1);
+
+  // Without the service role key the cache is skipped, translations still work
+  const uncached = await api('POST', '/translate', { body: { text: 'Good night' }, env: { SUPABASE_SERVICE_ROLE_KEY: '' } });
+  assert.equal(uncached.body.data.cached, false);
+});
+
+test('reports translation cache statistics to the admin', async () => {
+  translations.dictionary.set('Good night', 'Gute Nacht');
+  await api('POST', '/translate', { body: { text: 'Good night' } });
+  await api('POST', '/translate', { body: { text: 'Good night' } });
+  await api('POST', '/translate', { body: { text: 'Thank you' } });
+  supabase.seed('translation_cache', [{
+    text_hash: 'old', source_text: 'Old', langpair: 'en|de', provider: 'gemini', translated_text: 'Alt', expires_at: '2000-01-01T00:00:00Z'
+  }]);
+
+  const admin = { ADMIN_TOKEN: 'admin-secret' };
+  const { status, body } = await request('GET', '/admin/translation-cache', { env: admin, headers: { 'X-Admin-Token': 'admin-secret' } });
+
+  assert.equal(status, 200);
+  assert.equal(body.data.entries, 3);
+  assert.equal(body.data.expired, 1);
+  assert.equal(body.data.by_provider.mymemory.entries, 2);
+  assert.equal(body.data.by_provider.gemini.entries, 1);
+  assert.equal(body.data.hits, 1);
+  assert.equal(body.data.misses, 2);
+});
+
+test('translates German to English', async () => {
+  translations.dictionary.set('Guten Tag', 'Good day');
+
+  const { body } = await api('POST', '/translate/reverse', { body: { text: 'Guten Tag' } });
+  assert.equal(body.data.translated, 'Good day');
+  assert.equal(body.data.language, 'en');
+});
+
+test('uses Gemini first and falls back to MyMemory', async () => {
+  translations.gemini = () => 'Hallo Welt';
+  const gemini = await api('POST', '/translate', { body: { text: 'Hello world' }, env: withGemini });
+  assert.equal(gemini.body.data.translated, 'Hallo Welt');
+  assert.equal(gemini.body.data.provider, 'gemini');
+
+  translations.gemini = null;
+  const fallback = await api('POST', '/translate', { body: { text: 'Good morning' }, env: withGemini });
+  assert.equal(fallback.body.data.provider, 'mymemory');
+  assert.deepEqual(translations.requests.map(r => r.provider), ['gemini', 'gemini', 'mymemory']);
+});
+
+test('translates several sentences one by one', async () => {
+  translations.dictionary.set('I am tired', 'Ich bin müde');
+  translations.dictionary.set('I go home', 'Ich gehe nach Hause');
+
+  const { body } = await api('POST', '/translate', { body: { text: 'I am tired. I go home', multiSentence: true } });
+  assert.match(body.data.translated, /^Ich bin müde.*Ich gehe nach Hause$/);
+});
+
+test('reports failures when every provider fails', async () => {
+  const { status, body } = await api('POST', '/translate', {
+    body: { text: 'Hello' },
+    env: { TRANSLATION_PROVIDERS: 'gemini' }
+  });
+  assert.equal(status, 500);
+  assert.match(body.details, /GEMINI_API_KEY is not set/);
+});
+
+test('validates the text', async () => {
+  assert.equal((await api('POST', '/translate', { body: {} })).status, 400);
+  assert.equal((await api('POST', '/translate', { body: { text: '   ' } })).status, 400);
+  assert.equal((await api('POST', '/translate', { body: { text: 'a'.repeat(5001) } })).status, 400);
+});
+
+test('lists the configured providers', async () => {
+  const { body } = await api('GET', '/translate/providers', { env: { ...withGemini, MYMEMORY_TIMEOUT_MS: '2000' } });
+  assert.deepEqual(body.data, [
+    { name: 'gemini', timeout_ms: 10000 },
+    { name: 'mymemory', timeout_ms: 2000 }
+  ]);
+});
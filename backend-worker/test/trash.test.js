@@ -0,0 +1,123 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { asUser, resetState, runScheduled, signUp, supabase } from './helpers/app.js';
+
+let api;
+
+beforeEach(async () => {
+  resetState();
+  api = asUser(await signUp());
+});
+
+test('lists deleted words, phrases and notes and restores them', async () => {
+  const { body: word } = await api('POST', '/vocabulary', { body: { word: 'house', meaning: 'Haus' } });
+  const { body: phrase } = await api('POST', '/phrases', { body: { english: 'Thank you', german: 'Danke' } });
+  const { body: note } = await api('POST', '/notes', { body: { title: 'Dativ', content: 'mit, nach, aus' } });
+
+  const deleted = await api('DELETE', `/vocabulary/${word.data.id}`);
+  assert.deepEqual(deleted.body.data, { type: 'vocabulary', id: word.data.id });
+  await api('DELETE', `/phrases/${phrase.data.id}`);
+  await api('DELETE', `/notes/${note.data.id}`);
+  assert.equal((await api('DELETE', `/notes/${note.data.id}`)).status, 404);
+
+  assert.equal((await api('GET', '/vocabulary')).body.data.length, 0);
+  assert.equal((await api('GET', '/phrases')).body.data.length, 0);
+  assert.equal((await api('GET', '/notes')).body.data.length, 0);
+
+  const { body: trash } = await api('GET', '/trash');
+  assert.equal(trash.retention_days, 30);
+  assert.deepEqual(trash.data.map(item => [item.type, item.title, item.detail]).sort(), [
+    ['note', 'Dativ', 'mit, nach, aus'],
+    ['phrase', 'Danke', 'Thank you'],
+    ['vocabulary', 'Haus', 'house']
+  ]);
+  const [item] = trash.data;
+  assert.equal(Date.parse(item.purge_at) - Date.parse(item.deleted_at), 30 * 24 * 60 * 60 * 1000);
+  assert.equal((await api('GET', '/trash?type=phrase')).body.data.length, 1);
+  assert.equal((await api('GET', '/trash?type=word')).status, 400);
+
+  const restored = await api('POST', `/trash/vocabulary/${word.data.id}/restore`);
+  assert.equal(restored.status, 200);
+  assert.equal(restored.body.data.word, 'Haus');
+  assert.deepEqual((await api('GET', '/vocabulary')).body.data.map(w => w.word), ['Haus']);
+  assert.equal((await api('POST', `/trash/vocabulary/${word.data.id}/restore`)).status, 404);
+});
+
+test('lets a deleted word be added again and refuses to restore the duplicate', async () => {
+  const { body: first } = await api('POST', '/vocabulary', { body: { word: 'house', meaning: 'Haus' } });
+  await api('DELETE', `/vocabulary/${first.data.id}`);
+
+  const again = await api('POST', '/vocabulary', { body: { word: 'house', meaning: 'Haus' } });
+  assert.equal(again.status, 201);
+
+  const restored = await api('POST', `/trash/vocabulary/${first.data.id}/restore`);
+  assert.equal(restored.status, 409);
+});
+
+test('keeps the words of a trashed category until the category is purged', async () => {
+  const { body: category } = await api('POST', '/vocabulary/categories', { body: { name: 'Animals' } });
+  const { body: word } = await api('POST', '/vocabulary', { body: { word: 'cat', meaning: 'Katze', category_id: category.data.id } });
+
+  await api('DELETE', `/vocabulary/categories/${category.data.id}`);
+  await api('POST', `/trash/vocabulary_category/${category.data.id}/restore`);
+  assert.deepEqual((await api('GET', `/vocabulary?category_id=${category.data.id}`)).body.data.map(w => w.word), ['Katze']);
+
+  await api('DELETE', `/vocabulary/categories/${category.data.id}`);
+  const purged = await api('DELETE', `/trash/vocabulary_category/${category.data.id}`);
+  assert.equal(purged.status, 200);
+  assert.equal(supabase.rows('vocabulary_categories').length, 0);
+  assert.equal((await api('GET', `/vocabulary/${word.data.id}`)).body.data.category_id, null);
+  assert.equal((await api('DELETE', `/trash/vocabulary_category/${category.data.id}`)).status, 404);
+});
+
+test('purges rows that have been in the trash for 30 days', async () => {
+  const { body: recent } = await api('POST', '/notes', { body: { title: 'Recent', content: 'b' } });
+  await api('DELETE', `/notes/${recent.data.id}`);
+  const [{ user_id: userId }] = supabase.rows('notes');
+  const longAgo = new Date(Date.now() - 31 * 24 * 60 * 60 * 1000).toISOString();
+  supabase.seed('notes', [{ user_id: userId, title: 'Old', content: 'a', deleted_at: longAgo }]);
+
+  const [result] = await runScheduled();
+
+  assert.equal(result.purged, 1);
+  assert.deepEqual(supabase.rows('notes').map(note => note.title), ['Recent']);
+});
+
+test('purges the trash even when the backup fails', async () => {
+  await api('POST', '/notes', { body: { title: 'Recent', content: 'b' } });
+  const [{ user_id: userId }] = supabase.rows('notes');
+  const longAgo = new Date(Date.now() - 31 * 24 * 60 * 60 * 1000).toISOString();
+  supabase.seed('notes', [{ user_id: userId, title: 'Old', content: 'a', deleted_at: longAgo }]);
+
+  const fetch = globalThis.fetch;
+  globalThis.fetch = async (input, init) => {
+    const request = new Request(input, init);
+    if (request.method === 'POST' && new URL(request.url).pathname === '/rest/v1/backups') {
+      return Response.json({ message: 'disk full' }, { status: 500 });
+    }
+    return fetch(request);
+  };
+  let result;
+  try {
+    [result] = await runScheduled();
+  } finally {
+    globalThis.fetch = fetch;
+  }
+
+  assert.equal(result.stored, 0);
+  assert.equal(result.failed, 1);
+  assert.equal(result.purged, 1);
+  assert.equal(result.purgeFailed, 0);
+  assert.deepEqual(supabase.rows('notes').map(note => note.title), ['Recent']);
+});
+
+test('empties the trash', async () => {
+  const { body: phrase } = await api('POST', '/phrases', { body: { english: 'Thank you', german: 'Danke' } });
+  const { body: other } = await api('POST', '/phrases', { body: { english: 'Please', german: 'Bitte' } });
+  await api('DELETE', `/phrases/${phrase.data.id}`);
+
+  const { body } = await api('DELETE', '/trash');
+
+  assert.equal(body.purged, 1);
+  assert.deepEqual(supabase.rows('custom_phrases').map(p => p.id), [other.data.id]);
+});
@@ -0,0 +1,135 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { asUser, request, resetState, signUp, supabase, translations } from './helpers/app.js';
+
+let api;
+
+beforeEach(async () => {
+  resetState();
+  api = asUser(await signUp());
+});
+
+test('requires a signed-in user', async () => {
+  const { status, body } = await request('GET', '/vocabulary');
+  assert.equal(status, 401);
+  assert.equal(body.success, false);
+});
+
+test('adds a word with its German translation and splits off the article', async () => {
+  translations.dictionary.set('dog', 'der Hund');
+
+  const { status, body } = await api('POST', '/vocabulary', { body: { word: 'dog' } });
+
+  assert.equal(status, 201);
+  assert.equal(body.data.word, 'Hund');
+  assert.equal(body.data.meaning, 'dog');
+  assert.equal(body.data.article, 'der');
+  assert.equal(body.data.part_of_speech, 'noun');
+  assert.equal(body.data.translated, true);
+});
+
+test('rejects duplicates and invalid words', async () => {
+  await api('POST', '/vocabulary', { body: { word: 'house', meaning: 'Haus' } });
+
+  const duplicate = await api('POST', '/vocabulary', { body: { word: 'house', meaning: 'Haus' } });
+  assert.equal(duplicate.status, 409);
+
+  const empty = await api('POST', '/vocabulary', { body: { word: '  ' } });
+  assert.equal(empty.status, 400);
+});
+
+test('lists, searches, updates and deletes words', async () => {
+  const { body: created } = await api('POST', '/vocabulary', { body: { word: 'house', meaning: 'Haus' } });
+  await api('POST', '/vocabulary', { body: { word: 'tree', meaning: 'Baum' } });
+
+  const sorted = await api('GET', '/vocabulary?sort=az');
+  assert.deepEqual(sorted.body.data.map(w => w.word), ['Baum', 'Haus']);
+
+  const search = await api('GET', '/vocabulary?search=hau');
+  assert.deepEqual(search.body.data.map(w => w.word), ['Haus']);
+
+  const updated = await api('PUT', `/vocabulary/${created.data.id}`, { body: { meaning: 'home' } });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.data.meaning, 'home');
+
+  const missing = await api('PUT', '/vocabulary/9999', { body: { meaning: 'nothing' } });
+  assert.equal(missing.status, 404);
+
+  await api('DELETE', `/vocabulary/${created.data.id}`);
+  const afterDelete = await api('GET', `/vocabulary/${created.data.id}`);
+  assert.equal(afterDelete.status, 404);
+});
+
+test('keeps the grammar that still applies when the part of speech is saved again', async () => {
+  const { body: created } = await api('POST', '/vocabulary', { body: { word: 'house', meaning: 'Haus' } });
+  const id = created.data.id;
+  await api('PUT', `/vocabulary/${id}`, { body: { part_of_speech: 'noun', article: 'das', plural: 'Häuser' } });
+
+  const resaved = await api('PUT', `/vocabulary/${id}`, { body: { part_of_speech: 'noun' } });
+  assert.equal(resaved.body.data.article, 'das');
+  assert.equal(resaved.body.data.plural, 'Häuser');
+
+  const changed = await api('PUT', `/vocabulary/${id}`, { body: { part_of_speech: 'verb', praeteritum: 'hauste' } });
+  assert.equal(changed.body.data.article, null);
+  assert.equal(changed.body.data.plural, null);
+  assert.equal(changed.body.data.praeteritum, 'hauste');
+
+  const verb = await api('PUT', `/vocabulary/${id}`, { body: { part_of_speech: 'verb' } });
+  assert.equal(verb.body.data.praeteritum, 'hauste');
+});
+
+test('filters by category and keeps it on the words when it is moved to the trash', async () => {
+  const { body: category } = await api('POST', '/vocabulary/categories', { body: { name: 'Animals' } });
+  assert.equal(category.data.name, 'Animals');
+
+  const duplicate = await api('POST', '/vocabulary/categories', { body: { name: 'Animals' } });
+  assert.equal(duplicate.status, 409);
+
+  await api('POST', '/vocabulary', { body: { word: 'cat', meaning: 'Katze', category_id: category.data.id } });
+  await api('POST', '/vocabulary', { body: { word: 'table', meaning: 'Tisch' } });
+
+  const inCategory = await api('GET', `/vocabulary?category_id=${category.data.id}`);
+  assert.deepEqual(inCategory.body.data.map(w => w.word), ['Katze']);
+
+  const outsideCategory = await api('GET', `/vocabulary?exclude_category_id=${category.data.id}`);
+  assert.deepEqual(outsideCategory.body.data.map(w => w.word), ['Tisch']);
+
+  await api('DELETE', `/vocabulary/categories/${category.data.id}`);
+  assert.deepEqual((await api('GET', '/vocabulary/categories')).body.data, []);
+  const katze = supabase.rows('vocabulary').find(w => w.word === 'Katze');
+  assert.equal(katze.category_id, category.data.id);
+});
+
+test('schedules reviews and logs them', async () => {
+  const { body: created } = await api('POST', '/vocabulary', { body: { word: 'house', meaning: 'Haus' } });
+
+  const due = await api('GET', '/vocabulary/due');
+  assert.equal(due.body.total_due, 1);
+
+  const reviewed = await api('PUT', `/vocabulary/${created.data.id}/review`, { body: { grade: 'easy' } });
+  assert.equal(reviewed.status, 200);
+  assert.ok(reviewed.body.data.interval_days > 0);
+  assert.equal((await api('GET', '/vocabulary/due')).body.total_due, 0);
+
+  const invalid = await api('PUT', `/vocabulary/${created.data.id}/review`, { body: { grade: 'perfect' } });
+  assert.equal(invalid.status, 400);
+
+  const session = await api('POST', '/vocabulary/review-session', {
+    body: { reviews: [{ id: created.data.id, grade: 'again' }, { id: 9999, grade: 'good' }] }
+  });
+  assert.equal(session.body.data.reviewed, 1);
+  assert.equal(session.body.data.summary.again, 1);
+  assert.equal(session.body.data.errors.length, 1);
+  assert.equal(supabase.rows('review_history').length, 2);
+});
+
+test('keeps each user\'s words private', async () => {
+  await api('POST', '/vocabulary', { body: { word: 'house', meaning: 'Haus' } });
+
+  const other = asUser(await signUp('other@example.com'));
+  assert.deepEqual((await other('GET', '/vocabulary')).body.data, []);
+
+  // The same word can be added by another user
+  const { status } = await other('POST', '/vocabulary', { body: { word: 'house', meaning: 'Haus' } });
+  assert.equal(status, 201);
+});
@@ -14,6 +14,9 @@ const state = {
     categories: [],
     editingWordId: null,
     journeyMap: null,
+    studySession: null,
+    articleDrill: null,
+    conjugationQuiz: null,
     randomWords: [],
     wordOfTheDay: null,
     apiRetryCount: {}, // Track retry attempts per endpoint
@@ -33,23 +36,31 @@ const state = {
 };
 
 // Navigation order for swipe gestures
-const navigationOrder = ['dashboard', 'phrases', 'motivation'];
+const navigationOrder = ['dashboard', 'phrases', 'journal', 'study', 'motivation'];
 
 // --- API HELPER FUNCTIONS ---
 async function apiCall(endpoint, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+
     // Initialize retry counter for this endpoint
     if (!state.apiRetryCount[endpoint]) {
         state.apiRetryCount[endpoint] = 0;
     }
 
+    // Without a connection, answer from the offline copy and queue changes
+    if (!navigator.onLine) {
+        const offlineResult = await answerOffline(endpoint, method, options);
+        if (offlineResult) return offlineResult;
+    }
+
     try {
         console.log(`🔵 API Call: ${API_BASE}${endpoint}`, options);
-        const response = await fetch(`${API_BASE}${endpoint}`, {
+        const response = await authFetch(`${API_BASE}${endpoint}`, {
+            ...options,
             headers: {
                 'Content-Type': 'application/json',
                 ...options.headers
-            },
-            ...options
+            }
         });
 
         console.log(`🟢 Response status: ${response.status} for ${endpoint}`);
@@ -66,8 +77,24 @@ async function apiCall(endpoint, options = {}) {
 
         // Reset retry count on success
         state.apiRetryCount[endpoint] = 0;
-        return await response.json();
+        const result = await response.json();
+
+        if (method === 'GET') {
+            window.offlineStore?.remember(endpoint, result);
+        }
+        // Back online: send what was changed in the meantime
+        if (!state.isOnline) {
+            hideOfflineWarning();
+            window.syncQueue?.replay();
+        }
+        return result;
     } catch (error) {
+        // The server can't be reached (fetch failed): answer from the offline copy
+        if (error instanceof TypeError) {
+            const offlineResult = await answerOffline(endpoint, method, options);
+            if (offlineResult) return offlineResult;
+        }
+
         console.error(`🔴 API Error for ${endpoint}:`, error);
         console.error('Error details:', {
             message: error.message,
@@ -95,6 +122,30 @@ async function apiCall(endpoint, options = {}) {
     }
 }
 
+/**
+ * Answer a request from the offline copy (components/offline-store.js)
+ * GETs are read from IndexedDB; changes to words, phrases, notes and daily tasks are
+ * applied there and queued for the server. Null when the request needs the server.
+ */
+async function answerOffline(endpoint, method, options) {
+    if (!window.offlineStore) return null;
+
+    try {
+        const result = method === 'GET'
+            ? await window.offlineStore.read(endpoint)
+            : await window.offlineStore.write(endpoint, method, options.body ? JSON.parse(options.body) : {});
+        if (result) {
+            state.isOnline = false;
+            state.apiRetryCount[endpoint] = 0;
+            showOfflineWarning();
+        }
+        return result;
+    } catch (error) {
+        console.error(`Error answering ${endpoint} offline:`, error);
+        return null;
+    }
+}
+
 function showOfflineWarning() {
     // Remove existing warning first
     const existing = document.getElementById('offline-warning');
@@ -103,10 +154,32 @@ function showOfflineWarning() {
     const warning = document.createElement('div');
     warning.id = 'offline-warning';
     warning.className = 'fixed top-4 right-4 bg-red-500 text-white px-6 py-3 rounded-lg shadow-lg z-50';
-    warning.innerHTML = '⚠️ No connection to server. Please check your deployment.';
+    warning.innerHTML = '📴 No connection to server. Your changes are saved on this device and synced when it is back.';
     document.body.appendChild(warning);
 }
 
+/**
+ * Tell what happened to the changes made offline once they were sent
+ * @param {{synced: number, conflicts: string[]}} result - From SyncQueue
+ */
+function showSyncResult({ synced, conflicts }) {
+    const existing = document.getElementById('sync-result');
+    if (existing) existing.remove();
+
+    const toast = document.createElement('div');
+    toast.id = 'sync-result';
+    toast.className = `fixed bottom-6 right-6 ${conflicts.length > 0 ? 'bg-amber-500' : 'bg-green-500'} text-white px-6 py-3 rounded-lg shadow-lg z-50 max-w-sm animate-fade-in`;
+    toast.innerHTML = `
+        <div class="font-bold">✓ Synced ${synced} offline change${synced === 1 ? '' : 's'}</div>
+        ${conflicts.map(conflict => `<div class="text-sm mt-1">${escapeJournalText(conflict)}</div>`).join('')}
+    `;
+    document.body.appendChild(toast);
+    setTimeout(() => toast.remove(), conflicts.length > 0 ? 10000 : 3000);
+
+    // Show the server's version of what is on screen
+    showView(state.currentView);
+}
+
 function showPersistentError(message) {
     // Remove existing error first
     const existing = document.getElementById('persistent-error');
@@ -125,6 +198,45 @@ function showPersistentError(message) {
     document.body.appendChild(error);
 }
 
+/**
+ * Show an "Undo" toast after something was moved to the trash
+ * @param {string} message - What was deleted
+ * @param {{type: string, id: number}} trashed - Trash entry returned by the DELETE endpoint
+ * @param {Function} onRestored - Reloads the affected lists after an undo
+ */
+function showUndoToast(message, trashed, onRestored) {
+    const existing = document.getElementById('undo-toast');
+    if (existing) existing.remove();
+
+    const toast = document.createElement('div');
+    toast.id = 'undo-toast';
+    toast.className = 'fixed bottom-6 left-1/2 transform -translate-x-1/2 bg-gray-900 text-white pl-6 pr-3 py-3 rounded-lg shadow-2xl z-50 flex items-center gap-4 animate-fade-in';
+    toast.innerHTML = `
+        <span class="text-sm font-bold">🗑️ ${message}</span>
+        <button class="px-4 py-1 rounded font-black text-sm bg-white text-gray-900 hover:bg-yellow-100 transition-colors">Undo</button>
+    `;
+
+    const dismiss = () => {
+        toast.style.opacity = '0';
+        toast.style.transition = 'opacity 0.3s ease-out';
+        setTimeout(() => toast.remove(), 300);
+    };
+    const timeout = setTimeout(dismiss, 8000);
+
+    toast.querySelector('button').addEventListener('click', async () => {
+        clearTimeout(timeout);
+        toast.remove();
+        try {
+            await apiCall(`/trash/${trashed.type}/${trashed.id}/restore`, { method: 'POST' });
+            await onRestored();
+        } catch (error) {
+            alert('Failed to undo: ' + error.message);
+        }
+    });
+
+    document.body.appendChild(toast);
+}
+
 function hideOfflineWarning() {
     const warning = document.getElementById('offline-warning');
     if (warning) warning.remove();
@@ -133,6 +245,15 @@ function hideOfflineWarning() {
 
 // --- NAVIGATION ---
 function navTo(viewId) {
+    if (window.router) {
+        window.router.navigate(routeForView(viewId));
+    } else {
+        showView(viewId);
+    }
+}
+
+// Show a view and load its data (resolves once the data is on screen)
+function showView(viewId) {
     document.querySelectorAll('section').forEach(el => el.classList.add('hidden'));
     document.getElementById(viewId).classList.remove('hidden');
 
@@ -149,19 +270,145 @@ function navTo(viewId) {
     state.currentView = viewId;
 
     // Load data for specific views
+    const loading = [];
     if (viewId === 'dashboard') {
-        loadDashboard();
+        loading.push(loadDashboard());
         if (state.journeyMap) {
             state.journeyMap.refresh();
         }
     }
     if (viewId === 'phrases') {
-        loadPhraseCategories();
-        loadPhrases();
+        loading.push(loadPhraseCategories().then(loadPhrases));
+    }
+    if (viewId === 'journal') {
+        loading.push(loadJournalEntries());
+    }
+    if (viewId === 'study') {
+        if (!state.studySession) {
+            state.studySession = new StudySession('study-session-container', API_BASE);
+            state.studySession.init();
+        }
+    }
+    if (viewId === 'motivation') {
+        loading.push(loadNoteCategories(), loadNotes());
+    }
+    return Promise.all(loading);
+}
+
+// --- ROUTING (see components/router.js) ---
+// View shown for each route name; the notes view is the "motivation" section
+// and a word opens over the dashboard
+const ROUTE_VIEWS = {
+    dashboard: 'dashboard',
+    vocabulary: 'dashboard',
+    phrases: 'phrases',
+    journal: 'journal',
+    study: 'study',
+    notes: 'motivation'
+};
+
+// Route of a view with its current filters (the default sort is left out of the URL)
+function routeForView(viewId) {
+    const sortParam = selectId => {
+        const select = document.getElementById(selectId);
+        return select && select.selectedIndex > 0 ? select.value : null;
+    };
+
+    if (viewId === 'phrases') {
+        const category = selectedPhraseCategoryId !== 'all' ? selectedPhraseCategoryId : null;
+        return { name: 'phrases', params: { category, sort: sortParam('phrases-sort') } };
     }
     if (viewId === 'motivation') {
-        loadNoteCategories();
-        loadNotes();
+        const category = selectedNoteCategoryId !== 'all' ? selectedNoteCategoryId : null;
+        return { name: 'notes', params: { category, sort: sortParam('notes-sort') } };
+    }
+    return { name: viewId };
+}
+
+/**
+ * Show a route (called by the router on load, back/forward and links)
+ * Filters come from the params; the view is only reloaded when it or its filters changed,
+ * so closing an item with back keeps the list as it was.
+ */
+async function applyRoute(route, previous) {
+    const viewId = ROUTE_VIEWS[route.name] || 'dashboard';
+    const sameList = previous && ROUTE_VIEWS[previous.name] === viewId && state.currentView === viewId
+        && JSON.stringify(previous.params) === JSON.stringify(route.params);
+    const sameItem = previous && previous.name === route.name && previous.id === route.id;
+
+    if (previous?.id && !sameItem) {
+        closeRouteItem(previous);
+    }
+
+    if (!sameList) {
+        const setSort = (selectId, value) => {
+            const select = document.getElementById(selectId);
+            if (select) select.selectedIndex = Math.max(0, [...select.options].findIndex(option => option.value === value));
+        };
+        if (route.name === 'phrases') {
+            selectedPhraseCategoryId = route.params.category || 'all';
+            setSort('phrases-sort', route.params.sort);
+        }
+        if (route.name === 'notes') {
+            selectedNoteCategoryId = route.params.category || 'all';
+            setSort('notes-sort', route.params.sort);
+        }
+        await showView(viewId);
+    }
+
+    if (route.id && !(sameItem && sameList)) {
+        await openRouteItem(route);
+    }
+}
+
+function openRouteItem(route) {
+    if (route.name === 'vocabulary') return showWordDetails(route.id);
+    if (route.name === 'phrases') return showEditPhraseModal(null, route.id);
+    if (route.name === 'notes') return editNote(Number(route.id));
+    if (route.name === 'journal') return viewJournalEntry(route.id);
+}
+
+function closeRouteItem(route) {
+    if (route.name === 'vocabulary') hideWordDetails();
+    if (route.name === 'phrases') hideEditPhraseModal();
+    if (route.name === 'notes' && editingNoteId && !document.getElementById('add-note-section').classList.contains('hidden')) {
+        toggleAddNote();
+    }
+    if (route.name === 'journal') document.getElementById('journal-result').classList.add('hidden');
+}
+
+// Put the filters of a view in the URL after they were picked on the page
+function recordView(viewId, options) {
+    if (window.router && state.currentView === viewId) {
+        window.router.record(routeForView(viewId), options);
+    }
+}
+
+// Put an item opened on the page in the URL (#/phrases/12), keeping the filters of its list
+function recordItemOpened(name, id) {
+    const current = window.router?.current;
+    if (!current || window.router.routing) return;
+    window.router.record({ name, id, params: current.name === name ? current.params : {} });
+}
+
+// Take a closed item out of the URL again (not while a route closes it)
+function recordItemClosed(name) {
+    const current = window.router?.current;
+    if (current?.name !== name || !current.id || window.router.routing) return;
+    window.router.leave({ name: name === 'vocabulary' ? 'dashboard' : name, params: current.params });
+}
+
+// Copy the URL of what is on screen
+async function copyCurrentLink(button) {
+    try {
+        await navigator.clipboard.writeText(window.location.href);
+        if (button) {
+            const label = button.innerHTML;
+            button.innerHTML = '✓ Link copied';
+            setTimeout(() => { button.innerHTML = label; }, 1500);
+        }
+    } catch (error) {
+        prompt('Copy this link:', window.location.href);
     }
 }
 
@@ -170,6 +417,68 @@ function toggleMobileMenu() {
     menu.classList.toggle('hidden');
 }
 
+async function logout() {
+    const pending = await window.offlineStore?.pendingCount().catch(() => 0);
+    const message = pending > 0
+        ? `${pending} change(s) made offline have not been synced yet and will be lost. Log out of this device?`
+        : 'Log out of this device?';
+    if (!confirm(message)) return;
+    localStorage.removeItem('dt_activeTask');
+    await window.offlineStore?.clear().catch(error => console.error('Error clearing offline data:', error));
+    window.authGate.signOut();
+}
+
+// --- THEME ---
+// The theme is saved in the user settings (light or dark); localStorage keeps a copy
+// so the page starts in the right theme before the user signs in
+function applyTheme(theme) {
+    document.documentElement.classList.toggle('theme-night', theme === 'dark');
+    localStorage.setItem('dt_theme', theme === 'dark' ? 'dark' : 'light');
+}
+
+async function loadTheme() {
+    try {
+        const result = await apiCall('/settings');
+        applyTheme(result.data?.theme);
+    } catch (error) {
+        console.error('Error loading theme:', error);
+    }
+}
+
+async function toggleTheme() {
+    const theme = document.documentElement.classList.contains('theme-night') ? 'light' : 'dark';
+    applyTheme(theme);
+
+    try {
+        await apiCall('/settings', {
+            method: 'PUT',
+            body: JSON.stringify({ theme })
+        });
+    } catch (error) {
+        console.error('Error saving theme:', error);
+    }
+}
+
+// --- DATA EXPORT ---
+async function exportData() {
+    try {
+        const response = await authFetch(`${API_BASE}/data/export`);
+        if (!response.ok) {
+            throw new Error(`Export failed with status ${response.status}`);
+        }
+
+        const blob = await response.blob();
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `deutschtagebuch-backup-${new Date().toISOString().split('T')[0]}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    } catch (error) {
+        console.error('Error exporting data:', error);
+        alert('Failed to export data: ' + error.message);
+    }
+}
+
 // --- TIMER LOGIC ---
 function startTimer() {
     state.timerInterval = setInterval(() => {
@@ -380,6 +689,9 @@ async function loadDashboard() {
         // Load daily tasks
         await loadDailyTasks();
 
+        // Load this week's recurring mistakes
+        await loadTopMistakes();
+
         // Initialize journey map if not already initialized
         if (!state.journeyMap) {
             initJourneyMap();
@@ -392,6 +704,61 @@ async function loadDashboard() {
     }
 }
 
+// --- RECURRING MISTAKES ---
+
+/**
+ * Load the top recurring mistakes of the last 7 days for the dashboard
+ */
+async function loadTopMistakes() {
+    const container = document.getElementById('mistakes-container');
+    if (!container) return;
+
+    try {
+        const result = await apiCall('/progress/mistakes?days=7&limit=3');
+        renderTopMistakes(result.data);
+    } catch (error) {
+        console.error('Error loading mistakes:', error);
+        container.innerHTML = '';
+    }
+}
+
+function renderTopMistakes(summary) {
+    const container = document.getElementById('mistakes-container');
+
+    if (summary.top.length === 0) {
+        container.innerHTML = `
+            <div class="text-center py-6 col-span-full text-sm font-bold" style="color: var(--text-secondary);">
+                No mistakes tracked this week. Write in the Ship's Log to find your weak spots!
+            </div>
+        `;
+        return;
+    }
+
+    container.innerHTML = summary.top.map((mistake, index) => {
+        const example = mistake.examples[0];
+        const trend = mistake.count - mistake.previous_count;
+
+        return `
+            <div class="p-4 rounded-2xl bg-white/70 border-2 border-[var(--bronze-light)] space-y-2">
+                <div class="flex justify-between items-center">
+                    <span class="font-black text-slate-800 op-font">${index + 1}. ${mistake.label}</span>
+                    <span class="text-xs font-black px-2 py-0.5 rounded-full bg-[var(--op-red)] text-white">${mistake.count}×</span>
+                </div>
+                <div class="text-[10px] font-bold uppercase tracking-wide ${trend > 0 ? 'text-red-600' : 'text-green-600'}">
+                    ${trend > 0 ? `▲ ${trend} more than last week` : trend < 0 ? `▼ ${-trend} fewer than last week` : 'Same as last week'}
+                </div>
+                ${example ? `
+                    <p class="text-sm">
+                        <span class="text-red-600 line-through">${escapeJournalText(example.original)}</span>
+                        → <span class="text-green-700 font-bold">${escapeJournalText(example.corrected)}</span>
+                    </p>
+                    ${example.sentence ? `<p class="text-xs italic text-slate-500">"${escapeJournalText(example.sentence)}"</p>` : ''}
+                ` : ''}
+            </div>
+        `;
+    }).join('');
+}
+
 // --- DAILY TASKS SYSTEM ---
 
 /**
@@ -868,6 +1235,46 @@ function checkDayReset() {
     localStorage.setItem('last_task_check_date', today);
 }
 
+// --- WORD DETAILS (#/vocabulary/:id) ---
+async function showWordDetails(id) {
+    try {
+        const result = await apiCall(`/vocabulary/${id}`);
+        const word = result.data;
+
+        const grammar = [];
+        if (word.plural) grammar.push(`Pl. die ${word.plural}`);
+        if (word.genitive) grammar.push(`Gen. ${word.genitive}`);
+        if (word.praeteritum) grammar.push(word.praeteritum);
+        if (word.partizip_ii) grammar.push(word.partizip_ii);
+
+        document.getElementById('word-details-content').innerHTML = `
+            <div class="flex items-center gap-3 mb-2">
+                ${word.article ? `<span class="text-sm font-black px-3 py-1 rounded-full bg-blue-100 text-blue-700">${escapeJournalText(word.article)}</span>` : ''}
+                <h3 class="text-3xl font-black text-slate-800">${escapeJournalText(word.word)}</h3>
+            </div>
+            ${word.part_of_speech ? `<div class="text-xs font-bold uppercase tracking-wide text-slate-400 mb-4">${escapeJournalText(word.part_of_speech)}</div>` : ''}
+            <p class="text-lg text-slate-600 italic">${word.meaning ? escapeJournalText(word.meaning) : 'No meaning'}</p>
+            ${grammar.length > 0 ? `<p class="text-sm text-slate-500 mt-3">${escapeJournalText(grammar.join(' · '))}</p>` : ''}
+            ${word.frequency > 1 ? `<p class="text-xs text-blue-600 mt-3 font-mono font-bold">Used ${word.frequency}x</p>` : ''}
+        `;
+
+        const modal = document.getElementById('word-details-modal');
+        modal.classList.remove('hidden');
+        modal.classList.add('flex');
+        recordItemOpened('vocabulary', id);
+    } catch (error) {
+        console.error('Error loading word:', error);
+        alert('Failed to load word details');
+    }
+}
+
+function hideWordDetails() {
+    const modal = document.getElementById('word-details-modal');
+    modal.classList.add('hidden');
+    modal.classList.remove('flex');
+    recordItemClosed('vocabulary');
+}
+
 // --- TEXT-TO-SPEECH FOR GERMAN WORDS/PHRASES ---
 function speakGermanWord(event, word, wordId) {
     event.stopPropagation();
@@ -986,6 +1393,7 @@ async function loadPhrases() {
 
 function sortPhrases() {
     loadPhrases();
+    recordView('phrases', { replace: true });
 }
 
 function renderPhrases(phrases) {
@@ -1221,6 +1629,427 @@ async function markPhraseAsDone(event, phraseId) {
     }
 }
 
+// --- PHRASE REVIEW MODE ---
+let phraseReview = {
+    active: false,
+    queue: [],
+    index: 0,
+    flipped: false,
+    direction: 'de-en',
+    results: []
+};
+
+async function startPhraseReview() {
+    try {
+        const doneCategory = phraseCategories.find(cat => cat.name.toLowerCase() === 'done');
+
+        // Review the selected category, or everything except Done
+        let categoryParam = '';
+        if (selectedPhraseCategoryId && selectedPhraseCategoryId !== 'all') {
+            categoryParam = `&category_id=${selectedPhraseCategoryId}`;
+        } else if (doneCategory) {
+            categoryParam = `&exclude_category_id=${doneCategory.id}`;
+        }
+
+        const result = await apiCall(`/phrases/due?limit=20${categoryParam}`);
+
+        if (!result.data || result.data.length === 0) {
+            const infoMsg = document.createElement('div');
+            infoMsg.className = 'fixed top-4 right-4 bg-blue-500 text-white px-6 py-3 rounded-lg shadow-lg z-50 animate-fade-in';
+            infoMsg.innerHTML = '🎻 No phrases due for review. Come back later!';
+            document.body.appendChild(infoMsg);
+            setTimeout(() => infoMsg.remove(), 3000);
+            return;
+        }
+
+        phraseReview = {
+            active: true,
+            queue: result.data.map(phrase => ({ ...phrase, showGerman: Math.random() < 0.5 })),
+            index: 0,
+            flipped: false,
+            direction: document.getElementById('phrase-review-direction').value,
+            results: []
+        };
+
+        document.getElementById('phrases-container').classList.add('hidden');
+        document.getElementById('add-phrase-section').classList.add('hidden');
+        document.getElementById('phrase-review-panel').classList.remove('hidden');
+        renderPhraseReviewCard();
+    } catch (error) {
+        console.error('Error starting phrase review:', error);
+        alert('Failed to start review: ' + error.message);
+    }
+}
+
+// Which side of the current card is shown first
+function phraseReviewFrontIsGerman(phrase) {
+    if (phraseReview.direction === 'de-en') return true;
+    if (phraseReview.direction === 'en-de') return false;
+    return phrase.showGerman;
+}
+
+function renderPhraseReviewCard() {
+    const cardEl = document.getElementById('phrase-review-card');
+    const actionsEl = document.getElementById('phrase-review-actions');
+    const progressEl = document.getElementById('phrase-review-progress');
+    const total = phraseReview.queue.length;
+
+    if (phraseReview.index >= total) {
+        renderPhraseReviewSummary();
+        return;
+    }
+
+    const phrase = phraseReview.queue[phraseReview.index];
+    const frontIsGerman = phraseReviewFrontIsGerman(phrase);
+    const front = frontIsGerman ? phrase.german : phrase.english;
+    const back = frontIsGerman ? phrase.english : phrase.german;
+
+    progressEl.textContent = `Card ${phraseReview.index + 1} of ${total}`;
+
+    cardEl.innerHTML = `
+        <div class="text-[10px] font-black uppercase tracking-widest op-font ${frontIsGerman ? 'text-[var(--op-red)]' : 'text-[var(--op-blue)]'}">
+            ${frontIsGerman ? '🇩🇪 German' : '🇬🇧 English'}
+        </div>
+        <p class="text-2xl md:text-3xl text-slate-800 font-bold leading-relaxed op-font">${front}</p>
+        ${phraseReview.flipped ? `
+            <div class="w-full border-t-2 border-dashed border-[#5d3615] pt-4 space-y-3">
+                <div class="text-[10px] font-black uppercase tracking-widest op-font ${frontIsGerman ? 'text-[var(--op-blue)]' : 'text-[var(--op-red)]'}">
+                    ${frontIsGerman ? '🇬🇧 English' : '🇩🇪 German'}
+                </div>
+                <div class="flex items-center justify-center gap-2">
+                    <p class="text-xl font-bold text-[#5d3615] op-font">${back}</p>
+                    <button onclick="speakGermanWord(event, '${phrase.german.replace(/'/g, "\\'")}', 'review-${phrase.id}')"
+                        id="speaker-review-${phrase.id}"
+                        class="w-8 h-8 flex items-center justify-center bg-[var(--ocean-mid)] hover:bg-[var(--ocean-deep)] text-white rounded-lg transition-all shadow-md hover:scale-110 flex-shrink-0"
+                        title="Pronounce phrase">
+                        🔊
+                    </button>
+                </div>
+                ${phrase.example_german ? `<p class="text-sm text-slate-600 italic">${phrase.example_german}</p>` : ''}
+            </div>
+        ` : ''}
+    `;
+
+    if (!phraseReview.flipped) {
+        actionsEl.innerHTML = `
+            <button onclick="flipPhraseReviewCard()"
+                class="w-full py-3 bg-blue-600 hover:bg-blue-700 text-white rounded-xl font-bold shadow-lg transition-all">
+                Show Answer <span class="text-xs opacity-70">(Space)</span>
+            </button>
+        `;
+    } else {
+        actionsEl.innerHTML = `
+            <div class="grid grid-cols-2 sm:grid-cols-4 gap-2">
+                <button onclick="gradePhraseReview('again')" class="py-3 bg-red-500 hover:bg-red-600 text-white rounded-xl font-bold transition-all">Again <span class="text-xs opacity-70">(1)</span></button>
+                <button onclick="gradePhraseReview('hard')" class="py-3 bg-orange-500 hover:bg-orange-600 text-white rounded-xl font-bold transition-all">Hard <span class="text-xs opacity-70">(2)</span></button>
+                <button onclick="gradePhraseReview('good')" class="py-3 bg-green-500 hover:bg-green-600 text-white rounded-xl font-bold transition-all">Good <span class="text-xs opacity-70">(3)</span></button>
+                <button onclick="gradePhraseReview('easy')" class="py-3 bg-blue-500 hover:bg-blue-600 text-white rounded-xl font-bold transition-all">Easy <span class="text-xs opacity-70">(4)</span></button>
+            </div>
+        `;
+    }
+}
+
+function flipPhraseReviewCard() {
+    if (!phraseReview.active || phraseReview.index >= phraseReview.queue.length) return;
+    phraseReview.flipped = true;
+    renderPhraseReviewCard();
+}
+
+function changePhraseReviewDirection() {
+    phraseReview.direction = document.getElementById('phrase-review-direction').value;
+    if (phraseReview.active) {
+        phraseReview.flipped = false;
+        renderPhraseReviewCard();
+    }
+}
+
+async function gradePhraseReview(grade) {
+    if (!phraseReview.active || !phraseReview.flipped) return;
+
+    const phrase = phraseReview.queue[phraseReview.index];
+
+    try {
+        const result = await apiCall(`/phrases/${phrase.id}/review`, {
+            method: 'PUT',
+            body: JSON.stringify({ grade })
+        });
+        phraseReview.results.push({ id: phrase.id, grade, interval_days: result.data?.interval_days });
+    } catch (error) {
+        console.error('Error saving phrase review:', error);
+        alert('Failed to save review: ' + error.message);
+        return;
+    }
+
+    phraseReview.index++;
+    phraseReview.flipped = false;
+    renderPhraseReviewCard();
+}
+
+function renderPhraseReviewSummary() {
+    const results = phraseReview.results;
+    const correct = results.filter(r => r.grade === 'good' || r.grade === 'easy').length;
+    const accuracy = results.length > 0 ? Math.round((correct / results.length) * 100) : 0;
+
+    document.getElementById('phrase-review-progress').textContent = 'Session complete';
+    document.getElementById('phrase-review-card').innerHTML = `
+        <div class="text-5xl">🎉</div>
+        <p class="text-2xl font-black text-slate-800 op-font">Yo-ho-ho! Review complete</p>
+        <p class="text-slate-600 font-bold">${results.length} phrase${results.length !== 1 ? 's' : ''} reviewed · ${accuracy}% remembered</p>
+    `;
+    document.getElementById('phrase-review-actions').innerHTML = `
+        <button onclick="exitPhraseReview()"
+            class="w-full py-3 bg-blue-600 hover:bg-blue-700 text-white rounded-xl font-bold shadow-lg transition-all">
+            Back to Phrases
+        </button>
+    `;
+}
+
+function exitPhraseReview() {
+    phraseReview.active = false;
+    document.getElementById('phrase-review-panel').classList.add('hidden');
+    document.getElementById('phrases-container').classList.remove('hidden');
+    loadPhrases();
+}
+
+function handlePhraseReviewKeydown(e) {
+    if (!phraseReview.active || state.currentView !== 'phrases') return;
+    if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.tagName === 'SELECT') return;
+
+    const gradeKeys = { '1': 'again', '2': 'hard', '3': 'good', '4': 'easy' };
+
+    if (e.key === ' ' && !phraseReview.flipped) {
+        e.preventDefault();
+        flipPhraseReviewCard();
+    } else if (gradeKeys[e.key] && phraseReview.flipped) {
+        gradePhraseReview(gradeKeys[e.key]);
+    } else if (e.key === 'Escape') {
+        exitPhraseReview();
+    }
+}
+
+// --- JOURNAL ---
+const JOURNAL_ERROR_LABELS = {
+    article_gender: 'Article / gender',
+    case_ending: 'Case ending',
+    verb_position: 'Verb position',
+    tense: 'Tense',
+    spelling: 'Spelling',
+    preposition: 'Preposition',
+    other: 'Other'
+};
+
+function escapeJournalText(text) {
+    const div = document.createElement('div');
+    div.textContent = text ?? '';
+    return div.innerHTML;
+}
+
+async function loadJournalEntries() {
+    try {
+        const sortMode = document.getElementById('journal-sort').value;
+        const result = await apiCall(`/journal/entries?sort=${sortMode}`);
+        renderJournalEntries(result.data);
+    } catch (error) {
+        console.error('Error loading journal entries:', error);
+    }
+}
+
+function renderJournalEntries(entries) {
+    const container = document.getElementById('journal-entries');
+
+    if (entries.length === 0) {
+        container.innerHTML = `
+            <div class="text-center py-12 text-slate-500 font-bold">
+                <div class="text-5xl mb-3">📜</div>
+                The log is empty. Write your first entry above!
+            </div>
+        `;
+        return;
+    }
+
+    container.innerHTML = entries.map(entry => `
+        <div class="glass-card p-6 rounded-2xl bg-[#fffcf0] relative group shadow-[4px_4px_0px_#5d3615] cursor-pointer"
+            onclick="viewJournalEntry(${entry.id})">
+            <div class="flex justify-between items-start gap-4 mb-2">
+                <div class="text-[10px] font-black uppercase tracking-widest text-slate-500 op-font">
+                    ${new Date(entry.created_at).toLocaleDateString()} · ${entry.word_count} words
+                </div>
+                <div class="flex items-center gap-3">
+                    <span class="text-xs font-bold ${entry.error_count > 0 ? 'text-red-600' : 'text-green-600'}">
+                        ${entry.corrected_text === null ? 'Not corrected' : entry.error_count > 0 ? `${entry.error_count} corrections` : 'No mistakes 🎉'}
+                    </span>
+                    <button onclick="deleteJournalEntry(event, ${entry.id})"
+                        class="opacity-0 group-hover:opacity-100 transition-opacity text-[var(--op-red)] hover:text-red-800 text-xl" title="Delete entry">🗑️</button>
+                </div>
+            </div>
+            <p class="text-slate-700 font-medium leading-relaxed line-clamp-3">${escapeJournalText(entry.german_text)}</p>
+        </div>
+    `).join('');
+}
+
+async function submitJournalEntry() {
+    const textarea = document.getElementById('journal-german-text');
+    const button = document.getElementById('journal-submit-btn');
+    const german_text = textarea.value.trim();
+
+    if (!german_text) {
+        alert('Please write something in German first!');
+        return;
+    }
+
+    button.disabled = true;
+    button.innerHTML = '⏳ Correcting...';
+
+    try {
+        const result = await apiCall('/journal/entry', {
+            method: 'POST',
+            body: JSON.stringify({ german_text })
+        });
+
+        textarea.value = '';
+        updateJournalWordCount();
+        renderJournalCorrection(result.data);
+        await loadJournalEntries();
+
+        const successMsg = document.createElement('div');
+        successMsg.className = 'fixed top-4 right-4 bg-green-500 text-white px-6 py-3 rounded-lg shadow-lg z-50 animate-fade-in';
+        successMsg.innerHTML = result.data.new_words.length > 0
+            ? `✓ Entry saved! ${result.data.new_words.length} new words added to vocabulary`
+            : '✓ Entry saved!';
+        document.body.appendChild(successMsg);
+
+        setTimeout(() => successMsg.remove(), 3000);
+    } catch (error) {
+        alert('Failed to save entry: ' + error.message);
+    } finally {
+        button.disabled = false;
+        button.innerHTML = '✒️ Correct &amp; Save';
+    }
+}
+
+async function viewJournalEntry(id) {
+    try {
+        const result = await apiCall(`/journal/entry/${id}`);
+        renderJournalCorrection(result.data);
+        recordItemOpened('journal', id);
+    } catch (error) {
+        alert('Failed to load entry: ' + error.message);
+    }
+}
+
+function renderJournalDiff(diff) {
+    return diff.map(segment => {
+        const text = escapeJournalText(segment.text);
+        if (segment.type === 'removed') {
+            return `<span class="bg-red-100 text-red-700 line-through rounded px-1">${text}</span>`;
+        }
+        if (segment.type === 'added') {
+            return `<span class="bg-green-100 text-green-800 font-bold rounded px-1">${text}</span>`;
+        }
+        return `<span>${text}</span>`;
+    }).join(' ');
+}
+
+function renderJournalCorrection(entry) {
+    const container = document.getElementById('journal-result');
+    const newWords = entry.new_words || [];
+
+    container.innerHTML = `
+        <div class="flex justify-between items-center">
+            <h3 class="font-black text-xl text-slate-800 op-font">📜 ${new Date(entry.created_at).toLocaleString()}</h3>
+            <button onclick="document.getElementById('journal-result').classList.add('hidden')"
+                class="text-slate-400 hover:text-slate-600 text-xl font-bold">✕</button>
+        </div>
+        ${entry.corrected_text === null ? `
+            <p class="text-sm font-bold text-amber-700">The correction is not available right now. Your text was saved as written.</p>
+            <p class="text-slate-700 leading-relaxed whitespace-pre-wrap">${escapeJournalText(entry.german_text)}</p>
+        ` : `
+            <div>
+                <div class="text-[10px] font-black uppercase tracking-widest text-slate-500 mb-2 op-font">Your text → corrected</div>
+                <p class="text-lg text-slate-700 leading-loose">${renderJournalDiff(entry.diff)}</p>
+            </div>
+            ${entry.corrections.length > 0 ? `
+                <div>
+                    <div class="text-[10px] font-black uppercase tracking-widest text-slate-500 mb-2 op-font">Explanations</div>
+                    <ul class="space-y-3">
+                        ${entry.corrections.map(c => `
+                            <li class="p-3 rounded-xl bg-white border border-slate-200">
+                                <div class="flex flex-wrap items-center gap-2 mb-1">
+                                    <span class="text-[10px] font-black uppercase tracking-wide px-2 py-0.5 rounded-full bg-[var(--op-red)] text-white">${JOURNAL_ERROR_LABELS[c.type] || c.type}</span>
+                                    <span class="text-red-600 line-through">${escapeJournalText(c.original)}</span>
+                                    <span>→</span>
+                                    <span class="text-green-700 font-bold">${escapeJournalText(c.corrected)}</span>
+                                </div>
+                                <p class="text-sm text-slate-600">${escapeJournalText(c.explanation)}</p>
+                            </li>
+                        `).join('')}
+                    </ul>
+                </div>
+            ` : '<p class="font-bold text-green-600">No mistakes found. Ausgezeichnet! 🎉</p>'}
+        `}
+        ${newWords.length > 0 ? `
+            <div>
+                <div class="text-[10px] font-black uppercase tracking-widest text-slate-500 mb-2 op-font">New vocabulary</div>
+                <div class="flex flex-wrap gap-2">
+                    ${newWords.map(w => `
+                        <span class="px-3 py-1 rounded-full bg-blue-100 text-blue-700 text-sm font-bold">
+                            ${escapeJournalText(w.word)}${w.meaning ? ` <span class="font-normal italic">– ${escapeJournalText(w.meaning)}</span>` : ''}
+                        </span>
+                    `).join('')}
+                </div>
+            </div>
+        ` : ''}
+    `;
+
+    container.classList.remove('hidden');
+    container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+async function deleteJournalEntry(event, id) {
+    event.stopPropagation();
+    if (!confirm('Delete this journal entry?')) return;
+
+    try {
+        await apiCall(`/journal/entry/${id}`, { method: 'DELETE' });
+        document.getElementById('journal-result').classList.add('hidden');
+        await loadJournalEntries();
+    } catch (error) {
+        alert('Failed to delete entry: ' + error.message);
+    }
+}
+
+function updateJournalWordCount() {
+    const text = document.getElementById('journal-german-text').value.trim();
+    const count = text ? text.split(/\s+/).length : 0;
+    document.getElementById('journal-word-count').textContent = `${count} word${count === 1 ? '' : 's'}`;
+}
+
+// --- STUDY MODES ---
+function switchStudyMode(mode) {
+    const modes = {
+        flashcards: 'study-session-container',
+        articles: 'article-drill-container',
+        conjugation: 'conjugation-quiz-container'
+    };
+
+    Object.entries(modes).forEach(([key, containerId]) => {
+        document.getElementById(containerId).classList.toggle('hidden', key !== mode);
+        const btn = document.getElementById(`study-mode-${key}`);
+        btn.className = key === mode
+            ? 'study-mode-btn px-5 py-2 rounded-xl font-bold transition-all bg-[var(--op-red)] text-white shadow-lg'
+            : 'study-mode-btn px-5 py-2 rounded-xl font-bold transition-all bg-white text-slate-700 border border-slate-200';
+    });
+
+    if (mode === 'articles' && !state.articleDrill) {
+        state.articleDrill = new ArticleDrill('article-drill-container', API_BASE);
+        state.articleDrill.init();
+    }
+    if (mode === 'conjugation' && !state.conjugationQuiz) {
+        state.conjugationQuiz = new ConjugationQuiz('conjugation-quiz-container', API_BASE);
+        state.conjugationQuiz.init();
+    }
+}
+
 // --- PHRASE CATEGORIES ---
 async function loadPhraseCategories() {
     try {
@@ -1292,6 +2121,7 @@ function selectPhraseCategory(id) {
     selectedPhraseCategoryId = id;
     renderPhraseCategories();
     loadPhrases();
+    recordView('phrases');
 }
 
 function showAddPhraseCategoryModal() {
@@ -1427,17 +2257,23 @@ async function updatePhraseCategory() {
 
 async function deletePhraseCategory(event, id) {
     event.stopPropagation();
-    if (!confirm('Are you sure you want to delete this category? Phrases inside will not be deleted but will no longer have a category.')) return;
+    if (!confirm('Are you sure you want to delete this category? Phrases inside will not be deleted.')) return;
 
     try {
-        await apiCall(`/phrases/categories/${id}`, { method: 'DELETE' });
+        const result = await apiCall(`/phrases/categories/${id}`, { method: 'DELETE' });
 
         if (selectedPhraseCategoryId == id) {
             selectedPhraseCategoryId = 'all';
+            recordView('phrases', { replace: true });
         }
 
         await loadPhraseCategories();
         await loadPhrases();
+
+        showUndoToast('Category deleted', result.data, async () => {
+            await loadPhraseCategories();
+            await loadPhrases();
+        });
     } catch (error) {
         alert('Failed to delete category: ' + error.message);
     }
@@ -1448,28 +2284,15 @@ async function deletePhraseCategory(event, id) {
  */
 async function deletePhrase(event, phraseId, isBuiltin = false) {
     event.stopPropagation();
-    
-    const confirmMessage = isBuiltin
-        ? 'Are you sure you want to delete this built-in phrase? You can always add it back later as a custom phrase.'
-        : 'Are you sure you want to delete this phrase? This action cannot be undone.';
-    
-    if (!confirm(confirmMessage)) {
-        return;
-    }
 
     try {
-        await apiCall(`/phrases/${phraseId}`, { method: 'DELETE' });
-
-        // Show success feedback
-        const successMsg = document.createElement('div');
-        successMsg.className = 'fixed top-4 right-4 bg-green-500 text-white px-6 py-3 rounded-lg shadow-lg z-50 animate-fade-in';
-        successMsg.innerHTML = '✓ Phrase deleted successfully!';
-        document.body.appendChild(successMsg);
-
-        setTimeout(() => successMsg.remove(), 3000);
+        const result = await apiCall(`/phrases/${phraseId}`, { method: 'DELETE' });
 
         // Reload phrases
         await loadPhrases();
+
+        // Deleted phrases go to the trash, so offer an undo instead of asking first
+        showUndoToast(isBuiltin ? 'Built-in phrase deleted' : 'Phrase deleted', result.data, loadPhrases);
     } catch (error) {
         console.error('Error deleting phrase:', error);
         alert('Failed to delete phrase: ' + error.message);
@@ -1478,7 +2301,7 @@ async function deletePhrase(event, phraseId, isBuiltin = false) {
 
 // --- EDIT PHRASE ---
 async function showEditPhraseModal(event, phraseId) {
-    event.stopPropagation();
+    event?.stopPropagation();
     
     try {
         // Fetch the phrase details
@@ -1498,6 +2321,7 @@ async function showEditPhraseModal(event, phraseId) {
         const modal = document.getElementById('edit-phrase-modal');
         modal.classList.remove('hidden');
         modal.classList.add('flex');
+        recordItemOpened('phrases', phraseId);
     } catch (error) {
         console.error('Error loading phrase:', error);
         alert('Failed to load phrase details');
@@ -1516,6 +2340,7 @@ function hideEditPhraseModal() {
     document.getElementById('edit-phrase-example-german').value = '';
     document.getElementById('edit-phrase-category').value = '';
     editingPhraseId = null;
+    recordItemClosed('phrases');
 }
 
 async function updatePhrase() {
@@ -1632,6 +2457,7 @@ function toggleAddNote() {
         editingNoteId = null;
         const addBtn = document.querySelector('button[onclick="addNote()"]');
         if (addBtn) addBtn.innerHTML = '+ Add Note';
+        recordItemClosed('notes');
     }
 }
 
@@ -1701,6 +2527,7 @@ function selectNoteCategory(id) {
     selectedNoteCategoryId = id;
     renderNoteCategories();
     loadNotes();
+    recordView('motivation');
 }
 
 function showAddNoteCategoryModal() {
@@ -1836,17 +2663,23 @@ async function updateNoteCategory() {
 
 async function deleteNoteCategory(event, id) {
     event.stopPropagation();
-    if (!confirm('Are you sure you want to delete this category? Notes inside will not be deleted but will no longer have a category.')) return;
+    if (!confirm('Are you sure you want to delete this category? Notes inside will not be deleted.')) return;
 
     try {
-        await apiCall(`/notes/categories/${id}`, { method: 'DELETE' });
+        const result = await apiCall(`/notes/categories/${id}`, { method: 'DELETE' });
 
         if (selectedNoteCategoryId == id) {
             selectedNoteCategoryId = 'all';
+            recordView('motivation', { replace: true });
         }
 
         await loadNoteCategories();
         await loadNotes();
+
+        showUndoToast('Category deleted', result.data, async () => {
+            await loadNoteCategories();
+            await loadNotes();
+        });
     } catch (error) {
         alert('Failed to delete category: ' + error.message);
     }
@@ -1942,6 +2775,7 @@ async function addNote() {
                 body: JSON.stringify(payload)
             });
             editingNoteId = null;
+            recordItemClosed('notes');
 
             // Reset button text
             const addBtn = document.querySelector('button[onclick="addNote()"]');
@@ -1996,6 +2830,7 @@ async function editNote(id) {
         }
 
         editingNoteId = id;
+        recordItemOpened('notes', id);
 
         // Update button text
         const addBtn = document.querySelector('button[onclick="addNote()"]');
@@ -2019,22 +2854,22 @@ async function editNote(id) {
 }
 
 async function deleteNote(id) {
-    if (!confirm('Are you sure you want to delete this note?')) return;
-
     try {
-        await apiCall(`/notes/${id}`, { method: 'DELETE' });
+        const result = await apiCall(`/notes/${id}`, { method: 'DELETE' });
 
         // If we deleted the currently edited note, clear the form
         if (editingNoteId === id) {
             document.getElementById('new-note-title').value = '';
             document.getElementById('new-note-content').value = '';
             editingNoteId = null;
+            recordItemClosed('notes');
 
             const addBtn = document.querySelector('button[onclick="addNote()"]');
             addBtn.innerHTML = '+ Add Note';
         }
 
         await loadNotes();
+        showUndoToast('Note deleted', result.data, loadNotes);
     } catch (error) {
         console.error('Error deleting note:', error);
         alert('Failed to delete note');
@@ -2043,6 +2878,7 @@ async function deleteNote(id) {
 
 function sortNotes() {
     loadNotes();
+    recordView('motivation', { replace: true });
 }
 
 
@@ -2167,6 +3003,8 @@ function getViewDisplayName(viewId) {
     const displayNames = {
         'dashboard': 'Captain\'s Deck',
         'phrases': 'Crew Chants',
+        'journal': 'Ship\'s Log',
+        'study': 'Haki Training',
         'motivation': 'Ship Notes'
     };
     return displayNames[viewId] || viewId;
@@ -2199,6 +3037,16 @@ function showSwipeIndicator(message, direction) {
 
 // --- INITIALIZATION ---
 window.onload = async function () {
+    applyTheme(localStorage.getItem('dt_theme'));
+
+    // Offline support: the service worker caches the app, IndexedDB keeps the data
+    // and the changes made without a connection
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('sw.js').catch(error => console.warn('⚠️ Service worker not registered:', error));
+    }
+    window.offlineStore = new OfflineStore(() => window.authGate?.session?.user?.id || null);
+    window.syncQueue = new SyncQueue(API_BASE, window.offlineStore, showSyncResult);
+
     // Check server connection
     try {
         const healthCheck = await apiCall('/health');
@@ -2209,6 +3057,11 @@ window.onload = async function () {
         showOfflineWarning();
     }
 
+    // Wait for the user to sign in before loading any data
+    window.authGate = new AuthGate(API_BASE);
+    await window.authGate.init();
+    await loadTheme();
+
     // Load random words and set word of the day
     await loadRandomWords();
     state.wordOfTheDay = getWordOfTheDay();
@@ -2271,19 +3124,30 @@ window.onload = async function () {
     // Start global session timer
     startTimer();
 
-    // Load initial data
+    // Show the page of the URL (#/phrases?category=3, #/notes/42, ...) with its data
     try {
-        await loadDashboard();
-        await loadPhrases();
+        window.router = new HashRouter(applyRoute, document.querySelector('main'));
+        await window.router.init();
         // If we successfully loaded data, hide any warning that might have appeared
         hideOfflineWarning();
     } catch (error) {
         console.error('Failed to load initial data:', error);
     }
 
+    // Send changes left from an earlier offline session and refresh the offline copy
+    if (navigator.onLine) {
+        window.syncQueue.replay();
+    }
+
     // Setup mobile menu
     document.getElementById('mobile-menu-btn').addEventListener('click', toggleMobileMenu);
 
+    // Keyboard shortcuts for phrase review mode
+    document.addEventListener('keydown', handlePhraseReviewKeydown);
+
+    // Live word count for the journal editor
+    document.getElementById('journal-german-text').addEventListener('input', updateJournalWordCount);
+
     // Setup swipe gestures on main content area
     const mainContent = document.querySelector('main');
     if (mainContent) {
@@ -2301,9 +3165,11 @@ window.onload = async function () {
     }
 
     // Monitor online/offline status
-    window.addEventListener('online', () => {
+    window.addEventListener('online', async () => {
         hideOfflineWarning();
-        loadDashboard();
+        // After a sync the view is reloaded by showSyncResult
+        const { synced } = await window.syncQueue.replay();
+        if (synced === 0) loadDashboard();
     });
 
     window.addEventListener('offline', () => {
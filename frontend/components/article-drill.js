@@ -0,0 +1,352 @@
+/**
+ * Article Drill Component
+ * Tap der/die/das for each noun with instant feedback,
+ * per-noun error tracking and a list of trouble nouns
+ */
+
+const DRILL_ARTICLES = [
+  { article: 'der', key: '1', classes: 'bg-blue-500 hover:bg-blue-600' },
+  { article: 'die', key: '2', classes: 'bg-red-500 hover:bg-red-600' },
+  { article: 'das', key: '3', classes: 'bg-green-500 hover:bg-green-600' }
+];
+
+class ArticleDrill {
+  constructor(containerId, apiBase) {
+    this.container = document.getElementById(containerId);
+    this.apiBase = apiBase;
+    this.nouns = [];
+    this.index = 0;
+    this.answer = null;
+    this.results = [];
+    this.streak = 0;
+    this.bestStreak = 0;
+    this.advanceTimeout = null;
+    this.handleKeydown = this.handleKeydown.bind(this);
+  }
+
+  /**
+   * Initialize the component - render the start screen and listen for shortcuts
+   */
+  init() {
+    this.renderStart();
+    document.addEventListener('keydown', this.handleKeydown);
+  }
+
+  /**
+   * Whether a drill is in progress
+   */
+  isActive() {
+    return this.nouns.length > 0 && this.index < this.nouns.length;
+  }
+
+  /**
+   * Fetch the most frequently missed nouns
+   */
+  async fetchTroubleNouns() {
+    try {
+      const response = await authFetch(`${this.apiBase}/drills/articles/trouble?limit=10`);
+      const data = await response.json();
+      return data.success ? data.data : [];
+    } catch (error) {
+      console.error('Error fetching trouble nouns:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Render the trouble nouns list
+   */
+  renderTroubleList(trouble) {
+    if (trouble.length === 0) {
+      return '<p class="text-sm text-slate-500 text-center">No trouble nouns yet. Keep drilling! ⚔️</p>';
+    }
+
+    return `
+      <ul class="divide-y divide-slate-200">
+        ${trouble.map(t => `
+          <li class="flex justify-between items-center py-2">
+            <span class="font-bold text-slate-800"><span class="${this.getArticleTextClass(t.article)}">${t.article}</span> ${t.noun}</span>
+            <span class="text-xs font-mono font-bold text-red-600">${t.wrong_count}✗ / ${t.attempts} (${t.error_rate}%)</span>
+          </li>
+        `).join('')}
+      </ul>
+    `;
+  }
+
+  /**
+   * Text color for der/die/das
+   */
+  getArticleTextClass(article) {
+    const classes = { der: 'text-blue-600', die: 'text-red-600', das: 'text-green-600' };
+    return classes[article] || 'text-slate-600';
+  }
+
+  /**
+   * Render the start screen with drill options and trouble nouns
+   */
+  async renderStart(message = '') {
+    if (!this.container) return;
+
+    this.container.innerHTML = `
+      <div class="glass-card p-6 rounded-[24px] !bg-white/80 space-y-6 max-w-2xl mx-auto">
+        ${message ? `<div class="p-4 rounded-xl bg-amber-50 border-2 border-amber-200 text-amber-800 font-bold text-center">${message}</div>` : ''}
+        <div>
+          <label class="block text-xs font-black uppercase tracking-widest text-slate-500 mb-2 op-font" for="drill-source">Nouns from</label>
+          <select id="drill-source"
+            class="w-full px-4 py-3 rounded-xl bg-white border border-slate-200 text-slate-700 focus:outline-none focus:border-blue-400 cursor-pointer">
+            <option value="all">My vocabulary + built-in words</option>
+            <option value="vocabulary">My vocabulary only</option>
+            <option value="builtin">Built-in words only</option>
+          </select>
+        </div>
+        <div class="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          <button id="drill-start-btn"
+            class="py-4 bg-[var(--op-red)] hover:bg-red-700 text-white rounded-xl font-black text-lg shadow-lg transition-all transform hover:scale-[1.02] active:scale-95 op-font">
+            ⚔️ Start Drill
+          </button>
+          <button id="drill-trouble-btn"
+            class="py-4 bg-slate-700 hover:bg-slate-800 text-white rounded-xl font-black text-lg shadow-lg transition-all transform hover:scale-[1.02] active:scale-95 op-font">
+            🎯 Drill Trouble Nouns
+          </button>
+        </div>
+        <p class="text-xs text-slate-500 text-center">1 der · 2 die · 3 das · Enter next</p>
+        <div>
+          <h4 class="text-xs font-black uppercase tracking-widest text-slate-500 mb-2 op-font">Trouble nouns</h4>
+          <div id="drill-trouble-list" class="text-sm text-slate-500 text-center">Loading...</div>
+        </div>
+      </div>
+    `;
+
+    this.container.querySelector('#drill-start-btn').addEventListener('click', () => this.start());
+    this.container.querySelector('#drill-trouble-btn').addEventListener('click', () => this.start('trouble'));
+
+    const trouble = await this.fetchTroubleNouns();
+    const listEl = this.container.querySelector('#drill-trouble-list');
+    if (listEl) listEl.innerHTML = this.renderTroubleList(trouble);
+  }
+
+  /**
+   * Load nouns and start a drill
+   */
+  async start(focus = '') {
+    const source = this.container.querySelector('#drill-source')?.value || 'all';
+
+    this.container.innerHTML = `
+      <div class="text-center py-12 text-slate-500 font-bold">Loading nouns...</div>
+    `;
+
+    try {
+      const params = new URLSearchParams({ limit: 20, source });
+      if (focus) params.set('focus', focus);
+      const response = await authFetch(`${this.apiBase}/drills/articles?${params}`);
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error);
+      this.nouns = data.data;
+    } catch (error) {
+      console.error('Error loading article drill:', error);
+      this.nouns = [];
+      this.renderStart('Could not load nouns. Please try again.');
+      return;
+    }
+
+    if (this.nouns.length === 0) {
+      this.renderStart('No nouns with an article yet. Add some vocabulary first!');
+      return;
+    }
+
+    this.index = 0;
+    this.answer = null;
+    this.results = [];
+    this.streak = 0;
+    this.bestStreak = 0;
+    this.renderNoun();
+  }
+
+  /**
+   * Render the current noun with the article buttons
+   */
+  renderNoun() {
+    const noun = this.nouns[this.index];
+    const answered = this.answer !== null;
+    const correct = answered && this.answer === noun.article;
+    const score = this.results.filter(r => r.correct).length;
+
+    this.container.innerHTML = `
+      <div class="max-w-2xl mx-auto space-y-4">
+        <div class="flex justify-between items-center text-sm font-bold text-slate-600">
+          <span>Noun ${this.index + 1} of ${this.nouns.length}</span>
+          <span>✅ ${score}</span>
+          <span>🔥 ${this.streak}</span>
+        </div>
+        <div class="glass-card p-8 rounded-[24px] !bg-white/90 min-h-[200px] flex flex-col items-center justify-center gap-3 text-center
+          ${answered ? (correct ? 'ring-4 ring-green-400' : 'ring-4 ring-red-400') : ''}">
+          <p class="text-3xl md:text-4xl text-slate-800 font-bold op-font">
+            ${answered ? `<span class="${this.getArticleTextClass(noun.article)}">${noun.article}</span> ` : '___ '}${noun.noun}
+          </p>
+          <p class="text-sm text-slate-500 italic">${noun.meaning || ''}</p>
+          ${answered ? `
+            <p class="font-black ${correct ? 'text-green-600' : 'text-red-600'}">
+              ${correct ? 'Richtig! 🎉' : `Falsch – it's ${noun.article} ${noun.noun}`}
+            </p>
+            ${noun.plural ? `<p class="text-xs text-slate-500">Pl. die ${noun.plural}</p>` : ''}
+          ` : ''}
+        </div>
+        <div class="grid grid-cols-3 gap-3">
+          ${DRILL_ARTICLES.map(a => `
+            <button data-article="${a.article}" ${answered ? 'disabled' : ''}
+              class="drill-article-btn py-5 ${a.classes} text-white rounded-xl font-black text-2xl shadow-lg transition-all op-font
+                ${answered && a.article !== noun.article && a.article !== this.answer ? 'opacity-40' : ''}">
+              ${a.article} <span class="text-xs opacity-70">(${a.key})</span>
+            </button>
+          `).join('')}
+        </div>
+        ${answered && !correct ? `
+          <button id="drill-next-btn" class="w-full py-3 bg-blue-600 hover:bg-blue-700 text-white rounded-xl font-bold shadow-lg transition-all">
+            Next <span class="text-xs opacity-70">(Enter)</span>
+          </button>
+        ` : ''}
+        <button id="drill-end-btn" class="w-full py-2 text-sm font-bold text-slate-500 hover:text-slate-700">
+          End drill (Esc)
+        </button>
+      </div>
+    `;
+
+    this.container.querySelectorAll('.drill-article-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.choose(btn.dataset.article));
+    });
+    const nextBtn = this.container.querySelector('#drill-next-btn');
+    if (nextBtn) nextBtn.addEventListener('click', () => this.next());
+    this.container.querySelector('#drill-end-btn').addEventListener('click', () => this.finish());
+  }
+
+  /**
+   * Answer the current noun; correct answers move on automatically
+   */
+  choose(article) {
+    if (!this.isActive() || this.answer !== null) return;
+
+    const noun = this.nouns[this.index];
+    const correct = article === noun.article;
+
+    this.answer = article;
+    this.results.push({ noun: noun.noun, article: noun.article, answer: article, correct });
+    this.streak = correct ? this.streak + 1 : 0;
+    this.bestStreak = Math.max(this.bestStreak, this.streak);
+    this.renderNoun();
+    this.saveAnswer(noun, article);
+
+    if (correct) {
+      this.advanceTimeout = setTimeout(() => this.next(), 800);
+    }
+  }
+
+  /**
+   * Record the answer for per-noun error tracking
+   */
+  async saveAnswer(noun, answer) {
+    try {
+      await authFetch(`${this.apiBase}/drills/articles/answer`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ noun: noun.noun, answer, vocabulary_id: noun.vocabulary_id })
+      });
+    } catch (error) {
+      console.error('Error saving article answer:', error);
+    }
+  }
+
+  /**
+   * Move to the next noun or finish the drill
+   */
+  next() {
+    if (this.answer === null) return;
+    clearTimeout(this.advanceTimeout);
+    this.answer = null;
+    this.index++;
+
+    if (this.index >= this.nouns.length) {
+      this.finish();
+    } else {
+      this.renderNoun();
+    }
+  }
+
+  /**
+   * Show the drill summary with the missed nouns and updated trouble list
+   */
+  async finish() {
+    clearTimeout(this.advanceTimeout);
+    const results = this.results;
+    this.nouns = [];
+    this.index = 0;
+    this.answer = null;
+
+    if (results.length === 0) {
+      this.renderStart();
+      return;
+    }
+
+    const score = results.filter(r => r.correct).length;
+    const accuracy = Math.round((score / results.length) * 100);
+    const missed = results.filter(r => !r.correct);
+
+    this.container.innerHTML = `
+      <div class="glass-card p-8 rounded-[24px] !bg-white/90 max-w-2xl mx-auto space-y-6">
+        <div class="text-center space-y-2">
+          <div class="text-5xl">${accuracy >= 80 ? '🏆' : accuracy >= 50 ? '⚔️' : '🌊'}</div>
+          <h3 class="text-2xl font-black text-slate-800 op-font">${score} / ${results.length} correct (${accuracy}%)</h3>
+          <p class="text-sm font-bold text-slate-500">Best streak: 🔥 ${this.bestStreak}</p>
+        </div>
+        ${missed.length > 0 ? `
+          <div>
+            <h4 class="text-xs font-black uppercase tracking-widest text-slate-500 mb-2 op-font">Missed this round</h4>
+            <ul class="divide-y divide-slate-200">
+              ${missed.map(m => `
+                <li class="flex justify-between py-2">
+                  <span class="font-bold text-slate-800"><span class="${this.getArticleTextClass(m.article)}">${m.article}</span> ${m.noun}</span>
+                  <span class="text-xs font-bold text-red-600 line-through">${m.answer}</span>
+                </li>
+              `).join('')}
+            </ul>
+          </div>
+        ` : ''}
+        <div>
+          <h4 class="text-xs font-black uppercase tracking-widest text-slate-500 mb-2 op-font">Trouble nouns</h4>
+          <div id="drill-trouble-list" class="text-sm text-slate-500 text-center">Loading...</div>
+        </div>
+        <button id="drill-again-btn"
+          class="w-full py-3 bg-blue-600 hover:bg-blue-700 text-white rounded-xl font-bold shadow-lg transition-all">
+          Drill Again
+        </button>
+      </div>
+    `;
+
+    this.container.querySelector('#drill-again-btn').addEventListener('click', () => this.renderStart());
+
+    const trouble = await this.fetchTroubleNouns();
+    const listEl = this.container.querySelector('#drill-trouble-list');
+    if (listEl) listEl.innerHTML = this.renderTroubleList(trouble);
+  }
+
+  /**
+   * Keyboard shortcuts, only while the drill is visible
+   */
+  handleKeydown(e) {
+    if (!this.container || this.container.closest('.hidden') || !this.isActive()) return;
+    if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+
+    const choice = DRILL_ARTICLES.find(a => a.key === e.key);
+    if (choice) {
+      e.preventDefault();
+      this.choose(choice.article);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      this.next();
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      this.finish();
+    }
+  }
+}
+
+window.ArticleDrill = ArticleDrill;
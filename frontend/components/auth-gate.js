@@ -0,0 +1,308 @@
+/**
+ * Auth Gate Component
+ * Login / signup screen in front of the app and session handling.
+ * The Supabase session is kept in localStorage and refreshed through the
+ * backend (/auth/refresh) before it expires or when a request returns 401.
+ */
+
+class AuthGate {
+  constructor(apiBase) {
+    this.apiBase = apiBase;
+    this.storageKey = 'dt_session';
+    this.session = null;
+    this.refreshPromise = null;
+    this.mode = 'login'; // 'login' | 'signup'
+    this.overlay = null;
+    this.onSignedIn = null;
+  }
+
+  /**
+   * Restore the stored session; show the login screen if there is none.
+   * Resolves once a user is signed in.
+   */
+  async init() {
+    this.session = this.loadSession();
+
+    if (this.session && this.isExpiring()) {
+      await this.refresh();
+    }
+
+    if (this.session) {
+      this.renderAccount();
+      return this.session.user;
+    }
+
+    return new Promise((resolve) => {
+      this.onSignedIn = resolve;
+      this.show();
+    });
+  }
+
+  loadSession() {
+    try {
+      const stored = localStorage.getItem(this.storageKey);
+      return stored ? JSON.parse(stored) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  saveSession(session) {
+    this.session = session;
+    if (session) {
+      localStorage.setItem(this.storageKey, JSON.stringify(session));
+    } else {
+      localStorage.removeItem(this.storageKey);
+    }
+  }
+
+  /**
+   * True when the access token expires within the next minute
+   */
+  isExpiring() {
+    if (!this.session?.expires_at) return false;
+    return this.session.expires_at * 1000 - Date.now() < 60 * 1000;
+  }
+
+  /**
+   * Exchange the refresh token for a new session.
+   * Concurrent callers share the same request.
+   */
+  async refresh() {
+    if (!this.session?.refresh_token) {
+      this.saveSession(null);
+      return false;
+    }
+
+    if (!this.refreshPromise) {
+      this.refreshPromise = (async () => {
+        try {
+          const response = await fetch(`${this.apiBase}/auth/refresh`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refresh_token: this.session.refresh_token })
+          });
+
+          if (!response.ok) {
+            this.saveSession(null);
+            return false;
+          }
+
+          const result = await response.json();
+          this.saveSession(result.data.session);
+          return true;
+        } catch (error) {
+          // Network error: keep the session, the next request will try again
+          console.error('Error refreshing session:', error);
+          return false;
+        } finally {
+          this.refreshPromise = null;
+        }
+      })();
+    }
+
+    return this.refreshPromise;
+  }
+
+  /**
+   * fetch() with the Authorization header of the current session
+   */
+  async fetch(url, options = {}) {
+    if (this.session && this.isExpiring()) {
+      await this.refresh();
+    }
+
+    const send = () => fetch(url, {
+      ...options,
+      headers: {
+        ...(options.headers || {}),
+        ...(this.session ? { 'Authorization': `Bearer ${this.session.access_token}` } : {})
+      }
+    });
+
+    let response = await send();
+
+    if (response.status === 401 && this.session) {
+      const refreshed = await this.refresh();
+      if (refreshed) {
+        response = await send();
+      }
+    }
+
+    if (response.status === 401) {
+      this.saveSession(null);
+      this.show();
+    }
+
+    return response;
+  }
+
+  /**
+   * Create the login / signup overlay
+   */
+  createOverlay() {
+    const overlay = document.createElement('div');
+    overlay.id = 'auth-screen';
+    overlay.className = 'fixed inset-0 bg-gradient-to-br from-slate-900/90 to-blue-900/80 backdrop-blur-md z-[300] hidden items-center justify-center p-4';
+
+    overlay.innerHTML = `
+      <div class="glass-panel w-full max-w-md rounded-3xl p-8 relative"
+           style="border: 4px solid var(--bronze-dark); box-shadow: 0 0 0 2px var(--bronze-light), 8px 8px 0 rgba(46, 99, 164, 0.3);">
+        <div class="text-center mb-6">
+          <div class="text-5xl mb-2">🏴‍☠️</div>
+          <h2 id="auth-title" class="text-2xl font-black op-font" style="color: var(--ship-wood);">Welcome Aboard</h2>
+          <p id="auth-subtitle" class="text-sm font-bold text-slate-500 mt-1">Sign in to continue your voyage</p>
+        </div>
+
+        <form id="auth-form" class="flex flex-col gap-4" novalidate>
+          <input type="email" id="auth-email" placeholder="Email" autocomplete="email" required
+                 class="w-full px-4 py-3 rounded-xl font-bold focus:outline-none focus:ring-4"
+                 style="background: white; border: 3px solid var(--bronze-dark); color: var(--ship-wood);">
+          <input type="password" id="auth-password" placeholder="Password (min. 6 characters)" autocomplete="current-password" required
+                 class="w-full px-4 py-3 rounded-xl font-bold focus:outline-none focus:ring-4"
+                 style="background: white; border: 3px solid var(--bronze-dark); color: var(--ship-wood);">
+
+          <p id="auth-message" class="hidden text-sm font-bold text-center"></p>
+
+          <button type="submit" id="auth-submit"
+                  class="w-full py-3 rounded-xl font-black text-white uppercase tracking-wide transition-all transform hover:scale-[1.02] active:scale-95 disabled:opacity-50"
+                  style="background: linear-gradient(135deg, var(--ocean-mid), var(--ocean-deep)); border: 3px solid var(--bronze-dark);">
+            Log In
+          </button>
+        </form>
+
+        <button id="auth-toggle" type="button"
+                class="w-full mt-4 text-sm font-bold underline" style="color: var(--ocean-mid);">
+          New here? Create an account
+        </button>
+      </div>
+    `;
+
+    document.body.appendChild(overlay);
+    this.overlay = overlay;
+
+    overlay.querySelector('#auth-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.submit();
+    });
+    overlay.querySelector('#auth-toggle').addEventListener('click', () => {
+      this.setMode(this.mode === 'login' ? 'signup' : 'login');
+    });
+  }
+
+  setMode(mode) {
+    this.mode = mode;
+    const isLogin = mode === 'login';
+    this.overlay.querySelector('#auth-title').textContent = isLogin ? 'Welcome Aboard' : 'Join the Crew';
+    this.overlay.querySelector('#auth-subtitle').textContent = isLogin
+      ? 'Sign in to continue your voyage'
+      : 'Create an account to start your voyage';
+    this.overlay.querySelector('#auth-submit').textContent = isLogin ? 'Log In' : 'Sign Up';
+    this.overlay.querySelector('#auth-toggle').textContent = isLogin
+      ? 'New here? Create an account'
+      : 'Already have an account? Log in';
+    this.overlay.querySelector('#auth-password').autocomplete = isLogin ? 'current-password' : 'new-password';
+    this.showMessage('');
+  }
+
+  showMessage(text, isError = true) {
+    const message = this.overlay.querySelector('#auth-message');
+    message.textContent = text;
+    message.classList.toggle('hidden', !text);
+    message.classList.toggle('text-red-600', isError);
+    message.classList.toggle('text-green-700', !isError);
+  }
+
+  show() {
+    if (!this.overlay) this.createOverlay();
+    this.overlay.classList.remove('hidden');
+    this.overlay.classList.add('flex');
+    this.overlay.querySelector('#auth-email').focus();
+  }
+
+  hide() {
+    if (!this.overlay) return;
+    this.overlay.classList.add('hidden');
+    this.overlay.classList.remove('flex');
+  }
+
+  /**
+   * Log in or sign up with the form values
+   */
+  async submit() {
+    const email = this.overlay.querySelector('#auth-email').value.trim();
+    const password = this.overlay.querySelector('#auth-password').value;
+    const submitBtn = this.overlay.querySelector('#auth-submit');
+
+    if (!email || !password) {
+      this.showMessage('Please enter your email and password');
+      return;
+    }
+
+    submitBtn.disabled = true;
+    this.showMessage('');
+
+    try {
+      const response = await fetch(`${this.apiBase}/auth/${this.mode}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email, password })
+      });
+      const result = await response.json().catch(() => ({}));
+
+      if (!response.ok || !result.success) {
+        this.showMessage(result.error || 'Something went wrong, please try again');
+        return;
+      }
+
+      if (!result.data.session) {
+        // Email confirmation is enabled in Supabase
+        this.setMode('login');
+        this.showMessage('Check your inbox to confirm your email, then log in.', false);
+        return;
+      }
+
+      this.saveSession(result.data.session);
+      this.overlay.querySelector('#auth-password').value = '';
+      this.hide();
+      this.renderAccount();
+
+      if (this.onSignedIn) {
+        const resolve = this.onSignedIn;
+        this.onSignedIn = null;
+        resolve(this.session.user);
+      } else {
+        // Session expired while the app was open: reload the data of the new session
+        window.location.reload();
+      }
+    } catch (error) {
+      console.error('Error signing in:', error);
+      this.showMessage('Failed to connect to server');
+    } finally {
+      submitBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Show the signed-in email in the sidebar
+   */
+  renderAccount() {
+    document.querySelectorAll('.auth-user-email').forEach(el => {
+      el.textContent = this.session?.user?.email || '';
+    });
+  }
+
+  signOut() {
+    this.saveSession(null);
+    window.location.reload();
+  }
+}
+
+/**
+ * fetch() for API requests: adds the session token when the auth gate is active
+ */
+window.authFetch = function (url, options = {}) {
+  return window.authGate ? window.authGate.fetch(url, options) : fetch(url, options);
+};
+
+window.AuthGate = AuthGate;
@@ -0,0 +1,319 @@
+/**
+ * Conjugation Quiz Component
+ * Timed quiz asking for a random person/tense of verbs,
+ * plus the conjugation table renderer used on word cards
+ */
+
+const QUIZ_TENSES = [
+  { tense: 'praesens', label: 'Präsens' },
+  { tense: 'praeteritum', label: 'Präteritum' },
+  { tense: 'perfekt', label: 'Perfekt' },
+  { tense: 'konjunktiv_ii', label: 'Konjunktiv II' }
+];
+
+class ConjugationQuiz {
+  constructor(containerId, apiBase) {
+    this.container = document.getElementById(containerId);
+    this.apiBase = apiBase;
+    this.questions = [];
+    this.index = 0;
+    this.results = [];
+    this.feedback = null;
+    this.roundSeconds = 60;
+    this.remaining = 0;
+    this.timerInterval = null;
+    this.handleKeydown = this.handleKeydown.bind(this);
+  }
+
+  /**
+   * Render full conjugation tables for a verb
+   * @param {object} conjugation - Response of GET /vocabulary/:id/conjugation
+   */
+  static renderTables(conjugation) {
+    return `
+      <div class="space-y-3">
+        <div class="text-sm text-slate-600">
+          <span class="font-bold text-slate-800">${conjugation.infinitive}</span>
+          · ${conjugation.praeteritum} · ${conjugation.auxiliary === 'sein' ? 'ist' : 'hat'} ${conjugation.partizip_ii}
+        </div>
+        <div class="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          ${QUIZ_TENSES.map(({ tense, label }) => `
+            <div class="bg-white/80 rounded-xl p-3 border border-slate-200">
+              <div class="text-[10px] font-black uppercase tracking-widest text-[var(--op-red)] mb-2 op-font">${label}</div>
+              <table class="w-full text-sm">
+                ${Object.entries(conjugation.tenses[tense]).map(([person, form]) => `
+                  <tr>
+                    <td class="pr-3 text-slate-400 font-bold whitespace-nowrap">${person}</td>
+                    <td class="text-slate-800 font-bold">${form}</td>
+                  </tr>
+                `).join('')}
+              </table>
+            </div>
+          `).join('')}
+        </div>
+        ${conjugation.source === 'rules' ? '<p class="text-xs text-slate-400">Generated by rules for regular verbs. Add Präteritum/Partizip II to the word if it is irregular.</p>' : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Initialize the component - render the start screen and listen for shortcuts
+   */
+  init() {
+    this.renderStart();
+    document.addEventListener('keydown', this.handleKeydown);
+  }
+
+  /**
+   * Whether a round is running
+   */
+  isActive() {
+    return this.timerInterval !== null;
+  }
+
+  /**
+   * Render the start screen with tense and duration options
+   */
+  renderStart(message = '') {
+    if (!this.container) return;
+
+    this.container.innerHTML = `
+      <div class="glass-card p-6 rounded-[24px] !bg-white/80 space-y-6 max-w-2xl mx-auto">
+        ${message ? `<div class="p-4 rounded-xl bg-amber-50 border-2 border-amber-200 text-amber-800 font-bold text-center">${message}</div>` : ''}
+        <div>
+          <div class="text-xs font-black uppercase tracking-widest text-slate-500 mb-2 op-font">Tenses</div>
+          <div class="grid grid-cols-2 gap-2">
+            ${QUIZ_TENSES.map(({ tense, label }) => `
+              <label class="flex items-center gap-2 px-3 py-2 rounded-xl bg-white border border-slate-200 cursor-pointer">
+                <input type="checkbox" class="quiz-tense" value="${tense}" ${tense === 'praesens' || tense === 'perfekt' ? 'checked' : ''}>
+                <span class="font-bold text-slate-700">${label}</span>
+              </label>
+            `).join('')}
+          </div>
+        </div>
+        <div>
+          <label class="block text-xs font-black uppercase tracking-widest text-slate-500 mb-2 op-font" for="quiz-duration">Round</label>
+          <select id="quiz-duration"
+            class="w-full px-4 py-3 rounded-xl bg-white border border-slate-200 text-slate-700 focus:outline-none focus:border-blue-400 cursor-pointer">
+            <option value="60" ${this.roundSeconds === 60 ? 'selected' : ''}>1 minute</option>
+            <option value="120" ${this.roundSeconds === 120 ? 'selected' : ''}>2 minutes</option>
+            <option value="300" ${this.roundSeconds === 300 ? 'selected' : ''}>5 minutes</option>
+          </select>
+        </div>
+        <button id="quiz-start-btn"
+          class="w-full py-4 bg-[var(--op-red)] hover:bg-red-700 text-white rounded-xl font-black text-lg shadow-lg transition-all transform hover:scale-[1.02] active:scale-95 op-font">
+          🗡️ Start Quiz
+        </button>
+        <p class="text-xs text-slate-500 text-center">Type the verb form without the pronoun · Enter to check · Esc to stop</p>
+      </div>
+    `;
+
+    this.container.querySelector('#quiz-start-btn').addEventListener('click', () => this.start());
+  }
+
+  /**
+   * Load questions and start a timed round
+   */
+  async start() {
+    const tenses = [...this.container.querySelectorAll('.quiz-tense:checked')].map(el => el.value);
+    if (tenses.length === 0) {
+      this.renderStart('Pick at least one tense.');
+      return;
+    }
+    this.roundSeconds = parseInt(this.container.querySelector('#quiz-duration').value) || 60;
+
+    this.container.innerHTML = `
+      <div class="text-center py-12 text-slate-500 font-bold">Loading verbs...</div>
+    `;
+
+    try {
+      const params = new URLSearchParams({ limit: 50, tenses: tenses.join(',') });
+      const response = await authFetch(`${this.apiBase}/drills/conjugation?${params}`);
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error);
+      this.questions = data.data;
+    } catch (error) {
+      console.error('Error loading conjugation quiz:', error);
+      this.renderStart('Could not load verbs. Please try again.');
+      return;
+    }
+
+    if (this.questions.length === 0) {
+      this.renderStart('No verbs to practice yet.');
+      return;
+    }
+
+    this.index = 0;
+    this.results = [];
+    this.feedback = null;
+    this.remaining = this.roundSeconds;
+    this.timerInterval = setInterval(() => this.tick(), 1000);
+    this.renderQuestion();
+  }
+
+  /**
+   * Count down the round timer
+   */
+  tick() {
+    this.remaining--;
+    const timerEl = this.container.querySelector('#quiz-timer');
+    if (timerEl) timerEl.textContent = `${this.remaining}s`;
+    if (this.remaining <= 0) this.finish();
+  }
+
+  /**
+   * Normalize an answer for comparison (case, spacing, ß/ss)
+   */
+  normalize(text) {
+    return (text || '').trim().toLowerCase().replace(/\s+/g, ' ').replace(/ß/g, 'ss');
+  }
+
+  /**
+   * Render the current question
+   */
+  renderQuestion() {
+    const question = this.questions[this.index];
+    const score = this.results.filter(r => r.correct).length;
+    const feedback = this.feedback;
+
+    this.container.innerHTML = `
+      <div class="max-w-2xl mx-auto space-y-4">
+        <div class="flex justify-between items-center text-sm font-bold text-slate-600">
+          <span>✅ ${score} / ${this.results.length}</span>
+          <span>⏱️ <span id="quiz-timer" class="font-mono">${this.remaining}s</span></span>
+        </div>
+        <div class="glass-card p-8 rounded-[24px] !bg-white/90 flex flex-col items-center gap-4 text-center
+          ${feedback ? (feedback.correct ? 'ring-4 ring-green-400' : 'ring-4 ring-red-400') : ''}">
+          <div class="text-[10px] font-black uppercase tracking-widest text-[var(--op-red)] op-font">${question.tense_label}</div>
+          <p class="text-3xl font-bold text-slate-800 op-font">${question.verb}</p>
+          <p class="text-sm text-slate-500 italic">${question.meaning || ''}</p>
+          <div class="flex items-center gap-3 w-full max-w-md">
+            <span class="text-lg font-black text-slate-600 whitespace-nowrap">${question.person}</span>
+            <input type="text" id="quiz-answer" autocomplete="off" autocapitalize="off" spellcheck="false"
+              ${feedback ? `value="${feedback.answer.replace(/"/g, '&quot;')}" disabled` : ''}
+              class="flex-1 px-4 py-3 rounded-xl bg-white border-2 border-slate-200 text-slate-800 text-lg font-bold focus:outline-none focus:border-blue-400">
+          </div>
+          ${feedback && !feedback.correct ? `
+            <p class="font-black text-red-600">✗ ${question.person} ${question.answer}</p>
+          ` : ''}
+        </div>
+        <button id="quiz-submit-btn" class="w-full py-3 bg-blue-600 hover:bg-blue-700 text-white rounded-xl font-bold shadow-lg transition-all">
+          ${feedback ? 'Next' : 'Check'} <span class="text-xs opacity-70">(Enter)</span>
+        </button>
+        <button id="quiz-end-btn" class="w-full py-2 text-sm font-bold text-slate-500 hover:text-slate-700">
+          Stop quiz (Esc)
+        </button>
+      </div>
+    `;
+
+    this.container.querySelector('#quiz-submit-btn').addEventListener('click', () => this.submit());
+    this.container.querySelector('#quiz-end-btn').addEventListener('click', () => this.finish());
+
+    const input = this.container.querySelector('#quiz-answer');
+    if (!feedback) input.focus();
+  }
+
+  /**
+   * Check the typed answer, or move on after a wrong answer
+   */
+  submit() {
+    if (!this.isActive()) return;
+
+    if (this.feedback) {
+      this.feedback = null;
+      this.nextQuestion();
+      return;
+    }
+
+    const question = this.questions[this.index];
+    const answer = this.container.querySelector('#quiz-answer').value;
+    if (!answer.trim()) return;
+
+    const correct = this.normalize(answer) === this.normalize(question.answer);
+    this.results.push({ ...question, given: answer, correct });
+
+    if (correct) {
+      this.nextQuestion();
+    } else {
+      this.feedback = { correct, answer };
+      this.renderQuestion();
+    }
+  }
+
+  /**
+   * Show the next question, or finish when the list runs out
+   */
+  nextQuestion() {
+    this.index++;
+    if (this.index >= this.questions.length) {
+      this.finish();
+    } else {
+      this.renderQuestion();
+    }
+  }
+
+  /**
+   * Stop the round and show the summary
+   */
+  finish() {
+    if (!this.isActive()) return;
+    clearInterval(this.timerInterval);
+    this.timerInterval = null;
+    this.feedback = null;
+
+    const results = this.results;
+    if (results.length === 0) {
+      this.renderStart('Time is up before any answer was given.');
+      return;
+    }
+
+    const score = results.filter(r => r.correct).length;
+    const accuracy = Math.round((score / results.length) * 100);
+    const missed = results.filter(r => !r.correct);
+
+    this.container.innerHTML = `
+      <div class="glass-card p-8 rounded-[24px] !bg-white/90 max-w-2xl mx-auto space-y-6">
+        <div class="text-center space-y-2">
+          <div class="text-5xl">${accuracy >= 80 ? '🏆' : accuracy >= 50 ? '⚔️' : '🌊'}</div>
+          <h3 class="text-2xl font-black text-slate-800 op-font">${score} / ${results.length} correct (${accuracy}%)</h3>
+        </div>
+        ${missed.length > 0 ? `
+          <div>
+            <h4 class="text-xs font-black uppercase tracking-widest text-slate-500 mb-2 op-font">Review these</h4>
+            <ul class="divide-y divide-slate-200">
+              ${missed.map(m => `
+                <li class="py-2 flex justify-between gap-4">
+                  <span class="text-slate-500">${m.verb} · ${m.tense_label}</span>
+                  <span class="font-bold text-slate-800">${m.person} ${m.answer}</span>
+                </li>
+              `).join('')}
+            </ul>
+          </div>
+        ` : ''}
+        <button id="quiz-again-btn"
+          class="w-full py-3 bg-blue-600 hover:bg-blue-700 text-white rounded-xl font-bold shadow-lg transition-all">
+          Play Again
+        </button>
+      </div>
+    `;
+
+    this.container.querySelector('#quiz-again-btn').addEventListener('click', () => this.renderStart());
+  }
+
+  /**
+   * Keyboard shortcuts, only while the quiz is visible
+   */
+  handleKeydown(e) {
+    if (!this.container || this.container.closest('.hidden') || !this.isActive()) return;
+
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      this.submit();
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      this.finish();
+    }
+  }
+}
+
+window.ConjugationQuiz = ConjugationQuiz;
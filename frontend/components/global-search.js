@@ -1,9 +1,39 @@
 /**
  * Global Search Component
- * Provides unified search across vocabulary and phrases
+ * Provides unified search across vocabulary, phrases, notes, categories and daily tasks
  * Accessible from every page via keyboard shortcut (Cmd+K / Ctrl+K)
+ * Results are grouped by type; arrow keys move through them and Enter opens one
+ * Typing ">" (or Cmd+Shift+P / Ctrl+Shift+P) switches to the command palette
  */
 
+// Result groups in display order (the types of GET /api/search)
+const SEARCH_GROUPS = [
+  { type: 'vocabulary', title: 'Vocabulary Words', icon: '📚' },
+  { type: 'phrases', title: 'Phrases', icon: '📢' },
+  { type: 'notes', title: 'Notes', icon: '📝' },
+  { type: 'categories', title: 'Categories', icon: '📁' },
+  { type: 'tasks', title: 'Daily Tasks', icon: '✅' }
+];
+
+// Command ids run most recently, kept across sessions
+const RECENT_COMMANDS_KEY = 'dt_recentCommands';
+const MAX_RECENT_COMMANDS = 5;
+
+// Views of navTo() offered as "Go to" commands
+const COMMAND_VIEWS = [
+  { view: 'dashboard', label: 'Dashboard', icon: '🏠' },
+  { view: 'phrases', label: 'Phrases', icon: '📢' },
+  { view: 'journal', label: 'Journal', icon: '📔' },
+  { view: 'study', label: 'Study', icon: '🎓' },
+  { view: 'motivation', label: 'Notes', icon: '📝' }
+];
+
+const CATEGORY_LABELS = {
+  vocabulary_category: 'Vocabulary category',
+  phrase_category: 'Phrase category',
+  note_category: 'Note category'
+};
+
 class GlobalSearch {
   constructor(apiBase) {
     this.apiBase = apiBase;
@@ -13,6 +43,14 @@ class GlobalSearch {
     this.isOpen = false;
     this.debounceTimer = null;
     this.debounceDelay = 300; // ms
+    this.query = '';
+    this.groups = {}; // type -> results loaded so far
+    this.counts = {}; // type -> matches over all pages
+    this.truncated = {}; // type -> true when the server only ranked the best matches
+    this.cursors = {}; // type -> cursor of the next page
+    this.flatResults = []; // { type, item } in display order, for keyboard navigation
+    this.activeIndex = -1;
+    this.prompt = null; // command waiting for its input (e.g. the word to add)
   }
 
   /**
@@ -63,7 +101,7 @@ class GlobalSearch {
             <span class="absolute left-4 top-1/2 transform -translate-y-1/2 text-xl" style="color: var(--ocean-mid);">🧭</span>
             <input type="text"
                    id="global-search-input"
-                   placeholder="Search vocabulary, phrases... (Cmd+K)"
+                   placeholder="Search words, phrases, notes, tasks... (> for commands)"
                    class="w-full pl-12 pr-12 py-4 rounded-xl font-bold transition-all focus:outline-none focus:ring-4"
                    style="background: white; border: 3px solid var(--bronze-dark); color: var(--ship-wood); box-shadow: inset 0 2px 4px rgba(0, 0, 0, 0.1); --tw-ring-color: rgba(255, 215, 0, 0.3);"
                    autocomplete="off">
@@ -86,7 +124,7 @@ class GlobalSearch {
           <div id="search-empty-state" class="flex flex-col items-center justify-center py-16 text-slate-400">
             <div class="text-6xl mb-4 opacity-50">🗺️</div>
             <h3 class="text-xl font-bold mb-2">Start searching...</h3>
-            <p class="text-sm">Search across vocabulary and phrases</p>
+            <p class="text-sm">Search across vocabulary, phrases, notes, categories and tasks</p>
           </div>
         </div>
       </div>
@@ -96,6 +134,7 @@ class GlobalSearch {
     this.modal = modal;
     this.searchInput = document.getElementById('global-search-input');
     this.resultsContainer = document.getElementById('global-search-results');
+    this.placeholder = this.searchInput.placeholder;
   }
 
   /**
@@ -105,6 +144,9 @@ class GlobalSearch {
     // Search input with debouncing
     this.searchInput.addEventListener('input', (e) => {
       const query = e.target.value.trim();
+
+      // While a command waits for its input, typing is that input
+      if (this.prompt) return;
       
       // Show/hide clear button
       const clearBtn = document.getElementById('global-search-clear');
@@ -114,8 +156,16 @@ class GlobalSearch {
         clearBtn.classList.add('hidden');
       }
 
-      // Debounced search
+      // Command palette
       clearTimeout(this.debounceTimer);
+      if (query.startsWith('>')) {
+        this.query = '';
+        this.hideLoading();
+        this.renderCommands(query.slice(1).trim());
+        return;
+      }
+
+      // Debounced search
       this.debounceTimer = setTimeout(() => {
         if (query.length > 0) {
           this.performSearch(query);
@@ -125,10 +175,23 @@ class GlobalSearch {
       }, this.debounceDelay);
     });
 
-    // ESC key to close
+    // ESC key to close, arrows and Enter to pick a result
     this.searchInput.addEventListener('keydown', (e) => {
       if (e.key === 'Escape') {
-        this.close();
+        if (this.prompt) {
+          this.cancelPrompt();
+        } else {
+          this.close();
+        }
+      } else if (e.key === 'Enter' && this.prompt) {
+        e.preventDefault();
+        this.submitPrompt();
+      } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        this.moveSelection(e.key === 'ArrowDown' ? 1 : -1);
+      } else if (e.key === 'Enter' && this.activeIndex >= 0) {
+        e.preventDefault();
+        this.openResult(this.activeIndex);
       }
     });
   }
@@ -143,6 +206,11 @@ class GlobalSearch {
         e.preventDefault();
         this.open();
       }
+      // Cmd+Shift+P / Ctrl+Shift+P opens the command palette
+      if ((e.metaKey || e.ctrlKey) && e.shiftKey && e.key.toLowerCase() === 'p') {
+        e.preventDefault();
+        this.openPalette();
+      }
     });
   }
 
@@ -156,12 +224,24 @@ class GlobalSearch {
     this.isOpen = true;
   }
 
+  /**
+   * Open the modal in command palette mode
+   */
+  openPalette() {
+    this.open();
+    this.leavePrompt();
+    this.searchInput.value = '> ';
+    document.getElementById('global-search-clear').classList.remove('hidden');
+    this.renderCommands('');
+  }
+
   /**
    * Close the search modal
    */
   close() {
     this.modal.classList.add('hidden');
     this.modal.classList.remove('flex');
+    this.leavePrompt();
     this.clearSearch();
     this.isOpen = false;
   }
@@ -171,6 +251,9 @@ class GlobalSearch {
    */
   clearSearch() {
     this.searchInput.value = '';
+    this.query = '';
+    this.flatResults = [];
+    this.activeIndex = -1;
     document.getElementById('global-search-clear').classList.add('hidden');
     this.showEmptyState();
   }
@@ -183,7 +266,8 @@ class GlobalSearch {
       <div id="search-empty-state" class="flex flex-col items-center justify-center py-16 text-slate-400">
         <div class="text-6xl mb-4 opacity-50">🗺️</div>
         <h3 class="text-xl font-bold mb-2">Start searching...</h3>
-        <p class="text-sm">Search across vocabulary and phrases</p>
+        <p class="text-sm">Search across vocabulary, phrases, notes, categories and tasks</p>
+        <p class="text-xs mt-2">Type <kbd class="px-1.5 py-0.5 rounded bg-slate-100 text-slate-600 font-mono">&gt;</kbd> for commands</p>
       </div>
     `;
   }
@@ -209,12 +293,15 @@ class GlobalSearch {
    * Perform search via API
    */
   async performSearch(query) {
+    this.query = query;
     try {
       this.showLoading();
 
-      const response = await fetch(`${this.apiBase}/search?q=${encodeURIComponent(query)}`);
+      const response = await authFetch(`${this.apiBase}/search?q=${encodeURIComponent(query)}`);
       const result = await response.json();
 
+      // A newer search was started while this one was running
+      if (query !== this.query) return;
       this.hideLoading();
 
       if (result.success) {
@@ -233,10 +320,32 @@ class GlobalSearch {
    * Render search results
    */
   renderResults(data, query) {
-    const { vocabulary, phrases, counts } = data;
-    const totalResults = counts.vocabulary + counts.phrases;
+    this.groups = {};
+    this.cursors = {};
+    this.counts = data.counts;
+    this.truncated = data.truncated || {};
+    for (const { type } of SEARCH_GROUPS) {
+      if (!data[type]) continue;
+      this.groups[type] = data[type];
+      // The cursor continues every type that has more results than this page
+      if (data.next_cursor && data[type].length < data.counts[type]) {
+        this.cursors[type] = data.next_cursor;
+      }
+    }
 
-    if (totalResults === 0) {
+    this.activeIndex = 0;
+    this.renderGroups(query);
+  }
+
+  /**
+   * Render the loaded results grouped by type
+   */
+  renderGroups(query = this.query) {
+    const groups = SEARCH_GROUPS.filter(({ type }) => this.groups[type]?.length > 0);
+    this.flatResults = groups.flatMap(({ type }) => this.groups[type].map(item => ({ type, item })));
+
+    if (this.flatResults.length === 0) {
+      this.activeIndex = -1;
       this.resultsContainer.innerHTML = `
         <div class="flex flex-col items-center justify-center py-16 text-slate-400">
           <div class="text-6xl mb-4 opacity-50">🔍</div>
@@ -247,50 +356,438 @@ class GlobalSearch {
       return;
     }
 
+    const found = groups.map(({ type, title }) => `${this.countLabel(type)} ${title.toLowerCase()}`).join(', ');
     let html = `
       <div class="glass-card p-4 rounded-xl mb-6 !bg-blue-50/80 border-blue-200">
-        <div class="flex items-center justify-between">
+        <div class="flex items-center justify-between gap-4">
           <div>
-            <h3 class="text-base font-bold text-slate-800">Search Results for "${query}"</h3>
-            <p class="text-sm text-slate-600 mt-1">
-              Found ${counts.vocabulary} word${counts.vocabulary !== 1 ? 's' : ''} and ${counts.phrases} phrase${counts.phrases !== 1 ? 's' : ''}
-            </p>
+            <h3 class="text-base font-bold text-slate-800">Search Results for "${this.escapeHtml(query)}"</h3>
+            <p class="text-sm text-slate-600 mt-1">Found ${found}</p>
           </div>
+          <div class="hidden md:block text-xs text-slate-500 text-right">↑ ↓ to move · Enter to open · Esc to close</div>
         </div>
       </div>
     `;
 
-    // Vocabulary Results
-    if (vocabulary.length > 0) {
+    let index = 0;
+    for (const { type, title, icon } of groups) {
+      const cards = this.groups[type].map(item => this.renderResult(type, item, index++)).join('');
       html += `
-        <div class="mb-6">
+        <div class="mb-6" role="group" aria-label="${title}">
           <h4 class="text-lg font-bold text-slate-700 mb-3 flex items-center gap-2">
-            <span class="text-2xl">📚</span>
-            Vocabulary Words (${counts.vocabulary})
+            <span class="text-2xl">${icon}</span>
+            ${title} (${this.countLabel(type)})
           </h4>
-          <div class="grid grid-cols-1 md:grid-cols-2 gap-3">
-            ${vocabulary.map(word => this.renderVocabularyCard(word)).join('')}
+          <div class="grid grid-cols-1 md:grid-cols-2 gap-3" role="listbox">
+            ${cards}
           </div>
+          ${this.cursors[type] ? `
+            <button onclick="window.globalSearch.loadMore('${type}')"
+                    class="mt-3 text-sm font-bold text-blue-600 hover:underline">
+              Show more (${this.counts[type] - this.groups[type].length} more)
+            </button>
+          ` : ''}
+          ${!this.cursors[type] && this.truncated[type] ? `
+            <p class="mt-3 text-sm text-slate-500">Only the ${this.counts[type]} best matches are shown. Refine the search to find the others.</p>
+          ` : ''}
         </div>
       `;
     }
 
-    // Phrases Results
-    if (phrases.length > 0) {
-      html += `
-        <div class="mb-6">
-          <h4 class="text-lg font-bold text-slate-700 mb-3 flex items-center gap-2">
-            <span class="text-2xl">📢</span>
-            Phrases (${counts.phrases})
-          </h4>
-          <div class="grid grid-cols-1 md:grid-cols-2 gap-3">
-            ${phrases.map(phrase => this.renderPhraseCard(phrase)).join('')}
+    this.resultsContainer.innerHTML = html;
+    this.setActive(Math.min(Math.max(this.activeIndex, 0), this.flatResults.length - 1));
+  }
+
+  /**
+   * Number of matches of a type, "200+" when the server stopped counting
+   */
+  countLabel(type) {
+    return this.truncated[type] ? `${this.counts[type]}+` : `${this.counts[type]}`;
+  }
+
+  /**
+   * One result, wrapped so the keyboard selection can find it
+   */
+  renderResult(type, item, index) {
+    const renderers = {
+      vocabulary: () => this.renderVocabularyCard(item),
+      phrases: () => this.renderPhraseCard(item),
+      notes: () => this.renderNoteCard(item),
+      categories: () => this.renderCategoryCard(item),
+      tasks: () => this.renderTaskCard(item)
+    };
+    return `
+      <div data-result-index="${index}" role="option" class="rounded-xl transition-all"
+           onmouseenter="window.globalSearch.setActive(${index}, false)">
+        ${renderers[type]()}
+      </div>
+    `;
+  }
+
+  /**
+   * Load the next page of one group
+   */
+  async loadMore(type) {
+    const cursor = this.cursors[type];
+    if (!cursor) return;
+
+    try {
+      const params = new URLSearchParams({ q: this.query, types: type, cursor });
+      const response = await authFetch(`${this.apiBase}/search?${params}`);
+      const result = await response.json();
+      if (!result.success) throw new Error(result.error);
+
+      this.groups[type].push(...result.data[type]);
+      if (result.data.next_cursor) {
+        this.cursors[type] = result.data.next_cursor;
+      } else {
+        delete this.cursors[type];
+      }
+      this.renderGroups();
+    } catch (error) {
+      console.error('Error loading more results:', error);
+      this.showError('Could not load more results. Please try again.');
+    }
+  }
+
+  /**
+   * Mark a result as selected (scrolling it into view when selected by keyboard)
+   */
+  setActive(index, scroll = true) {
+    this.activeIndex = index;
+    this.resultsContainer.querySelectorAll('[data-result-index]').forEach(el => {
+      const active = Number(el.dataset.resultIndex) === index;
+      el.classList.toggle('ring-4', active);
+      el.classList.toggle('ring-yellow-300', active);
+      el.setAttribute('aria-selected', active ? 'true' : 'false');
+      if (active && scroll) el.scrollIntoView({ block: 'nearest' });
+    });
+  }
+
+  /**
+   * Move the selection up or down, wrapping around
+   */
+  moveSelection(delta) {
+    const total = this.flatResults.length;
+    if (total === 0) return;
+    this.setActive((this.activeIndex + delta + total) % total);
+  }
+
+  /**
+   * Open the result at an index of the keyboard order
+   */
+  openResult(index) {
+    const result = this.flatResults[index];
+    if (!result) return;
+
+    const { type, item } = result;
+    if (type === 'vocabulary') this.navigateToVocabulary(item.id);
+    else if (type === 'phrases') this.navigateToPhrase(item.id);
+    else if (type === 'notes') this.navigateToNote(item.id);
+    else if (type === 'categories') this.navigateToCategory(item.type, item.id);
+    else if (type === 'tasks') this.navigateToTask(item.id);
+    else if (type === 'command') this.runCommand(item);
+  }
+
+  /**
+   * Commands of the palette
+   * run: action, or prompt + submit: ask for input first (submit returns the confirmation)
+   */
+  buildCommands() {
+    const commands = [
+      {
+        id: 'add-word', title: 'Add word', icon: '📚', keywords: 'new vocabulary wort',
+        prompt: 'Word to add, e.g. "house" or "house = Haus"',
+        submit: text => this.addWord(text)
+      },
+      {
+        id: 'add-phrase', title: 'Add phrase', icon: '📢', keywords: 'new sentence satz',
+        run: () => this.openAddForm('phrases', 'add-phrase-section', toggleAddPhraseSection)
+      },
+      {
+        id: 'add-note', title: 'Add note', icon: '📝', keywords: 'new notiz',
+        run: () => this.openAddForm('motivation', 'add-note-section', toggleAddNote)
+      },
+      {
+        id: 'start-review', title: 'Start review session', icon: '🎓', keywords: 'study flashcards due cards',
+        run: () => {
+          navTo('study');
+          switchStudyMode('flashcards');
+        }
+      },
+      {
+        id: 'review-phrases', title: 'Review phrases', icon: '🔁', keywords: 'study flashcards',
+        run: () => {
+          navTo('phrases');
+          startPhraseReview();
+        }
+      },
+      { id: 'toggle-theme', title: 'Toggle night theme', icon: '🌙', keywords: 'dark light mode', run: () => toggleTheme() },
+      { id: 'export-data', title: 'Export data', icon: '💾', keywords: 'backup download json', run: () => exportData() },
+      ...COMMAND_VIEWS.map(({ view, label, icon }) => ({
+        id: `go-${view}`, title: `Go to ${label}`, icon, keywords: 'navigate open view page',
+        run: () => navTo(view)
+      }))
+    ];
+
+    // One command per daily task that is not done yet
+    for (const task of state.dailyTasks || []) {
+      if (task.completed) continue;
+      commands.push({
+        id: `start-task-${task.id}`, title: `Start task: ${task.name}`, icon: task.icon || '✅', keywords: 'daily timer',
+        run: () => {
+          navTo('dashboard');
+          startDailyTask(task.id, task.duration_minutes);
+        }
+      });
+    }
+
+    return commands;
+  }
+
+  /**
+   * Fuzzy match: every character of the query in order, preferring word starts and runs
+   * @returns {{score: number, positions: number[]}|null} null when the text does not match
+   */
+  fuzzyMatch(query, text) {
+    const target = text.toLowerCase();
+    const positions = [];
+    let score = 0;
+    let from = 0;
+
+    for (const char of query.toLowerCase()) {
+      if (char === ' ') continue;
+      const index = target.indexOf(char, from);
+      if (index === -1) return null;
+
+      score += 1;
+      if (index === positions[positions.length - 1] + 1) score += 2;
+      if (index === 0 || /[\s:]/.test(target[index - 1])) score += 3;
+      positions.push(index);
+      from = index + 1;
+    }
+
+    // Shorter titles first among equal matches
+    return { score: score - target.length / 100, positions };
+  }
+
+  /**
+   * Match a command by its title, or (weaker, nothing to mark) by its keywords
+   */
+  matchCommand(query, command) {
+    const title = this.fuzzyMatch(query, command.title);
+    if (title) return title;
+
+    const keywords = this.fuzzyMatch(query, command.keywords || '');
+    return keywords ? { score: keywords.score / 2, positions: [] } : null;
+  }
+
+  getRecentCommands() {
+    try {
+      return JSON.parse(localStorage.getItem(RECENT_COMMANDS_KEY)) || [];
+    } catch {
+      return [];
+    }
+  }
+
+  rememberCommand(id) {
+    const recent = [id, ...this.getRecentCommands().filter(other => other !== id)].slice(0, MAX_RECENT_COMMANDS);
+    localStorage.setItem(RECENT_COMMANDS_KEY, JSON.stringify(recent));
+  }
+
+  /**
+   * Render the commands matching a query; without a query, recent commands come first
+   */
+  renderCommands(query) {
+    const commands = this.buildCommands();
+    const recent = this.getRecentCommands();
+    let groups;
+
+    if (!query) {
+      const recentCommands = recent.map(id => commands.find(command => command.id === id)).filter(Boolean);
+      groups = [
+        { title: 'Recent', entries: recentCommands.map(command => ({ command, positions: [] })) },
+        { title: 'Commands', entries: commands.filter(command => !recent.includes(command.id)).map(command => ({ command, positions: [] })) }
+      ];
+    } else {
+      const entries = commands
+        .map(command => ({ command, match: this.matchCommand(query, command) }))
+        .filter(({ match }) => match)
+        .map(({ command, match }) => ({ command, positions: match.positions, score: match.score + (recent.includes(command.id) ? 1 : 0) }))
+        .sort((a, b) => b.score - a.score);
+      groups = [{ title: 'Commands', entries }];
+    }
+
+    groups = groups.filter(group => group.entries.length > 0);
+    this.flatResults = groups.flatMap(group => group.entries.map(({ command }) => ({ type: 'command', item: command })));
+
+    if (this.flatResults.length === 0) {
+      this.activeIndex = -1;
+      this.resultsContainer.innerHTML = `
+        <div class="flex flex-col items-center justify-center py-16 text-slate-400">
+          <div class="text-6xl mb-4 opacity-50">⌨️</div>
+          <h3 class="text-xl font-bold mb-2">No matching command</h3>
+          <p class="text-sm">Try "add", "go to" or "review"</p>
+        </div>
+      `;
+      return;
+    }
+
+    let index = 0;
+    let html = '<div class="text-xs text-slate-500 mb-2">↑ ↓ to move · Enter to run · Esc to close</div>';
+    for (const group of groups) {
+      const rows = group.entries.map(({ command, positions }) => {
+        const spans = positions.map(position => [position, position + 1]);
+        const current = index++;
+        return `
+          <div data-result-index="${current}" role="option" class="rounded-xl transition-all"
+               onmouseenter="window.globalSearch.setActive(${current}, false)"
+               onclick="window.globalSearch.openResult(${current})">
+            <div class="glass-card px-4 py-3 rounded-xl cursor-pointer hover:bg-white/90 transition-all flex items-center gap-3">
+              <span class="text-xl">${this.escapeHtml(command.icon)}</span>
+              <span class="font-bold text-slate-800">${this.markSpans(command.title, spans)}</span>
+              ${command.prompt ? '<span class="ml-auto text-xs text-slate-400">…</span>' : ''}
+            </div>
           </div>
+        `;
+      }).join('');
+
+      html += `
+        <div class="mb-4" role="group" aria-label="${group.title}">
+          <h4 class="text-sm font-bold uppercase tracking-wide text-slate-500 mb-2">${group.title}</h4>
+          <div class="space-y-2" role="listbox">${rows}</div>
         </div>
       `;
     }
 
     this.resultsContainer.innerHTML = html;
+    this.setActive(0);
+  }
+
+  /**
+   * Run a command, or ask for its input first
+   */
+  runCommand(command) {
+    this.rememberCommand(command.id);
+    if (command.prompt) {
+      this.startPrompt(command);
+      return;
+    }
+
+    this.close();
+    command.run();
+  }
+
+  startPrompt(command) {
+    this.prompt = command;
+    this.flatResults = [];
+    this.activeIndex = -1;
+    this.searchInput.value = '';
+    this.searchInput.placeholder = command.prompt;
+    this.renderPrompt();
+  }
+
+  renderPrompt(message = '') {
+    const command = this.prompt;
+    this.resultsContainer.innerHTML = `
+      <div class="glass-card p-4 rounded-xl">
+        <div class="font-bold text-base text-slate-800">${this.escapeHtml(command.icon)} ${this.escapeHtml(command.title)}</div>
+        <p class="text-sm text-slate-600 mt-1">${this.escapeHtml(command.prompt)} · Enter to confirm · Esc to go back</p>
+        ${message}
+      </div>
+    `;
+  }
+
+  /**
+   * Hand the typed input to the waiting command; stays open to enter more
+   */
+  async submitPrompt() {
+    const command = this.prompt;
+    const value = this.searchInput.value.trim();
+    if (!value) return;
+
+    try {
+      const confirmation = await command.submit(value);
+      if (this.prompt !== command) return;
+      this.searchInput.value = '';
+      this.renderPrompt(`<p class="text-sm font-bold text-green-700 mt-3">✓ ${this.escapeHtml(confirmation)}</p>`);
+    } catch (error) {
+      if (this.prompt !== command) return;
+      this.renderPrompt(`<p class="text-sm font-bold text-red-600 mt-3">${this.escapeHtml(error.message)}</p>`);
+    }
+  }
+
+  /**
+   * Go back from a command's input to the palette
+   */
+  cancelPrompt() {
+    this.leavePrompt();
+    this.searchInput.value = '> ';
+    this.renderCommands('');
+  }
+
+  leavePrompt() {
+    this.prompt = null;
+    this.searchInput.placeholder = this.placeholder;
+  }
+
+  /**
+   * Add a word: "english" (German looked up) or "english = German"
+   * @returns {Promise<string>} Confirmation
+   */
+  async addWord(text) {
+    const [word, meaning] = text.split('=').map(part => part.trim());
+    const result = await apiCall('/vocabulary', {
+      method: 'POST',
+      body: JSON.stringify({ word, meaning: meaning || undefined })
+    });
+    const added = result.data;
+    return `Added ${added.word}${added.meaning ? ` (${added.meaning})` : ''}`;
+  }
+
+  /**
+   * Show a view's add form and focus its first field
+   */
+  openAddForm(view, sectionId, toggle) {
+    navTo(view);
+    const section = document.getElementById(sectionId);
+    if (!section) return;
+    if (section.classList.contains('hidden')) toggle();
+    section.querySelector('input, textarea')?.focus();
+  }
+
+  escapeHtml(value) {
+    return String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Text with the given [start, end] ranges marked
+   */
+  markSpans(text, spans = []) {
+    let html = '';
+    let position = 0;
+    for (const [start, end] of spans) {
+      html += this.escapeHtml(text.slice(position, start));
+      html += `<mark class="bg-yellow-200/80 text-inherit rounded px-0.5">${this.escapeHtml(text.slice(start, end))}</mark>`;
+      position = end;
+    }
+    return html + this.escapeHtml(text.slice(position));
+  }
+
+  /**
+   * Text of a result field with the matched ranges (highlights from the API) marked
+   */
+  highlight(item, field) {
+    return this.markSpans(item[field] || '', item.highlights?.[field]);
+  }
+
+  /**
+   * Example sentence of a phrase, when the match is only in the example
+   */
+  renderExampleMatch(phrase) {
+    const field = ['example_german', 'example_english'].find(name => phrase.highlights?.[name]);
+    if (!field || phrase.highlights.german || phrase.highlights.english) return '';
+    return `<div class="text-xs text-slate-500 mt-2">${this.highlight(phrase, field)}</div>`;
   }
 
   /**
@@ -301,14 +798,80 @@ class GlobalSearch {
       <div class="glass-card p-4 rounded-xl cursor-pointer hover:bg-white/90 transition-all"
            onclick="window.globalSearch.navigateToVocabulary(${word.id})">
         <div class="flex items-center gap-2 mb-1">
-          <div class="font-bold text-lg text-slate-800">${word.word}</div>
+          ${word.article ? `<span class="text-xs font-black px-2 py-0.5 rounded-full ${this.getArticleClasses(word.article)}">${word.article}</span>` : ''}
+          <div class="font-bold text-lg text-slate-800">${this.highlight(word, 'word')}</div>
+          ${word.part_of_speech ? `<span class="text-[10px] font-bold uppercase tracking-wide text-slate-400">${word.part_of_speech}</span>` : ''}
         </div>
-        <div class="text-sm text-slate-600 italic">${word.meaning || 'No meaning'}</div>
+        <div class="text-sm text-slate-600 italic">${word.meaning ? this.highlight(word, 'meaning') : 'No meaning'}</div>
+        ${this.formatGrammar(word) ? `<div class="text-xs text-slate-500 mt-1">${this.formatGrammar(word)}</div>` : ''}
         ${word.frequency > 1 ? `<div class="text-xs text-blue-600 mt-2 font-mono font-bold">Used ${word.frequency}x</div>` : ''}
+        ${word.part_of_speech === 'verb' ? `
+          <button onclick="event.stopPropagation(); window.globalSearch.toggleConjugation(${word.id})"
+                  class="mt-2 text-xs font-bold text-[var(--op-red)] hover:underline">
+            🗡️ Conjugation
+          </button>
+          <div id="search-conjugation-${word.id}" class="hidden mt-3" onclick="event.stopPropagation()"></div>
+        ` : ''}
       </div>
     `;
   }
 
+  /**
+   * Show or hide the conjugation tables under a verb card
+   */
+  async toggleConjugation(id) {
+    const container = document.getElementById(`search-conjugation-${id}`);
+    if (!container) return;
+
+    if (!container.classList.contains('hidden')) {
+      container.classList.add('hidden');
+      return;
+    }
+
+    container.classList.remove('hidden');
+    if (container.dataset.loaded) return;
+
+    container.innerHTML = '<div class="text-sm text-slate-500">Loading...</div>';
+    try {
+      const response = await authFetch(`${this.apiBase}/vocabulary/${id}/conjugation?enrich=true`);
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error);
+
+      container.innerHTML = ConjugationQuiz.renderTables(data.data);
+      container.dataset.loaded = 'true';
+    } catch (error) {
+      console.error('Error loading conjugation:', error);
+      container.innerHTML = `<div class="text-sm text-red-500">${error.message || 'Failed to load conjugation'}</div>`;
+    }
+  }
+
+  /**
+   * Badge colors for der/die/das
+   */
+  getArticleClasses(article) {
+    const classes = {
+      der: 'bg-blue-100 text-blue-700',
+      die: 'bg-red-100 text-red-700',
+      das: 'bg-green-100 text-green-700'
+    };
+    return classes[article] || 'bg-slate-100 text-slate-600';
+  }
+
+  /**
+   * Summarize plural/genitive for nouns and the principal parts for verbs
+   */
+  formatGrammar(word) {
+    const parts = [];
+    if (word.plural) parts.push(`Pl. die ${word.plural}`);
+    if (word.genitive) parts.push(`Gen. ${word.genitive}`);
+    if (word.praeteritum) parts.push(word.praeteritum);
+    if (word.partizip_ii) {
+      const auxiliary = { haben: 'hat', sein: 'ist' }[word.auxiliary];
+      parts.push(auxiliary ? `${auxiliary} ${word.partizip_ii}` : word.partizip_ii);
+    }
+    return parts.join(' · ');
+  }
+
   /**
    * Render phrase card
    */
@@ -316,8 +879,51 @@ class GlobalSearch {
     return `
       <div class="glass-card p-4 rounded-xl cursor-pointer hover:bg-white/90 transition-all"
            onclick="window.globalSearch.navigateToPhrase(${phrase.id})">
-        <div class="font-bold text-base text-slate-800 mb-1">${phrase.german}</div>
-        <div class="text-sm text-slate-600 italic">${phrase.english}</div>
+        <div class="font-bold text-base text-slate-800 mb-1">${this.highlight(phrase, 'german')}</div>
+        <div class="text-sm text-slate-600 italic">${this.highlight(phrase, 'english')}</div>
+        ${this.renderExampleMatch(phrase)}
+      </div>
+    `;
+  }
+
+  /**
+   * Render note card with the sentences that matched
+   */
+  renderNoteCard(note) {
+    const snippets = (note.snippets || [])
+      .map(snippet => `<div class="text-sm text-slate-600">${this.markSpans(snippet.text, snippet.highlights)}</div>`)
+      .join('');
+    return `
+      <div class="glass-card p-4 rounded-xl cursor-pointer hover:bg-white/90 transition-all"
+           onclick="window.globalSearch.navigateToNote(${note.id})">
+        <div class="font-bold text-base text-slate-800 mb-1">${this.highlight(note, 'title')}</div>
+        <div class="space-y-1">${snippets}</div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render category card
+   */
+  renderCategoryCard(category) {
+    return `
+      <div class="glass-card p-4 rounded-xl cursor-pointer hover:bg-white/90 transition-all"
+           onclick="window.globalSearch.navigateToCategory('${category.type}', ${category.id})">
+        <div class="font-bold text-base text-slate-800">📁 ${this.highlight(category, 'name')}</div>
+        <div class="text-xs text-slate-500 mt-1">${CATEGORY_LABELS[category.type] || 'Category'}</div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render daily task card
+   */
+  renderTaskCard(task) {
+    return `
+      <div class="glass-card p-4 rounded-xl cursor-pointer hover:bg-white/90 transition-all"
+           onclick="window.globalSearch.navigateToTask(${task.id})">
+        <div class="font-bold text-base text-slate-800">${task.icon || '✅'} ${this.highlight(task, 'name')}</div>
+        <div class="text-xs text-slate-500 mt-1">${task.duration_minutes} min daily task</div>
       </div>
     `;
   }
@@ -336,50 +942,66 @@ class GlobalSearch {
   }
 
   /**
-   * Navigate to vocabulary page and highlight word
+   * Open the word's details (#/vocabulary/:id)
    */
   navigateToVocabulary(id) {
     this.close();
-    navTo('vocabulary');
-    
-    // Wait for page to load, then scroll to word
-    setTimeout(() => {
-      const wordCard = document.querySelector(`[onclick*="toggleWordMeaning(${id}"]`)?.closest('.glass-card');
-      if (wordCard) {
-        wordCard.scrollIntoView({ behavior: 'smooth', block: 'center' });
-        wordCard.classList.add('search-highlight');
-        setTimeout(() => wordCard.classList.remove('search-highlight'), 2000);
-      }
-    }, 300);
+    window.router.navigate({ name: 'vocabulary', id });
   }
 
   /**
-   * Navigate to journal page and load entry
+   * Open the journal entry (#/journal/:id)
    */
   navigateToJournal(entryId) {
     this.close();
-    navTo('journal');
-    
-    // Wait for page to load, then open entry
-    setTimeout(() => {
-      if (typeof viewJournalEntry === 'function') {
-        viewJournalEntry(entryId);
-      }
-    }, 300);
+    window.router.navigate({ name: 'journal', id: entryId });
   }
 
   /**
-   * Navigate to phrases page and highlight phrase
+   * Open the phrase in the edit modal (#/phrases/:id)
    */
   navigateToPhrase(id) {
     this.close();
-    navTo('phrases');
-    
-    // Wait for page to load, then scroll to phrase
+    window.router.navigate({ name: 'phrases', id });
+  }
+
+  /**
+   * Open the note in the editor (#/notes/:id)
+   */
+  navigateToNote(id) {
+    this.close();
+    window.router.navigate({ name: 'notes', id });
+  }
+
+  /**
+   * Navigate to the page of a category with the category selected
+   */
+  navigateToCategory(type, id) {
+    this.close();
+
+    if (type === 'phrase_category') {
+      window.router.navigate({ name: 'phrases', params: { category: id } });
+    } else if (type === 'note_category') {
+      window.router.navigate({ name: 'notes', params: { category: id } });
+    } else {
+      navTo('dashboard');
+    }
+  }
+
+  /**
+   * Navigate to dashboard and highlight the daily task
+   */
+  navigateToTask(id) {
+    this.close();
+    navTo('dashboard');
+
     setTimeout(() => {
-      // Phrases don't have IDs in the onclick, so we'll need to find another way
-      // For now, just navigate to the page
-      console.log('Navigated to phrases page');
+      const taskBlock = document.querySelector(`[data-task-id="${id}"]`);
+      if (taskBlock) {
+        taskBlock.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        taskBlock.classList.add('search-highlight');
+        setTimeout(() => taskBlock.classList.remove('search-highlight'), 2000);
+      }
     }, 300);
   }
 
@@ -32,7 +32,7 @@ class JourneyMap {
    */
   async fetchJourneyData() {
     try {
-      const statusResponse = await fetch(`${this.apiBase}/journey/status`);
+      const statusResponse = await authFetch(`${this.apiBase}/journey/status`);
       const statusData = await statusResponse.json();
       
       if (!statusData.success) {
@@ -42,12 +42,12 @@ class JourneyMap {
       this.journeyData = statusData.data;
 
       // Fetch landmarks
-      const landmarksResponse = await fetch(`${this.apiBase}/journey/landmarks`);
+      const landmarksResponse = await authFetch(`${this.apiBase}/journey/landmarks`);
       const landmarksData = await landmarksResponse.json();
       this.landmarks = landmarksData.success ? landmarksData.data : [];
 
       // Fetch achievements
-      const achievementsResponse = await fetch(`${this.apiBase}/journey/achievements`);
+      const achievementsResponse = await authFetch(`${this.apiBase}/journey/achievements`);
       const achievementsData = await achievementsResponse.json();
       this.achievements = achievementsData.success ? achievementsData.data : { unlocked: [], locked: [] };
       
@@ -382,7 +382,7 @@ class JourneyMap {
     
     // Check if all daily tasks are completed
     try {
-      const tasksResponse = await fetch(`${this.apiBase}/daily-tasks/progress`);
+      const tasksResponse = await authFetch(`${this.apiBase}/daily-tasks/progress`);
       const tasksData = await tasksResponse.json();
       
       if (tasksData.success && !tasksData.data.all_completed) {
@@ -409,7 +409,7 @@ class JourneyMap {
     }
     
     try {
-      const response = await fetch(`${this.apiBase}/journey/complete-day`, {
+      const response = await authFetch(`${this.apiBase}/journey/complete-day`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -0,0 +1,337 @@
+/**
+ * Offline Store Component
+ * IndexedDB copy of the user's vocabulary, phrases, notes and daily tasks, the last
+ * response of other GET requests, and the queue of changes made while offline.
+ * apiCall (app.js) answers from here when the server can't be reached; SyncQueue
+ * replays the queue once it can.
+ */
+
+const OFFLINE_DB_NAME = 'deutschtagebuch';
+const OFFLINE_DB_VERSION = 1;
+
+// Mirrored collections: their API path, the field of the A-Z sort and the trash type
+const OFFLINE_COLLECTIONS = {
+  vocabulary: { path: '/vocabulary', sortField: 'word', trashType: 'vocabulary' },
+  phrases: { path: '/phrases', sortField: 'german', trashType: 'phrase' },
+  notes: { path: '/notes', sortField: 'title', trashType: 'note' },
+  tasks: { path: '/daily-tasks' }
+};
+
+// GET requests whose responses are not kept (live or one-off answers)
+const UNCACHED_ENDPOINTS = /^\/(health|auth|admin|search|translate|data)(\/|\?|$)/;
+
+/**
+ * Helper function: Promise of an IndexedDB request
+ */
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+class OfflineStore {
+  /**
+   * @param {function(): string|null} getUserId - Id of the signed-in user; queued changes belong to them
+   */
+  constructor(getUserId) {
+    this.getUserId = getUserId;
+    this.dbPromise = null;
+    this.lastTempId = 0;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          for (const collection of Object.keys(OFFLINE_COLLECTIONS)) {
+            db.createObjectStore(collection, { keyPath: 'id' });
+          }
+          db.createObjectStore('responses', { keyPath: 'endpoint' });
+          db.createObjectStore('queue', { keyPath: 'id', autoIncrement: true });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run fn(stores) in one transaction; resolves with its result once the transaction is done
+   */
+  async transaction(storeNames, mode, fn) {
+    const db = await this.open();
+    const tx = db.transaction(storeNames, mode);
+    const stores = Object.fromEntries(storeNames.map(name => [name, tx.objectStore(name)]));
+    const done = new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+
+    let result;
+    try {
+      result = await fn(stores);
+    } catch (error) {
+      done.catch(() => {});
+      if (!tx.error) tx.abort();
+      throw error;
+    }
+    await done;
+    return result;
+  }
+
+  /**
+   * Collection, record id and task action of an endpoint, null when it is not mirrored:
+   * "/notes/42" is {collection: 'notes', id: 42, action: null, params}
+   */
+  static parseEndpoint(endpoint) {
+    const [path, query = ''] = endpoint.split('?');
+    const match = path.match(/^\/(vocabulary|phrases|notes|daily-tasks)(?:\/(-?\d+))?(?:\/(start|complete))?\/?$/);
+    if (!match) return null;
+
+    const collection = match[1] === 'daily-tasks' ? 'tasks' : match[1];
+    return {
+      collection,
+      id: match[2] !== undefined ? Number(match[2]) : null,
+      action: match[3] || null,
+      params: Object.fromEntries(new URLSearchParams(query))
+    };
+  }
+
+  /**
+   * Today as the server counts it (UTC), for the daily task progress
+   */
+  static today() {
+    return new Date().toISOString().split('T')[0];
+  }
+
+  /**
+   * Keep the response of a successful GET request
+   * A full list replaces the mirrored collection (unless changes are still queued);
+   * filtered lists and single records are added to it.
+   */
+  async remember(endpoint, result) {
+    if (!result?.success || UNCACHED_ENDPOINTS.test(endpoint)) return;
+
+    try {
+      const target = OfflineStore.parseEndpoint(endpoint);
+      if (!target || target.action) {
+        await this.transaction(['responses'], 'readwrite', ({ responses }) =>
+          idbRequest(responses.put({ endpoint, result, saved_at: new Date().toISOString() })));
+        return;
+      }
+
+      const { collection, id, params } = target;
+      const rows = collection === 'tasks'
+        ? result.data.tasks.map(task => ({ ...task, date: result.data.date }))
+        : (id !== null ? [result.data] : result.data);
+      const complete = id === null && Object.keys(params).length === 0 && await this.pendingCount() === 0;
+
+      await this.transaction([collection], 'readwrite', async stores => {
+        if (complete) await idbRequest(stores[collection].clear());
+        for (const row of rows) {
+          await idbRequest(stores[collection].put(row));
+        }
+      });
+    } catch (error) {
+      console.error('Error keeping response offline:', error);
+    }
+  }
+
+  /**
+   * Answer a GET request from the mirror or the kept responses, null when nothing is known
+   */
+  async read(endpoint) {
+    const target = OfflineStore.parseEndpoint(endpoint);
+    if (!target || target.action) {
+      const saved = await this.transaction(['responses'], 'readonly', ({ responses }) => idbRequest(responses.get(endpoint)));
+      return saved ? saved.result : null;
+    }
+
+    const { collection, id, params } = target;
+    const rows = await this.transaction([collection], 'readonly', stores => idbRequest(stores[collection].getAll()));
+
+    if (collection === 'tasks') {
+      return { success: true, data: this.summarizeTasks(rows), offline: true };
+    }
+    if (id !== null) {
+      const row = rows.find(r => r.id === id);
+      return row ? { success: true, data: row, offline: true } : null;
+    }
+    const data = this.filterRows(collection, rows, params);
+    return { success: true, data, count: data.length, offline: true };
+  }
+
+  /**
+   * Rows of a list request: category filters and sort as the API applies them
+   */
+  filterRows(collection, rows, { category_id, exclude_category_id, sort = 'newest' }) {
+    const { sortField } = OFFLINE_COLLECTIONS[collection];
+    let result = rows;
+    if (category_id) {
+      result = result.filter(row => String(row.category_id) === String(category_id));
+    } else if (exclude_category_id) {
+      result = result.filter(row => String(row.category_id) !== String(exclude_category_id));
+    }
+
+    const byDate = (a, b) => (a.created_at || '').localeCompare(b.created_at || '') || a.id - b.id;
+    const byName = (a, b) => String(a[sortField] || '').localeCompare(String(b[sortField] || ''), 'de');
+    const compare = {
+      oldest: byDate,
+      az: byName,
+      za: (a, b) => byName(b, a),
+      frequency: (a, b) => (b.frequency || 0) - (a.frequency || 0)
+    }[sort] || ((a, b) => byDate(b, a));
+    return [...result].sort(compare);
+  }
+
+  /**
+   * GET /daily-tasks from the mirrored tasks; progress of another day starts over
+   */
+  summarizeTasks(rows) {
+    const today = OfflineStore.today();
+    const tasks = rows
+      .map(task => task.date === today ? task : { ...task, completed: false, in_progress: false, started_at: null, completed_at: null })
+      .sort((a, b) => (a.display_order || 0) - (b.display_order || 0));
+    const completedCount = tasks.filter(task => task.completed).length;
+    return {
+      tasks,
+      completed_count: completedCount,
+      total_tasks: tasks.length,
+      all_completed: tasks.length > 0 && completedCount === tasks.length,
+      date: today
+    };
+  }
+
+  /**
+   * Apply a change to the mirror and queue it for the server
+   * Changes to one record are merged in the queue: an edit of a record created offline
+   * goes into its POST, and deleting it drops both.
+   * @returns {Promise<object|null>} The response the API would give, null when the change can't be made offline
+   */
+  async write(endpoint, method, body = {}) {
+    const target = OfflineStore.parseEndpoint(endpoint);
+    if (!target) return null;
+
+    const { collection, id, action } = target;
+    if (collection === 'tasks') {
+      return method === 'POST' && action && id !== null ? this.writeTaskAction(endpoint, id, action) : null;
+    }
+    const creates = method === 'POST' && id === null;
+    const changes = (method === 'PUT' || method === 'DELETE') && id !== null;
+    if (action || !(creates || changes)) return null;
+
+    const now = new Date().toISOString();
+    const userId = this.getUserId();
+    return this.transaction([collection, 'queue'], 'readwrite', async stores => {
+      const records = stores[collection];
+      const queue = stores.queue;
+
+      if (method === 'POST') {
+        this.lastTempId = Math.min(this.lastTempId, -Date.now()) - 1;
+        const row = { ...body, id: this.lastTempId, created_at: now, pending: true };
+        await idbRequest(records.put(row));
+        await idbRequest(queue.add({ method, endpoint, collection, record_id: row.id, body, user_id: userId, queued_at: now }));
+        return { success: true, data: row, offline: true };
+      }
+
+      const row = await idbRequest(records.get(id));
+      if (!row) return null;
+      const queued = (await idbRequest(queue.getAll())).filter(entry =>
+        entry.user_id === userId && entry.collection === collection && entry.record_id === id);
+
+      if (method === 'PUT') {
+        const updated = { ...row, ...body, pending: true };
+        await idbRequest(records.put(updated));
+
+        const earlier = queued.find(entry => entry.method === 'POST') || queued.find(entry => entry.method === 'PUT');
+        if (earlier) {
+          await idbRequest(queue.put({ ...earlier, body: { ...earlier.body, ...body } }));
+        } else {
+          await idbRequest(queue.add({ method, endpoint, collection, record_id: id, body, base: row, user_id: userId, queued_at: now }));
+        }
+        return { success: true, data: updated, offline: true };
+      }
+
+      await idbRequest(records.delete(id));
+      for (const entry of queued) {
+        await idbRequest(queue.delete(entry.id));
+      }
+      if (id > 0) {
+        await idbRequest(queue.add({ method, endpoint, collection, record_id: id, user_id: userId, queued_at: now }));
+      }
+      return { success: true, data: { type: OFFLINE_COLLECTIONS[collection].trashType, id }, offline: true };
+    });
+  }
+
+  /**
+   * Start or complete a daily task offline
+   */
+  async writeTaskAction(endpoint, id, action) {
+    const now = new Date().toISOString();
+    const userId = this.getUserId();
+    return this.transaction(['tasks', 'queue'], 'readwrite', async ({ tasks, queue }) => {
+      const task = await idbRequest(tasks.get(id));
+      if (!task) return null;
+
+      const today = OfflineStore.today();
+      const progress = task.date === today ? task : { ...task, date: today, completed: false, completed_at: null };
+      const updated = action === 'start'
+        ? { ...progress, in_progress: true, started_at: now }
+        : { ...progress, completed: true, in_progress: false, completed_at: now };
+      await idbRequest(tasks.put(updated));
+      await idbRequest(queue.add({ method: 'POST', endpoint, collection: 'tasks', record_id: id, user_id: userId, queued_at: now }));
+
+      if (action === 'start') {
+        return { success: true, data: { task_id: id, started_at: now }, offline: true };
+      }
+      const all = (await idbRequest(tasks.getAll())).every(row => row.id === id || (row.date === today && row.completed));
+      return { success: true, data: { task_id: id, completed_at: now, all_tasks_completed: all }, offline: true };
+    });
+  }
+
+  /**
+   * Queued changes of the signed-in user, oldest first
+   * (another account on this device never gets them; they wait for their owner)
+   */
+  async queued() {
+    const userId = this.getUserId();
+    const entries = await this.transaction(['queue'], 'readonly', ({ queue }) => idbRequest(queue.getAll()));
+    return entries.filter(entry => entry.user_id === userId);
+  }
+
+  async pendingCount() {
+    return (await this.queued()).length;
+  }
+
+  async dequeue(entryId) {
+    return this.transaction(['queue'], 'readwrite', ({ queue }) => idbRequest(queue.delete(entryId)));
+  }
+
+  /**
+   * Put the server's version of a record in the mirror (replacing the offline copy
+   * with its temporary id); without a row the record is removed
+   */
+  async settle(collection, id, row) {
+    return this.transaction([collection], 'readwrite', async stores => {
+      await idbRequest(stores[collection].delete(id));
+      if (row) await idbRequest(stores[collection].put(row));
+    });
+  }
+
+  /**
+   * Forget everything (on sign out: the data belongs to the user)
+   */
+  async clear() {
+    const names = [...Object.keys(OFFLINE_COLLECTIONS), 'responses', 'queue'];
+    return this.transaction(names, 'readwrite', async stores => {
+      for (const name of names) {
+        await idbRequest(stores[name].clear());
+      }
+    });
+  }
+}
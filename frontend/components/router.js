@@ -0,0 +1,174 @@
+/**
+ * Hash Router Component
+ * Keeps the open view, its filters and the open item in the URL, so back/forward
+ * work and a copied link opens the same screen:
+ *
+ *   #/dashboard                #/vocabulary/17   word details
+ *   #/phrases?category=3       #/phrases/12      phrase edit modal
+ *   #/notes?sort=az            #/notes/42        note editor
+ *   #/journal                  #/journal/5       journal entry
+ *   #/study
+ *
+ * What a route shows is up to the callback (applyRoute in app.js); the router reads and
+ * writes the hash and restores the scroll position of each page seen in this tab.
+ */
+
+const SCROLL_POSITIONS_KEY = 'dt_scrollPositions';
+
+// Pages that keep their scroll position, the oldest is dropped first
+const MAX_SCROLL_POSITIONS = 50;
+
+class HashRouter {
+  /**
+   * @param {function(route, previous): Promise} onRoute - Shows a route; previous is the route shown before (or null)
+   * @param {HTMLElement} scrollContainer - Element whose scroll position is kept per page
+   */
+  constructor(onRoute, scrollContainer) {
+    this.onRoute = onRoute;
+    this.scrollContainer = scrollContainer;
+    this.current = null;
+    this.hash = null;
+    this.openedFrom = null;
+    this.routing = false;
+    this.scrollPositions = this.loadScrollPositions();
+    this.saveTimer = null;
+    this.handleHashChange = this.handleHashChange.bind(this);
+    this.handleScroll = this.handleScroll.bind(this);
+  }
+
+  /**
+   * Listen for back/forward and show the route of the current URL
+   */
+  init() {
+    window.addEventListener('hashchange', this.handleHashChange);
+    this.scrollContainer?.addEventListener('scroll', this.handleScroll, { passive: true });
+    return this.show();
+  }
+
+  /**
+   * Route of a hash: "#/phrases/12?sort=az" is {name: 'phrases', id: '12', params: {sort: 'az'}}
+   */
+  static parse(hash) {
+    const [path, query = ''] = (hash || '').replace(/^#\/?/, '').split('?');
+    const [name, id] = path.split('/').filter(Boolean).map(part => {
+      try {
+        return decodeURIComponent(part);
+      } catch {
+        return part;
+      }
+    });
+    return { name: name || 'dashboard', id: id || null, params: Object.fromEntries(new URLSearchParams(query)) };
+  }
+
+  /**
+   * Hash of a route, without the params that are empty
+   */
+  static format({ name, id = null, params = {} }) {
+    const query = new URLSearchParams(
+      Object.entries(params).filter(([, value]) => value !== null && value !== undefined && value !== '')
+    ).toString();
+    const item = id !== null && id !== undefined ? `/${encodeURIComponent(id)}` : '';
+    return `#/${encodeURIComponent(name)}${item}${query ? `?${query}` : ''}`;
+  }
+
+  /**
+   * Go to a route as a new history entry
+   * Going to the route that is already open shows it again (and reloads its data).
+   */
+  navigate(route) {
+    const hash = HashRouter.format(route);
+    if (hash === this.hash) {
+      this.current = null;
+      return this.show().catch(error => console.error('Error showing route:', error));
+    }
+    window.location.hash = hash;
+  }
+
+  /**
+   * Put a route the page already shows in the URL (a filter was picked, an item opened)
+   * without showing it again: a new history entry, or with replace the current one
+   */
+  record(route, { replace = false } = {}) {
+    const hash = HashRouter.format(route);
+    if (hash === this.hash) return;
+
+    this.openedFrom = replace ? null : this.hash;
+    if (replace) {
+      history.replaceState(null, '', hash);
+    } else {
+      history.pushState(null, '', hash);
+    }
+    this.current = HashRouter.parse(hash);
+    this.hash = hash;
+  }
+
+  /**
+   * Back from an item to its list: a step back in history when the item was opened
+   * from that list, otherwise the list replaces the item's entry
+   */
+  leave(route) {
+    const hash = HashRouter.format(route);
+    if (this.openedFrom === hash) {
+      this.openedFrom = null;
+      history.back();
+    } else {
+      this.record(route, { replace: true });
+    }
+  }
+
+  handleHashChange() {
+    this.openedFrom = null;
+    this.show().catch(error => console.error('Error showing route:', error));
+  }
+
+  /**
+   * Show the route of the URL, then put a list back where it was scrolled to
+   * (items scroll themselves into view)
+   */
+  async show() {
+    const route = HashRouter.parse(window.location.hash);
+    const previous = this.current;
+    this.current = route;
+    this.hash = HashRouter.format(route);
+
+    this.routing = true;
+    try {
+      await this.onRoute(route, previous);
+    } finally {
+      if (this.current === route) {
+        if (!route.id && this.scrollContainer) {
+          this.scrollContainer.scrollTop = this.scrollPositions[this.hash] || 0;
+        }
+        this.routing = false;
+      }
+    }
+  }
+
+  /**
+   * Remember the scroll position of the page on screen
+   * (not while a route is shown: hiding a view scrolls the container too)
+   */
+  handleScroll() {
+    if (this.routing || !this.hash) return;
+
+    delete this.scrollPositions[this.hash];
+    this.scrollPositions[this.hash] = this.scrollContainer.scrollTop;
+
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => this.saveScrollPositions(), 200);
+  }
+
+  loadScrollPositions() {
+    try {
+      return JSON.parse(sessionStorage.getItem(SCROLL_POSITIONS_KEY)) || {};
+    } catch {
+      return {};
+    }
+  }
+
+  saveScrollPositions() {
+    const entries = Object.entries(this.scrollPositions).slice(-MAX_SCROLL_POSITIONS);
+    this.scrollPositions = Object.fromEntries(entries);
+    sessionStorage.setItem(SCROLL_POSITIONS_KEY, JSON.stringify(this.scrollPositions));
+  }
+}
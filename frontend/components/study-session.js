@@ -0,0 +1,538 @@
+/**
+ * Study Session Component
+ * Flashcard session that mixes due vocabulary and phrases,
+ * grades each card and reports the result to progress and journey
+ */
+
+const STUDY_SETTINGS_KEY = 'dt_studySettings';
+
+const STUDY_GRADES = [
+  { grade: 'again', label: 'Again', key: '1', classes: 'bg-red-500 hover:bg-red-600' },
+  { grade: 'hard', label: 'Hard', key: '2', classes: 'bg-orange-500 hover:bg-orange-600' },
+  { grade: 'good', label: 'Good', key: '3', classes: 'bg-green-500 hover:bg-green-600' },
+  { grade: 'easy', label: 'Easy', key: '4', classes: 'bg-blue-500 hover:bg-blue-600' }
+];
+
+class StudySession {
+  constructor(containerId, apiBase) {
+    this.container = document.getElementById(containerId);
+    this.apiBase = apiBase;
+    this.settings = this.loadSettings();
+    this.cards = [];
+    this.index = 0;
+    this.flipped = false;
+    this.results = [];
+    this.startedAt = null;
+    this.timerInterval = null;
+    this.finishing = false;
+    this.handleKeydown = this.handleKeydown.bind(this);
+  }
+
+  /**
+   * Initialize the component - render settings and listen for shortcuts
+   */
+  init() {
+    this.renderSetup();
+    document.addEventListener('keydown', this.handleKeydown);
+  }
+
+  /**
+   * Load saved session settings from localStorage
+   */
+  loadSettings() {
+    const defaults = { cardCount: 20, vocabularyPercent: 50, direction: 'de-en' };
+    try {
+      const saved = JSON.parse(localStorage.getItem(STUDY_SETTINGS_KEY));
+      return { ...defaults, ...(saved || {}) };
+    } catch (error) {
+      return defaults;
+    }
+  }
+
+  /**
+   * Persist session settings to localStorage
+   */
+  saveSettings() {
+    localStorage.setItem(STUDY_SETTINGS_KEY, JSON.stringify(this.settings));
+  }
+
+  /**
+   * Whether the session is currently showing cards
+   */
+  isActive() {
+    return this.startedAt !== null && this.index < this.cards.length;
+  }
+
+  /**
+   * Render the session settings form
+   */
+  renderSetup(message = '') {
+    if (!this.container) return;
+
+    const { cardCount, vocabularyPercent, direction } = this.settings;
+
+    this.container.innerHTML = `
+      <div class="glass-card p-6 rounded-[24px] !bg-white/80 space-y-6 max-w-2xl mx-auto">
+        ${message ? `<div class="p-4 rounded-xl bg-amber-50 border-2 border-amber-200 text-amber-800 font-bold text-center">${message}</div>` : ''}
+        <div>
+          <label class="block text-xs font-black uppercase tracking-widest text-slate-500 mb-2 op-font" for="study-card-count">Cards</label>
+          <input type="number" id="study-card-count" min="5" max="100" step="5" value="${cardCount}"
+            class="w-full px-4 py-3 rounded-xl bg-white border border-slate-200 text-slate-700 focus:outline-none focus:border-blue-400">
+        </div>
+        <div>
+          <label class="block text-xs font-black uppercase tracking-widest text-slate-500 mb-2 op-font" for="study-mix">
+            Mix: <span id="study-mix-label">${vocabularyPercent}% vocabulary / ${100 - vocabularyPercent}% phrases</span>
+          </label>
+          <input type="range" id="study-mix" min="0" max="100" step="10" value="${vocabularyPercent}" class="w-full">
+        </div>
+        <div>
+          <label class="block text-xs font-black uppercase tracking-widest text-slate-500 mb-2 op-font" for="study-direction">Direction</label>
+          <select id="study-direction"
+            class="w-full px-4 py-3 rounded-xl bg-white border border-slate-200 text-slate-700 focus:outline-none focus:border-blue-400 cursor-pointer">
+            <option value="de-en" ${direction === 'de-en' ? 'selected' : ''}>German → English</option>
+            <option value="en-de" ${direction === 'en-de' ? 'selected' : ''}>English → German</option>
+            <option value="mixed" ${direction === 'mixed' ? 'selected' : ''}>Mixed</option>
+          </select>
+        </div>
+        <button id="study-start-btn"
+          class="w-full py-4 bg-[var(--op-red)] hover:bg-red-700 text-white rounded-xl font-black text-lg shadow-lg transition-all transform hover:scale-[1.02] active:scale-95 op-font">
+          🥋 Start Training
+        </button>
+        <p class="text-xs text-slate-500 text-center">
+          Space/Enter flip · 1-4 grade · S speak · Esc end session
+        </p>
+      </div>
+    `;
+
+    const mixInput = this.container.querySelector('#study-mix');
+    mixInput.addEventListener('input', () => {
+      const percent = parseInt(mixInput.value);
+      this.container.querySelector('#study-mix-label').textContent =
+        `${percent}% vocabulary / ${100 - percent}% phrases`;
+    });
+
+    this.container.querySelector('#study-start-btn').addEventListener('click', () => this.start());
+  }
+
+  /**
+   * Read settings from the form and start a new session
+   */
+  async start() {
+    const cardCount = parseInt(this.container.querySelector('#study-card-count').value) || 20;
+    this.settings = {
+      cardCount: Math.min(Math.max(cardCount, 5), 100),
+      vocabularyPercent: parseInt(this.container.querySelector('#study-mix').value),
+      direction: this.container.querySelector('#study-direction').value
+    };
+    this.saveSettings();
+
+    this.container.innerHTML = `
+      <div class="text-center py-12 text-slate-500 font-bold">Loading cards...</div>
+    `;
+
+    try {
+      this.cards = await this.fetchCards();
+    } catch (error) {
+      console.error('Error loading study cards:', error);
+      this.renderSetup('Could not load cards. Please try again.');
+      return;
+    }
+
+    if (this.cards.length === 0) {
+      this.renderSetup('Nothing is due right now. Come back later! 🌊');
+      return;
+    }
+
+    this.index = 0;
+    this.flipped = false;
+    this.results = [];
+    this.finishing = false;
+    this.startedAt = new Date();
+    this.startTimer();
+    this.renderCard();
+  }
+
+  /**
+   * Fetch due vocabulary and phrases in the configured mix
+   * If one type runs short, the other fills the remaining slots
+   */
+  async fetchCards() {
+    const { cardCount, vocabularyPercent } = this.settings;
+
+    const [vocabResponse, phrasesResponse] = await Promise.all([
+      authFetch(`${this.apiBase}/vocabulary/due?limit=${cardCount}`),
+      authFetch(`${this.apiBase}/phrases/due?limit=${cardCount}`)
+    ]);
+    const vocabData = await vocabResponse.json();
+    const phrasesData = await phrasesResponse.json();
+
+    if (!vocabData.success && !phrasesData.success) {
+      throw new Error('Failed to fetch due cards');
+    }
+
+    const vocabulary = (vocabData.success ? vocabData.data : []).map(v => ({
+      type: 'vocabulary',
+      id: v.id,
+      german: v.article ? `${v.article} ${v.word}` : v.word,
+      english: v.meaning,
+      example: null,
+      grammar: this.formatGrammar(v)
+    }));
+    const phrases = (phrasesData.success ? phrasesData.data : []).map(p => ({
+      type: 'phrase',
+      id: p.id,
+      german: p.german,
+      english: p.english,
+      example: p.example_german || null,
+      grammar: ''
+    }));
+
+    let vocabTarget = Math.round(cardCount * vocabularyPercent / 100);
+    let phraseTarget = cardCount - vocabTarget;
+
+    if (vocabulary.length < vocabTarget) {
+      phraseTarget += vocabTarget - vocabulary.length;
+      vocabTarget = vocabulary.length;
+    } else if (phrases.length < phraseTarget) {
+      vocabTarget += phraseTarget - phrases.length;
+      phraseTarget = phrases.length;
+    }
+
+    const cards = [
+      ...vocabulary.slice(0, vocabTarget),
+      ...phrases.slice(0, phraseTarget)
+    ];
+
+    return this.shuffle(cards).map(card => ({
+      ...card,
+      frontIsGerman: this.settings.direction === 'mixed'
+        ? Math.random() < 0.5
+        : this.settings.direction === 'de-en'
+    }));
+  }
+
+  /**
+   * Summarize plural/genitive for nouns and the principal parts for verbs
+   */
+  formatGrammar(word) {
+    const parts = [];
+    if (word.plural) parts.push(`Pl. die ${word.plural}`);
+    if (word.genitive) parts.push(`Gen. ${word.genitive}`);
+    if (word.praeteritum) parts.push(word.praeteritum);
+    if (word.partizip_ii) {
+      const auxiliary = { haben: 'hat', sein: 'ist' }[word.auxiliary];
+      parts.push(auxiliary ? `${auxiliary} ${word.partizip_ii}` : word.partizip_ii);
+    }
+    return parts.join(' · ');
+  }
+
+  /**
+   * Fisher-Yates shuffle
+   */
+  shuffle(items) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  }
+
+  /**
+   * Start the elapsed time display
+   */
+  startTimer() {
+    this.stopTimer();
+    this.timerInterval = setInterval(() => {
+      const timerEl = this.container.querySelector('#study-timer');
+      if (timerEl) timerEl.textContent = this.formatDuration(this.elapsedSeconds());
+    }, 1000);
+  }
+
+  /**
+   * Stop the elapsed time display
+   */
+  stopTimer() {
+    if (this.timerInterval) {
+      clearInterval(this.timerInterval);
+      this.timerInterval = null;
+    }
+  }
+
+  /**
+   * Seconds since the session started
+   */
+  elapsedSeconds() {
+    if (!this.startedAt) return 0;
+    return Math.floor((Date.now() - this.startedAt.getTime()) / 1000);
+  }
+
+  /**
+   * Format seconds as mm:ss
+   */
+  formatDuration(seconds) {
+    const mins = Math.floor(seconds / 60).toString().padStart(2, '0');
+    const secs = (seconds % 60).toString().padStart(2, '0');
+    return `${mins}:${secs}`;
+  }
+
+  /**
+   * Escape text before inserting it into markup
+   */
+  escape(text) {
+    const div = document.createElement('div');
+    div.textContent = text ?? '';
+    return div.innerHTML;
+  }
+
+  /**
+   * Count cards graded good or easy
+   */
+  correctCount() {
+    return this.results.filter(r => r.grade === 'good' || r.grade === 'easy').length;
+  }
+
+  /**
+   * Render the current card
+   */
+  renderCard() {
+    const card = this.cards[this.index];
+    const total = this.cards.length;
+    const answered = this.results.length;
+    const accuracy = answered > 0 ? Math.round((this.correctCount() / answered) * 100) : 0;
+
+    const front = card.frontIsGerman ? card.german : card.english;
+    const back = card.frontIsGerman ? card.english : card.german;
+    const frontLabel = card.frontIsGerman ? '🇩🇪 German' : '🇬🇧 English';
+    const backLabel = card.frontIsGerman ? '🇬🇧 English' : '🇩🇪 German';
+    const typeLabel = card.type === 'vocabulary' ? '📖 Word' : '📢 Phrase';
+
+    this.container.innerHTML = `
+      <div class="max-w-2xl mx-auto space-y-4">
+        <div class="flex justify-between items-center text-sm font-bold text-slate-600">
+          <span>Card ${this.index + 1} of ${total}</span>
+          <span>🎯 ${accuracy}%</span>
+          <span>⏱️ <span id="study-timer" class="font-mono">${this.formatDuration(this.elapsedSeconds())}</span></span>
+        </div>
+        <div class="w-full bg-slate-200 rounded-full h-2 overflow-hidden">
+          <div class="h-full bg-[var(--op-red)] transition-all" style="width: ${Math.round((this.index / total) * 100)}%"></div>
+        </div>
+        <div class="glass-card p-8 rounded-[24px] !bg-white/90 min-h-[240px] flex flex-col items-center justify-center gap-4 text-center cursor-pointer" id="study-card">
+          <div class="flex gap-2 text-[10px] font-black uppercase tracking-widest op-font">
+            <span class="text-slate-400">${typeLabel}</span>
+            <span class="${card.frontIsGerman ? 'text-[var(--op-red)]' : 'text-[var(--op-blue)]'}">${frontLabel}</span>
+          </div>
+          <p class="text-2xl md:text-3xl text-slate-800 font-bold leading-relaxed op-font">${this.escape(front)}</p>
+          ${this.flipped ? `
+            <div class="w-full border-t-2 border-dashed border-[#5d3615] pt-4 space-y-3">
+              <div class="text-[10px] font-black uppercase tracking-widest op-font ${card.frontIsGerman ? 'text-[var(--op-blue)]' : 'text-[var(--op-red)]'}">${backLabel}</div>
+              <p class="text-xl font-bold text-[#5d3615] op-font">${this.escape(back)}</p>
+              ${card.grammar ? `<p class="text-sm font-bold text-slate-500">${this.escape(card.grammar)}</p>` : ''}
+              ${card.example ? `<p class="text-sm text-slate-600 italic">${this.escape(card.example)}</p>` : ''}
+            </div>
+          ` : ''}
+          <button id="speaker-study-${card.type}-${card.id}"
+            class="study-speak-btn w-10 h-10 flex items-center justify-center bg-[var(--ocean-mid)] hover:bg-[var(--ocean-deep)] text-white rounded-lg transition-all shadow-md hover:scale-110"
+            title="Pronounce (S)">
+            🔊
+          </button>
+        </div>
+        <div id="study-actions">
+          ${this.flipped ? `
+            <div class="grid grid-cols-2 sm:grid-cols-4 gap-2">
+              ${STUDY_GRADES.map(g => `
+                <button data-grade="${g.grade}" class="study-grade-btn py-3 ${g.classes} text-white rounded-xl font-bold transition-all">
+                  ${g.label} <span class="text-xs opacity-70">(${g.key})</span>
+                </button>
+              `).join('')}
+            </div>
+          ` : `
+            <button id="study-flip-btn"
+              class="w-full py-3 bg-blue-600 hover:bg-blue-700 text-white rounded-xl font-bold shadow-lg transition-all">
+              Show Answer <span class="text-xs opacity-70">(Space)</span>
+            </button>
+          `}
+        </div>
+        <button id="study-end-btn" class="w-full py-2 text-sm font-bold text-slate-500 hover:text-slate-700">
+          End session (Esc)
+        </button>
+      </div>
+    `;
+
+    this.container.querySelector('#study-card').addEventListener('click', () => {
+      if (!this.flipped) this.flip();
+    });
+    this.container.querySelector('.study-speak-btn').addEventListener('click', (event) => this.speak(event));
+    this.container.querySelector('#study-end-btn').addEventListener('click', () => this.finish());
+
+    const flipBtn = this.container.querySelector('#study-flip-btn');
+    if (flipBtn) flipBtn.addEventListener('click', () => this.flip());
+
+    this.container.querySelectorAll('.study-grade-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.grade(btn.dataset.grade));
+    });
+  }
+
+  /**
+   * Reveal the back of the current card
+   */
+  flip() {
+    if (!this.isActive() || this.flipped) return;
+    this.flipped = true;
+    this.renderCard();
+  }
+
+  /**
+   * Pronounce the German side of the current card
+   */
+  speak(event) {
+    const card = this.cards[this.index];
+    if (!card || typeof speakGermanWord !== 'function') return;
+    speakGermanWord(event, card.german, `study-${card.type}-${card.id}`);
+  }
+
+  /**
+   * Record a grade for the current card and move to the next one
+   */
+  grade(grade) {
+    if (!this.isActive() || !this.flipped) return;
+
+    const card = this.cards[this.index];
+    this.results.push({ type: card.type, id: card.id, grade });
+    this.index++;
+    this.flipped = false;
+
+    if (this.index >= this.cards.length) {
+      this.finish();
+    } else {
+      this.renderCard();
+    }
+  }
+
+  /**
+   * End the session: save grades, record the session and show a summary
+   */
+  async finish() {
+    if (this.finishing || !this.startedAt) return;
+    this.finishing = true;
+    this.stopTimer();
+
+    const durationSeconds = this.elapsedSeconds();
+    const startedAt = this.startedAt;
+    this.startedAt = null;
+
+    if (this.results.length === 0) {
+      this.finishing = false;
+      this.renderSetup('Session ended before any cards were graded.');
+      return;
+    }
+
+    this.container.innerHTML = `
+      <div class="text-center py-12 text-slate-500 font-bold">Saving session...</div>
+    `;
+
+    const vocabularyReviews = this.results.filter(r => r.type === 'vocabulary').map(r => ({ id: r.id, grade: r.grade }));
+    const phraseReviews = this.results.filter(r => r.type === 'phrase').map(r => ({ id: r.id, grade: r.grade }));
+    const correct = this.correctCount();
+    let saveFailed = false;
+
+    try {
+      if (vocabularyReviews.length > 0) {
+        await this.postJson('/vocabulary/review-session', { reviews: vocabularyReviews });
+      }
+      if (phraseReviews.length > 0) {
+        await this.postJson('/phrases/review-session', { reviews: phraseReviews });
+      }
+      await this.postJson('/progress/study-session', {
+        started_at: startedAt.toISOString(),
+        duration_seconds: durationSeconds,
+        vocabulary_reviewed: vocabularyReviews.length,
+        phrases_reviewed: phraseReviews.length,
+        correct_count: correct
+      });
+      await this.postJson('/journey/update-activity', {
+        cards_reviewed: this.results.length
+      });
+    } catch (error) {
+      console.error('Error saving study session:', error);
+      saveFailed = true;
+    }
+
+    this.finishing = false;
+    this.renderSummary(durationSeconds, correct, saveFailed);
+  }
+
+  /**
+   * POST a JSON body and throw if the API reports a failure
+   */
+  async postJson(endpoint, body) {
+    const response = await authFetch(`${this.apiBase}${endpoint}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await response.json();
+    if (!data.success) {
+      throw new Error(data.error || `Request to ${endpoint} failed`);
+    }
+    return data;
+  }
+
+  /**
+   * Render the end-of-session summary
+   */
+  renderSummary(durationSeconds, correct, saveFailed) {
+    const total = this.results.length;
+    const accuracy = Math.round((correct / total) * 100);
+    const counts = STUDY_GRADES.map(g => ({
+      ...g,
+      count: this.results.filter(r => r.grade === g.grade).length
+    }));
+
+    this.container.innerHTML = `
+      <div class="glass-card p-8 rounded-[24px] !bg-white/90 max-w-2xl mx-auto text-center space-y-6">
+        <div class="text-5xl">${accuracy >= 80 ? '🏆' : accuracy >= 50 ? '⚔️' : '🌊'}</div>
+        <h3 class="text-2xl font-black text-slate-800 op-font">Training complete!</h3>
+        <div class="grid grid-cols-3 gap-4">
+          <div><div class="text-3xl font-black text-[var(--op-red)]">${total}</div><div class="text-xs font-bold text-slate-500 uppercase">Cards</div></div>
+          <div><div class="text-3xl font-black text-green-600">${accuracy}%</div><div class="text-xs font-bold text-slate-500 uppercase">Accuracy</div></div>
+          <div><div class="text-3xl font-black text-[var(--op-blue)]">${this.formatDuration(durationSeconds)}</div><div class="text-xs font-bold text-slate-500 uppercase">Time</div></div>
+        </div>
+        <div class="flex justify-center gap-4 text-sm font-bold text-slate-600">
+          ${counts.map(g => `<span>${g.label}: ${g.count}</span>`).join('')}
+        </div>
+        ${saveFailed ? '<p class="text-sm font-bold text-red-600">Some results could not be saved. Check your connection.</p>' : ''}
+        <button id="study-again-btn"
+          class="w-full py-3 bg-blue-600 hover:bg-blue-700 text-white rounded-xl font-bold shadow-lg transition-all">
+          Train Again
+        </button>
+      </div>
+    `;
+
+    this.container.querySelector('#study-again-btn').addEventListener('click', () => this.renderSetup());
+  }
+
+  /**
+   * Keyboard shortcuts, only while the study view is visible
+   */
+  handleKeydown(e) {
+    if (!this.container || this.container.closest('.hidden') || !this.isActive()) return;
+    if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+
+    if (e.key === ' ' || e.key === 'Enter') {
+      e.preventDefault();
+      this.flip();
+    } else if (['1', '2', '3', '4'].includes(e.key)) {
+      e.preventDefault();
+      this.grade(STUDY_GRADES[parseInt(e.key) - 1].grade);
+    } else if (e.key === 's' || e.key === 'S') {
+      e.preventDefault();
+      this.speak(e);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      this.finish();
+    }
+  }
+}
+
+window.StudySession = StudySession;
@@ -0,0 +1,189 @@
+/**
+ * Sync Queue Component
+ * Sends the changes made offline (see offline-store.js) to the server once it can be
+ * reached again, oldest first, then refreshes the offline copy from the server.
+ *
+ * Conflicts: an offline edit is merged field by field with the server's record. A field
+ * that was also changed on another device since the last sync keeps the server's value,
+ * so an edit made elsewhere is never overwritten; an edit of a record deleted elsewhere is
+ * dropped, and daily task actions only count on the day they were made.
+ */
+
+// Full lists that make up the offline copy
+const SYNC_COLLECTIONS = ['/vocabulary', '/phrases', '/notes', '/daily-tasks'];
+
+class SyncQueue {
+  /**
+   * @param {string} apiBase - API URL
+   * @param {OfflineStore} store - Offline copy and queue
+   * @param {function({synced: number, conflicts: string[]})} onSynced - Called after queued changes were sent
+   */
+  constructor(apiBase, store, onSynced) {
+    this.apiBase = apiBase;
+    this.store = store;
+    this.onSynced = onSynced;
+    this.running = null;
+  }
+
+  /**
+   * Send the queued changes and refresh the offline copy
+   * Stops at the first change the server can't take yet (network or server error, or an
+   * expired session) and keeps it and the ones after it for the next try. Concurrent calls
+   * share one run.
+   */
+  replay() {
+    if (!this.running) {
+      this.running = this.run().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async run() {
+    let synced = 0;
+    const conflicts = [];
+
+    // Signed out: the changes wait until their owner signs in again (the page reloads then)
+    if (!window.authGate?.session) {
+      return { synced, conflicts };
+    }
+
+    try {
+      for (const entry of await this.store.queued()) {
+        const conflict = await this.send(entry);
+        if (conflict) conflicts.push(conflict);
+        await this.store.dequeue(entry.id);
+        synced++;
+      }
+
+      await this.refresh();
+    } catch (error) {
+      console.error('Error syncing offline changes:', error);
+    }
+
+    if (synced > 0 && this.onSynced) {
+      this.onSynced({ synced, conflicts });
+    }
+    return { synced, conflicts };
+  }
+
+  /**
+   * Reload the full lists into the offline copy
+   */
+  async refresh() {
+    for (const endpoint of SYNC_COLLECTIONS) {
+      const { status, body } = await this.request(endpoint);
+      if (status === 200) await this.store.remember(endpoint, body);
+    }
+  }
+
+  /**
+   * JSON request to the API; network errors, server errors (5xx) and requests without
+   * a valid session (401/403) throw so the change stays queued
+   */
+  async request(endpoint, options = {}) {
+    if (!window.authGate?.session) {
+      throw new Error(`Not signed in, ${endpoint} stays queued`);
+    }
+
+    const response = await authFetch(`${this.apiBase}${endpoint}`, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...(options.headers || {}) }
+    });
+    if (response.status === 401 || response.status === 403) {
+      throw new Error(`Not signed in (${response.status}), ${endpoint} stays queued`);
+    }
+    if (response.status >= 500) {
+      throw new Error(`Server error ${response.status} for ${endpoint}`);
+    }
+    const body = await response.json().catch(() => ({}));
+    return { status: response.status, body };
+  }
+
+  /**
+   * Send one queued change
+   * @returns {Promise<string|null>} What could not be saved as made offline, null when all of it was
+   */
+  async send(entry) {
+    if (entry.collection === 'tasks') return this.sendTaskAction(entry);
+    if (entry.method === 'POST') return this.sendCreate(entry);
+    if (entry.method === 'PUT') return this.sendEdit(entry);
+    return this.sendDelete(entry);
+  }
+
+  async sendCreate(entry) {
+    const { status, body } = await this.request(entry.endpoint, { method: 'POST', body: JSON.stringify(entry.body) });
+    if (body.success) {
+      await this.store.settle(entry.collection, entry.record_id, body.data);
+      return null;
+    }
+
+    await this.store.settle(entry.collection, entry.record_id, null);
+    return `"${SyncQueue.titleOf(entry.body)}" was not added: ${body.error || `status ${status}`}`;
+  }
+
+  async sendEdit(entry) {
+    const path = entry.endpoint.split('?')[0];
+    const current = await this.request(path);
+    if (current.status === 404) {
+      await this.store.settle(entry.collection, entry.record_id, null);
+      return `"${SyncQueue.titleOf(entry.base || entry.body)}" was deleted on another device, your changes were dropped`;
+    }
+    if (!current.body.success) {
+      return `"${SyncQueue.titleOf(entry.base || entry.body)}" could not be synced: ${current.body.error}`;
+    }
+
+    const { body: merged, conflicts } = SyncQueue.merge(entry.body, entry.base, current.body.data);
+    const { status, body } = await this.request(path, { method: 'PUT', body: JSON.stringify(merged) });
+    if (!body.success) {
+      return `"${SyncQueue.titleOf(merged)}" could not be synced: ${body.error || `status ${status}`}`;
+    }
+
+    await this.store.settle(entry.collection, entry.record_id, body.data || { ...current.body.data, ...merged });
+    return conflicts.length > 0
+      ? `"${SyncQueue.titleOf(merged)}": kept the other device's ${conflicts.join(', ')}`
+      : null;
+  }
+
+  async sendDelete(entry) {
+    const { status, body } = await this.request(entry.endpoint, { method: 'DELETE' });
+    // Already gone is fine: it was deleted on another device too
+    return body.success || status === 404 ? null : `A deleted item could not be synced: ${body.error || `status ${status}`}`;
+  }
+
+  async sendTaskAction(entry) {
+    if (entry.queued_at.split('T')[0] !== OfflineStore.today()) {
+      return 'A daily task from an earlier day was not counted';
+    }
+    const { body } = await this.request(entry.endpoint, { method: 'POST' });
+    return body.success ? null : `Daily task: ${body.error}`;
+  }
+
+  /**
+   * Three-way merge of an offline edit with the server's record
+   * base is the record when it was edited offline; a field the server changed since then
+   * and the edit changed differently keeps the server's value.
+   * @returns {{body: object, conflicts: string[]}} Fields to send, and the ones that kept the server's value
+   */
+  static merge(edit, base, server) {
+    const same = (a, b) => String(a ?? '') === String(b ?? '');
+    const body = {};
+    const conflicts = [];
+
+    for (const [field, value] of Object.entries(edit)) {
+      const changedOnServer = base && field in server && !same(server[field], base[field]);
+      if (changedOnServer && !same(server[field], value)) {
+        body[field] = server[field];
+        conflicts.push(field);
+      } else {
+        body[field] = value;
+      }
+    }
+    return { body, conflicts };
+  }
+
+  static titleOf(record = {}) {
+    return record.word || record.german || record.title || record.name || 'Item';
+  }
+}
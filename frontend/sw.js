@@ -0,0 +1,101 @@
+/**
+ * Service Worker
+ * Keeps the app shell (pages, scripts, styles, icon, word list) and the CDN libraries
+ * in the Cache Storage so the app opens without a connection. API data is not cached
+ * here: apiCall keeps it in IndexedDB (components/offline-store.js).
+ *
+ * Files are served from the cache and refreshed in the background, so a deploy shows up
+ * on the next load. Bump CACHE_VERSION when files are added to or removed from SHELL.
+ */
+
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `dt-shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `dt-runtime-${CACHE_VERSION}`;
+
+const SHELL = [
+  './',
+  'index.html',
+  'about.html',
+  'app.js',
+  'manifest.webmanifest',
+  'components/auth-gate.js',
+  'components/journey-map.js',
+  'components/global-search.js',
+  'components/study-session.js',
+  'components/article-drill.js',
+  'components/conjugation-quiz.js',
+  'components/router.js',
+  'components/offline-store.js',
+  'components/sync-queue.js',
+  'styles/journey-map.css',
+  'assets/straw_hat_icon.png',
+  'data/Random_words.json'
+];
+
+// Libraries and fonts loaded from CDNs by index.html
+const CDN_HOSTS = ['cdn.tailwindcss.com', 'cdn.jsdelivr.net', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key !== SHELL_CACHE && key !== RUNTIME_CACHE)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+/**
+ * Answer from the cache and update it from the network; without a cached copy wait for the network
+ */
+async function staleWhileRevalidate(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+  const network = fetch(request)
+    .then((response) => {
+      if (response.ok || response.type === 'opaque') {
+        cache.put(request, response.clone());
+      }
+      return response;
+    })
+    .catch((error) => {
+      if (cached) return cached;
+      throw error;
+    });
+
+  return cached || network;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  // Pages open the cached app; the route is in the hash (components/router.js)
+  if (request.mode === 'navigate' && url.origin === self.location.origin) {
+    event.respondWith(
+      staleWhileRevalidate(request, SHELL_CACHE)
+        .catch(() => caches.match('index.html'))
+    );
+    return;
+  }
+
+  if (url.origin === self.location.origin) {
+    event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+    return;
+  }
+
+  if (CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(request, RUNTIME_CACHE));
+  }
+  // Everything else (the API) goes straight to the network
+});